@@ -0,0 +1,123 @@
+import { randomUUID } from 'node:crypto';
+import { normalizeSettings } from './sessions.js';
+
+// Assignments instructors set up ahead of the interviews: the brief students
+// were given and a rubric. Sessions are matched to one by id or by their
+// course and assignment labels, and keep a copy (`session.guide`) so later
+// edits never change how a finished interview reads.
+export const ASSIGNMENTS = 'assignments';
+
+export const RUBRIC_KINDS = {
+  objective: '학습 목표',
+  section: '필수 섹션',
+  claim: '핵심 주장',
+};
+
+export const INTERVIEW_MODES = ['chat', 'voice'];
+
+const MAX_BRIEF_CHARS = 8000;
+const MAX_RUBRIC_ITEMS = 20;
+
+function text(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// Returns `{ value }` or `{ error }` (the error code the route answers with).
+export function validateAssignment(input = {}) {
+  const name = text(input.name, 100);
+  if (!name) return { error: 'name_required' };
+  const items = Array.isArray(input.rubric) ? input.rubric : [];
+  if (items.length > MAX_RUBRIC_ITEMS) return { error: 'rubric_too_long' };
+  const rubric = [];
+  for (const item of items) {
+    const title = text(item?.title, 200);
+    if (!title) return { error: 'rubric_title_required' };
+    rubric.push({
+      id: `r${rubric.length + 1}`,
+      kind: Object.hasOwn(RUBRIC_KINDS, item.kind) ? item.kind : 'objective',
+      title,
+      description: text(item.description, 1000),
+    });
+  }
+  return {
+    value: {
+      courseId: typeof input.courseId === 'string' && input.courseId ? input.courseId : null,
+      course: text(input.course, 100),
+      name,
+      brief: text(input.brief, MAX_BRIEF_CHARS),
+      rubric,
+      settings: normalizeAssignmentSettings(input.settings),
+    },
+  };
+}
+
+// The interview settings students of an assignment get: the topic count and
+// duration are fixed, `modes` are the interview modes they may choose from.
+// Also fills in assignments saved before they had settings.
+export function normalizeAssignmentSettings(input) {
+  const settings = input || {};
+  const modes = INTERVIEW_MODES.filter((mode) => Array.isArray(settings.modes) && settings.modes.includes(mode));
+  return { ...normalizeSettings(settings), modes: modes.length ? modes : [...INTERVIEW_MODES] };
+}
+
+// Fills in what assignments saved before courses and settings lack.
+export function toPublicAssignment(assignment) {
+  return { ...assignment, courseId: assignment.courseId ?? null, settings: normalizeAssignmentSettings(assignment.settings) };
+}
+
+export function createAssignmentRecord(value) {
+  const now = new Date().toISOString();
+  return { id: randomUUID(), ...value, createdAt: now, updatedAt: now };
+}
+
+// By id when the client names one, otherwise by the session's labels.
+export async function findAssignment(store, { assignmentId, course = '', assignment = '' }) {
+  if (assignmentId) return store.get(ASSIGNMENTS, String(assignmentId));
+  if (!assignment) return null;
+  const [match] = await store.list(ASSIGNMENTS, { course, name: assignment });
+  return match || null;
+}
+
+// What a session keeps of its assignment; null when there is nothing to guide by.
+export function toGuide(assignment) {
+  if (!assignment || (!assignment.brief && !assignment.rubric.length)) return null;
+  return { assignmentId: assignment.id, brief: assignment.brief, rubric: assignment.rubric };
+}
+
+export function rubricLines(rubric) {
+  return rubric
+    .map((item) => `[${item.id}] (${RUBRIC_KINDS[item.kind]}) ${item.title}${item.description ? ` — ${item.description}` : ''}`)
+    .join('\n');
+}
+
+// The brief and rubric as prompt text.
+export function guideContext(guide, briefBudget = 3000) {
+  const parts = [];
+  if (guide.brief) parts.push(`과제 안내문:\n${guide.brief.slice(0, briefBudget)}`);
+  if (guide.rubric.length) parts.push(`평가 기준:\n${rubricLines(guide.rubric)}`);
+  return parts.join('\n\n');
+}
+
+// Picks `count` topics so that together they cover as many rubric items as
+// possible (greedy), keeping the document order. Without a rubric the first
+// topics are kept, as before.
+export function selectTopics(topics, rubric, count) {
+  if (!rubric?.length || topics.length <= count) return topics.slice(0, count);
+  const uncovered = new Set(rubric.map((item) => item.id));
+  const picked = new Set();
+  while (picked.size < count) {
+    let best = -1;
+    let bestGain = -1;
+    topics.forEach((topic, idx) => {
+      if (picked.has(idx)) return;
+      const gain = (topic.rubricIds || []).filter((id) => uncovered.has(id)).length;
+      if (gain > bestGain) {
+        best = idx;
+        bestGain = gain;
+      }
+    });
+    picked.add(best);
+    (topics[best].rubricIds || []).forEach((id) => uncovered.delete(id));
+  }
+  return topics.filter((_, idx) => picked.has(idx));
+}
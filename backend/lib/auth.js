@@ -0,0 +1,171 @@
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scryptAsync = promisify(scrypt);
+
+// Accounts, the bearer tokens they sign in with and the one-time login links
+// mailed to them. Tokens and links are stored by their SHA-256, never as
+// issued, so a copy of the database does not let anyone sign in.
+export const USERS = 'users';
+export const AUTH_TOKENS = 'authTokens';
+export const LOGIN_LINKS = 'loginLinks';
+
+export const ROLES = ['student', 'instructor', 'admin'];
+
+export const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Media tokens go into the URLs of audio elements, which cannot send headers,
+// and so end up in logs and browser history: they only play recordings and
+// expire soon.
+export const MEDIA_TOKEN_TTL_MS = 15 * 60 * 1000;
+export const LOGIN_LINK_TTL_MS = 15 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+function text(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+function digest(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function normalizeEmail(value) {
+  const email = text(value, 200).toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : '';
+}
+
+// `scrypt$<salt>$<key>`, both base64.
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key || typeof password !== 'string') return false;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Returns `{ value }` or `{ error }`. With `existing` (an update) every field
+// is optional.
+export function validateUser(input = {}, existing = null) {
+  const value = {};
+  if (input.email !== undefined || !existing) {
+    value.email = input.email ? normalizeEmail(input.email) : '';
+    if (input.email && !value.email) return { error: 'invalid_email' };
+  }
+  if (input.username !== undefined || !existing) value.username = text(input.username, 50).toLowerCase();
+  if (!existing && !value.email && !value.username) return { error: 'email_or_username_required' };
+  if (input.name !== undefined || !existing) value.name = text(input.name, 100);
+  if (input.role !== undefined || !existing) {
+    value.role = input.role ?? 'student';
+    if (!ROLES.includes(value.role)) return { error: 'invalid_role' };
+  }
+  if (input.password !== undefined) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      return { error: 'password_too_short' };
+    }
+    value.password = input.password;
+  }
+  if (input.disabled !== undefined) value.disabled = Boolean(input.disabled);
+  return { value };
+}
+
+// `value` as validateUser returns it; the password is only kept hashed.
+export async function createUserRecord({ password, ...value }) {
+  return {
+    id: randomUUID(),
+    email: '',
+    username: '',
+    name: '',
+    role: 'student',
+    ...value,
+    passwordHash: password ? await hashPassword(password) : null,
+    disabled: false,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export async function findUser(store, { email, username }) {
+  if (email) {
+    const [user] = await store.list(USERS, { email });
+    if (user) return user;
+  }
+  if (username) {
+    const [user] = await store.list(USERS, { username });
+    if (user) return user;
+  }
+  return null;
+}
+
+export function toPublicUser(user) {
+  return { id: user.id, email: user.email, username: user.username, name: user.name, role: user.role, disabled: user.disabled };
+}
+
+export async function issueToken(store, user, ttlMs = TOKEN_TTL_MS, scope = null) {
+  const token = randomBytes(32).toString('base64url');
+  const now = Date.now();
+  await store.insert(AUTH_TOKENS, {
+    id: digest(token),
+    userId: user.id,
+    ...(scope ? { scope } : {}),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+  });
+  return token;
+}
+
+export async function issueMediaToken(store, user) {
+  const token = await issueToken(store, user, MEDIA_TOKEN_TTL_MS, 'media');
+  return { token, expiresAt: new Date(Date.now() + MEDIA_TOKEN_TTL_MS).toISOString() };
+}
+
+// The signed-in user for a token of `scope` (null for a bearer token), or
+// null.
+export async function authenticate(store, token, scope = null) {
+  if (!token) return null;
+  const record = await store.get(AUTH_TOKENS, digest(token));
+  if (!record || (record.scope ?? null) !== scope) return null;
+  if (Date.parse(record.expiresAt) <= Date.now()) {
+    await store.remove(AUTH_TOKENS, record.id);
+    return null;
+  }
+  const user = await store.get(USERS, record.userId);
+  return user && !user.disabled ? user : null;
+}
+
+export async function revokeToken(store, token) {
+  if (token) await store.remove(AUTH_TOKENS, digest(token));
+}
+
+export async function createLoginLink(store, email, ttlMs = LOGIN_LINK_TTL_MS) {
+  const token = randomBytes(32).toString('base64url');
+  await store.insert(LOGIN_LINKS, { id: digest(token), email, expiresAt: new Date(Date.now() + ttlMs).toISOString() });
+  return token;
+}
+
+// A login link works once; returns its email, or null if it is unknown or
+// expired.
+export async function consumeLoginLink(store, token) {
+  if (typeof token !== 'string' || !token) return null;
+  const record = await store.get(LOGIN_LINKS, digest(token));
+  if (!record) return null;
+  await store.remove(LOGIN_LINKS, record.id);
+  return Date.parse(record.expiresAt) > Date.now() ? record.email : null;
+}
+
+// Self-hosted installs start with one admin from AUTH_ADMIN_USERNAME and
+// AUTH_ADMIN_PASSWORD; nothing happens once that username exists.
+export async function ensureAdmin(store, { username, password }) {
+  const { value, error } = validateUser({ username, password, role: 'admin', name: username });
+  if (error) throw new Error(`cannot create the admin account: ${error}`);
+  const existing = await findUser(store, { username: value.username });
+  if (existing) return existing;
+  const user = await createUserRecord(value);
+  await store.insert(USERS, user);
+  return user;
+}
@@ -0,0 +1,80 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const BLOB_DRIVERS = ['fs', 'memory'];
+
+// Binary objects (recordings) that are too big for the document store. Keys
+// are slash-separated paths; the store does not interpret them.
+export function createBlobStore({ driver = 'fs', dir } = {}) {
+  switch (driver) {
+    case 'fs':
+      if (!dir) throw new Error('a directory is required for the fs blob store');
+      return createFsBlobStore(dir);
+    case 'memory':
+      return createMemoryBlobStore();
+    default:
+      throw new Error(`unknown blob store driver "${driver}"; expected one of ${BLOB_DRIVERS.join(', ')}`);
+  }
+}
+
+function checkKey(key) {
+  if (typeof key !== 'string' || !key || key.split('/').some((part) => !part || part === '.' || part === '..')) {
+    throw new Error(`invalid blob key: ${key}`);
+  }
+}
+
+function createMemoryBlobStore() {
+  const blobs = new Map();
+  return {
+    driver: 'memory',
+    async put(key, data) {
+      checkKey(key);
+      blobs.set(key, Buffer.from(data));
+    },
+    async get(key) {
+      checkKey(key);
+      const data = blobs.get(key);
+      return data ? Buffer.from(data) : null;
+    },
+    async remove(key) {
+      checkKey(key);
+      return blobs.delete(key);
+    },
+  };
+}
+
+// One file per blob, written under a temporary name and renamed so a reader
+// never sees half a file.
+function createFsBlobStore(dir) {
+  const fileFor = (key) => {
+    checkKey(key);
+    return path.join(dir, ...key.split('/'));
+  };
+  return {
+    driver: 'fs',
+    async put(key, data) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, file);
+    },
+    async get(key) {
+      try {
+        return await fs.readFile(fileFor(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async remove(key) {
+      try {
+        await fs.unlink(fileFor(key));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,108 @@
+// Server-side topic clock. Time is only charged while the student can answer:
+// from the moment a question is delivered (chat) or has finished playing
+// (voice) until the answer is submitted. Generation and TTS time are free.
+
+// Answers arriving this long after the budget ran out are still accepted to
+// absorb network latency between the client's countdown and the server.
+export const ANSWER_GRACE_MS = 3000;
+
+// In voice mode the clock starts when the client reports that TTS finished.
+// To keep a client from stalling by never reporting it, the clock starts
+// anyway once a generous estimate of the speech duration has passed.
+const SPEECH_BASE_MS = 3000;
+const SPEECH_MS_PER_CHAR = 150;
+
+export function speechAllowanceMs(text = '') {
+  return SPEECH_BASE_MS + text.length * SPEECH_MS_PER_CHAR;
+}
+
+function ensureClock(topic) {
+  if (!topic.clock) {
+    topic.clock = { usedMs: 0, openSince: null, speechDeadline: null };
+  }
+  if (!topic.events) topic.events = [];
+  return topic.clock;
+}
+
+function recordEvent(topic, type, at) {
+  topic.events.push({ type, at: new Date(at).toISOString() });
+}
+
+function effectiveOpenSince(clock, now) {
+  if (clock.openSince) return Date.parse(clock.openSince);
+  if (clock.speechDeadline && now >= Date.parse(clock.speechDeadline)) {
+    return Date.parse(clock.speechDeadline);
+  }
+  return null;
+}
+
+export function usedMs(topic, now = Date.now()) {
+  const clock = topic.clock || { usedMs: 0 };
+  const openSince = effectiveOpenSince(clock, now);
+  return clock.usedMs + (openSince ? Math.max(0, now - openSince) : 0);
+}
+
+export function remainingMs(topic, now = Date.now()) {
+  return Math.max(0, topic.duration * 1000 - usedMs(topic, now));
+}
+
+export function isRunning(topic, now = Date.now()) {
+  if (topic.status === 'done' || !topic.clock) return false;
+  return effectiveOpenSince(topic.clock, now) !== null && remainingMs(topic, now) > 0;
+}
+
+export function clockView(topic, now = Date.now()) {
+  return {
+    timeLeft: Math.round(remainingMs(topic, now) / 100) / 10,
+    running: isRunning(topic, now),
+  };
+}
+
+export function isExhausted(topic, now = Date.now(), graceMs = 0) {
+  return usedMs(topic, now) >= topic.duration * 1000 + graceMs;
+}
+
+function closeWindow(clock, now) {
+  const openSince = effectiveOpenSince(clock, now);
+  if (openSince) clock.usedMs += Math.max(0, now - openSince);
+  clock.openSince = null;
+  clock.speechDeadline = null;
+}
+
+export function markQuestionDelivered(topic, { interviewMode, question }, now = Date.now()) {
+  const clock = ensureClock(topic);
+  closeWindow(clock, now);
+  if (interviewMode === 'voice') {
+    clock.speechDeadline = new Date(now + speechAllowanceMs(question)).toISOString();
+  } else {
+    clock.openSince = new Date(now).toISOString();
+  }
+  recordEvent(topic, 'question_delivered', now);
+}
+
+export function markTtsFinished(topic, now = Date.now()) {
+  const clock = ensureClock(topic);
+  if (!clock.speechDeadline) return false;
+  const deadline = Date.parse(clock.speechDeadline);
+  clock.openSince = new Date(Math.min(now, deadline)).toISOString();
+  clock.speechDeadline = null;
+  recordEvent(topic, 'tts_finished', now);
+  return true;
+}
+
+export function markAnswerSubmitted(topic, now = Date.now()) {
+  const clock = ensureClock(topic);
+  closeWindow(clock, now);
+  recordEvent(topic, 'answer_submitted', now);
+}
+
+export function markAnswerRejected(topic, now = Date.now()) {
+  ensureClock(topic);
+  recordEvent(topic, 'answer_rejected', now);
+}
+
+export function markTopicClosed(topic, now = Date.now()) {
+  const clock = ensureClock(topic);
+  closeWindow(clock, now);
+  recordEvent(topic, 'topic_closed', now);
+}
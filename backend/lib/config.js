@@ -0,0 +1,62 @@
+import { LLM_ENDPOINTS, LLM_PROVIDERS } from './llm/index.js';
+
+// The model and voice settings an admin changes while the server runs. They
+// are kept in the store and laid over the environment's on startup.
+export const CONFIG = 'config';
+const RUNTIME_ID = 'runtime';
+
+function text(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+function pick(input, fields) {
+  const value = {};
+  for (const field of fields) {
+    const item = text(input?.[field], 100);
+    if (item) value[field] = item;
+  }
+  return value;
+}
+
+// Returns `{ value: { llm, tts } }` or `{ error }`. Blank fields are left out,
+// so they keep their current setting.
+export function validateRuntimeConfig(input = {}) {
+  const llm = {};
+  for (const [endpoint, change] of Object.entries(input.llm || {})) {
+    if (!LLM_ENDPOINTS.includes(endpoint)) return { error: 'unknown_endpoint' };
+    const value = pick(change, ['provider', 'model']);
+    if (value.provider && !LLM_PROVIDERS.includes(value.provider)) return { error: 'invalid_provider' };
+    if (Object.keys(value).length) llm[endpoint] = value;
+  }
+  return { value: { llm, tts: pick(input.tts, ['voiceId', 'modelId']) } };
+}
+
+export async function loadRuntimeConfig(store) {
+  return store.get(CONFIG, RUNTIME_ID);
+}
+
+// Throws, having applied nothing, when a change cannot be made: an
+// openai-compatible model without LLM_BASE_URL, or a voice for a TTS provider
+// that has none.
+export function applyRuntimeConfig({ llm, tts }, config) {
+  const voice = Object.keys(config.tts || {}).length ? config.tts : null;
+  if (voice && tts?.describe().provider !== 'elevenlabs') {
+    throw new Error('only the elevenlabs TTS provider has a voice and model to choose');
+  }
+  if (Object.keys(config.llm || {}).length) llm.configure(config.llm);
+  if (voice) tts.configure(voice);
+}
+
+// Later changes are merged over what was saved before.
+export async function saveRuntimeConfig(store, { llm, tts }, user) {
+  const meta = { updatedAt: new Date().toISOString(), updatedBy: user.id };
+  const saved = await store.update(CONFIG, RUNTIME_ID, (draft) => {
+    const merged = { ...draft.llm };
+    for (const [endpoint, change] of Object.entries(llm)) merged[endpoint] = { ...merged[endpoint], ...change };
+    return { ...draft, llm: merged, tts: { ...draft.tts, ...tts }, ...meta };
+  });
+  if (saved) return saved;
+  const record = { id: RUNTIME_ID, llm, tts, ...meta };
+  await store.insert(CONFIG, record);
+  return record;
+}
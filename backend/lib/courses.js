@@ -0,0 +1,20 @@
+import { randomUUID } from 'node:crypto';
+
+// Courses group assignments (lib/assignments.js). A course's name is the
+// `course` label its assignments and their sessions carry.
+export const COURSES = 'courses';
+
+function text(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// Returns `{ value }` or `{ error }`.
+export function validateCourse(input = {}) {
+  const name = text(input.name, 100);
+  if (!name) return { error: 'name_required' };
+  return { value: { name, term: text(input.term, 50) } };
+}
+
+export function createCourseRecord(value) {
+  return { id: randomUUID(), ...value, createdAt: new Date().toISOString() };
+}
@@ -0,0 +1,364 @@
+// Structured document model produced by every extractor in lib/extract.js:
+//
+//   { format, pageCount, blocks: [{ type: 'heading' | 'paragraph', text, page, level? }], sections }
+//
+// `page` is 1-based for paginated formats (PDF) and null for word-processor
+// and text formats, which do not store layout. Sections are contiguous block
+// ranges, each starting at a heading, and are what topics are mapped to.
+
+const MAX_SECTION_CHARS = 4000;
+const MAX_HEADING_CHARS = 80;
+const UNTITLED_CHARS = 40;
+
+// Ordered most specific first: "1.1.1" must not be read as "1."
+const HEADING_PATTERNS = [
+  { re: /^제\s*\d+\s*[부장]/, level: 1 },
+  { re: /^제\s*\d+\s*절/, level: 2 },
+  { re: /^([IVX]+|[ⅠⅡⅢⅣⅤⅥⅦⅧⅨⅩ])\.?\s/, level: 1 },
+  { re: /^\d+\.\d+\.\d+\.?\s/, level: 3 },
+  { re: /^\d+\.\d+\.?\s/, level: 2 },
+  { re: /^\d+\.\s/, level: 1 },
+  { re: /^[가-하]\.\s/, level: 3 },
+];
+const HEADING_WORDS =
+  /^(서론|본론|결론|요약|초록|목차|참고\s*문헌|참고\s*자료|부록|들어가며|나가며|맺음말|abstract|introduction|conclusions?|references|appendix)$/i;
+const SENTENCE_END = /([.?!。]|[다요죠][.]?)$/;
+
+// Heading level implied by the text alone (numbering or a stock heading
+// word), 0 if the line reads like body text.
+export function headingLevel(text) {
+  const line = text.trim();
+  if (!line || line.length > MAX_HEADING_CHARS || SENTENCE_END.test(line)) return 0;
+  if (HEADING_WORDS.test(line.replace(/^[\dIVXⅠ-Ⅹ.\s]+/, ''))) return 1;
+  return HEADING_PATTERNS.find(({ re }) => re.test(line))?.level || 0;
+}
+
+// One block per non-empty line, for formats where a line is a paragraph (HWP, HWPX).
+export function lineBlocks(text, page = null) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const level = headingLevel(line);
+      return level ? { type: 'heading', text: line, page, level } : { type: 'paragraph', text: line, page };
+    });
+}
+
+// Plain text: paragraphs are separated by blank lines and may be hard-wrapped.
+// Heading-like lines are split out of the paragraph they sit in.
+export function textBlocks(text, page = null) {
+  const blocks = [];
+  for (const chunk of text.split(/\n\s*\n/)) {
+    let lines = [];
+    const flush = () => {
+      if (lines.length) blocks.push({ type: 'paragraph', text: lines.join('\n'), page });
+      lines = [];
+    };
+    for (const raw of chunk.split('\n')) {
+      const line = raw.trim();
+      if (!line) continue;
+      const level = headingLevel(line);
+      if (level) {
+        flush();
+        blocks.push({ type: 'heading', text: line, page, level });
+      } else {
+        lines.push(line);
+      }
+    }
+    flush();
+  }
+  return blocks;
+}
+
+export function markdownBlocks(text) {
+  const blocks = [];
+  let lines = [];
+  let inFence = false;
+  const flush = () => {
+    if (lines.length) blocks.push({ type: 'paragraph', text: lines.join('\n'), page: null });
+    lines = [];
+  };
+  for (const raw of text.split('\n')) {
+    const line = raw.trimEnd();
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = inFence ? null : /^(#{1,6})\s+(.+?)\s*#*$/.exec(line);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', text: heading[2], page: null, level: heading[1].length });
+    } else if (!line.trim() && !inFence) {
+      flush();
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function pageRange(blocks) {
+  const pages = blocks.map((block) => block.page).filter((page) => page != null);
+  return pages.length ? { pageStart: Math.min(...pages), pageEnd: Math.max(...pages) } : { pageStart: null, pageEnd: null };
+}
+
+export function pageLabel({ pageStart, pageEnd }) {
+  if (pageStart == null) return '';
+  return pageStart === pageEnd ? `p.${pageStart}` : `p.${pageStart}–${pageEnd}`;
+}
+
+function untitled(blocks, range) {
+  const label = pageLabel(range);
+  if (label) return label;
+  const text = blocks[0]?.text.replace(/\s+/g, ' ') || '';
+  return text.length > UNTITLED_CHARS ? `${text.slice(0, UNTITLED_CHARS)}…` : text;
+}
+
+// A heading opens a new section unless the current one has no body yet
+// ("1. 서론" directly followed by "1.1 배경" stays one section). Sections
+// longer than MAX_SECTION_CHARS are continued under the same title so a
+// topic can point at part of a long chapter.
+export function buildSections(blocks) {
+  const ranges = [];
+  let current = null;
+  blocks.forEach((block, idx) => {
+    const isHeading = block.type === 'heading';
+    const overflow = current && current.chars > 0 && current.chars + block.text.length > MAX_SECTION_CHARS;
+    if (!current || (isHeading && current.chars > 0) || overflow) {
+      current = {
+        heading: isHeading ? block : overflow && !isHeading ? current.heading : null,
+        part: overflow && !isHeading ? current.part + 1 : 1,
+        blockStart: idx,
+        blockEnd: idx + 1,
+        chars: 0,
+      };
+      ranges.push(current);
+    }
+    current.blockEnd = idx + 1;
+    if (!isHeading) current.chars += block.text.length;
+  });
+  return ranges.map((range, idx) => {
+    const sectionBlocks = blocks.slice(range.blockStart, range.blockEnd);
+    const pages = pageRange(sectionBlocks);
+    const title = range.heading ? range.heading.text : untitled(sectionBlocks, pages);
+    return {
+      id: `s${idx + 1}`,
+      title: range.heading && range.part > 1 ? `${title} (${range.part})` : title,
+      level: range.heading?.level || 0,
+      ...pages,
+      blockStart: range.blockStart,
+      blockEnd: range.blockEnd,
+      chars: range.chars,
+    };
+  });
+}
+
+export function createDocument({ format, blocks, pageCount = null }) {
+  const cleaned = blocks
+    .map((block) => ({ ...block, text: block.text.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').trim() }))
+    .filter((block) => block.text);
+  return { format, pageCount, blocks: cleaned, sections: buildSections(cleaned) };
+}
+
+// Pasted assignment text (no file) goes through the plain-text rules.
+export function createTextDocument(text) {
+  return createDocument({ format: 'txt', blocks: textBlocks(text.replace(/\r\n?/g, '\n')) });
+}
+
+export function documentText(document) {
+  return document.blocks.map((block) => block.text).join('\n\n');
+}
+
+export function sectionText(document, section) {
+  return document.blocks
+    .slice(section.blockStart, section.blockEnd)
+    .map((block) => block.text)
+    .join('\n\n');
+}
+
+// Outline without block indices, for API responses.
+export function toOutline(document) {
+  return {
+    format: document.format,
+    pageCount: document.pageCount,
+    sections: document.sections.map(({ id, title, level, pageStart, pageEnd }) => ({ id, title, level, pageStart, pageEnd })),
+  };
+}
+
+// Splits `budget` characters over items of the given lengths: short items get
+// all they need and the rest is shared evenly by the long ones.
+function allocate(lengths, budget) {
+  const alloc = lengths.map(() => 0);
+  let remaining = budget;
+  let open = lengths.map((_, idx) => idx).filter((idx) => lengths[idx] > 0);
+  while (open.length && remaining >= open.length) {
+    const share = Math.floor(remaining / open.length);
+    open = open.filter((idx) => {
+      const take = Math.min(share, lengths[idx] - alloc[idx]);
+      alloc[idx] += take;
+      remaining -= take;
+      return alloc[idx] < lengths[idx];
+    });
+  }
+  return alloc;
+}
+
+function sectionHeader(section) {
+  const pages = pageLabel(section);
+  return `[${section.id}] ${section.title.slice(0, MAX_HEADING_CHARS)}${pages ? ` (${pages})` : ''}`;
+}
+
+function renderSections(document, sections, budget) {
+  const headers = sections.map(sectionHeader);
+  const texts = sections.map((section) => sectionText(document, section));
+  const headerChars = headers.reduce((sum, header) => sum + header.length + 2, 0);
+  const alloc = allocate(texts.map((text) => text.length), Math.max(0, budget - headerChars));
+  return sections
+    .map((_, idx) => {
+      const text = texts[idx];
+      const body = alloc[idx] < text.length ? `${text.slice(0, alloc[idx])}…` : text;
+      return `${headers[idx]}\n${body}`;
+    })
+    .join('\n\n');
+}
+
+// Every section with an excerpt sized to fit the budget, so analysis sees the
+// whole document rather than its first pages.
+export function outlineForAnalysis(document, budget = 16000) {
+  return renderSections(document, document.sections, budget);
+}
+
+// Full text of the given sections (in document order), shortened evenly when
+// they do not fit the budget.
+export function sectionsContext(document, sectionIds, budget = 14000) {
+  const wanted = new Set(sectionIds);
+  const sections = document.sections.filter((section) => wanted.has(section.id));
+  return renderSections(document, sections, budget);
+}
+
+// Keeps the section ids the model returned that exist; a topic left without
+// any gets an even share of the document so no part goes unused.
+export function assignSections(topics, document) {
+  const known = new Set(document.sections.map((section) => section.id));
+  const total = document.sections.length;
+  return topics.map((topic, idx) => {
+    const valid = (Array.isArray(topic.sectionIds) ? topic.sectionIds : []).filter((id) => known.has(id));
+    if (valid.length || !total) return { ...topic, sectionIds: [...new Set(valid)] };
+    const start = Math.min(total - 1, Math.floor((idx * total) / topics.length));
+    const end = Math.max(start + 1, Math.floor(((idx + 1) * total) / topics.length));
+    return { ...topic, sectionIds: document.sections.slice(start, end).map((section) => section.id) };
+  });
+}
+
+// Offset of every block in documentText(), which is what refs point into.
+function blockOffsets(blocks) {
+  let offset = 0;
+  return blocks.map((block) => {
+    const start = offset;
+    offset += block.text.length + 2;
+    return start;
+  });
+}
+
+// Blocks with their text offsets, for the source viewer.
+export function toViewerDocument(document) {
+  const offsets = blockOffsets(document.blocks);
+  return {
+    ...toOutline(document),
+    blocks: document.blocks.map((block, idx) => ({ ...block, offset: offsets[idx] })),
+  };
+}
+
+const MIN_QUOTE_CHARS = 4;
+const MAX_REFS = 3;
+const FALLBACK_QUOTE_CHARS = 160;
+
+// Whitespace-collapsed copy of `text` plus, for each of its characters, the
+// index of that character in the original.
+function collapseWithMap(text) {
+  let out = '';
+  const map = [];
+  for (let idx = 0; idx < text.length; idx += 1) {
+    if (/\s/.test(text[idx])) {
+      if (out && !out.endsWith(' ')) {
+        out += ' ';
+        map.push(idx);
+      }
+    } else {
+      out += text[idx];
+      map.push(idx);
+    }
+  }
+  return { text: out, map };
+}
+
+function cleanQuote(quote) {
+  return String(quote || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^["'“”‘’「」『』\s]+|["'“”‘’「」『』\s]+$/g, '')
+    .trim();
+}
+
+function refAt(document, offsets, start, end) {
+  let blockIdx = offsets.findIndex((offset, idx) => idx === offsets.length - 1 || offsets[idx + 1] > start);
+  if (blockIdx < 0) blockIdx = 0;
+  const section = document.sections.find((s) => blockIdx >= s.blockStart && blockIdx < s.blockEnd);
+  return {
+    sectionId: section?.id || null,
+    page: document.blocks[blockIdx]?.page ?? null,
+    start,
+    end,
+    quote: documentText(document).slice(start, end),
+  };
+}
+
+// Finds a quote the model copied from the document, tolerating whitespace
+// differences and "…" elisions (the longest fragment is used). Occurrences
+// inside `sectionIds` win over earlier ones elsewhere.
+export function locateQuote(document, quote, sectionIds = []) {
+  const cleaned = cleanQuote(quote);
+  const needle = cleaned
+    .split(/…|\.{3}/)
+    .map((part) => part.trim())
+    .sort((a, b) => b.length - a.length)[0];
+  if (!needle || needle.length < MIN_QUOTE_CHARS) return null;
+  const text = documentText(document);
+  const { text: flat, map } = collapseWithMap(text);
+  const offsets = blockOffsets(document.blocks);
+  const wanted = new Set(sectionIds);
+  let first = null;
+  for (let idx = flat.indexOf(needle); idx !== -1; idx = flat.indexOf(needle, idx + 1)) {
+    const ref = refAt(document, offsets, map[idx], map[idx + needle.length - 1] + 1);
+    if (!wanted.size || wanted.has(ref.sectionId)) return ref;
+    first = first || ref;
+  }
+  return first;
+}
+
+// The opening paragraph of a section, for topics whose quotes were not found.
+export function sectionRef(document, sectionId) {
+  const section = document.sections.find((s) => s.id === sectionId);
+  if (!section) return null;
+  const offsets = blockOffsets(document.blocks);
+  const blocks = document.blocks.slice(section.blockStart, section.blockEnd);
+  const idx = Math.max(0, blocks.findIndex((block) => block.type === 'paragraph'));
+  const block = blocks[idx];
+  const start = offsets[section.blockStart + idx];
+  return refAt(document, offsets, start, start + Math.min(block.text.length, FALLBACK_QUOTE_CHARS));
+}
+
+export function locateQuotes(document, quotes, sectionIds = []) {
+  const refs = [];
+  for (const quote of Array.isArray(quotes) ? quotes : [quotes]) {
+    const ref = locateQuote(document, quote, sectionIds);
+    if (ref && !refs.some((r) => r.start === ref.start)) refs.push(ref);
+    if (refs.length >= MAX_REFS) break;
+  }
+  return refs;
+}
+
+export function topicRefs(document, topic) {
+  const refs = locateQuotes(document, topic.quotes, topic.sectionIds);
+  if (refs.length || !topic.sectionIds?.length) return refs;
+  const fallback = sectionRef(document, topic.sectionIds[0]);
+  return fallback ? [fallback] : [];
+}
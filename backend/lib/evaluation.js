@@ -0,0 +1,196 @@
+import { createTextDocument, documentText, locateQuote } from './document.js';
+import { injectionFindings } from './injection.js';
+
+// Per-topic ownership verdicts. The criteria mirror the 판별 기준 in the
+// summary prompt; keys are what the model is asked to return.
+export const CRITERIA = [
+  { key: 'process', label: '작성 과정 설명' },
+  { key: 'decisions', label: '의사결정 근거' },
+  { key: 'experience', label: '개인적 경험' },
+  { key: 'alternatives', label: '대안 인식' },
+  { key: 'consistency', label: '일관성' },
+];
+
+const CRITERION_KEYS = CRITERIA.map((c) => c.key);
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const MAX_EVIDENCE_PER_TOPIC = 8;
+
+function squash(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^["'“”‘’\s]+|["'“”‘’\s]+$/g, '')
+    .trim();
+}
+
+function normalizeScore(value) {
+  const score = Math.round(Number(value));
+  if (!Number.isFinite(score)) return null;
+  return Math.min(5, Math.max(1, score));
+}
+
+function studentText(topic) {
+  return squash(topic.turns.filter((turn) => turn.role === 'student').map((turn) => turn.text).join(' '));
+}
+
+// Quotes must be verbatim student speech; paraphrases or AI lines the model
+// attributes to the student are dropped so every shown quote is checkable.
+function normalizeEvidence(evidence, topic) {
+  if (!Array.isArray(evidence)) return [];
+  const spoken = studentText(topic);
+  return evidence
+    .map((item) => ({
+      criterion: CRITERION_KEYS.includes(item?.criterion) ? item.criterion : null,
+      quote: squash(item?.quote),
+      note: typeof item?.note === 'string' ? item.note.trim() : '',
+    }))
+    .filter((item) => item.criterion && item.quote.length >= 2 && spoken.includes(item.quote))
+    .slice(0, MAX_EVIDENCE_PER_TOPIC);
+}
+
+export function normalizeTopicVerdicts(rawTopics, session) {
+  const list = Array.isArray(rawTopics) ? rawTopics : [];
+  return session.topics.map((topic, idx) => {
+    const raw = list.find((item) => item?.topicId === topic.id) || list[idx] || {};
+    const answered = topic.turns.some((turn) => turn.role === 'student' && turn.text !== '(응답 없음)');
+    const scores = Object.fromEntries(
+      CRITERION_KEYS.map((key) => [key, answered ? normalizeScore(raw.scores?.[key]) : null]),
+    );
+    return {
+      topicId: topic.id,
+      title: topic.title,
+      scores,
+      confidence: answered && CONFIDENCE_LEVELS.includes(raw.confidence) ? raw.confidence : 'low',
+      evidence: answered ? normalizeEvidence(raw.evidence, topic) : [],
+      comment: typeof raw.comment === 'string' ? raw.comment.trim() : '',
+    };
+  });
+}
+
+// Ownership and understanding per rubric item of the session's guide
+// (lib/assignments.js). Evidence may come from any topic, since a criterion
+// can come up outside the topics tagged with it.
+export function normalizeRubricVerdicts(rawRubric, session) {
+  const list = Array.isArray(rawRubric) ? rawRubric : [];
+  const spoken = squash(session.topics.map(studentText).join(' '));
+  const answered = session.topics.some((topic) =>
+    topic.turns.some((turn) => turn.role === 'student' && turn.text !== '(응답 없음)'),
+  );
+  return session.guide.rubric.map((item, idx) => {
+    const raw = list.find((entry) => entry?.criterionId === item.id) || list[idx] || {};
+    const evidence = Array.isArray(raw.evidence)
+      ? raw.evidence
+          .map((entry) => ({ quote: squash(entry?.quote), note: typeof entry?.note === 'string' ? entry.note.trim() : '' }))
+          .filter((entry) => entry.quote.length >= 2 && spoken.includes(entry.quote))
+          .slice(0, MAX_EVIDENCE_PER_TOPIC)
+      : [];
+    return {
+      criterionId: item.id,
+      kind: item.kind,
+      title: item.title,
+      topicIds: session.topics.filter((topic) => topic.rubricIds?.includes(item.id)).map((topic) => topic.id),
+      ownership: answered ? normalizeScore(raw.ownership) : null,
+      understanding: answered ? normalizeScore(raw.understanding) : null,
+      evidence,
+      comment: typeof raw.comment === 'string' ? raw.comment.trim() : '',
+    };
+  });
+}
+
+const MAX_INTEGRITY_FLAGS = 10;
+
+// Attempts to steer the evaluation, recorded instead of obeyed: every
+// detector finding (lib/injection.js), then what the evaluator reported
+// beyond them. Reported quotes must be verbatim student speech or upload text.
+export function normalizeIntegrityFlags(rawFlags, session) {
+  const detected = injectionFindings(session).map((finding) => ({
+    source: finding.source,
+    topicId: finding.topicId,
+    quote: finding.excerpt,
+    note: finding.label,
+    detectedBy: 'detector',
+  }));
+  const spoken = squash(session.topics.map(studentText).join(' '));
+  const uploaded = squash(session.assignmentText);
+  const topicIds = new Set(session.topics.map((topic) => topic.id));
+  const overlaps = (quote) => detected.some((flag) => flag.quote.includes(quote) || quote.includes(flag.quote));
+  const reported = (Array.isArray(rawFlags) ? rawFlags : [])
+    .map((item) => ({
+      source: item?.source === 'document' ? 'document' : 'answer',
+      topicId: item?.source !== 'document' && topicIds.has(item?.topicId) ? item.topicId : null,
+      quote: squash(item?.quote),
+      note: typeof item?.note === 'string' ? item.note.trim() : '',
+      detectedBy: 'evaluator',
+    }))
+    .filter((item) => item.quote.length >= 2 && (item.source === 'document' ? uploaded : spoken).includes(item.quote))
+    .filter((item) => !overlaps(item.quote));
+  return [...detected, ...reported].slice(0, MAX_INTEGRITY_FLAGS);
+}
+
+// Claim cross-check: the factual claims of the student's answers, matched
+// against the assignment text by the verification pass. Labels are for the
+// summary prompt and the instructor view.
+export const CLAIM_KINDS = [
+  { key: 'number', label: '수치' },
+  { key: 'source', label: '출처' },
+  { key: 'example', label: '사례' },
+  { key: 'reason', label: '이유' },
+];
+
+export const CLAIM_STATUSES = [
+  { key: 'consistent', label: '본문과 일치' },
+  { key: 'contradicts', label: '본문과 모순' },
+  { key: 'not_found', label: '본문에 없음' },
+];
+
+const CLAIM_KIND_KEYS = CLAIM_KINDS.map((kind) => kind.key);
+const CLAIM_STATUS_KEYS = CLAIM_STATUSES.map((status) => status.key);
+const MAX_CLAIMS = 20;
+
+const numbersIn = (text) => text.match(/\d+(?:[.,]\d+)*/g) || [];
+
+// Claims must quote an answer verbatim, and a claim is only consistent or
+// contradicting with the passage it rests on: one that cannot be found in
+// the document, or a number in digits the document never mentions, is
+// `not_found`. Spoken answers often say numbers in words ("십오 퍼센트"),
+// which are left to the model's reading of the passage.
+export function normalizeClaims(rawClaims, session) {
+  const document = session.document || createTextDocument(session.assignmentText || '');
+  const text = squash(documentText(document));
+  const byId = new Map(session.topics.map((topic) => [topic.id, topic]));
+  const spoken = squash(session.topics.map(studentText).join(' '));
+  return (Array.isArray(rawClaims) ? rawClaims : [])
+    .map((item) => {
+      const claim = squash(item?.claim);
+      const topic = byId.get(item?.topicId) || session.topics.find((candidate) => studentText(candidate).includes(claim));
+      const kind = CLAIM_KIND_KEYS.includes(item?.kind) ? item.kind : 'reason';
+      const ref = item?.documentQuote ? locateQuote(document, item.documentQuote, topic?.sectionIds) : null;
+      let status = CLAIM_STATUS_KEYS.includes(item?.status) ? item.status : 'not_found';
+      if (!ref) status = 'not_found';
+      const numbers = numbersIn(claim);
+      if (kind === 'number' && status === 'consistent' && numbers.length && !numbers.some((number) => text.includes(number))) {
+        status = 'not_found';
+      }
+      return {
+        topicId: topic?.id ?? null,
+        kind,
+        claim,
+        status,
+        refs: ref && status !== 'not_found' ? [ref] : [],
+        note: typeof item?.note === 'string' ? item.note.trim() : '',
+      };
+    })
+    .filter((item) => item.claim.length >= 2 && spoken.includes(item.claim))
+    .slice(0, MAX_CLAIMS);
+}
+
+// The cross-check as lines for the summary prompt; `wrap` encloses the
+// student's words, as in formatTurns (lib/sessions.js).
+export function claimReport(claims, wrap = (text) => text) {
+  const label = (list, key) => list.find((item) => item.key === key).label;
+  return claims
+    .map(
+      (item) =>
+        `- [주제 ${item.topicId ?? '?'}] ${label(CLAIM_KINDS, item.kind)} · ${label(CLAIM_STATUSES, item.status)}: ${wrap(item.claim)}${item.note ? ` (${item.note})` : ''}`,
+    )
+    .join('\n');
+}
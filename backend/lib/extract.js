@@ -0,0 +1,361 @@
+import zlib from 'node:zlib';
+import pdfParse from 'pdf-parse';
+import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import CFB from 'cfb';
+import { createDocument, headingLevel, lineBlocks, markdownBlocks, textBlocks } from './document.js';
+
+// Error codes are returned to the client as-is (`{ error: code }`), so each
+// format gets its own code instead of one generic extraction failure.
+export class ExtractionError extends Error {
+  constructor(code, { format = null, cause } = {}) {
+    super(code, { cause });
+    this.name = 'ExtractionError';
+    this.code = code;
+    this.format = format;
+  }
+}
+
+const PDF_MAGIC = Buffer.from('%PDF-');
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const CFB_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const HWP3_MAGIC = Buffer.from('HWP Document File V3');
+
+function extensionOf(fileName = '') {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName);
+  return match ? match[1].toLowerCase() : '';
+}
+
+function startsWith(buffer, magic) {
+  return buffer.length >= magic.length && buffer.subarray(0, magic.length).equals(magic);
+}
+
+// Containers (ZIP, CFB) are told apart by their entries; the file name is only
+// used to choose between plain text and Markdown.
+export async function detectFormat(buffer, { fileName } = {}) {
+  if (startsWith(buffer, PDF_MAGIC)) return { format: 'pdf' };
+  if (startsWith(buffer, HWP3_MAGIC)) return { format: 'hwp3' };
+  if (startsWith(buffer, ZIP_MAGIC)) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (err) {
+      throw new ExtractionError('unsupported_format', { cause: err });
+    }
+    if (zip.file('word/document.xml')) return { format: 'docx', zip };
+    const mimetype = await zip.file('mimetype')?.async('string');
+    if (mimetype?.trim() === 'application/hwp+zip' || zip.file('Contents/section0.xml')) {
+      return { format: 'hwpx', zip };
+    }
+    throw new ExtractionError('unsupported_format');
+  }
+  if (startsWith(buffer, CFB_MAGIC)) {
+    let container;
+    try {
+      container = CFB.read(buffer, { type: 'buffer' });
+    } catch (err) {
+      throw new ExtractionError('unsupported_format', { cause: err });
+    }
+    const header = CFB.find(container, 'FileHeader');
+    if (header && Buffer.from(header.content).toString('latin1').startsWith('HWP Document File')) {
+      return { format: 'hwp', container };
+    }
+    // Legacy .doc/.xls and other OLE files
+    throw new ExtractionError('unsupported_format');
+  }
+  const ext = extensionOf(fileName);
+  return { format: ext === 'md' || ext === 'markdown' ? 'markdown' : 'txt' };
+}
+
+const PDF_LINE_TOLERANCE = 1;
+const PDF_HEADING_SCALE = 1.15;
+const PDF_TITLE_SCALE = 1.4;
+const PDF_PARAGRAPH_GAP = 1.8;
+const PDF_PAGE_NUMBER = /^[-–\s]*\d+[-–\s]*$/;
+
+// pdf.js text items grouped into visual lines with their font size and
+// baseline, which is what heading and paragraph detection work from.
+function pdfLines(items) {
+  const lines = [];
+  let line = null;
+  for (const item of items) {
+    const y = item.transform[5];
+    const size = Math.abs(item.transform[3]) || item.height || 0;
+    if (!line || Math.abs(line.y - y) > PDF_LINE_TOLERANCE) {
+      line = { text: '', y, size: 0 };
+      lines.push(line);
+    }
+    line.text += item.str;
+    line.size = Math.max(line.size, size);
+  }
+  return lines.map((l) => ({ ...l, text: l.text.trim() })).filter((l) => l.text && !PDF_PAGE_NUMBER.test(l.text));
+}
+
+function medianBodySize(pages) {
+  const sizes = pages.flat().flatMap((line) => Array(Math.min(line.text.length, 200)).fill(line.size));
+  sizes.sort((a, b) => a - b);
+  return sizes[Math.floor(sizes.length / 2)] || 0;
+}
+
+// Larger-than-body lines are headings; body-size lines only when they are
+// short and numbered, since numbered list items look the same otherwise.
+function pdfBlocks(pages) {
+  const body = medianBodySize(pages);
+  const blocks = [];
+  pages.forEach((lines, pageIdx) => {
+    const page = pageIdx + 1;
+    let paragraph = null;
+    let prev = null;
+    for (const line of lines) {
+      const textLevel = headingLevel(line.text);
+      const larger = body && line.size >= body * PDF_HEADING_SCALE && line.text.length <= 80;
+      const level = larger ? textLevel || (line.size >= body * PDF_TITLE_SCALE ? 1 : 2) : line.text.length <= 40 ? textLevel : 0;
+      if (level) {
+        blocks.push({ type: 'heading', text: line.text, page, level });
+        paragraph = null;
+      } else {
+        const gap = prev ? prev.y - line.y : 0;
+        if (!paragraph || gap > line.size * PDF_PARAGRAPH_GAP || gap < 0) {
+          paragraph = { type: 'paragraph', text: line.text, page };
+          blocks.push(paragraph);
+        } else {
+          paragraph.text += `\n${line.text}`;
+        }
+      }
+      prev = line;
+    }
+  });
+  return blocks;
+}
+
+async function extractPdf(buffer) {
+  const pages = [];
+  const pagerender = async (pageData) => {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    pages[pageData.pageIndex] = pdfLines(content.items);
+    return '';
+  };
+  let parsed;
+  try {
+    parsed = await pdfParse(buffer, { pagerender });
+  } catch (err) {
+    throw new ExtractionError('pdf_extract_failed', { format: 'pdf', cause: err });
+  }
+  // pdf-parse skips pages whose rendering failed; keep numbering intact.
+  const filled = Array.from({ length: parsed.numpages }, (_, idx) => pages[idx] || []);
+  return { blocks: pdfBlocks(filled), pageCount: parsed.numpages };
+}
+
+// mammoth's HTML keeps Word heading styles (Heading 1..6 → <h1>..<h6>).
+// Nested lists put <li> inside <li>, so an opening block tag also ends the
+// block before it.
+export function htmlBlocks(html) {
+  const blocks = [];
+  let current = null;
+  const flush = () => {
+    if (current?.text.trim()) blocks.push({ ...current, text: current.text.trim() });
+    current = null;
+  };
+  const token = /<(\/?)(h[1-6]|p|li|br)\b[^>]*>|<[^>]*>|([^<]+)/gi;
+  let match;
+  while ((match = token.exec(html))) {
+    const [, closing, tag, text] = match;
+    if (text !== undefined) {
+      if (current) current.text += decodeXmlEntities(text);
+    } else if (tag?.toLowerCase() === 'br') {
+      if (current) current.text += '\n';
+    } else if (tag) {
+      flush();
+      if (!closing) {
+        const level = /^h([1-6])$/i.exec(tag)?.[1];
+        current = level
+          ? { type: 'heading', text: '', page: null, level: Number(level) }
+          : { type: 'paragraph', text: '', page: null };
+      }
+    }
+  }
+  flush();
+  return blocks;
+}
+
+async function extractDocx(buffer) {
+  try {
+    const { value } = await mammoth.convertToHtml({ buffer });
+    return { blocks: htmlBlocks(value) };
+  } catch (err) {
+    throw new ExtractionError('docx_extract_failed', { format: 'docx', cause: err });
+  }
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// HWPX body text lives in <hp:t> runs inside <hp:p> paragraphs; tabs and line
+// breaks are empty elements that may appear inside a run.
+export function hwpxSectionText(xml) {
+  const out = [];
+  let inRun = false;
+  const token = /<(\/?)hp:(p|t|tab|lineBreak)\b[^>]*?(\/?)>|([^<]+)|<[^>]*>/g;
+  let match;
+  while ((match = token.exec(xml))) {
+    const [, closing, name, selfClosing, text] = match;
+    if (text !== undefined) {
+      if (inRun) out.push(decodeXmlEntities(text));
+    } else if (name === 't') {
+      inRun = !closing && !selfClosing;
+    } else if (name === 'tab') {
+      out.push('\t');
+    } else if (name === 'lineBreak') {
+      out.push('\n');
+    } else if (name === 'p' && closing) {
+      out.push('\n');
+    }
+  }
+  return out.join('');
+}
+
+async function extractHwpx(zip) {
+  try {
+    const sections = Object.keys(zip.files)
+      .map((name) => /^Contents\/section(\d+)\.xml$/i.exec(name))
+      .filter(Boolean)
+      .sort((a, b) => Number(a[1]) - Number(b[1]))
+      .map((match) => match[0]);
+    const blocks = [];
+    for (const name of sections) {
+      blocks.push(...lineBlocks(hwpxSectionText(await zip.file(name).async('string'))));
+    }
+    return { blocks };
+  } catch (err) {
+    throw new ExtractionError('hwpx_extract_failed', { format: 'hwpx', cause: err });
+  }
+}
+
+const HWPTAG_PARA_TEXT = 0x10 + 51;
+
+// Control characters inside PARA_TEXT: these occupy one WCHAR, every other
+// code below 32 is an inline/extended control occupying eight WCHARs.
+const HWP_CHAR_CONTROLS = new Set([0, 10, 13, 24, 25, 26, 27, 28, 29, 30, 31]);
+
+function hwpParaText(data) {
+  let text = '';
+  for (let i = 0; i + 1 < data.length; ) {
+    const code = data.readUInt16LE(i);
+    if (code >= 32) {
+      text += String.fromCharCode(code);
+      i += 2;
+    } else if (HWP_CHAR_CONTROLS.has(code)) {
+      if (code === 10) text += '\n';
+      else if (code === 30 || code === 31) text += ' ';
+      i += 2;
+    } else {
+      if (code === 9) text += '\t';
+      i += 16;
+    }
+  }
+  return text;
+}
+
+export function hwpSectionText(stream) {
+  const paragraphs = [];
+  let offset = 0;
+  while (offset + 4 <= stream.length) {
+    const header = stream.readUInt32LE(offset);
+    offset += 4;
+    const tagId = header & 0x3ff;
+    let size = header >>> 20;
+    if (size === 0xfff) {
+      size = stream.readUInt32LE(offset);
+      offset += 4;
+    }
+    if (tagId === HWPTAG_PARA_TEXT) {
+      paragraphs.push(hwpParaText(stream.subarray(offset, offset + size)));
+    }
+    offset += size;
+  }
+  return paragraphs.join('\n');
+}
+
+function extractHwp(container) {
+  const header = Buffer.from(CFB.find(container, 'FileHeader').content);
+  const properties = header.readUInt32LE(36);
+  const compressed = Boolean(properties & 0x1);
+  // bit 1: password protected, bit 2: 배포용 문서 (body moved to encrypted ViewText)
+  if (properties & 0x6) {
+    throw new ExtractionError('hwp_encrypted', { format: 'hwp' });
+  }
+  try {
+    const sections = container.FullPaths.map((fullPath, idx) => ({
+      match: /BodyText\/Section(\d+)$/.exec(fullPath),
+      entry: container.FileIndex[idx],
+    }))
+      .filter((item) => item.match && item.entry.content)
+      .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+    const blocks = sections.flatMap(({ entry }) => {
+      const raw = Buffer.from(entry.content);
+      return lineBlocks(hwpSectionText(compressed ? zlib.inflateRawSync(raw) : raw));
+    });
+    return { blocks };
+  } catch (err) {
+    throw new ExtractionError('hwp_extract_failed', { format: 'hwp', cause: err });
+  }
+}
+
+// UTF-16 when there is a BOM, otherwise strict UTF-8 and then CP949/EUC-KR,
+// which is what older Korean Windows editors save plain text as.
+export function decodeText(buffer, format = 'txt') {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  if (buffer.includes(0)) throw new ExtractionError('unsupported_format');
+  for (const encoding of ['utf-8', 'euc-kr']) {
+    try {
+      return new TextDecoder(encoding, { fatal: true, ignoreBOM: false }).decode(buffer);
+    } catch {
+      // try the next encoding
+    }
+  }
+  throw new ExtractionError('text_decode_failed', { format });
+}
+
+function extractPlain(buffer, format) {
+  const text = decodeText(buffer, format).replace(/\r\n?/g, '\n');
+  return { blocks: format === 'markdown' ? markdownBlocks(text) : textBlocks(text) };
+}
+
+// Returns the structured document (see lib/document.js) for an uploaded file.
+export async function extractDocument({ buffer, fileName }) {
+  const detected = await detectFormat(buffer, { fileName });
+  const { format } = detected;
+  let extracted;
+  switch (format) {
+    case 'pdf':
+      extracted = await extractPdf(buffer);
+      break;
+    case 'docx':
+      extracted = await extractDocx(buffer);
+      break;
+    case 'hwpx':
+      extracted = await extractHwpx(detected.zip);
+      break;
+    case 'hwp':
+      extracted = extractHwp(detected.container);
+      break;
+    case 'hwp3':
+      throw new ExtractionError('hwp_unsupported_version', { format: 'hwp' });
+    default:
+      extracted = extractPlain(buffer, format);
+  }
+  const document = createDocument({ format, ...extracted });
+  if (!document.blocks.length) {
+    throw new ExtractionError(format === 'pdf' ? 'pdf_no_text' : 'empty_document', { format });
+  }
+  return document;
+}
@@ -0,0 +1,70 @@
+import { randomInt, randomUUID } from 'node:crypto';
+import { normalizeAssignmentSettings } from './assignments.js';
+
+// Per-student invitations to an assignment. A student opens `/?invite=<code>`
+// (or types the code) and every session started with it is attributed to them
+// and to the assignment.
+export const INVITES = 'invites';
+
+const MAX_ROSTER = 200;
+const CODE_LENGTH = 8;
+// No 0/O or 1/I, so codes read aloud or typed from paper come out right.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function text(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+export function createInviteCode() {
+  return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+}
+
+// Codes are shown in groups of four; students may type them either way.
+export function normalizeInviteCode(value) {
+  return typeof value === 'string' ? value.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+// Returns `{ value }` (the students) or `{ error }`.
+export function validateRoster(input) {
+  const items = Array.isArray(input) ? input : [];
+  if (!items.length) return { error: 'students_required' };
+  if (items.length > MAX_ROSTER) return { error: 'too_many_students' };
+  const students = [];
+  for (const item of items) {
+    const name = text(item?.name, 100);
+    if (!name) return { error: 'student_name_required' };
+    students.push({ name, studentNumber: text(item.studentNumber, 50) });
+  }
+  return { value: students };
+}
+
+export function createInviteRecord({ assignmentId, student, code }) {
+  return { id: randomUUID(), code, assignmentId, student, createdAt: new Date().toISOString() };
+}
+
+// What the student's page gets: who the invite is for and the settings the
+// upload form is locked to.
+export function toPublicInvite(invite, assignment) {
+  return {
+    code: invite.code,
+    student: { name: invite.student.name },
+    course: assignment.course,
+    assignment: assignment.name,
+    settings: normalizeAssignmentSettings(assignment.settings),
+  };
+}
+
+// The instructor's roster row: the invite and how its sessions went.
+export function toInviteListItem(invite, sessions) {
+  const own = sessions
+    .filter((session) => session.student?.inviteId === invite.id)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  return {
+    id: invite.id,
+    code: invite.code,
+    student: invite.student,
+    createdAt: invite.createdAt,
+    sessions: own.length,
+    latest: own[0] ? { id: own[0].id, status: own[0].status, verdict: own[0].summary?.verdict || null } : null,
+  };
+}
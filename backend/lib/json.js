@@ -0,0 +1,67 @@
+// Model replies are supposed to be JSON but sometimes arrive wrapped in code
+// fences, with prose around them or with stray control characters.
+
+export function safeParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    console.log('safeParseJson error:', err.message);
+    return null;
+  }
+}
+
+export function parseJsonRelaxed(text) {
+  if (!text) return null;
+  const cleaned = text
+    .trim()
+    .replace(/^```(?:json)?/i, '')
+    .replace(/```$/, '');
+  const firstBrace = cleaned.indexOf('{');
+  const lastBrace = cleaned.lastIndexOf('}');
+  if (firstBrace === -1 || lastBrace === -1 || lastBrace <= firstBrace) return null;
+  const sliced = cleaned.slice(firstBrace, lastBrace + 1);
+  try {
+    return JSON.parse(sliced);
+  } catch (err) {
+    console.log('parseJsonRelaxed first attempt error:', err.message);
+    try {
+      // remove control characters and retry
+      const stripped = sliced.replace(/[\u0000-\u001f]+/g, '');
+      return JSON.parse(stripped);
+    } catch (err2) {
+      console.log('parseJsonRelaxed second attempt error:', err2.message);
+      return null;
+    }
+  }
+}
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// The string value of `field` in a JSON object that is still streaming in, as
+// far as it has arrived; null until the value starts. An escape cut off at the
+// end of `text` is left for the next call.
+export function partialJsonString(text, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(text || '');
+  if (!match) return null;
+  let value = '';
+  for (let i = match.index + match[0].length; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += JSON_ESCAPES[next] ?? next;
+      i += 1;
+    }
+  }
+  return value;
+}
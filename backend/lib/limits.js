@@ -0,0 +1,106 @@
+// Request rate limits and cost budgets. Every model, TTS and STT call is
+// paid for, so paid routes are throttled per IP, per account and per
+// session, and LLM tokens and TTS characters are counted against a budget
+// per session and per assignment before the call is made.
+
+export const BUDGETS = 'budgets';
+export const BUDGET_RESOURCES = ['tokens', 'ttsChars'];
+
+function count(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new Error(`expected a whole number, got "${value}"`);
+  return number;
+}
+
+// A limit or budget of 0 is off. Rates are requests per window; the per-IP
+// rate counts every /api request and is generous, since a classroom behind
+// one NAT shares an address. TRUST_PROXY becomes Express's `trust proxy`, so
+// behind a reverse proxy the client address is read from X-Forwarded-For.
+export function limitsConfigFromEnv(env = process.env) {
+  return {
+    windowMs: count(env.RATE_LIMIT_WINDOW_SECONDS, 60) * 1000,
+    rates: {
+      ip: count(env.RATE_LIMIT_PER_IP, 600),
+      user: count(env.RATE_LIMIT_PER_USER, 120),
+      session: count(env.RATE_LIMIT_PER_SESSION, 120),
+    },
+    budgets: {
+      session: {
+        tokens: count(env.BUDGET_SESSION_TOKENS, 300_000),
+        ttsChars: count(env.BUDGET_SESSION_TTS_CHARS, 10_000),
+      },
+      assignment: {
+        tokens: count(env.BUDGET_ASSIGNMENT_TOKENS, 0),
+        ttsChars: count(env.BUDGET_ASSIGNMENT_TTS_CHARS, 0),
+      },
+    },
+    trustProxy: trustProxy(env.TRUST_PROXY),
+  };
+}
+
+// "true", a hop count ("1") or Express's address list ("loopback, 10.0.0.0/8").
+function trustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// Fixed-window counters in memory (one process, like the live STT streams).
+// `take(key, limit)` counts a request and resolves to 0 when it is allowed,
+// or to the seconds until the window resets when it is not.
+export function createRateLimiter({ windowMs, now = Date.now }) {
+  const windows = new Map();
+
+  function sweep(at) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= at) windows.delete(key);
+    }
+  }
+
+  return {
+    take(key, limit) {
+      if (!limit) return 0;
+      const at = now();
+      if (windows.size > 10_000) sweep(at);
+      let window = windows.get(key);
+      if (!window || window.resetAt <= at) {
+        window = { count: 0, resetAt: at + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return window.count > limit ? Math.ceil((window.resetAt - at) / 1000) : 0;
+    },
+  };
+}
+
+function budgetId(scope, id) {
+  return `${scope}:${id}`;
+}
+
+// What a session or assignment has spent so far: `{ tokens, ttsChars }`.
+export async function loadSpend(store, scope, id) {
+  const record = id ? await store.get(BUDGETS, budgetId(scope, id)) : null;
+  return Object.fromEntries(BUDGET_RESOURCES.map((resource) => [resource, record?.[resource] || 0]));
+}
+
+// The first resource that `need` would take past `budget`, or null.
+export function exceededResource(spent, budget, need) {
+  return (
+    BUDGET_RESOURCES.find(
+      (resource) => budget?.[resource] && need[resource] !== undefined && spent[resource] + need[resource] > budget[resource],
+    ) || null
+  );
+}
+
+export async function addSpend(store, scope, id, amounts) {
+  if (!id) return;
+  const key = budgetId(scope, id);
+  const add = (draft) => {
+    for (const resource of BUDGET_RESOURCES) draft[resource] = (draft[resource] || 0) + (amounts[resource] || 0);
+    draft.updatedAt = new Date().toISOString();
+    return draft;
+  };
+  if (await store.update(BUDGETS, key, add)) return;
+  await store.insert(BUDGETS, add({ id: key, scope, [`${scope}Id`]: id }));
+}
@@ -0,0 +1,40 @@
+// OpenAI Chat Completions. Also used for OpenAI-compatible servers (vLLM,
+// Ollama, llama.cpp, LM Studio, ...), which generally only understand
+// `max_tokens`; OpenAI's newer models only accept `max_completion_tokens`.
+export function createChatProvider({ client, model, name = 'chat', tokenParam = 'max_completion_tokens' }) {
+  const request = ({ messages, maxTokens, responseFormat }) => ({
+    model,
+    messages,
+    [tokenParam]: maxTokens,
+    ...(responseFormat ? { response_format: { type: responseFormat } } : {}),
+  });
+  return {
+    name,
+    model,
+    async complete(options) {
+      const completion = await client.chat.completions.create(request(options));
+      const text = completion.choices?.[0]?.message?.content || '';
+      return { text: text.trim(), raw: completion };
+    },
+    // With `include_usage` the last chunk carries the usage of the whole
+    // reply (and no choices); it is returned as `raw`.
+    async stream({ onDelta, ...options }) {
+      const chunks = await client.chat.completions.create({
+        ...request(options),
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+      let text = '';
+      let raw = null;
+      for await (const chunk of chunks) {
+        if (chunk.usage) raw = chunk;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+      return { text: text.trim(), raw };
+    },
+  };
+}
@@ -0,0 +1,156 @@
+import { fileURLToPath } from 'node:url';
+import OpenAI from 'openai';
+import { createChatProvider } from './chat.js';
+import { createResponsesProvider } from './responses.js';
+import { createScriptedProvider, loadFixtures } from './scripted.js';
+
+// Every route that calls a model names its endpoint, so provider and model
+// can be chosen per endpoint without touching route code.
+export const LLM_ENDPOINTS = ['analyze', 'question', 'verify', 'summary'];
+
+export const LLM_PROVIDERS = ['responses', 'chat', 'openai-compatible', 'scripted'];
+
+// Rough token count for text the provider did not measure (streams without
+// usage, scripted replies, prompts before they are sent). Korean runs close
+// to one token per two characters, so this errs high for English.
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 2);
+}
+
+// Token usage as `{ inputTokens, outputTokens }`, from the provider's own
+// counts (Responses: input/output_tokens, Chat: prompt/completion_tokens)
+// or estimated from the text when it gave none.
+function usageOf(raw, messages, text) {
+  const usage = raw?.usage;
+  const inputTokens = usage?.input_tokens ?? usage?.prompt_tokens;
+  const outputTokens = usage?.output_tokens ?? usage?.completion_tokens;
+  if (Number.isFinite(inputTokens) && Number.isFinite(outputTokens)) return { inputTokens, outputTokens };
+  return {
+    inputTokens: estimateTokens(messages.map((message) => message.content).join('\n')),
+    outputTokens: estimateTokens(text),
+  };
+}
+
+// What metering needs to know about a call besides its usage.
+function callInfo(provider, started) {
+  return { provider: provider.name, model: provider.model, latencyMs: Date.now() - started };
+}
+
+export const DEFAULT_FIXTURES_PATH = fileURLToPath(new URL('../../fixtures/llm.json', import.meta.url));
+
+// LLM_PROVIDER / LLM_MODEL set the default; LLM_<ENDPOINT>_PROVIDER and
+// LLM_<ENDPOINT>_MODEL (e.g. LLM_SUMMARY_MODEL) override it per endpoint.
+export function llmConfigFromEnv(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'responses';
+  const model = env.LLM_MODEL || env.OPENAI_MODEL || 'gpt-5.1'; // target: gpt-5.1-mini when available
+  const endpoints = Object.fromEntries(
+    LLM_ENDPOINTS.map((endpoint) => {
+      const prefix = `LLM_${endpoint.toUpperCase()}_`;
+      return [endpoint, { provider: env[`${prefix}PROVIDER`] || provider, model: env[`${prefix}MODEL`] || model }];
+    }),
+  );
+  return {
+    endpoints,
+    openaiApiKey: env.OPENAI_API_KEY,
+    baseURL: env.LLM_BASE_URL,
+    compatibleApiKey: env.LLM_API_KEY,
+    fixturesPath: env.LLM_FIXTURES || DEFAULT_FIXTURES_PATH,
+  };
+}
+
+// Misconfiguration (unknown provider, missing base URL) throws at startup.
+// A missing OpenAI key does not: those endpoints report `fallback: true` and
+// the routes answer with their canned strings, as before. `openaiClient`
+// replaces the SDK client (tests pass a fake one).
+export function createLLM({ endpoints, openaiApiKey, openaiClient = null, baseURL, compatibleApiKey, fixtures, fixturesPath }) {
+  let compatibleClient = null;
+  let loadedFixtures = fixtures || null;
+
+  function buildProvider(endpoint, { provider, model }) {
+    switch (provider) {
+      case 'responses':
+      case 'chat':
+        if (!openaiClient && !openaiApiKey) return null;
+        openaiClient = openaiClient || new OpenAI({ apiKey: openaiApiKey });
+        return provider === 'chat'
+          ? createChatProvider({ client: openaiClient, model })
+          : createResponsesProvider({ client: openaiClient, model });
+      case 'openai-compatible':
+        if (!baseURL) {
+          throw new Error(`LLM_BASE_URL is required for the openai-compatible provider (${endpoint})`);
+        }
+        // Local servers usually ignore the key, but the SDK refuses an empty one.
+        compatibleClient = compatibleClient || new OpenAI({ apiKey: compatibleApiKey || 'local', baseURL });
+        return createChatProvider({ client: compatibleClient, model, name: provider, tokenParam: 'max_tokens' });
+      case 'scripted':
+        loadedFixtures = loadedFixtures || loadFixtures(fixturesPath || DEFAULT_FIXTURES_PATH);
+        return createScriptedProvider({ fixtures: loadedFixtures, endpoint });
+      default:
+        throw new Error(`unknown LLM provider "${provider}" for ${endpoint}; expected one of ${LLM_PROVIDERS.join(', ')}`);
+    }
+  }
+
+  const providers = Object.fromEntries(
+    LLM_ENDPOINTS.map((endpoint) => [endpoint, buildProvider(endpoint, endpoints[endpoint])]),
+  );
+
+  async function run(endpoint, { messages, maxTokens = 800, responseFormat }) {
+    if (!LLM_ENDPOINTS.includes(endpoint)) {
+      throw new Error(`unknown LLM endpoint "${endpoint}"`);
+    }
+    const provider = providers[endpoint];
+    if (!provider) {
+      return { fallback: true, text: '', raw: null };
+    }
+    const started = Date.now();
+    const { text, raw } = await provider.complete({ messages, maxTokens, responseFormat });
+    return { fallback: false, text, raw, ...callInfo(provider, started), usage: usageOf(raw, messages, text) };
+  }
+
+  // Like `run`, but `onDelta` receives the reply text as it is generated.
+  async function stream(endpoint, { messages, maxTokens = 800, responseFormat, onDelta }) {
+    if (!LLM_ENDPOINTS.includes(endpoint)) {
+      throw new Error(`unknown LLM endpoint "${endpoint}"`);
+    }
+    const provider = providers[endpoint];
+    if (!provider) {
+      return { fallback: true, text: '', raw: null };
+    }
+    const started = Date.now();
+    const { text, raw } = await provider.stream({ messages, maxTokens, responseFormat, onDelta });
+    return { fallback: false, text, raw, ...callInfo(provider, started), usage: usageOf(raw, messages, text) };
+  }
+
+  // Switches the provider or model of some endpoints while running (the
+  // admin settings). Every change is built before any is applied, so one bad
+  // entry leaves the others as they were.
+  function configure(changes) {
+    const built = Object.entries(changes).map(([endpoint, change]) => {
+      if (!LLM_ENDPOINTS.includes(endpoint)) {
+        throw new Error(`unknown LLM endpoint "${endpoint}"`);
+      }
+      const config = { ...endpoints[endpoint], ...change };
+      return [endpoint, config, buildProvider(endpoint, config)];
+    });
+    endpoints = { ...endpoints };
+    for (const [endpoint, config, provider] of built) {
+      endpoints[endpoint] = config;
+      providers[endpoint] = provider;
+    }
+  }
+
+  function describe() {
+    return Object.fromEntries(
+      LLM_ENDPOINTS.map((endpoint) => [
+        endpoint,
+        {
+          provider: endpoints[endpoint].provider,
+          model: providers[endpoint]?.model || endpoints[endpoint].model,
+          available: Boolean(providers[endpoint]),
+        },
+      ]),
+    );
+  }
+
+  return { run, stream, configure, describe };
+}
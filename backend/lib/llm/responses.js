@@ -0,0 +1,71 @@
+// OpenAI Responses API (`responses.create`).
+
+function extractFromResponse(response) {
+  let text = '';
+  if (!response) return { text: '' };
+
+  // Method 1: SDK convenience property (recommended)
+  if (response.output_text) {
+    text = response.output_text;
+    return { text };
+  }
+
+  // Method 2: Manual extraction from output array
+  if (response.output && Array.isArray(response.output)) {
+    for (const item of response.output) {
+      if (item.type === 'message' && item.content) {
+        for (const contentItem of item.content) {
+          if (contentItem.type === 'output_text' && contentItem.text) {
+            text += contentItem.text;
+          }
+        }
+      }
+    }
+    text = text.trim();
+    if (text) {
+      return { text };
+    }
+  }
+
+  // Method 3: Chat completions fallback
+  const choice = response.choices?.[0];
+  if (choice?.message?.content) {
+    text = choice.message.content;
+  }
+
+  return { text };
+}
+
+export function createResponsesProvider({ client, model }) {
+  const request = ({ messages, maxTokens, responseFormat }) => ({
+    model,
+    max_output_tokens: maxTokens,
+    input: messages,
+    text: responseFormat ? { format: { type: responseFormat } } : undefined,
+  });
+  return {
+    name: 'responses',
+    model,
+    async complete(options) {
+      const response = await client.responses.create(request(options));
+      const { text } = extractFromResponse(response);
+      return { text, raw: response };
+    },
+    async stream({ onDelta, ...options }) {
+      const events = await client.responses.create({ ...request(options), stream: true });
+      let text = '';
+      let raw = null;
+      for await (const event of events) {
+        if (event.type === 'response.output_text.delta') {
+          text += event.delta;
+          onDelta(event.delta);
+        } else if (event.type === 'response.completed') {
+          raw = event.response;
+        } else if (event.type === 'response.failed' || event.type === 'error') {
+          throw new Error(event.response?.error?.message || event.message || 'response stream failed');
+        }
+      }
+      return { text: text.trim(), raw };
+    },
+  };
+}
@@ -0,0 +1,52 @@
+import { readFileSync } from 'node:fs';
+
+const STREAM_CHUNK_CHARS = 8;
+
+// Replays canned replies so the whole flow runs offline and deterministically
+// (development, CI, tests). Fixtures map an endpoint to a list of entries:
+//
+//   { "question": [{ "match": "이전 Q&A:\n없음", "json": { ... } }, { "text": "..." }] }
+//
+// An entry with `match` is used whenever the non-system messages contain
+// that string; the others are replayed in order, wrapping around. `json` is
+// serialized, `text` is returned as is.
+export function createScriptedProvider({ fixtures, endpoint, model = 'scripted' }) {
+  const entries = fixtures?.[endpoint] || [];
+  const sequence = entries.filter((entry) => !entry.match);
+  let cursor = 0;
+  const provider = {
+    name: 'scripted',
+    model,
+    async complete({ messages }) {
+      const prompt = messages
+        .filter((message) => message.role !== 'system')
+        .map((message) => message.content)
+        .join('\n');
+      let entry = entries.find((candidate) => candidate.match && prompt.includes(candidate.match));
+      if (!entry && sequence.length) {
+        entry = sequence[cursor % sequence.length];
+        cursor += 1;
+      }
+      if (!entry) {
+        throw new Error(`no scripted reply for ${endpoint}`);
+      }
+      const text = entry.json !== undefined ? JSON.stringify(entry.json) : String(entry.text ?? '');
+      return { text, raw: entry };
+    },
+    // Replays the reply in small pieces, yielding between them like a
+    // network stream would.
+    async stream({ onDelta, ...options }) {
+      const reply = await provider.complete(options);
+      for (let i = 0; i < reply.text.length; i += STREAM_CHUNK_CHARS) {
+        onDelta(reply.text.slice(i, i + STREAM_CHUNK_CHARS));
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      return reply;
+    },
+  };
+  return provider;
+}
+
+export function loadFixtures(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
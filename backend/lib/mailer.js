@@ -0,0 +1,41 @@
+// Sends the login links. `log` prints them to the server console (local
+// development and self-hosted installs without mail); `webhook` posts the
+// message as JSON to MAIL_WEBHOOK_URL, for a relay that delivers it.
+export const MAIL_PROVIDERS = ['log', 'webhook'];
+
+export function mailerConfigFromEnv(env = process.env) {
+  return {
+    provider: env.MAIL_PROVIDER || (env.MAIL_WEBHOOK_URL ? 'webhook' : 'log'),
+    webhookUrl: env.MAIL_WEBHOOK_URL,
+    from: env.MAIL_FROM || 'Homework Validator <no-reply@localhost>',
+  };
+}
+
+// Misconfiguration (unknown provider, webhook without a URL) throws at startup.
+// `fetchImpl` replaces fetch (tests pass a fake one).
+export function createMailer({ provider = 'log', webhookUrl, from, fetchImpl = fetch } = {}) {
+  switch (provider) {
+    case 'log':
+      return {
+        name: provider,
+        async send({ to, subject, text }) {
+          console.log(`mail to ${to}: ${subject}\n${text}`);
+        },
+      };
+    case 'webhook':
+      if (!webhookUrl) throw new Error('MAIL_WEBHOOK_URL is required for the webhook mail provider');
+      return {
+        name: provider,
+        async send({ to, subject, text }) {
+          const res = await fetchImpl(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ from, to, subject, text }),
+          });
+          if (!res.ok) throw new Error(`mail webhook answered ${res.status}`);
+        },
+      };
+    default:
+      throw new Error(`unknown mail provider "${provider}"; expected one of ${MAIL_PROVIDERS.join(', ')}`);
+  }
+}
@@ -0,0 +1,212 @@
+import fs from 'node:fs';
+import { randomUUID } from 'node:crypto';
+
+// Usage and cost metering. Every model, TTS and STT call is recorded with
+// what it used and how long it took, priced from a table, so an admin can see
+// what interviews cost per course, assignment and day.
+
+export const USAGE = 'usage';
+export const USAGE_KINDS = ['llm', 'tts', 'stt'];
+
+// Providers that run on our own hardware cost nothing per call unless the
+// table prices their model.
+const SELF_HOSTED = ['scripted', 'openai-compatible', 'local', 'whisper-compatible'];
+
+// Estimates in USD, to be checked against the vendors' current price lists:
+// `llm` per million input/output tokens, `tts` per thousand characters
+// synthesized, `stt` per minute of audio. `*` prices any model not listed.
+export const DEFAULT_PRICES = {
+  currency: 'USD',
+  llm: {
+    'gpt-5.1': { input: 1.25, output: 10 },
+    'gpt-5.1-mini': { input: 0.25, output: 2 },
+    'gpt-5-mini': { input: 0.25, output: 2 },
+  },
+  tts: {
+    eleven_flash_v2_5: 0.15,
+    eleven_turbo_v2_5: 0.15,
+    eleven_multilingual_v2: 0.3,
+  },
+  stt: {
+    'whisper-1': 0.006,
+    'gpt-4o-transcribe': 0.006,
+    'gpt-4o-mini-transcribe': 0.003,
+  },
+};
+
+// PRICES_FILE names a JSON file shaped like DEFAULT_PRICES; its entries are
+// laid over the defaults. A missing or unreadable file stops the server.
+export function meteringConfigFromEnv(env = process.env) {
+  if (!env.PRICES_FILE) return { prices: DEFAULT_PRICES };
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(env.PRICES_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error(`PRICES_FILE ${env.PRICES_FILE} is not a readable JSON price table: ${err.message}`);
+  }
+  return { prices: mergePrices(DEFAULT_PRICES, table) };
+}
+
+export function mergePrices(base, table) {
+  return {
+    currency: table.currency || base.currency,
+    ...Object.fromEntries(USAGE_KINDS.map((kind) => [kind, { ...base[kind], ...table[kind] }])),
+  };
+}
+
+// Costs are kept to a hundred-millionth, clear of float noise.
+const round = (cost) => Number(cost.toFixed(8));
+
+// The estimated cost of one call, or null when the table has no price for
+// its model (the report counts those separately).
+export function priceCall(prices, call) {
+  const price = prices[call.kind]?.[call.model] ?? prices[call.kind]?.['*'];
+  if (price === undefined) return SELF_HOSTED.includes(call.provider) ? 0 : null;
+  switch (call.kind) {
+    case 'llm':
+      return round(((call.inputTokens || 0) * (price.input || 0) + (call.outputTokens || 0) * (price.output || 0)) / 1e6);
+    case 'tts':
+      return round(((call.characters || 0) * price) / 1000);
+    case 'stt':
+      return round(((call.audioSeconds || 0) * price) / 60);
+    default:
+      return null;
+  }
+}
+
+// `record(call)` stores one call: `{ kind, endpoint, sessionId,
+// assignmentId, provider, model, inputTokens?, outputTokens?, characters?,
+// audioSeconds?, latencyMs }`. A failed write is logged, never thrown: the
+// call it meters has already happened.
+export function createMeter({ store, prices = DEFAULT_PRICES, now = () => new Date() }) {
+  async function record(call) {
+    const at = now().toISOString();
+    const entry = {
+      id: randomUUID(),
+      at,
+      day: at.slice(0, 10),
+      kind: call.kind,
+      endpoint: call.endpoint,
+      sessionId: call.sessionId ?? null,
+      assignmentId: call.assignmentId ?? null,
+      provider: call.provider ?? null,
+      model: call.model ?? null,
+      inputTokens: call.inputTokens ?? 0,
+      outputTokens: call.outputTokens ?? 0,
+      characters: call.characters ?? 0,
+      cachedCharacters: call.cachedCharacters ?? 0,
+      audioSeconds: call.audioSeconds ?? 0,
+      latencyMs: Math.round(call.latencyMs ?? 0),
+    };
+    entry.cost = priceCall(prices, entry);
+    try {
+      await store.insert(USAGE, entry);
+    } catch (err) {
+      console.error('usage record error', err);
+    }
+    return entry;
+  }
+
+  return { prices, record };
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    cost: 0,
+    unpricedCalls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    characters: 0,
+    audioSeconds: 0,
+    latencyMs: 0,
+    sessions: 0,
+  };
+}
+
+function addCall(totals, call, sessions) {
+  totals.calls += 1;
+  if (call.cost === null) totals.unpricedCalls += 1;
+  else totals.cost += call.cost;
+  totals.inputTokens += call.inputTokens;
+  totals.outputTokens += call.outputTokens;
+  totals.characters += call.characters;
+  totals.audioSeconds += call.audioSeconds;
+  totals.latencyMs += call.latencyMs;
+  if (call.sessionId) sessions.add(call.sessionId);
+}
+
+// Averages are per call and per interview.
+function finish(totals, sessions) {
+  return {
+    ...totals,
+    cost: round(totals.cost),
+    audioSeconds: Number(totals.audioSeconds.toFixed(1)),
+    latencyMs: totals.calls ? Math.round(totals.latencyMs / totals.calls) : 0,
+    sessions: sessions.size,
+    costPerSession: sessions.size ? round(totals.cost / sessions.size) : null,
+  };
+}
+
+// Sums `calls` into groups keyed by `keyOf(call)`; `describe(key, call)`
+// labels a group from its first call.
+function groupBy(calls, keyOf, describe) {
+  const groups = new Map();
+  for (const call of calls) {
+    const key = keyOf(call);
+    if (!groups.has(key)) groups.set(key, { label: describe(key, call), totals: emptyTotals(), sessions: new Set() });
+    const group = groups.get(key);
+    addCall(group.totals, call, group.sessions);
+  }
+  return [...groups.values()].map(({ label, totals, sessions }) => ({ ...label, ...finish(totals, sessions) }));
+}
+
+const byCost = (a, b) => b.cost - a.cost;
+
+// Spend from `from` to `to` (YYYY-MM-DD, UTC days, both included) by kind,
+// course, assignment and day. `courses`, `assignments` and `sessions` are
+// the store's records, used to name the groups: a call belongs to its
+// assignment's course, or to the course label the student typed.
+export function usageReport(calls, { from, to, courses = [], assignments = [], sessions = [], currency = 'USD' }) {
+  const inRange = calls.filter((call) => (!from || call.day >= from) && (!to || call.day <= to));
+  const courseById = new Map(courses.map((course) => [course.id, course]));
+  const assignmentById = new Map(assignments.map((assignment) => [assignment.id, assignment]));
+  const sessionById = new Map(sessions.map((session) => [session.id, session]));
+
+  const courseOf = (call) => {
+    const assignment = assignmentById.get(call.assignmentId);
+    const course = courseById.get(assignment?.courseId);
+    if (course) return { key: `course:${course.id}`, courseId: course.id, course: `${course.name} (${course.term})` };
+    const label = assignment?.course || sessionById.get(call.sessionId)?.course || '';
+    return { key: `label:${label}`, courseId: null, course: label };
+  };
+
+  const assignmentLabel = (call) =>
+    assignmentById.get(call.assignmentId)?.name || sessionById.get(call.sessionId)?.assignment || '';
+
+  const total = emptyTotals();
+  const allSessions = new Set();
+  for (const call of inRange) addCall(total, call, allSessions);
+
+  return {
+    from: from || null,
+    to: to || null,
+    currency,
+    total: finish(total, allSessions),
+    byKind: groupBy(inRange, (call) => call.kind, (kind) => ({ kind })),
+    byCourse: groupBy(
+      inRange,
+      (call) => courseOf(call).key,
+      (_key, call) => {
+        const { courseId, course } = courseOf(call);
+        return { courseId, course };
+      },
+    ).sort(byCost),
+    byAssignment: groupBy(
+      inRange,
+      (call) => (call.assignmentId ? `assignment:${call.assignmentId}` : `label:${courseOf(call).course}\n${assignmentLabel(call)}`),
+      (_key, call) => ({ assignmentId: call.assignmentId, assignment: assignmentLabel(call), course: courseOf(call).course }),
+    ).sort(byCost),
+    byDay: groupBy(inRange, (call) => call.day, (day) => ({ day })).sort((a, b) => a.day.localeCompare(b.day)),
+  };
+}
@@ -0,0 +1,145 @@
+import { randomBytes, randomUUID } from 'node:crypto';
+import { toOutline } from './document.js';
+import { normalizeSettings } from './sessions.js';
+
+// Interview plans: an instructor analyzes a submission ahead of time, edits
+// the topics (order, titles, additions, pinned questions) and locks the plan.
+// Locking hands out a share token; every student session started from it
+// gets exactly these topics.
+export const PLANS = 'plans';
+
+export const MAX_PLAN_TOPICS = 3;
+export const MAX_PINNED_QUESTIONS = 3;
+
+// Titles analyzeAssignment falls back to when the model reply is unusable.
+const PLACEHOLDER_TITLE = /^주제\s*\d+$/;
+
+function text(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+function planTopic(topic) {
+  return {
+    id: topic.id,
+    title: topic.title,
+    sectionIds: topic.sectionIds || [],
+    refs: topic.refs || [],
+    ...(topic.rubricIds && { rubricIds: topic.rubricIds }),
+    ...(topic.custom && { custom: true }),
+    pinnedQuestions: topic.pinnedQuestions || [],
+  };
+}
+
+// `topics` are the analysis topics the plan starts with; the rest of the
+// analysis is kept as `suggestions` the instructor can add back.
+export function createPlanRecord({
+  document,
+  topics,
+  suggestions = [],
+  settings,
+  interviewMode,
+  course,
+  assignment,
+  assignmentId = null,
+  ownerId = null,
+  guide,
+  fallback,
+  source,
+}) {
+  const now = new Date().toISOString();
+  const { topicDuration } = normalizeSettings(settings);
+  return {
+    id: randomUUID(),
+    status: 'draft',
+    interviewMode: interviewMode === 'voice' ? 'voice' : 'chat',
+    topicDuration,
+    course: text(course, 100),
+    assignment: text(assignment, 100),
+    assignmentId,
+    ownerId,
+    document,
+    source,
+    guide,
+    analysisFallback: fallback,
+    topics: topics.map(planTopic),
+    suggestions: suggestions.map(planTopic),
+    shareToken: null,
+    createdAt: now,
+    updatedAt: now,
+    lockedAt: null,
+  };
+}
+
+// An edit names topics by id to keep what the analysis found for them
+// (sections, refs, rubric items); topics without a known id are new.
+// Returns `{ value }` or `{ error }`.
+export function validatePlanEdit(input = {}, plan) {
+  const items = Array.isArray(input.topics) ? input.topics : [];
+  if (!items.length) return { error: 'topics_required' };
+  if (items.length > MAX_PLAN_TOPICS) return { error: 'too_many_topics' };
+  const known = new Map([...plan.suggestions, ...plan.topics].map((topic) => [topic.id, topic]));
+  const used = new Set();
+  let added = 0;
+  const topics = [];
+  for (const item of items) {
+    const title = text(item?.title, 200);
+    if (!title) return { error: 'topic_title_required' };
+    const pinned = Array.isArray(item.pinnedQuestions)
+      ? item.pinnedQuestions.map((question) => text(question, 500)).filter(Boolean)
+      : [];
+    if (pinned.length > MAX_PINNED_QUESTIONS) return { error: 'too_many_pinned_questions' };
+    const base = used.has(item.id) ? null : known.get(item.id);
+    let id = base?.id;
+    while (!id) {
+      added += 1;
+      if (!known.has(`u${added}`) && !used.has(`u${added}`)) id = `u${added}`;
+    }
+    used.add(id);
+    topics.push(planTopic({ ...(base || { id, custom: true }), title, pinnedQuestions: pinned }));
+  }
+  // Analysis topics taken out of the plan can be added back later.
+  const suggestions = [...plan.topics, ...plan.suggestions].filter((topic) => !used.has(topic.id) && !topic.custom);
+  const { topicDuration } = normalizeSettings({ topicDuration: input.topicDuration ?? plan.topicDuration });
+  const interviewMode = input.interviewMode === undefined ? plan.interviewMode : input.interviewMode === 'voice' ? 'voice' : 'chat';
+  return { value: { topics, suggestions, topicDuration, interviewMode } };
+}
+
+// Why a plan cannot be locked yet, or null.
+export function lockProblem(plan) {
+  if (plan.topics.some((topic) => PLACEHOLDER_TITLE.test(topic.title))) return 'placeholder_topic';
+  return null;
+}
+
+export function createShareToken() {
+  return randomBytes(18).toString('base64url');
+}
+
+// The instructor's view: the outline instead of the document.
+export function toPublicPlan(plan) {
+  const { document, ...rest } = plan;
+  return { ...rest, outline: document ? toOutline(document) : null };
+}
+
+// What a student sees before starting: no topics or pinned questions.
+export function toSharedPlan(plan) {
+  return {
+    course: plan.course,
+    assignment: plan.assignment,
+    interviewMode: plan.interviewMode,
+    topicCount: plan.topics.length,
+    topicDuration: plan.topicDuration,
+  };
+}
+
+export function toPlanListItem(plan) {
+  return {
+    id: plan.id,
+    status: plan.status,
+    course: plan.course,
+    assignment: plan.assignment,
+    fileName: plan.source?.fileName || '',
+    topicCount: plan.topics.length,
+    createdAt: plan.createdAt,
+    lockedAt: plan.lockedAt,
+  };
+}
@@ -0,0 +1,109 @@
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { createBlobStore } from './blobs.js';
+
+// Recording metadata, keyed by recording id. The audio itself is in the blob
+// store; turns keep a short reference (`turn.audio`).
+export const RECORDINGS = 'recordings';
+
+export const DEFAULT_BLOB_DIR = fileURLToPath(new URL('../data/blobs', import.meta.url));
+export const DEFAULT_RETENTION_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+};
+
+export function recordingsConfigFromEnv(env = process.env) {
+  return {
+    retentionDays: env.RECORDING_RETENTION_DAYS === undefined ? DEFAULT_RETENTION_DAYS : Number(env.RECORDING_RETENTION_DAYS),
+    recordTts: env.RECORD_TTS === 'true' || env.RECORD_TTS === '1',
+    blobs: { driver: env.BLOB_STORE || 'fs', dir: env.BLOB_DIR || DEFAULT_BLOB_DIR },
+  };
+}
+
+// The reference stored on a turn and sent to clients.
+function toAudioRef(record) {
+  return {
+    id: record.id,
+    contentType: record.contentType,
+    bytes: record.bytes,
+    expiresAt: record.expiresAt,
+  };
+}
+
+// Returns null when `retentionDays` is 0 (recording turned off); other bad
+// values throw at startup. `blobs` is a blob store from blobs.js or its
+// options. With `recordTts`, question audio streamed in voice mode is kept too.
+export function createRecordings({
+  store,
+  blobs = { driver: 'memory' },
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  recordTts = false,
+  now = Date.now,
+}) {
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    throw new Error('RECORDING_RETENTION_DAYS must be a number of days (0 turns recording off)');
+  }
+  if (retentionDays === 0) return null;
+  const blobStore = typeof blobs.put === 'function' ? blobs : createBlobStore(blobs);
+
+  return {
+    recordTts,
+
+    describe() {
+      return { blobs: blobStore.driver, retentionDays, recordTts };
+    },
+
+    // Stores one turn's audio (`kind`: answer or question) and resolves with
+    // the reference to keep on the turn.
+    async save({ sessionId, kind, audio, contentType }) {
+      const id = randomUUID();
+      const type = (contentType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+      const key = `recordings/${sessionId}/${id}.${EXTENSIONS[type] || 'bin'}`;
+      await blobStore.put(key, audio);
+      const createdAt = now();
+      const record = {
+        id,
+        sessionId,
+        kind,
+        key,
+        contentType: type,
+        bytes: audio.length,
+        createdAt: new Date(createdAt).toISOString(),
+        expiresAt: new Date(createdAt + retentionDays * DAY_MS).toISOString(),
+      };
+      await store.insert(RECORDINGS, record);
+      return toAudioRef(record);
+    },
+
+    // Resolves with `{ audio, contentType }`, or null for an unknown or
+    // expired recording.
+    async open(sessionId, id) {
+      const record = await store.get(RECORDINGS, id);
+      if (!record || record.sessionId !== sessionId || Date.parse(record.expiresAt) <= now()) return null;
+      const audio = await blobStore.get(record.key);
+      return audio ? { audio, contentType: record.contentType } : null;
+    },
+
+    // Whether the retention period of a turn's audio reference has passed.
+    expired(ref) {
+      return Date.parse(ref.expiresAt) <= now();
+    },
+
+    // Deletes recordings past their retention period; resolves with how many.
+    async sweep() {
+      const expired = (await store.list(RECORDINGS)).filter((record) => Date.parse(record.expiresAt) <= now());
+      for (const record of expired) {
+        await blobStore.remove(record.key);
+        await store.remove(RECORDINGS, record.id);
+      }
+      return expired.length;
+    },
+  };
+}
@@ -0,0 +1,240 @@
+import { randomUUID } from 'node:crypto';
+import { clockView } from './clock.js';
+import { documentText, toOutline } from './document.js';
+import { detectInjection } from './injection.js';
+import { strategyReport } from './strategy.js';
+import { typingNote, typingSignals } from './telemetry.js';
+
+export const SESSIONS = 'sessions';
+
+// Original uploads, keyed by session id. Kept out of the session document so
+// listing and updating sessions never loads the file.
+export const SOURCES = 'sources';
+
+export const VERDICTS = ['직접 작성', 'AI 생성 후 검토', 'AI 생성 그대로 제출', '평가 불가'];
+
+export const DEFAULT_SETTINGS = { topicCount: 3, topicDuration: 180 };
+
+const ALLOWED_TOPIC_COUNTS = [1, 2, 3];
+const ALLOWED_DURATIONS = [60, 120, 180];
+
+export function normalizeSettings(input = {}) {
+  const topicCount = Number(input.topicCount);
+  const topicDuration = Number(input.topicDuration);
+  return {
+    topicCount: ALLOWED_TOPIC_COUNTS.includes(topicCount) ? topicCount : DEFAULT_SETTINGS.topicCount,
+    topicDuration: ALLOWED_DURATIONS.includes(topicDuration) ? topicDuration : DEFAULT_SETTINGS.topicDuration,
+  };
+}
+
+function label(value) {
+  return typeof value === 'string' ? value.trim().slice(0, 100) : '';
+}
+
+export function createSessionRecord({
+  document,
+  topics,
+  settings,
+  interviewMode,
+  course,
+  assignment,
+  guide = null,
+  planId = null,
+  ownerId = null,
+  assignmentId = null,
+  student = null,
+  fallback = false,
+  source = null,
+}) {
+  const now = new Date().toISOString();
+  const normalized = normalizeSettings(settings);
+  return {
+    id: randomUUID(),
+    status: 'active',
+    interviewMode: interviewMode === 'voice' ? 'voice' : 'chat',
+    settings: normalized,
+    course: label(course),
+    assignment: label(assignment),
+    // Flat text is kept alongside the structured document for the excerpt and
+    // for code paths that do not care about sections.
+    assignmentText: documentText(document),
+    document,
+    // Phrasing in the upload that addresses the model (lib/injection.js),
+    // e.g. instructions hidden in white text.
+    documentInjection: detectInjection(documentText(document)),
+    source,
+    // A copy of the assignment's brief and rubric (lib/assignments.js).
+    guide,
+    // Sessions started from a shared plan (lib/plans.js).
+    planId,
+    // The account that started the interview (lib/auth.js).
+    ownerId,
+    // The assignment and, for invited students (lib/invites.js), who took it:
+    // `{ inviteId, name, studentNumber }`.
+    assignmentId,
+    student,
+    analysisFallback: fallback,
+    topics: topics.slice(0, normalized.topicCount).map((topic, idx) => ({
+      id: topic.id,
+      title: topic.title,
+      sectionIds: topic.sectionIds || [],
+      refs: topic.refs || [],
+      ...(guide && { rubricIds: topic.rubricIds || [] }),
+      // Asked as written, in order, before any generated question.
+      pinnedQuestions: topic.pinnedQuestions || [],
+      status: idx === 0 ? 'active' : 'pending',
+      duration: normalized.topicDuration,
+      turns: [],
+      clock: { usedMs: 0, openSince: null, speechDeadline: null },
+      events: [],
+      startedAt: null,
+      endedAt: null,
+    })),
+    currentTopicIndex: 0,
+    summary: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+}
+
+export function currentTopicOf(session) {
+  return session.topics[session.currentTopicIndex] || null;
+}
+
+export function appendTurn(topic, role, text, extra = {}) {
+  topic.turns.push({ role, text, at: new Date().toISOString(), ...extra });
+}
+
+// `wrap` encloses each student answer, e.g. in a prompt fence
+// (lib/injection.js).
+export function formatTurns(turns = [], wrap = (text) => text) {
+  return turns.map((turn) => (turn.role === 'ai' ? `AI: ${turn.text}` : `학생: ${wrap(turn.text)}`)).join('\n');
+}
+
+// The largest length every text can be cut to so that together they fit in
+// `room` characters; the shorter ones are kept whole.
+function sharedCap(lengths, room) {
+  const sorted = [...lengths].sort((a, b) => a - b);
+  let used = 0;
+  for (let i = 0; i < sorted.length; i += 1) {
+    const cap = Math.floor((room - used) / (sorted.length - i));
+    if (sorted[i] > cap) return Math.max(cap, 1);
+    used += sorted[i];
+  }
+  return Infinity;
+}
+
+// `text` cut to `budget` characters, marked with … when it was longer.
+export function clipText(text, budget) {
+  return text.length > budget ? `${text.slice(0, Math.max(budget - 1, 0))}…` : text;
+}
+
+// `render(cut)` of `texts` within `budget` characters: past it the longest
+// texts are cut until it fits, so every one stays in.
+function fitTexts(render, texts, budget) {
+  const whole = render((text) => text);
+  if (whole.length <= budget) return whole;
+  const lengths = texts.map((text) => text.length);
+  const frame = whole.length - lengths.reduce((sum, length) => sum + length, 0);
+  const cap = sharedCap(lengths, budget - frame);
+  return render((text) => clipText(text, cap));
+}
+
+// formatTurns within `budget` characters, cut like buildTranscript.
+export function formatTurnsWithin(turns, wrap, budget = Infinity) {
+  const render = (cut) => formatTurns(turns.map((turn) => ({ ...turn, text: cut(turn.text) })), wrap);
+  return fitTexts(render, turns.map((turn) => turn.text), budget);
+}
+
+// The interview by topic. Past `budget` characters the longest turns are
+// cut (marked with …) until it fits, so every turn stays in and each one
+// `wrap` encloses is whole.
+export function buildTranscript(session, wrap, budget = Infinity) {
+  const topics = session.topics.filter((topic) => topic.turns.length);
+  const render = (cut) =>
+    topics
+      .map((topic) => {
+        const turns = topic.turns.map((turn) => ({ ...turn, text: cut(turn.text) }));
+        return `[주제 ${topic.id}] ${topic.title}\n${formatTurns(turns, wrap)}`;
+      })
+      .join('\n\n');
+  return fitTexts(render, topics.flatMap((topic) => topic.turns.map((turn) => turn.text)), budget);
+}
+
+// Whole lines of `text` up to `budget` characters, and a note of how many
+// were left out.
+export function clipLines(text, budget) {
+  if (text.length <= budget) return text;
+  const kept = [];
+  let used = 0;
+  const lines = text.split('\n');
+  for (const line of lines) {
+    if (used + line.length + 1 > budget) break;
+    kept.push(line);
+    used += line.length + 1;
+  }
+  return [...kept, `(…${lines.length - kept.length}줄 생략)`].join('\n');
+}
+
+// The model is asked for one of VERDICTS; anything else (or a missing field
+// from an older prompt) is matched by keyword so filtering stays reliable.
+export function normalizeVerdict(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (VERDICTS.includes(text)) return text;
+  if (text.includes('그대로')) return 'AI 생성 그대로 제출';
+  if (text.includes('검토')) return 'AI 생성 후 검토';
+  if (text.includes('직접')) return '직접 작성';
+  return '평가 불가';
+}
+
+export function toSessionListItem(session) {
+  return {
+    id: session.id,
+    status: session.status,
+    course: session.course || '',
+    assignment: session.assignment || '',
+    assignmentId: session.assignmentId || null,
+    student: session.student?.name || '',
+    interviewMode: session.interviewMode,
+    topicCount: session.topics.length,
+    verdict: session.summary?.verdict || null,
+    integrityFlags: session.summary?.integrityFlags?.length || 0,
+    createdAt: session.createdAt,
+    completedAt: session.completedAt,
+  };
+}
+
+function toPublicTurn(turn) {
+  return turn.typing ? { ...turn, typing: { ...turn.typing, note: typingNote(turn.typing) } } : turn;
+}
+
+// What the student running the interview sees of a turn: no telemetry,
+// injection findings or grading of their answers.
+function toStudentTurn({ typing, injection, assessment, ...turn }) {
+  return turn;
+}
+
+// Client-facing view: the full assignment text stays on the server, only a
+// short excerpt (for the speech-recognition context hint) and the section
+// outline are exposed. Pinned questions stay hidden until they are asked.
+// With `review` (instructors and admins) chat sessions get their typing
+// signals summarized, and the moves the interviewer made are tallied with
+// how well they were answered; the student's own view leaves out these and
+// the injection findings.
+export function toPublicSession(session, { review = false } = {}) {
+  const { assignmentText, document, documentInjection, ...rest } = session;
+  const now = Date.now();
+  const view = {
+    ...rest,
+    topics: session.topics.map(({ clock, pinnedQuestions, ...topic }) => ({
+      ...topic,
+      turns: topic.turns.map(review ? toPublicTurn : toStudentTurn),
+      ...clockView({ ...topic, clock }, now),
+    })),
+    excerpt: (assignmentText || '').slice(0, 200),
+    outline: document ? toOutline(document) : null,
+  };
+  if (!review) return view;
+  return { ...view, documentInjection, typingSignals: typingSignals(session), strategy: strategyReport(session) };
+}
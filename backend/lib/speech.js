@@ -0,0 +1,38 @@
+// Sentence splitting shared by /api/tts and the streamed questions.
+
+const SENTENCE_END = /[.?!。？！…]+["'”’)]*(?:\s+|$)|\n+/g;
+// Very short sentences ("네.") are held back and spoken with the next one.
+const MIN_SENTENCE_CHARS = 12;
+
+// Cuts streamed text into sentences as soon as each one is complete, so
+// speech can start before the rest has been generated.
+export function createSentenceChunker({ minChars = MIN_SENTENCE_CHARS } = {}) {
+  let buffer = '';
+  return {
+    // Returns the sentences completed by `text`.
+    push(text) {
+      buffer += text;
+      const sentences = [];
+      let start = 0;
+      SENTENCE_END.lastIndex = 0;
+      for (let match = SENTENCE_END.exec(buffer); match; match = SENTENCE_END.exec(buffer)) {
+        const end = match.index + match[0].length;
+        // A boundary at the very end may still grow ("?" then "!"); wait for more.
+        if (end === buffer.length && !/\s$/.test(match[0])) break;
+        const sentence = buffer.slice(start, end).trim();
+        if (sentence.length >= minChars) {
+          sentences.push(sentence);
+          start = end;
+        }
+      }
+      buffer = buffer.slice(start);
+      return sentences;
+    },
+    // Whatever is left once the text is complete.
+    flush() {
+      const rest = buffer.trim();
+      buffer = '';
+      return rest ? [rest] : [];
+    },
+  };
+}
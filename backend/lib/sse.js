@@ -0,0 +1,28 @@
+// Server-Sent Events over a plain Express response. Clients read the streams
+// with fetch (most are answers to POST requests) rather than EventSource.
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps nginx and similar proxies from buffering the stream.
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  return {
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!closed) res.end();
+    },
+  };
+}
@@ -0,0 +1,121 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+
+// Documents are kept as JSON so both drivers hand back detached copies.
+function clone(doc) {
+  return doc == null ? null : JSON.parse(JSON.stringify(doc));
+}
+
+function matches(doc, where) {
+  if (!where) return true;
+  return Object.entries(where).every(([key, value]) => doc[key] === value);
+}
+
+export function createMemoryStore() {
+  const collections = new Map();
+  const bucket = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    driver: 'memory',
+    async insert(collection, doc) {
+      if (!doc?.id) throw new Error('document id is required');
+      const items = bucket(collection);
+      if (items.has(doc.id)) throw new Error(`duplicate id in ${collection}: ${doc.id}`);
+      items.set(doc.id, clone(doc));
+      return clone(doc);
+    },
+    async get(collection, id) {
+      return clone(bucket(collection).get(id));
+    },
+    async update(collection, id, updater) {
+      const items = bucket(collection);
+      const current = items.get(id);
+      if (!current) return null;
+      const draft = clone(current);
+      const next = updater(draft) || draft;
+      items.set(id, clone(next));
+      return clone(next);
+    },
+    async list(collection, where) {
+      return [...bucket(collection).values()].filter((doc) => matches(doc, where)).map(clone);
+    },
+    async remove(collection, id) {
+      return bucket(collection).delete(id);
+    },
+    async close() {
+      collections.clear();
+    },
+  };
+}
+
+export function createSqliteStore(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const insertStmt = db.prepare('INSERT INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)');
+  const getStmt = db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?');
+  const updateStmt = db.prepare('UPDATE documents SET data = ?, updated_at = ? WHERE collection = ? AND id = ?');
+  const listStmt = db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY rowid');
+  const removeStmt = db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+
+  // Read-modify-write happens inside one transaction so concurrent requests
+  // for the same session cannot interleave their turns.
+  const updateTx = db.transaction((collection, id, updater) => {
+    const row = getStmt.get(collection, id);
+    if (!row) return null;
+    const current = JSON.parse(row.data);
+    const next = updater(current) || current;
+    updateStmt.run(JSON.stringify(next), new Date().toISOString(), collection, id);
+    return next;
+  });
+
+  return {
+    driver: 'sqlite',
+    async insert(collection, doc) {
+      if (!doc?.id) throw new Error('document id is required');
+      insertStmt.run(collection, doc.id, JSON.stringify(doc), new Date().toISOString());
+      return clone(doc);
+    },
+    async get(collection, id) {
+      const row = getStmt.get(collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    async update(collection, id, updater) {
+      return updateTx(collection, id, updater);
+    },
+    async list(collection, where) {
+      return listStmt
+        .all(collection)
+        .map((row) => JSON.parse(row.data))
+        .filter((doc) => matches(doc, where));
+    },
+    async remove(collection, id) {
+      return removeStmt.run(collection, id).changes > 0;
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+export function createStore({ driver = 'sqlite', filename } = {}) {
+  if (driver === 'memory') return createMemoryStore();
+  if (driver === 'sqlite') return createSqliteStore(filename || path.resolve('data', 'homework-validator.db'));
+  throw new Error(`unknown store driver: ${driver}`);
+}
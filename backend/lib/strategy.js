@@ -0,0 +1,160 @@
+// Adaptive questioning. With every question the model assesses the answer it
+// follows up on and names the move the question makes. The assessment is
+// stored on the student turn (`assessment: { label, note }`), the move on the
+// AI turn (`move`); the next prompt suggests a move from both, and a move
+// worked when the answer it drew was specific.
+
+export const ASSESSMENTS = [
+  { key: 'vague', label: '모호함', prompt: '과제 내용을 되풀이하거나 일반론에 그쳐 작성 과정이나 근거가 드러나지 않음' },
+  { key: 'specific', label: '구체적', prompt: '자료를 찾은 과정, 선택한 이유, 검토한 대안 등 구체적인 근거를 댐' },
+  { key: 'contradicts', label: '본문과 모순', prompt: '과제 본문에 쓴 내용과 어긋나는 설명을 함' },
+  { key: 'off_topic', label: '주제 이탈', prompt: '질문이나 현재 주제와 관계없는 답변' },
+];
+
+// The first five are the question patterns of the interviewer prompt; the
+// last three answer a vague, contradicting or off-topic answer.
+export const MOVES = [
+  { key: 'wording', label: '표현 선택 이유', prompt: '"과제에서 [X]라고 쓰셨는데, 왜 이렇게 표현하셨나요?"' },
+  { key: 'example', label: '사례 선택 이유', prompt: '"여기서 [Y 사례]를 예로 드셨는데, 이 사례를 선택한 이유가 있나요?"' },
+  { key: 'figure', label: '수치·자료 확인', prompt: '"과제에 [Z 수치]가 나오는데, 이 자료는 어디서 찾으셨나요?"' },
+  { key: 'stance', label: '주장에 대한 입장', prompt: '"[A]라는 주장을 하셨는데, 본인도 이 의견에 동의하시나요?"' },
+  {
+    key: 'alternative',
+    label: '버린 대안',
+    prompt: '"이 부분을 [B]라고 쓰셨는데, 다른 표현도 고려해 보셨나요?" 또는 학생이 검토했다가 버린 방법·자료를 묻기',
+  },
+  { key: 'drill_down', label: '모호한 답 파고들기', prompt: '모호한 답변의 한 부분을 집어 구체적인 근거나 과정을 묻기' },
+  { key: 'contradiction', label: '모순 확인', prompt: '답변과 과제 본문이 어긋나는 지점을 본문 구절과 함께 짚어 묻기' },
+  { key: 'refocus', label: '주제로 되돌리기', prompt: '주제에서 벗어난 답변 뒤에 과제 본문의 구절로 돌아와 묻기' },
+];
+
+const ASSESSMENT_KEYS = ASSESSMENTS.map((item) => item.key);
+const MOVE_KEYS = MOVES.map((item) => item.key);
+
+// The follow-up each weak answer calls for.
+const FOLLOW_UPS = { vague: 'drill_down', contradicts: 'contradiction', off_topic: 'refocus' };
+const FOLLOW_UP_MOVES = Object.values(FOLLOW_UPS);
+
+// Fresh moves in the order they are suggested: a number from the text and a
+// rejected alternative are the hardest to answer without having done the work.
+const OPENING_ORDER = ['figure', 'alternative', 'example', 'wording', 'stance'];
+
+// Asked as written in place of a follow-up past the cap (freshQuestion).
+const FRESH_QUESTIONS = {
+  figure: '이 주제에서 과제에 쓴 수치나 자료 하나를 골라, 어디서 찾았고 어떻게 확인하셨는지 말씀해 주시겠어요?',
+  alternative: '이 부분을 쓰면서 검토했다가 쓰지 않은 자료나 방법이 있었나요? 왜 빼셨는지도 말씀해 주세요.',
+  example: '이 주제에서 든 사례 하나를 골라, 그 사례를 고른 이유를 말씀해 주시겠어요?',
+  wording: '이 주제에서 특히 고민해서 고른 표현이 있다면, 왜 그렇게 표현하셨는지 말씀해 주시겠어요?',
+  stance: '이 주제에서 한 주장에 본인도 동의하시나요? 그렇게 생각하시는 이유를 말씀해 주세요.',
+};
+
+// Follow-ups in a row on one topic before the interview moves on, so a
+// student who cannot say more is not asked the same thing again and again.
+export const MAX_FOLLOW_UP_DEPTH = 2;
+
+const NOTE_CHARS = 200;
+
+export function normalizeMove(value) {
+  return MOVE_KEYS.includes(value) ? value : null;
+}
+
+// `{ label, note }` from the model's `assessment` and `assessmentNote`, or
+// null when it gave no label we know.
+export function normalizeAssessment(label, note) {
+  if (!ASSESSMENT_KEYS.includes(label)) return null;
+  return { label, note: typeof note === 'string' ? note.trim().slice(0, NOTE_CHARS) : '' };
+}
+
+// Each question of `topic` with the assessment of the answer it drew (null
+// while unanswered or for questions asked before moves were recorded).
+function questionOutcomes(topic) {
+  return topic.turns.flatMap((turn, idx) => {
+    if (turn.role !== 'ai') return [];
+    const answer = topic.turns[idx + 1];
+    return [{ move: turn.move ?? null, outcome: answer?.role === 'student' ? answer.assessment?.label ?? null : null }];
+  });
+}
+
+function followUpDepth(questions) {
+  let depth = 0;
+  for (let i = questions.length - 1; i >= 0 && FOLLOW_UP_MOVES.includes(questions[i].move); i -= 1) depth += 1;
+  return depth;
+}
+
+function labelOf(list, key) {
+  return list.find((item) => item.key === key)?.label ?? key;
+}
+
+// What the next question of `topic` should do, decided before the model has
+// assessed the answer it follows: each weak answer gets its follow-up until
+// MAX_FOLLOW_UP_DEPTH of them in a row, and otherwise the interview turns to
+// `fresh`, the first move this topic has not used (null once all are used).
+export function planNextMove(topic) {
+  const questions = questionOutcomes(topic);
+  const used = new Set(questions.map((question) => question.move));
+  const depth = followUpDepth(questions);
+  return {
+    first: questions.length === 0,
+    followUps: depth < MAX_FOLLOW_UP_DEPTH,
+    depth,
+    fresh: OPENING_ORDER.find((move) => !used.has(move)) ?? null,
+  };
+}
+
+// Whether a question making `move` would take `topic` past
+// MAX_FOLLOW_UP_DEPTH follow-ups in a row. The cap is not left to the prompt:
+// such a question is not asked (freshQuestion).
+export function overFollowUpCap(topic, move) {
+  return FOLLOW_UP_MOVES.includes(move) && !planNextMove(topic).followUps;
+}
+
+// `{ move, question }` to ask instead of a follow-up past the cap: the move
+// the interview turns to (or, once all are used, the one asked least) with
+// a question written for it, so the stored move is the one it makes.
+export function freshQuestion(topic) {
+  const asked = (move) => questionOutcomes(topic).filter((question) => question.move === move).length;
+  const move = planNextMove(topic).fresh ?? OPENING_ORDER.reduce((least, key) => (asked(key) < asked(least) ? key : least));
+  return { move, question: FRESH_QUESTIONS[move] };
+}
+
+// The 면접 전략 lines of a question prompt: the moves this topic has used and
+// what they drew, then which move to make.
+export function strategyContext(topic) {
+  const history = questionOutcomes(topic)
+    .filter((question) => question.move)
+    .map((question) => `${question.move}(${question.outcome ? labelOf(ASSESSMENTS, question.outcome) : '평가 전'})`);
+  const plan = planNextMove(topic);
+  const fresh = plan.fresh ?? '아직 덜 다룬 부분을 묻는 전략';
+  let advice;
+  if (plan.first) {
+    advice = `${fresh}로 시작한다.`;
+  } else if (plan.followUps) {
+    const followUps = Object.entries(FOLLOW_UPS).map(([label, move]) => `${label}이면 ${move}`);
+    advice = `최신 답변이 ${followUps.join(', ')}, specific이면 ${fresh}.`;
+  } else {
+    advice = `같은 지점을 ${plan.depth}번 이어서 물었으므로 최신 답변이 어떻든 ${fresh}로 넘어간다.`;
+  }
+  return `이 주제에서 쓴 전략: ${history.join(', ') || '없음'}\n추천 전략: ${advice}`;
+}
+
+// Per move, across the session: questions asked, answers assessed, and how
+// many of those were specific. Null before any move was recorded.
+export function strategyReport(session) {
+  const questions = session.topics.flatMap(questionOutcomes).filter((question) => question.move);
+  if (!questions.length) return null;
+  return MOVES.filter(({ key }) => questions.some((question) => question.move === key)).map(({ key, label }) => {
+    const asked = questions.filter((question) => question.move === key);
+    const assessed = asked.filter((question) => question.outcome);
+    return {
+      move: key,
+      label,
+      asked: asked.length,
+      assessed: assessed.length,
+      specific: assessed.filter((question) => question.outcome === 'specific').length,
+    };
+  });
+}
+
+// The prompt's definitions of the labels and moves.
+export const assessmentLines = ASSESSMENTS.map((item) => `- ${item.key}: ${item.prompt}`).join('\n');
+export const moveLines = MOVES.map((item) => `- ${item.key}: ${item.prompt}`).join('\n');
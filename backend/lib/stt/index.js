@@ -0,0 +1,51 @@
+import OpenAI from 'openai';
+import { createWhisperProvider } from './whisper.js';
+
+export const STT_PROVIDERS = ['openai', 'whisper-compatible'];
+
+// STT_PROVIDER defaults to a Whisper-compatible server when STT_BASE_URL is
+// set and to OpenAI otherwise.
+export function sttConfigFromEnv(env = process.env) {
+  return {
+    provider: env.STT_PROVIDER || (env.STT_BASE_URL ? 'whisper-compatible' : 'openai'),
+    openaiApiKey: env.OPENAI_API_KEY,
+    baseURL: env.STT_BASE_URL,
+    apiKey: env.STT_API_KEY,
+    model: env.STT_MODEL,
+  };
+}
+
+// Returns null when OpenAI is chosen without a key (the routes answer 503,
+// as before); other misconfiguration throws at startup. `openaiClient`
+// replaces the SDK client (tests pass a fake one).
+export function createSTT({ provider: providerName = 'openai', openaiApiKey, openaiClient = null, baseURL, apiKey, model }) {
+  let provider;
+  switch (providerName) {
+    case 'openai':
+      if (!openaiClient && !openaiApiKey) return null;
+      provider = createWhisperProvider({ client: openaiClient || new OpenAI({ apiKey: openaiApiKey }), model });
+      break;
+    case 'whisper-compatible':
+      if (!baseURL) {
+        throw new Error('STT_BASE_URL is required for the whisper-compatible STT provider');
+      }
+      // Local servers usually ignore the key, but the SDK refuses an empty one.
+      provider = createWhisperProvider({
+        client: openaiClient || new OpenAI({ apiKey: apiKey || 'local', baseURL }),
+        model,
+        name: providerName,
+      });
+      break;
+    default:
+      throw new Error(`unknown STT provider "${providerName}"; expected one of ${STT_PROVIDERS.join(', ')}`);
+  }
+
+  // `transcribe` resolves with `{ text, seconds }`: the transcript and how
+  // long the audio was (reported by the server or estimated from its size).
+  return {
+    transcribe: provider.transcribe,
+    describe() {
+      return { provider: provider.name, model: provider.model };
+    },
+  };
+}
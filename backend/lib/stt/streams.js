@@ -0,0 +1,178 @@
+import { randomUUID } from 'node:crypto';
+
+const IDLE_MS = 10 * 60 * 1000;
+const FINISH_TIMEOUT_MS = 30 * 1000;
+const PROMPT_CONTEXT_CHARS = 250;
+
+// Live transcription of an answer that is still being recorded. The client
+// records short standalone segments (split at pauses) and uploads each one as
+// soon as it ends, so no upload comes near the size limit. Segments are
+// transcribed as they arrive, and subscribers get the transcript so far, in
+// segment order, every time it grows:
+//   partial  { seq, transcript }   segments 0..seq are transcribed
+//   final    { text }              the answer is complete
+//
+// Streams live in memory and are dropped once idle for `idleMs`; a finished
+// stream keeps its result until then, so `finish` can be retried.
+// `onTranscribed(owner, { seconds, latencyMs })` hears of every segment
+// transcribed (for metering).
+export function createTranscriptionStreams({
+  stt,
+  idleMs = IDLE_MS,
+  finishTimeoutMs = FINISH_TIMEOUT_MS,
+  now = Date.now,
+  onTranscribed = null,
+}) {
+  const streams = new Map();
+
+  function sweep() {
+    for (const [id, stream] of streams) {
+      if (now() - stream.touchedAt > idleMs) streams.delete(id);
+    }
+  }
+
+  function emit(stream, event, data) {
+    for (const listener of stream.listeners) listener(event, data);
+  }
+
+  // Texts of the segments transcribed so far, up to the first gap.
+  function contiguous(stream) {
+    const texts = [];
+    for (const segment of stream.segments) {
+      if (!segment || segment.text === undefined) break;
+      texts.push(segment.text);
+    }
+    return texts;
+  }
+
+  function joinTexts(texts) {
+    return texts.map((text) => text.trim()).filter(Boolean).join(' ');
+  }
+
+  function settle(stream, seq, text) {
+    stream.segments[seq].text = text;
+    const texts = contiguous(stream);
+    if (texts.length > stream.sent) {
+      stream.sent = texts.length;
+      stream.transcript = joinTexts(texts);
+      emit(stream, 'partial', { seq: texts.length - 1, transcript: stream.transcript });
+    }
+    stream.waiters = stream.waiters.filter((waiter) => !waiter());
+  }
+
+  function waitForSegments(stream, count) {
+    const done = () => contiguous(stream).length >= count;
+    if (done()) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, finishTimeoutMs);
+      stream.waiters.push(() => {
+        if (!done()) return false;
+        clearTimeout(timer);
+        resolve();
+        return true;
+      });
+    });
+  }
+
+  // Whisper keeps spelling and terms consistent when it sees what came just
+  // before, so each segment is prompted with the context and the transcript tail.
+  function promptFor(stream) {
+    const tail = stream.transcript.slice(-PROMPT_CONTEXT_CHARS);
+    return [stream.context.slice(0, PROMPT_CONTEXT_CHARS), tail].filter(Boolean).join('\n');
+  }
+
+  return {
+    // `owner` is kept for the caller (the app keeps the session it bills),
+    // `userId` is the account the stream answers to.
+    create({ context = '', owner = null, userId = null } = {}) {
+      sweep();
+      const id = randomUUID();
+      streams.set(id, {
+        id,
+        owner,
+        userId,
+        context: String(context),
+        segments: [],
+        sent: 0,
+        transcript: '',
+        listeners: new Set(),
+        waiters: [],
+        result: null,
+        final: null,
+        expected: Infinity,
+        touchedAt: now(),
+      });
+      return { id };
+    },
+
+    has(id) {
+      return streams.has(id);
+    },
+
+    ownerOf(id) {
+      return streams.get(id)?.owner ?? null;
+    },
+
+    userOf(id) {
+      return streams.get(id)?.userId ?? null;
+    },
+
+    // Returns an unsubscribe function, or null for an unknown stream. The
+    // listener first gets the transcript so far, so a reconnect loses nothing.
+    subscribe(id, listener) {
+      const stream = streams.get(id);
+      if (!stream) return null;
+      if (stream.sent) listener('partial', { seq: stream.sent - 1, transcript: stream.transcript });
+      if (stream.final) {
+        listener('final', stream.final);
+        return () => {};
+      }
+      stream.listeners.add(listener);
+      return () => stream.listeners.delete(listener);
+    },
+
+    // Starts transcribing one segment. Segments still in flight when `finish`
+    // is called are accepted; ones past the count it was given are not.
+    // Throws `stream_not_found`, `stream_finished` or `duplicate_segment`
+    // (with `code`) for bad uploads.
+    addSegment(id, seq, { audio, mimeType }) {
+      const stream = streams.get(id);
+      if (!stream) throw Object.assign(new Error('unknown transcription stream'), { code: 'stream_not_found' });
+      if (stream.final || seq >= stream.expected) throw Object.assign(new Error('transcription stream is finished'), { code: 'stream_finished' });
+      if (stream.segments[seq]) throw Object.assign(new Error(`segment ${seq} was already sent`), { code: 'duplicate_segment' });
+      stream.touchedAt = now();
+      stream.segments[seq] = {};
+      const started = Date.now();
+      stt
+        .transcribe({ audio, mimeType, prompt: promptFor(stream) })
+        .then(
+          ({ text, seconds }) => {
+            onTranscribed?.(stream.owner, { seconds, latencyMs: Date.now() - started });
+            return text;
+          },
+          (err) => {
+            // A lost segment leaves a gap in the answer, not a failed answer.
+            console.error('stt segment error', err.message);
+            return '';
+          },
+        )
+        .then((text) => settle(stream, seq, text));
+    },
+
+    // Waits for segments 0..segments-1 (up to `finishTimeoutMs` for ones that
+    // never arrive) and resolves with the whole answer.
+    finish(id, { segments = 0 } = {}) {
+      const stream = streams.get(id);
+      if (!stream) return Promise.reject(Object.assign(new Error('unknown transcription stream'), { code: 'stream_not_found' }));
+      stream.touchedAt = now();
+      if (!stream.result) stream.expected = segments;
+      stream.result = stream.result || waitForSegments(stream, segments).then(() => {
+        stream.final = { text: joinTexts(stream.segments.map((segment) => segment?.text || '')) };
+        emit(stream, 'final', stream.final);
+        stream.listeners.clear();
+        return stream.final;
+      });
+      return stream.result;
+    },
+  };
+}
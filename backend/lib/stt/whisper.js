@@ -0,0 +1,28 @@
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'audio/mpeg': 'mp3', 'audio/wav': 'wav' };
+
+// Browser recordings (webm/opus) run near 128 kbit/s; used to estimate the
+// length of audio when the server does not report a `duration`.
+const ESTIMATED_BYTES_PER_SECOND = 16000;
+
+// Anything that serves the Whisper transcription API: OpenAI itself or a
+// local server (faster-whisper-server, LocalAI, whisper.cpp's OpenAI mode).
+export function createWhisperProvider({ client, model = 'whisper-1', name = 'openai', language = 'ko' }) {
+  return {
+    name,
+    model,
+    async transcribe({ audio, mimeType = 'audio/webm', prompt = '' }) {
+      const type = mimeType.split(';')[0];
+      const file = new File([audio], `audio.${EXTENSIONS[type] || 'webm'}`, { type });
+      const transcription = await client.audio.transcriptions.create({
+        model,
+        file,
+        language,
+        prompt: prompt.slice(0, 500),
+      });
+      const seconds = Number.isFinite(transcription.duration)
+        ? transcription.duration
+        : audio.length / ESTIMATED_BYTES_PER_SECOND;
+      return { text: transcription.text || '', seconds };
+    },
+  };
+}
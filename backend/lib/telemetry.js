@@ -0,0 +1,141 @@
+// Writing-integrity telemetry of chat answers: how each answer was typed
+// (frontend lib/typingTelemetry.js). It is stored on the student turn as
+// `typing` and summarized for the evaluation and the instructor view.
+
+const MAX_MS = 24 * 60 * 60 * 1000;
+const MAX_COUNT = 1_000_000;
+const MAX_EVENTS = 50;
+// A single edit adding at least this much text was not typed key by key.
+const LARGE_INSERT_CHARS = 20;
+
+function clampInt(value, max) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(Math.max(number, 0), max) : 0;
+}
+
+function optionalMs(value) {
+  return value === null || value === undefined ? null : clampInt(value, MAX_MS);
+}
+
+function eventList(list, field, max) {
+  if (!Array.isArray(list)) return [];
+  return list.slice(0, MAX_EVENTS).map((item) => ({ at: clampInt(item?.at, MAX_MS), [field]: clampInt(item?.[field], max) }));
+}
+
+function perMinute(chars, ms) {
+  return ms >= 1000 ? Math.round((chars / ms) * 60_000) : null;
+}
+
+// Client input is only trusted to be shaped right; `chars` and
+// `charsPerMinute` come from the stored answer itself.
+export function normalizeTyping(raw, answer) {
+  if (!raw || typeof raw !== 'object') return null;
+  const typingMs = clampInt(raw.typingMs, MAX_MS);
+  return {
+    durationMs: clampInt(raw.durationMs, MAX_MS),
+    firstKeyMs: optionalMs(raw.firstKeyMs),
+    typingMs,
+    keystrokes: clampInt(raw.keystrokes, MAX_COUNT),
+    deletions: clampInt(raw.deletions, MAX_COUNT),
+    medianKeyIntervalMs: optionalMs(raw.medianKeyIntervalMs),
+    p90KeyIntervalMs: optionalMs(raw.p90KeyIntervalMs),
+    largestInsert: clampInt(raw.largestInsert, MAX_COUNT),
+    pasteAttempts: eventList(raw.pasteAttempts, 'chars', MAX_COUNT),
+    dropAttempts: clampInt(raw.dropAttempts, MAX_COUNT),
+    focusLosses: eventList(raw.focusLosses, 'ms', MAX_MS),
+    idleGaps: eventList(raw.idleGaps, 'ms', MAX_MS),
+    chars: answer.length,
+    charsPerMinute: perMinute(answer.length, typingMs),
+  };
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}초`;
+  const rest = seconds % 60;
+  return rest ? `${Math.floor(seconds / 60)}분 ${rest}초` : `${Math.floor(seconds / 60)}분`;
+}
+
+const sum = (items, pick) => items.reduce((total, item) => total + pick(item), 0);
+
+// The signals worth a reader's attention, in Korean, one per entry.
+function notesFor({ charsPerMinute, fastest, pasteAttempts, dropAttempts, focusLosses, idleGaps, largestInsert, keystrokes, chars }) {
+  const notes = [];
+  if (charsPerMinute !== null) {
+    const fastestText = fastest !== null && fastest !== charsPerMinute ? ` (가장 빠른 답변 분당 ${fastest}자)` : '';
+    notes.push(`입력 속도 분당 ${charsPerMinute}자${fastestText}`);
+  }
+  const blocked = [
+    pasteAttempts.length && `붙여넣기 시도 ${pasteAttempts.length}회`,
+    dropAttempts && `끌어다 놓기 시도 ${dropAttempts}회`,
+  ].filter(Boolean);
+  if (blocked.length) notes.push(`${blocked.join(', ')} (차단됨)`);
+  if (focusLosses.length) {
+    notes.push(`탭/창 이탈 ${focusLosses.length}회 (총 ${formatDuration(sum(focusLosses, (item) => item.ms))})`);
+  }
+  if (idleGaps.length) {
+    notes.push(`긴 입력 멈춤 ${idleGaps.length}회 (최장 ${formatDuration(Math.max(...idleGaps.map((item) => item.ms)))})`);
+  }
+  if (largestInsert >= LARGE_INSERT_CHARS) notes.push(`한 번에 ${largestInsert}자가 입력됨`);
+  // Hangul takes two or three keys a syllable; far fewer keys than
+  // characters means the text did not come from the keyboard.
+  if (chars >= LARGE_INSERT_CHARS && keystrokes < chars / 2) notes.push(`${chars}자 답변에 키 입력 ${keystrokes}회`);
+  return notes;
+}
+
+// One answer, for the transcript line and the instructor's turn view.
+export function typingNote(typing) {
+  return notesFor({ ...typing, fastest: null }).join(', ');
+}
+
+function chatAnswers(session) {
+  if (session.interviewMode !== 'chat') return [];
+  return session.topics.flatMap((topic, topicIndex) =>
+    topic.turns
+      .filter((turn) => turn.role === 'student' && turn.typing)
+      .map((turn, answerIndex) => ({ topic, topicIndex, answerIndex, typing: turn.typing })),
+  );
+}
+
+// Aggregate signals over the session's chat answers, or null without any.
+export function typingSignals(session) {
+  const typings = chatAnswers(session).map((answer) => answer.typing);
+  if (!typings.length) return null;
+  const rates = typings.map((typing) => typing.charsPerMinute).filter((rate) => rate !== null);
+  const signals = {
+    answers: typings.length,
+    charsPerMinute: perMinute(sum(typings, (t) => t.chars), sum(typings, (t) => t.typingMs)),
+    fastest: rates.length ? Math.max(...rates) : null,
+    pasteAttempts: typings.flatMap((t) => t.pasteAttempts),
+    dropAttempts: sum(typings, (t) => t.dropAttempts),
+    focusLosses: typings.flatMap((t) => t.focusLosses),
+    idleGaps: typings.flatMap((t) => t.idleGaps),
+    largestInsert: Math.max(...typings.map((t) => t.largestInsert)),
+    keystrokes: sum(typings, (t) => t.keystrokes),
+    chars: sum(typings, (t) => t.chars),
+  };
+  return {
+    answers: signals.answers,
+    charsPerMinute: signals.charsPerMinute,
+    maxCharsPerMinute: signals.fastest,
+    pasteAttempts: signals.pasteAttempts.length,
+    dropAttempts: signals.dropAttempts,
+    focusLosses: signals.focusLosses.length,
+    focusLostMs: sum(signals.focusLosses, (item) => item.ms),
+    idleGaps: signals.idleGaps.length,
+    longestIdleMs: signals.idleGaps.length ? Math.max(...signals.idleGaps.map((item) => item.ms)) : 0,
+    largestInsert: signals.largestInsert,
+    notes: notesFor(signals),
+  };
+}
+
+// The typing section of the summary prompt ('' for voice sessions or when
+// no answer carried telemetry).
+export function typingReport(session) {
+  const signals = typingSignals(session);
+  if (!signals) return '';
+  const lines = chatAnswers(session).map(
+    ({ topic, answerIndex, typing }) => `[주제 ${topic.id}] 답변 ${answerIndex + 1}: ${typingNote(typing) || '특이사항 없음'}`,
+  );
+  return `답변별:\n${lines.join('\n')}\n전체: ${signals.notes.join(', ')}`;
+}
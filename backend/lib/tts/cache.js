@@ -0,0 +1,79 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const TTS_CACHE_DRIVERS = ['fs', 'memory', 'off'];
+
+const DEFAULT_MEMORY_BYTES = 32 * 1024 * 1024;
+
+// Audio is addressed by what produced it, so the same sentence in the same
+// voice is synthesized once, whichever route asked for it.
+export function audioCacheKey({ provider, voice, model, text }) {
+  return createHash('sha256').update(JSON.stringify([provider, voice, model, text])).digest('hex');
+}
+
+export function createAudioCache({ driver = 'fs', dir, maxBytes = DEFAULT_MEMORY_BYTES } = {}) {
+  switch (driver) {
+    case 'fs':
+      if (!dir) throw new Error('a directory is required for the fs audio cache');
+      return createFsCache(dir);
+    case 'memory':
+      return createMemoryCache(maxBytes);
+    case 'off':
+      return { driver, async get() { return null; }, async set() {} };
+    default:
+      throw new Error(`unknown TTS cache driver "${driver}"; expected one of ${TTS_CACHE_DRIVERS.join(', ')}`);
+  }
+}
+
+// Least recently used entries are dropped once `maxBytes` is exceeded.
+function createMemoryCache(maxBytes) {
+  const entries = new Map();
+  let bytes = 0;
+  return {
+    driver: 'memory',
+    async get(key) {
+      const audio = entries.get(key);
+      if (!audio) return null;
+      entries.delete(key);
+      entries.set(key, audio);
+      return audio;
+    },
+    async set(key, audio) {
+      if (audio.length > maxBytes) return;
+      if (entries.has(key)) bytes -= entries.get(key).length;
+      entries.delete(key);
+      entries.set(key, audio);
+      bytes += audio.length;
+      for (const [oldest, old] of entries) {
+        if (bytes <= maxBytes) break;
+        entries.delete(oldest);
+        bytes -= old.length;
+      }
+    },
+  };
+}
+
+// One file per clip, written under a temporary name and renamed so a reader
+// never sees half a file.
+function createFsCache(dir) {
+  const fileFor = (key) => path.join(dir, key.slice(0, 2), `${key}.mp3`);
+  return {
+    driver: 'fs',
+    async get(key) {
+      try {
+        return await fs.readFile(fileFor(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(key, audio) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temp, audio);
+      await fs.rename(temp, file);
+    },
+  };
+}
@@ -0,0 +1,27 @@
+import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
+
+export const DEFAULT_VOICE_ID = 'XB0fDUnXU5powFXDhCwa'; // Charlotte - multilingual
+export const DEFAULT_MODEL_ID = 'eleven_flash_v2_5';
+
+// ElevenLabs text-to-speech. `client` replaces the SDK client (tests pass a
+// fake one); otherwise one is built from `apiKey`.
+export function createElevenLabsProvider({ client = null, apiKey, voiceId = DEFAULT_VOICE_ID, modelId = DEFAULT_MODEL_ID }) {
+  const elevenlabs = client || new ElevenLabsClient({ apiKey });
+  return {
+    name: 'elevenlabs',
+    voice: voiceId,
+    model: modelId,
+    contentType: 'audio/mpeg',
+    // Yields the mp3 as the vendor streams it.
+    async *stream(text) {
+      const audio = await elevenlabs.textToSpeech.convert(voiceId, {
+        text,
+        modelId,
+        outputFormat: 'mp3_44100_128',
+      });
+      for await (const chunk of audio) {
+        yield Buffer.from(chunk);
+      }
+    },
+  };
+}
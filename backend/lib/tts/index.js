@@ -0,0 +1,129 @@
+import { fileURLToPath } from 'node:url';
+import { createSentenceChunker } from '../speech.js';
+import { audioCacheKey, createAudioCache } from './cache.js';
+import { createElevenLabsProvider } from './elevenlabs.js';
+import { createLocalProvider } from './local.js';
+
+export const TTS_PROVIDERS = ['elevenlabs', 'local'];
+
+export const DEFAULT_CACHE_DIR = fileURLToPath(new URL('../../data/tts-cache', import.meta.url));
+
+// The vendor caps a request at 5000 characters.
+export const MAX_TTS_CHARS = 5000;
+
+// TTS_PROVIDER defaults to ElevenLabs when its key is set and to the local
+// stand-in otherwise.
+export function ttsConfigFromEnv(env = process.env) {
+  return {
+    provider: env.TTS_PROVIDER || (env.ELEVENLABS_API_KEY ? 'elevenlabs' : 'local'),
+    elevenLabsApiKey: env.ELEVENLABS_API_KEY,
+    voiceId: env.ELEVENLABS_VOICE_ID,
+    modelId: env.ELEVENLABS_MODEL,
+    localCommand: env.TTS_LOCAL_COMMAND,
+    cache: { driver: env.TTS_CACHE || 'fs', dir: env.TTS_CACHE_DIR || DEFAULT_CACHE_DIR },
+  };
+}
+
+// Misconfiguration (unknown provider, ElevenLabs without a key) throws at
+// startup. `elevenlabsClient` replaces the SDK client (tests pass a fake one).
+// `cache` is an audio cache from cache.js or its options.
+export function createTTS({
+  provider: providerName = 'elevenlabs',
+  elevenLabsApiKey,
+  elevenlabsClient = null,
+  voiceId,
+  modelId,
+  localCommand,
+  cache = { driver: 'memory' },
+}) {
+  let provider;
+  switch (providerName) {
+    case 'elevenlabs':
+      if (!elevenlabsClient && !elevenLabsApiKey) {
+        throw new Error('ELEVENLABS_API_KEY is required for the elevenlabs TTS provider');
+      }
+      provider = createElevenLabsProvider({ client: elevenlabsClient, apiKey: elevenLabsApiKey, voiceId, modelId });
+      break;
+    case 'local':
+      provider = createLocalProvider({ command: localCommand });
+      break;
+    default:
+      throw new Error(`unknown TTS provider "${providerName}"; expected one of ${TTS_PROVIDERS.join(', ')}`);
+  }
+  const audioCache = typeof cache.get === 'function' ? cache : createAudioCache(cache);
+
+  // A broken cache costs a vendor call, never the speech itself.
+  async function cached(key) {
+    try {
+      return await audioCache.get(key);
+    } catch (err) {
+      console.error('TTS cache read failed', err.message);
+      return null;
+    }
+  }
+  async function remember(key, audio) {
+    try {
+      await audioCache.set(key, audio);
+    } catch (err) {
+      console.error('TTS cache write failed', err.message);
+    }
+  }
+
+  // Yields the audio for one piece of text as it arrives. A cache hit comes
+  // back as a single chunk; a miss is stored once it has been read to the end.
+  // `usage`, when given, tallies the characters synthesized (`characters`)
+  // and those served from the cache (`cachedCharacters`), for metering.
+  async function* stream(text, usage = null) {
+    const key = audioCacheKey({ provider: provider.name, voice: provider.voice, model: provider.model, text });
+    const hit = await cached(key);
+    if (usage) usage[hit ? 'cachedCharacters' : 'characters'] += text.length;
+    if (hit) {
+      yield hit;
+      return;
+    }
+    const chunks = [];
+    for await (const chunk of provider.stream(text)) {
+      chunks.push(chunk);
+      yield chunk;
+    }
+    if (chunks.length) await remember(key, Buffer.concat(chunks));
+  }
+
+  async function synthesize(text, usage) {
+    const chunks = [];
+    for await (const chunk of stream(text, usage)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Streams longer text sentence by sentence: the first sentence plays while
+  // the rest is synthesized, and every sentence is cached on its own, so a
+  // question already spoken over /api/question/stream costs nothing here.
+  async function* speak(text, usage) {
+    const chunker = createSentenceChunker();
+    for (const sentence of [...chunker.push(text.slice(0, MAX_TTS_CHARS)), ...chunker.flush()]) {
+      yield* stream(sentence, usage);
+    }
+  }
+
+  // Changes the ElevenLabs voice or model while running (the admin settings).
+  // Cached audio is keyed by both, so nothing spoken in the old voice replays.
+  function configure({ voiceId: nextVoice = provider.voice, modelId: nextModel = provider.model }) {
+    if (provider.name !== 'elevenlabs') {
+      throw new Error(`the ${provider.name} TTS provider has no voice or model to choose`);
+    }
+    provider = createElevenLabsProvider({
+      client: elevenlabsClient,
+      apiKey: elevenLabsApiKey,
+      voiceId: nextVoice,
+      modelId: nextModel,
+    });
+  }
+
+  function describe() {
+    return { provider: provider.name, voice: provider.voice, model: provider.model, cache: audioCache.driver };
+  }
+
+  return { contentType: provider.contentType, stream, synthesize, speak, configure, describe };
+}
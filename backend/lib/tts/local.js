@@ -0,0 +1,64 @@
+import { spawn } from 'node:child_process';
+
+// One MPEG-1 Layer III frame, 128 kbps / 44.1 kHz mono: a four-byte header
+// and zeroed side info and main data, which decodes as 1152 samples of
+// silence. Frames can be concatenated freely, like the vendor's mp3.
+const SILENT_FRAME = Buffer.alloc(417);
+SILENT_FRAME.set([0xff, 0xfb, 0x90, 0xc0]);
+const FRAME_MS = (1152 / 44100) * 1000;
+// Roughly how long a Korean sentence takes to read aloud.
+const MS_PER_CHAR = 140;
+const MIN_MS = 500;
+const FRAMES_PER_CHUNK = 16;
+
+// Stands in for the TTS vendor when no key is configured, so voice mode runs
+// offline. With `command` set, the text is written to the command's stdin and
+// its stdout is streamed back as the audio (it must produce mp3, e.g.
+// `espeak-ng --stdout | lame --quiet - -`). Without one, the clip is silence
+// about as long as the text would take to read, which keeps the voice flow
+// and its timing intact.
+export function createLocalProvider({ command = '' } = {}) {
+  return {
+    name: 'local',
+    voice: command ? 'command' : 'silence',
+    model: command || 'silence',
+    contentType: 'audio/mpeg',
+    stream: command ? (text) => commandAudio(command, text) : silentAudio,
+  };
+}
+
+export function silenceFrames(text) {
+  const spoken = text.replace(/\s+/g, '').length;
+  return Math.ceil(Math.max(MIN_MS, spoken * MS_PER_CHAR) / FRAME_MS);
+}
+
+async function* silentAudio(text) {
+  for (let left = silenceFrames(text); left > 0; left -= FRAMES_PER_CHUNK) {
+    yield Buffer.concat(Array(Math.min(left, FRAMES_PER_CHUNK)).fill(SILENT_FRAME));
+  }
+}
+
+async function* commandAudio(command, text) {
+  const child = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-500);
+  });
+  child.stdin.on('error', () => {}); // the command may exit without reading everything
+  child.stdin.end(text);
+  try {
+    for await (const chunk of child.stdout) {
+      yield chunk;
+    }
+    const code = await exited;
+    if (code !== 0) {
+      throw new Error(`local TTS command exited with ${code}: ${stderr.trim()}`);
+    }
+  } finally {
+    if (child.exitCode === null) child.kill();
+  }
+}
@@ -0,0 +1,162 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectTopics, validateAssignment } from '../lib/assignments.js';
+import { assignmentText, readJsonFixture, responseWithText, startServer } from './helpers.js';
+
+const brief = '서울의 도시 열섬 현상을 자료로 분석하고 완화 방안을 제시하시오.';
+const rubric = [
+  { kind: 'section', title: '자료와 방법', description: '사용한 자료의 출처와 정리 방법을 밝힌다.' },
+  { kind: 'claim', title: '녹지와 야간 기온의 관계' },
+  { kind: 'objective', title: '예외 사례를 설명할 수 있다' },
+];
+
+// Four candidate topics; t1 and t3 together cover the whole rubric.
+const analyzed = JSON.stringify({
+  topics: [
+    { id: 't1', title: '자료 출처와 정리', sectionIds: ['s2'], quotes: [], rubricIds: ['r1'] },
+    { id: 't2', title: '서론의 문제 제기', sectionIds: ['s1'], quotes: [], rubricIds: [] },
+    { id: 't3', title: '녹지 비율과 예외 지역', sectionIds: ['s3'], quotes: [], rubricIds: ['r2', 'r3', 'r9'] },
+    { id: 't4', title: '정책 제안', sectionIds: ['s4'], quotes: [], rubricIds: ['r2'] },
+  ],
+});
+
+const answer = '기상청 자료를 자치구별로 직접 엑셀에 옮겨서 정리했습니다.';
+
+const summarized = JSON.stringify({
+  topics: [],
+  verdict: '직접 작성',
+  rubric: [
+    {
+      criterionId: 'r1',
+      ownership: 5,
+      understanding: 4,
+      evidence: [
+        { quote: '자치구별로 직접 엑셀에 옮겨서', note: '정리 과정을 직접 설명함' },
+        { quote: '학생이 말하지 않은 문장', note: '' },
+      ],
+      comment: '자료 정리 과정을 구체적으로 설명했다.',
+    },
+    { criterionId: 'r2', ownership: 9, understanding: 'x', comment: '다루어지지 않았다.' },
+  ],
+});
+
+describe('validateAssignment', () => {
+  test('numbers the rubric and rejects what it cannot use', () => {
+    const { value } = validateAssignment({ course: ' 도시환경 ', name: '기말 보고서', brief, rubric });
+    assert.equal(value.course, '도시환경');
+    assert.deepEqual(value.rubric.map((item) => item.id), ['r1', 'r2', 'r3']);
+    assert.equal(value.rubric[1].description, '');
+    assert.equal(validateAssignment({ kind: 'x', rubric: [{ title: 'a', kind: 'grade' }] }).error, 'name_required');
+    assert.equal(validateAssignment({ name: 'a', rubric: [{ title: 'a', kind: 'grade' }] }).value.rubric[0].kind, 'objective');
+    assert.equal(validateAssignment({ name: 'a', rubric: [{ kind: 'claim' }] }).error, 'rubric_title_required');
+    assert.equal(validateAssignment({ name: 'a', rubric: Array(21).fill({ title: 'a' }) }).error, 'rubric_too_long');
+  });
+
+  test('picks the topics that cover the most rubric items, in document order', () => {
+    const topics = JSON.parse(analyzed).topics;
+    const ids = [{ id: 'r1' }, { id: 'r2' }, { id: 'r3' }];
+    assert.deepEqual(selectTopics(topics, ids, 2).map((t) => t.id), ['t1', 't3']);
+    assert.deepEqual(selectTopics(topics, null, 2).map((t) => t.id), ['t1', 't2']);
+  });
+});
+
+describe('assignments', () => {
+  let server;
+  let assignment;
+  before(async () => {
+    server = await startServer();
+    const { status, body } = await server.post('/api/assignments', { course: '도시환경', name: '기말 보고서', brief, rubric });
+    assert.equal(status, 201);
+    assignment = body.assignment;
+  });
+  after(() => server.close());
+
+  test('are listed, read, updated and kept unique per course', async () => {
+    const duplicate = await server.post('/api/assignments', { course: '도시환경', name: '기말 보고서' });
+    assert.equal(duplicate.status, 409);
+    assert.equal((await server.post('/api/assignments', { course: '도시환경' })).status, 400);
+    const listed = await server.get('/api/assignments?course=도시환경');
+    assert.deepEqual(listed.body.assignments.map((item) => item.id), [assignment.id]);
+    assert.equal((await server.get('/api/assignments/missing')).status, 404);
+
+    const other = await server.post('/api/assignments', { course: '도시환경', name: '중간 보고서' });
+    const renamed = await server.put(`/api/assignments/${other.body.assignment.id}`, { course: '도시환경', name: '기말 보고서' });
+    assert.equal(renamed.status, 409);
+    const edited = await server.put(`/api/assignments/${other.body.assignment.id}`, { course: '도시환경', name: '중간 발표', brief });
+    assert.equal(edited.body.assignment.brief, brief);
+    assert.equal((await server.get(`/api/assignments/${other.body.assignment.id}`)).body.assignment.name, '중간 발표');
+    assert.equal((await server.put('/api/assignments/missing', { name: 'a' })).status, 404);
+  });
+
+  test('guide the analysis and the topics a session keeps', async () => {
+    server.openai.queue(responseWithText(analyzed));
+    const analysis = await server.post('/api/analyze', { assignmentText, assignmentId: assignment.id, topicCount: 2 });
+    assert.deepEqual(analysis.body.analysis.topics.map((t) => t.id), ['t1', 't3']);
+    assert.deepEqual(analysis.body.analysis.topics[1].rubricIds, ['r2', 'r3']);
+    const [system, user] = server.openai.calls.responses.at(-1).input;
+    assert.match(system.content, /rubricIds/);
+    assert.match(user.content, /과제 안내문:\n서울의 도시 열섬/);
+    assert.match(user.content, /\[r1\] \(필수 섹션\) 자료와 방법 — 사용한 자료의 출처/);
+
+    // Matched by the session's course and assignment labels.
+    server.openai.queue(responseWithText(analyzed));
+    const { body } = await server.post('/api/sessions', {
+      assignmentText,
+      topicCount: 2,
+      course: '도시환경',
+      assignment: '기말 보고서',
+    });
+    assert.deepEqual(body.session.topics.map((t) => t.id), ['t1', 't3']);
+    assert.equal(body.session.guide.assignmentId, assignment.id);
+    assert.equal(body.session.guide.rubric.length, 3);
+  });
+
+  test('report ownership and understanding per rubric item', async () => {
+    server.openai.queue(responseWithText(analyzed));
+    const { body } = await server.post('/api/sessions', { assignmentText, topicCount: 2, assignmentId: assignment.id });
+    const sessionId = body.session.id;
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    await server.post('/api/question', { sessionId });
+    server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+    await server.post('/api/question', { sessionId, studentAnswer: answer, answerId: 'a1' });
+
+    server.openai.queue(readJsonFixture('openai/verify.response.json'), responseWithText(summarized));
+    const { body: result } = await server.post('/api/summary', { sessionId });
+    const [system, user] = server.openai.calls.responses.at(-1).input;
+    assert.match(system.content, /평가 기준별 평가/);
+    assert.match(user.content, /\[주제 t3\] 녹지 비율과 예외 지역 \(평가 기준: r2, r3\)/);
+    assert.match(user.content, /평가 기준:\n\[r1\]/);
+
+    const [first, second, third] = result.summary.rubric;
+    assert.deepEqual(
+      { ...first, evidence: first.evidence.map((item) => item.quote) },
+      {
+        criterionId: 'r1',
+        kind: 'section',
+        title: '자료와 방법',
+        topicIds: ['t1'],
+        ownership: 5,
+        understanding: 4,
+        evidence: ['자치구별로 직접 엑셀에 옮겨서'],
+        comment: '자료 정리 과정을 구체적으로 설명했다.',
+      },
+    );
+    assert.equal(second.ownership, 5);
+    assert.equal(second.understanding, null);
+    assert.equal(third.ownership, null);
+    assert.deepEqual(third.topicIds, ['t3']);
+  });
+
+  test('leave sessions without a matching assignment as before', async () => {
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    const { body } = await server.post('/api/sessions', { assignmentText, course: '도시환경', assignment: '없는 과제' });
+    assert.equal(body.session.guide, null);
+    assert.equal('rubricIds' in body.session.topics[0], false);
+    const [system] = server.openai.calls.responses.at(-1).input;
+    assert.doesNotMatch(system.content, /rubricIds/);
+
+    server.openai.queue(readJsonFixture('openai/summary.response.json'));
+    const { body: result } = await server.post('/api/summary', { sessionId: body.session.id });
+    assert.equal(result.summary.rubric, null);
+  });
+});
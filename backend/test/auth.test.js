@@ -0,0 +1,231 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, validateUser, verifyPassword } from '../lib/auth.js';
+import { assignmentText, readJsonFixture, startServer } from './helpers.js';
+
+// Keeps the login links instead of mailing them.
+function createFakeMailer() {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      sent.push(message);
+    },
+  };
+}
+
+function linkToken(message) {
+  return message.text.match(/\/login\?token=(\S+)/)[1];
+}
+
+describe('auth helpers', () => {
+  test('hash passwords with scrypt and check them', async () => {
+    const stored = await hashPassword('correct horse');
+    assert.match(stored, /^scrypt\$/);
+    assert.equal(await verifyPassword('correct horse', stored), true);
+    assert.equal(await verifyPassword('wrong horse', stored), false);
+    assert.equal(await verifyPassword('correct horse', null), false);
+  });
+
+  test('validate accounts', () => {
+    assert.deepEqual(validateUser({ email: ' Kim@Example.ac.kr ', role: 'instructor' }).value, {
+      email: 'kim@example.ac.kr',
+      username: '',
+      name: '',
+      role: 'instructor',
+    });
+    assert.equal(validateUser({}).error, 'email_or_username_required');
+    assert.equal(validateUser({ email: 'not-an-email' }).error, 'invalid_email');
+    assert.equal(validateUser({ username: 'a', role: 'owner' }).error, 'invalid_role');
+    assert.equal(validateUser({ username: 'a', password: 'short' }).error, 'password_too_short');
+    assert.deepEqual(validateUser({ disabled: 1 }, { id: 'u1' }).value, { disabled: true });
+  });
+});
+
+describe('sign-in', () => {
+  let server;
+  let mailer;
+  before(async () => {
+    mailer = createFakeMailer();
+    server = await startServer({ mailer });
+  });
+  after(() => server.close());
+
+  test('every api route needs a token', async () => {
+    assert.equal((await server.anonymous.get('/api/sessions')).status, 401);
+    assert.equal((await server.anonymous.post('/api/question', { sessionId: 'x' })).status, 401);
+    assert.equal((await server.anonymous.get('/api/invites/ABCD2345')).status, 401);
+    const health = await server.anonymous.fetch('/health');
+    assert.equal(health.status, 200);
+  });
+
+  test('local accounts sign in with a password and sign out', async () => {
+    const created = await server.post('/api/admin/users', {
+      username: 'Lee',
+      email: 'lee@example.ac.kr',
+      password: 'correct horse',
+      role: 'instructor',
+    });
+    assert.equal(created.status, 201);
+    assert.equal('passwordHash' in created.body.user, false);
+
+    const wrong = await server.anonymous.post('/api/auth/login', { username: 'lee', password: 'wrong horse' });
+    assert.deepEqual(wrong, { status: 401, body: { error: 'invalid_credentials' } });
+    const { body } = await server.anonymous.post('/api/auth/login', { username: 'lee@example.ac.kr', password: 'correct horse' });
+    assert.equal(body.user.role, 'instructor');
+
+    const headers = { Authorization: `Bearer ${body.token}` };
+    const me = await server.anonymous.fetch('/api/auth/me', { headers });
+    assert.equal((await me.json()).user.username, 'lee');
+    // Only a media token goes in the query, and only for recordings.
+    assert.equal((await server.anonymous.get(`/api/auth/me?access_token=${body.token}`)).status, 401);
+    assert.equal((await server.anonymous.post(`/api/auth/logout?access_token=${body.token}`, {})).status, 401);
+
+    assert.equal((await server.anonymous.fetch('/api/auth/logout', { method: 'POST', headers })).status, 204);
+    assert.equal((await server.anonymous.fetch('/api/auth/me', { headers })).status, 401);
+  });
+
+  test('a mailed link signs a student in once', async () => {
+    assert.equal((await server.anonymous.post('/api/auth/magic-link', { email: 'nope' })).status, 400);
+    const requested = await server.anonymous.post('/api/auth/magic-link', { email: 'Park@Example.ac.kr' });
+    assert.equal(requested.status, 202);
+    const [message] = mailer.sent;
+    assert.equal(message.to, 'park@example.ac.kr');
+    assert.match(message.text, /^http:\/\/front\.test\/login\?token=/m);
+
+    const token = linkToken(message);
+    const { status, body } = await server.anonymous.post('/api/auth/magic-link/verify', { token });
+    assert.equal(status, 200);
+    assert.deepEqual([body.user.email, body.user.role], ['park@example.ac.kr', 'student']);
+    assert.equal((await server.anonymous.post('/api/auth/magic-link/verify', { token })).status, 401);
+
+    // The same address signs in to the same account.
+    await server.anonymous.post('/api/auth/magic-link', { email: 'park@example.ac.kr' });
+    const again = await server.anonymous.post('/api/auth/magic-link/verify', { token: linkToken(mailer.sent[1]) });
+    assert.equal(again.body.user.id, body.user.id);
+  });
+
+  test('links are refused when no mailer is configured', async () => {
+    const bare = await startServer();
+    try {
+      assert.equal((await bare.anonymous.post('/api/auth/magic-link', { email: 'park@example.ac.kr' })).status, 503);
+    } finally {
+      await bare.close();
+    }
+  });
+});
+
+describe('roles', () => {
+  let server;
+  let student;
+  let classmate;
+  let instructor;
+  let colleague;
+  let own;
+  let other;
+  before(async () => {
+    server = await startServer();
+    student = await server.signIn({ role: 'student' });
+    classmate = await server.signIn({ role: 'student' });
+    instructor = await server.signIn({ role: 'instructor' });
+    colleague = await server.signIn({ role: 'instructor' });
+
+    const course = (await instructor.post('/api/courses', { name: '도시환경', term: '2026-2' })).body.course;
+    const assignment = (await instructor.post('/api/assignments', { courseId: course.id, name: '기말 보고서' })).body
+      .assignment;
+    const [invite] = (await instructor.post(`/api/assignments/${assignment.id}/invites`, { students: [{ name: '김민지' }] })).body
+      .invites;
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    own = (await student.post('/api/sessions', { assignmentText, inviteCode: invite.code, interviewMode: 'chat' })).body.session;
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    other = (await classmate.post('/api/sessions', { assignmentText })).body.session;
+  });
+  after(() => server.close());
+
+  test('students see only their own sessions', async () => {
+    const listed = await student.get('/api/sessions');
+    assert.deepEqual(listed.body.sessions.map((item) => item.id), [own.id]);
+    assert.equal((await student.get(`/api/sessions/${own.id}`)).status, 200);
+    assert.equal((await student.get(`/api/sessions/${other.id}`)).status, 403);
+    assert.equal((await student.post('/api/question', { sessionId: other.id })).status, 403);
+    assert.equal((await student.post('/api/summary', { sessionId: other.id })).status, 403);
+    assert.equal((await student.get('/api/assignments')).status, 403);
+    assert.equal((await student.get('/api/plans')).status, 403);
+  });
+
+  test('instructors see the sessions of their courses but cannot answer in them', async () => {
+    const listed = await instructor.get('/api/sessions');
+    assert.deepEqual(listed.body.sessions.map((item) => item.id), [own.id]);
+    assert.equal((await instructor.get(`/api/sessions/${own.id}`)).status, 200);
+    assert.equal((await instructor.get(`/api/sessions/${other.id}`)).status, 403);
+    assert.equal((await instructor.post(`/api/sessions/${own.id}/advance`, { topicIndex: 0 })).status, 403);
+
+    assert.deepEqual((await colleague.get('/api/sessions')).body.sessions, []);
+    assert.deepEqual((await colleague.get('/api/courses')).body.courses, []);
+    assert.deepEqual((await colleague.get('/api/assignments')).body.assignments, []);
+    const [assignment] = (await instructor.get('/api/assignments')).body.assignments;
+    assert.equal((await colleague.get(`/api/assignments/${assignment.id}`)).status, 403);
+    assert.equal((await colleague.post('/api/assignments', { courseId: assignment.courseId, name: '중간' })).status, 403);
+    assert.equal((await instructor.get('/api/admin/users')).status, 403);
+  });
+
+  test('admins see everything and manage accounts', async () => {
+    assert.equal((await server.get('/api/sessions')).body.sessions.length, 2);
+    const users = (await server.get('/api/admin/users')).body.users;
+    assert.equal(users.length, 5);
+
+    const promoted = await server.put(`/api/admin/users/${classmate.user.id}`, { role: 'instructor' });
+    assert.equal(promoted.body.user.role, 'instructor');
+    assert.equal((await server.put(`/api/admin/users/${server.user.id}`, { role: 'student' })).status, 400);
+    assert.equal((await server.put(`/api/admin/users/${student.user.id}`, { username: 'admin' })).status, 409);
+
+    await server.put(`/api/admin/users/${student.user.id}`, { disabled: true });
+    assert.equal((await student.get('/api/sessions')).status, 401);
+  });
+});
+
+describe('model and voice settings', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('admins change them at runtime and they are kept', async () => {
+    const { body } = await server.get('/api/admin/config');
+    assert.equal(body.config.llm.summary.model, 'gpt-test');
+    assert.equal(body.saved, null);
+
+    const changed = await server.put('/api/admin/config', {
+      llm: { summary: { model: 'gpt-test-large' } },
+      tts: { voiceId: 'voice-2' },
+    });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.config.llm.summary.model, 'gpt-test-large');
+    assert.equal(changed.body.config.llm.analyze.model, 'gpt-test');
+    assert.equal(changed.body.config.tts.voice, 'voice-2');
+    assert.deepEqual(changed.body.saved.llm, { summary: { model: 'gpt-test-large' } });
+
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    const { body: created } = await server.post('/api/sessions', { assignmentText });
+    server.openai.queue(readJsonFixture('openai/summary.response.json'));
+    await server.post('/api/summary', { sessionId: created.session.id });
+    assert.equal(server.openai.calls.responses.at(-1).model, 'gpt-test-large');
+
+    const res = await server.fetch('/api/tts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: '안녕하세요.', sessionId: created.session.id }),
+    });
+    await res.arrayBuffer();
+    assert.equal(server.elevenlabs.calls.at(-1).voiceId, 'voice-2');
+  });
+
+  test('refuse what cannot be built', async () => {
+    assert.equal((await server.put('/api/admin/config', { llm: { grading: { model: 'x' } } })).status, 400);
+    assert.equal((await server.put('/api/admin/config', { llm: { summary: { provider: 'acme' } } })).status, 400);
+    const broken = await server.put('/api/admin/config', { llm: { question: { provider: 'openai-compatible' } } });
+    assert.equal(broken.body.error, 'invalid_config');
+    assert.equal((await server.get('/api/admin/config')).body.config.llm.question.provider, 'responses');
+  });
+});
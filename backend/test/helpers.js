@@ -0,0 +1,247 @@
+import { readFileSync } from 'node:fs';
+import { createApp } from '../app.js';
+import { USERS, createUserRecord, issueToken } from '../lib/auth.js';
+import { createStore } from '../lib/store.js';
+import { createLLM, LLM_ENDPOINTS } from '../lib/llm/index.js';
+import { createMeter } from '../lib/metering.js';
+import { createRecordings } from '../lib/recordings.js';
+import { createSTT } from '../lib/stt/index.js';
+import { createTTS } from '../lib/tts/index.js';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+export function fixturePath(name) {
+  return new URL(name, FIXTURES);
+}
+
+export function readFixture(name) {
+  return readFileSync(fixturePath(name));
+}
+
+export function readJsonFixture(name) {
+  return JSON.parse(readFileSync(fixturePath(name), 'utf8'));
+}
+
+export const assignmentText = readFixture('assignment.txt').toString('utf8');
+
+// Stands in for the OpenAI SDK. Model replies are queued per test, in call
+// order; every request body is kept in `calls` for assertions. The
+// transcription can be a function of the request body.
+export function createFakeOpenAI() {
+  const replies = [];
+  const calls = { responses: [], transcriptions: [] };
+  let transcription = null;
+  return {
+    calls,
+    queue(...items) {
+      replies.push(...items);
+    },
+    setTranscription(value) {
+      transcription = value;
+    },
+    responses: {
+      async create(body) {
+        calls.responses.push(body);
+        const reply = replies.shift();
+        if (!reply) throw new Error('fake openai: no reply queued');
+        if (reply instanceof Error) throw reply;
+        const response = typeof reply === 'string' ? responseWithText(reply) : reply;
+        return body.stream ? streamEvents(response) : response;
+      },
+    },
+    audio: {
+      transcriptions: {
+        async create(body) {
+          calls.transcriptions.push(body);
+          if (!transcription) throw new Error('fake openai: no transcription set');
+          if (transcription instanceof Error) throw transcription;
+          return typeof transcription === 'function' ? transcription(body) : transcription;
+        },
+      },
+    },
+  };
+}
+
+// A Responses API body around raw model text, for malformed-output cases.
+export function responseWithText(text) {
+  return {
+    id: 'resp_inline',
+    object: 'response',
+    status: 'completed',
+    output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] }],
+  };
+}
+
+// The event stream `responses.create({ stream: true })` yields for a
+// recorded response: its text in small deltas, a millisecond apart, then the
+// completed response.
+async function* streamEvents(response, chunkSize = 7) {
+  const text = response.output
+    .filter((item) => item.type === 'message')
+    .flatMap((item) => item.content.map((part) => part.text))
+    .join('');
+  for (let i = 0; i < text.length; i += chunkSize) {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    yield { type: 'response.output_text.delta', delta: text.slice(i, i + chunkSize) };
+  }
+  yield { type: 'response.completed', response };
+}
+
+// Stands in for the ElevenLabs SDK: `convert` streams the audio in chunks
+// like the real client does.
+export function createFakeElevenLabs({ audio = readFixture('elevenlabs/question.mp3'), chunkSize = 128 } = {}) {
+  const calls = [];
+  let failure = null;
+  return {
+    calls,
+    fail(err) {
+      failure = err;
+    },
+    textToSpeech: {
+      async convert(voiceId, request) {
+        calls.push({ voiceId, ...request });
+        if (failure) throw failure;
+        return (async function* chunks() {
+          for (let i = 0; i < audio.length; i += chunkSize) yield audio.subarray(i, i + chunkSize);
+        })();
+      },
+    },
+  };
+}
+
+// A client for one signed-in account: every request carries its token.
+function createClient(baseUrl, token) {
+  const headers = (extra = {}) => (token ? { Authorization: `Bearer ${token}`, ...extra } : extra);
+  return {
+    token,
+    // fetch against the server with this account's token.
+    fetch(path, init = {}) {
+      return fetch(`${baseUrl}${path}`, { ...init, headers: headers(init.headers) });
+    },
+    async post(path, body, method = 'POST') {
+      const res = await this.fetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      return { status: res.status, body: res.status === 204 ? null : await res.json() };
+    },
+    async put(path, body) {
+      return this.post(path, body, 'PUT');
+    },
+    // Reads a Server-Sent Events response to the end. Non-stream (JSON)
+    // answers come back as `body` instead of `events`.
+    async postStream(path, body) {
+      const res = await this.fetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!res.headers.get('content-type')?.startsWith('text/event-stream')) {
+        return { status: res.status, body: await res.json() };
+      }
+      const events = (await res.text())
+        .split('\n\n')
+        .filter(Boolean)
+        .map((block) => {
+          const fields = Object.fromEntries(block.split('\n').map((line) => line.split(/: (.*)/s).slice(0, 2)));
+          return { event: fields.event, data: JSON.parse(fields.data) };
+        });
+      return { status: res.status, events };
+    },
+    async get(path) {
+      const res = await this.fetch(path);
+      return { status: res.status, body: await res.json() };
+    },
+    // Follows a GET event stream: `events` fills as they arrive and `ended`
+    // resolves once the server closes the stream.
+    async follow(path) {
+      const res = await this.fetch(path);
+      const events = [];
+      const ended = (async () => {
+        let buffer = '';
+        for await (const chunk of res.body.pipeThrough(new TextDecoderStream())) {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          for (const block of blocks.filter(Boolean)) {
+            const fields = Object.fromEntries(block.split('\n').map((line) => line.split(/: (.*)/s).slice(0, 2)));
+            events.push({ event: fields.event, data: JSON.parse(fields.data) });
+          }
+        }
+        return events;
+      })();
+      return { status: res.status, events, ended };
+    },
+  };
+}
+
+// `tts` replaces the ElevenLabs-backed TTS (e.g. with the local stand-in).
+// Each server gets its own in-memory audio cache and, configured by
+// `recordings` (createRecordings options), in-memory recordings. `limits`
+// (as from limitsConfigFromEnv) turns on rate limits and budgets; every call
+// is metered at the default prices, or at `prices`. The server
+// itself is a client signed in as an admin; `signIn` adds other accounts and
+// `anonymous` sends no token.
+export async function startServer({
+  openai = createFakeOpenAI(),
+  elevenlabs = createFakeElevenLabs(),
+  tts,
+  recordings = {},
+  mailer = null,
+  limits = null,
+  prices,
+  withClients = true,
+} = {}) {
+  const endpoints = Object.fromEntries(LLM_ENDPOINTS.map((endpoint) => [endpoint, { provider: 'responses', model: 'gpt-test' }]));
+  const store = createStore({ driver: 'memory' });
+  const llm = createLLM({ endpoints, openaiClient: withClients ? openai : null });
+  if (tts === undefined && withClients) {
+    tts = createTTS({ provider: 'elevenlabs', elevenlabsClient: elevenlabs, voiceId: 'voice-test', modelId: 'model-test' });
+  }
+  const app = createApp({
+    store,
+    llm,
+    stt: withClients ? createSTT({ openaiClient: openai }) : null,
+    tts: tts || null,
+    recordings: createRecordings({ store, ...recordings }),
+    mailer,
+    limits,
+    meter: createMeter({ store, prices }),
+    frontOrigins: ['http://front.test'],
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function signIn({ role = 'student', username = `${role}-${Math.random().toString(36).slice(2, 8)}`, ...rest } = {}) {
+    const user = await createUserRecord({ role, username, name: username, email: '', ...rest });
+    await store.insert(USERS, user);
+    return { user, ...createClient(baseUrl, await issueToken(store, user)) };
+  }
+
+  const admin = await signIn({ role: 'admin', username: 'admin' });
+  return {
+    ...admin,
+    baseUrl,
+    store,
+    llm,
+    openai,
+    elevenlabs,
+    signIn,
+    anonymous: createClient(baseUrl, null),
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// A new chat session on the sample assignment, for routes that need one
+// (speech is billed to a session). `client` defaults to the server's admin.
+export async function startSession(server, body = {}, client = server) {
+  server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+  const { status, body: created } = await client.post('/api/sessions', { assignmentText, interviewMode: 'chat', ...body });
+  if (status !== 201) throw new Error(`session not created (${status})`);
+  return created.session;
+}
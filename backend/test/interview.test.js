@@ -0,0 +1,350 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignmentText, readJsonFixture, responseWithText, startServer } from './helpers.js';
+
+const analyzeReply = () => readJsonFixture('openai/analyze.response.json');
+const firstQuestionReply = () => readJsonFixture('openai/question-first.response.json');
+const followupReply = () => readJsonFixture('openai/question-followup.response.json');
+const verifyReply = () => readJsonFixture('openai/verify.response.json');
+const summaryReply = () => readJsonFixture('openai/summary.response.json');
+
+async function createSession(server, overrides = {}) {
+  server.openai.queue(analyzeReply());
+  const { status, body } = await server.post('/api/sessions', {
+    assignmentText,
+    topicCount: 2,
+    topicDuration: 120,
+    interviewMode: 'chat',
+    ...overrides,
+  });
+  assert.equal(status, 201);
+  return body.session;
+}
+
+describe('POST /api/analyze', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('maps recorded topics onto sections and anchors their quotes', async () => {
+    server.openai.queue(analyzeReply());
+    const { status, body } = await server.post('/api/analyze', { assignmentText });
+    assert.equal(status, 200);
+    assert.equal(body.fallback, false);
+    assert.deepEqual(
+      body.analysis.topics.map((topic) => [topic.id, topic.sectionIds]),
+      [
+        ['t1', ['s2']],
+        ['t2', ['s3', 's4']],
+      ],
+    );
+    const [ref] = body.analysis.topics[1].refs;
+    assert.equal(ref.sectionId, 's3');
+    assert.equal(body.text.slice(ref.start, ref.end), ref.quote);
+    assert.deepEqual(
+      body.document.sections.map((section) => section.title),
+      ['1. 서론', '2. 자료와 방법', '3. 분석 결과', '4. 결론'],
+    );
+
+    const [request] = server.openai.calls.responses.slice(-1);
+    assert.equal(request.model, 'gpt-test');
+    assert.deepEqual(request.text, { format: { type: 'json_object' } });
+    assert.match(request.input[1].content, /\[s3\] 3\. 분석 결과/);
+  });
+
+  test('accepts topics wrapped in a code fence with prose around it', async () => {
+    server.openai.queue(
+      responseWithText('분석 결과입니다.\n```json\n{"topics": [{"id": "t1", "title": "녹지와 기온", "sectionIds": ["s3"]}]}\n```'),
+    );
+    const { body } = await server.post('/api/analyze', { assignmentText });
+    assert.deepEqual(
+      body.analysis.topics.map((topic) => [topic.title, topic.sectionIds]),
+      [['녹지와 기온', ['s3']]],
+    );
+  });
+
+  test('falls back to a single topic when the reply is not JSON', async () => {
+    server.openai.queue(responseWithText('{"topics": [{"id": "t1", "title": "잘린 응답'));
+    const { status, body } = await server.post('/api/analyze', { assignmentText });
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.analysis.topics.map((topic) => topic.title),
+      ['주제 1'],
+    );
+    assert.ok(body.analysis.topics[0].sectionIds.length > 0);
+  });
+
+  test('rejects a request without a document', async () => {
+    const { status } = await server.post('/api/analyze', {});
+    assert.equal(status, 400);
+  });
+
+  test('reports extraction errors by code', async () => {
+    const { status, body } = await server.post('/api/analyze', {
+      fileBase64: Buffer.from([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x01, 0x00, 0x01, 0x00]).toString('base64'),
+      fileName: 'image.gif',
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'unsupported_format');
+  });
+});
+
+describe('POST /api/question', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('asks the first question from the topic sections and locates its quote', async () => {
+    const session = await createSession(server);
+    server.openai.queue(firstQuestionReply());
+    const { status, body } = await server.post('/api/question', { sessionId: session.id });
+    assert.equal(status, 200);
+    assert.match(body.question, /야간 기온을 고른 이유/);
+    assert.equal(body.topicIndex, 0);
+    assert.equal(body.running, true);
+    assert.equal(body.timeLeft, 120);
+    assert.equal(body.refs[0].sectionId, 's2');
+    assert.equal(body.refs[0].quote, '야간 최저기온을 자치구별로 정리하였다.');
+
+    // Only the current topic's sections go to the model.
+    const prompt = server.openai.calls.responses.at(-1).input[1].content;
+    assert.match(prompt, /2\. 자료와 방법/);
+    assert.doesNotMatch(prompt, /4\. 결론/);
+  });
+
+  test('returns the pending question instead of asking twice', async () => {
+    const session = await createSession(server);
+    server.openai.queue(firstQuestionReply());
+    const first = await server.post('/api/question', { sessionId: session.id });
+    const callsBefore = server.openai.calls.responses.length;
+    const again = await server.post('/api/question', { sessionId: session.id });
+    assert.equal(again.body.question, first.body.question);
+    assert.equal(server.openai.calls.responses.length, callsBefore);
+  });
+
+  test('stores an answer once when the client retries with the same answerId', async () => {
+    const session = await createSession(server);
+    server.openai.queue(firstQuestionReply());
+    await server.post('/api/question', { sessionId: session.id });
+
+    server.openai.queue(followupReply());
+    const answer = { sessionId: session.id, studentAnswer: '낮에는 차이가 잘 안 보여서요.', answerId: 'answer-1' };
+    const first = await server.post('/api/question', answer);
+    const retry = await server.post('/api/question', answer);
+    assert.equal(first.status, 200);
+    assert.equal(retry.body.question, first.body.question);
+
+    const { body } = await server.get(`/api/sessions/${session.id}`);
+    const turns = body.session.topics[0].turns;
+    assert.deepEqual(
+      turns.map((turn) => turn.role),
+      ['ai', 'student', 'ai'],
+    );
+    assert.equal(turns[1].answerId, 'answer-1');
+  });
+
+  test('keeps the answer when generation fails and reuses it on retry', async () => {
+    const session = await createSession(server);
+    server.openai.queue(firstQuestionReply());
+    await server.post('/api/question', { sessionId: session.id });
+
+    server.openai.queue(new Error('upstream 502'));
+    const answer = { sessionId: session.id, studentAnswer: '기준은 평균값으로 정했습니다.', answerId: 'answer-2' };
+    const failed = await server.post('/api/question', answer);
+    assert.equal(failed.status, 500);
+    assert.equal(failed.body.error, 'question_failed');
+
+    server.openai.queue(followupReply());
+    const retried = await server.post('/api/question', answer);
+    assert.equal(retried.status, 200);
+    const { body } = await server.get(`/api/sessions/${session.id}`);
+    assert.equal(body.session.topics[0].turns.filter((turn) => turn.role === 'student').length, 1);
+  });
+
+  test('uses a plain-text reply as the question when it is not JSON', async () => {
+    const session = await createSession(server);
+    server.openai.queue(responseWithText('자료를 어디서 찾으셨나요?'));
+    const { body } = await server.post('/api/question', { sessionId: session.id });
+    assert.equal(body.question, '자료를 어디서 찾으셨나요?');
+    assert.deepEqual(body.refs, []);
+  });
+
+  test('rejects unknown sessions', async () => {
+    const { status, body } = await server.post('/api/question', { sessionId: 'missing' });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'session_not_found');
+  });
+});
+
+describe('POST /api/summary', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  async function interviewedSession() {
+    const session = await createSession(server);
+    server.openai.queue(firstQuestionReply(), followupReply());
+    await server.post('/api/question', { sessionId: session.id });
+    await server.post('/api/question', {
+      sessionId: session.id,
+      studentAnswer: '낮에는 건물 그늘 때문에 차이가 잘 안 보여서 야간 기온을 골랐습니다.',
+      answerId: 'answer-1',
+    });
+    return session;
+  }
+
+  test('evaluates a fenced reply, keeps verbatim evidence and completes the session', async () => {
+    const session = await interviewedSession();
+    server.openai.queue(verifyReply(), summaryReply());
+    const { status, body } = await server.post('/api/summary', { sessionId: session.id });
+    assert.equal(status, 200);
+    assert.equal(body.fallback, false);
+    assert.equal(body.summary.verdict, '직접 작성');
+    // The source claim the student never made is dropped.
+    assert.deepEqual(
+      body.summary.claims.map((item) => [item.kind, item.status]),
+      [['reason', 'not_found']],
+    );
+    assert.deepEqual(
+      body.summary.topics.map((topic) => [topic.topicId, topic.evidence.length]),
+      [
+        ['t1', 1],
+        ['t2', 0],
+      ],
+    );
+
+    const stored = await server.get(`/api/sessions/${session.id}`);
+    assert.equal(stored.body.session.status, 'completed');
+    assert.equal(stored.body.session.summary.verdict, '직접 작성');
+
+    // A stored summary is returned without another model call.
+    const callsBefore = server.openai.calls.responses.length;
+    const again = await server.post('/api/summary', { sessionId: session.id });
+    assert.equal(again.body.summary.overallComment, body.summary.overallComment);
+    assert.equal(server.openai.calls.responses.length, callsBefore);
+  });
+
+  test('does not persist an evaluation that could not be parsed', async () => {
+    const session = await interviewedSession();
+    server.openai.queue(verifyReply(), responseWithText('평가를 완료했습니다. 직접 작성한 것으로 보입니다.'));
+    const { status, body } = await server.post('/api/summary', { sessionId: session.id });
+    assert.equal(status, 200);
+    assert.equal(body.summary.verdict, '평가 불가');
+    assert.match(body.summary.weaknesses[0], /요약 생성에 실패/);
+
+    const stored = await server.get(`/api/sessions/${session.id}`);
+    assert.equal(stored.body.session.status, 'completed');
+    assert.equal(stored.body.session.summary, null);
+
+    server.openai.queue(verifyReply(), summaryReply());
+    const retried = await server.post('/api/summary', { sessionId: session.id });
+    assert.equal(retried.body.summary.verdict, '직접 작성');
+  });
+
+  test('normalizes free-form verdicts', async () => {
+    const session = await interviewedSession();
+    const reply = summaryReply();
+    const text = reply.output[1].content[0].text.replace('"verdict": "직접 작성"', '"verdict": "AI 생성 후 검토한 것으로 보임"');
+    server.openai.queue(verifyReply(), responseWithText(text));
+    const { body } = await server.post('/api/summary', { sessionId: session.id });
+    assert.equal(body.summary.verdict, 'AI 생성 후 검토');
+  });
+
+  test('keeps every answer and closes every fence when the report and answers are long', async () => {
+    const filler = '녹지와 기온의 관계를 다시 정리하면 다음과 같다. '.repeat(600);
+    const session = await createSession(server, { assignmentText: `${assignmentText}\n${filler}` });
+    server.openai.queue(firstQuestionReply(), followupReply(), followupReply());
+    await server.post('/api/question', { sessionId: session.id });
+    const long = '야간 기온을 고른 이유를 다시 설명드리면 '.repeat(800);
+    await server.post('/api/question', { sessionId: session.id, studentAnswer: long, answerId: 'answer-1' });
+    const last = '마지막으로 기상청 자료를 다시 확인했습니다.';
+    await server.post('/api/question', { sessionId: session.id, studentAnswer: last, answerId: 'answer-2' });
+
+    const claims = [{ topicId: 't1', kind: 'source', claim: last, status: 'consistent', documentQuote: '기상청 방재기상관측 자료' }];
+    server.openai.queue(responseWithText(JSON.stringify({ claims })), summaryReply());
+    await server.post('/api/summary', { sessionId: session.id });
+
+    const [verify, summary] = server.openai.calls.responses.slice(-2);
+    for (const { content } of [verify.input[1], summary.input[1]]) {
+      assert.ok(content.includes(last));
+      assert.ok(!content.includes(long));
+      const opened = content.match(/<답변 [0-9a-f]+>/g).length;
+      assert.equal(content.match(/<\/답변 [0-9a-f]+>/g).length, opened);
+    }
+    assert.match(summary.input[1].content, /답변·본문 대조 결과:\n- \[주제 t1\] 출처 · 본문과 일치/);
+  });
+
+  test('cross-checks answer claims against the document before the evaluation', async () => {
+    const session = await createSession(server);
+    server.openai.queue(firstQuestionReply(), followupReply());
+    await server.post('/api/question', { sessionId: session.id });
+    await server.post('/api/question', {
+      sessionId: session.id,
+      studentAnswer:
+        '녹지 비율 30% 이상인 구를 기준으로 봤고, 녹지 비율은 서울시 도시생태현황도에서 가져왔어요. 기온 차이는 평균 일 점 삼 도였어요.',
+      answerId: 'answer-1',
+    });
+
+    const claim = (topicId, kind, text, status, documentQuote) => ({ topicId, kind, claim: text, status, documentQuote, note: '' });
+    const claims = [
+      claim('t1', 'number', '녹지 비율 30% 이상인 구를 기준으로 봤고', 'contradicts', '녹지 비율이 20% 이상인 자치구는'),
+      claim('t1', 'source', '녹지 비율은 서울시 도시생태현황도에서 가져왔어요', 'consistent', '녹지 비율은 서울시 도시생태현황도에서 가져왔다.'),
+      claim('t1', 'number', '30%', 'consistent', '녹지 비율이 20% 이상인 자치구는'),
+      claim('t1', 'example', '서울시 도시생태현황도', 'consistent', '부산시 녹지 현황 자료'),
+      // A number said in words, as a transcribed answer has it.
+      claim('t1', 'number', '기온 차이는 평균 일 점 삼 도였어요', 'consistent', '야간 최저기온이 평균 1.3도 낮았다'),
+    ];
+    server.openai.queue(responseWithText(JSON.stringify({ claims })), summaryReply());
+    const { body } = await server.post('/api/summary', { sessionId: session.id });
+
+    assert.deepEqual(
+      body.summary.claims.map((item) => [item.kind, item.status, item.refs.map((ref) => ref.sectionId)]),
+      [
+        ['number', 'contradicts', ['s3']],
+        ['source', 'consistent', ['s2']],
+        ['number', 'not_found', []],
+        ['example', 'not_found', []],
+        ['number', 'consistent', ['s3']],
+      ],
+    );
+    const [verify, summary] = server.openai.calls.responses.slice(-2);
+    assert.match(verify.input[0].content, /사실 주장/);
+    assert.match(summary.input[0].content, /답변·본문 대조 결과/);
+    assert.match(summary.input[1].content, /답변·본문 대조 결과:\n- \[주제 t1\] 수치 · 본문과 모순: /);
+  });
+});
+
+describe('without model clients', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ withClients: false });
+  });
+  after(() => server.close());
+
+  test('runs the interview on fallback replies', async () => {
+    const created = await server.post('/api/sessions', { assignmentText, interviewMode: 'chat' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.fallback, true);
+    const sessionId = created.body.session.id;
+
+    const question = await server.post('/api/question', { sessionId });
+    assert.equal(question.body.fallback, true);
+    assert.ok(question.body.question);
+
+    const summary = await server.post('/api/summary', { sessionId });
+    assert.equal(summary.body.fallback, true);
+    assert.equal(summary.body.summary.verdict, '평가 불가');
+  });
+
+  test('reports the missing keys on /health', async () => {
+    const { body } = await server.get('/health');
+    assert.equal(body.hasApiKey, false);
+    assert.equal(body.llm.question.available, false);
+  });
+});
@@ -0,0 +1,164 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAssignmentSettings } from '../lib/assignments.js';
+import { normalizeInviteCode, validateRoster } from '../lib/invites.js';
+import { assignmentText, readJsonFixture, startServer } from './helpers.js';
+
+describe('invite helpers', () => {
+  test('settle assignment settings and rosters', () => {
+    assert.deepEqual(normalizeAssignmentSettings(undefined), { topicCount: 3, topicDuration: 180, modes: ['chat', 'voice'] });
+    assert.deepEqual(normalizeAssignmentSettings({ topicCount: 1, topicDuration: 60, modes: ['voice', 'video'] }), {
+      topicCount: 1,
+      topicDuration: 60,
+      modes: ['voice'],
+    });
+    assert.deepEqual(normalizeAssignmentSettings({ modes: [] }).modes, ['chat', 'voice']);
+    assert.equal(normalizeInviteCode(' abcd-2345 '), 'ABCD2345');
+    assert.deepEqual(validateRoster([{ name: ' 김민지 ', studentNumber: 20241234 }]).value, [
+      { name: '김민지', studentNumber: '' },
+    ]);
+    assert.equal(validateRoster([]).error, 'students_required');
+    assert.equal(validateRoster([{ studentNumber: '1' }]).error, 'student_name_required');
+    assert.equal(validateRoster(Array(201).fill({ name: 'a' })).error, 'too_many_students');
+  });
+});
+
+describe('courses and invites', () => {
+  let server;
+  let course;
+  let assignment;
+  let invites;
+  before(async () => {
+    server = await startServer();
+    course = (await server.post('/api/courses', { name: '도시환경', term: '2026-2' })).body.course;
+    const created = await server.post('/api/assignments', {
+      courseId: course.id,
+      name: '기말 보고서',
+      settings: { topicCount: 1, topicDuration: 120, modes: ['chat'] },
+    });
+    assert.equal(created.status, 201);
+    assignment = created.body.assignment;
+    const roster = await server.post(`/api/assignments/${assignment.id}/invites`, {
+      students: [
+        { name: '김민지', studentNumber: '20241234' },
+        { name: '박서준', studentNumber: '20245678' },
+      ],
+    });
+    assert.equal(roster.status, 201);
+    invites = roster.body.invites;
+  });
+  after(() => server.close());
+
+  test('courses are unique per term and list their assignments', async () => {
+    assert.equal((await server.post('/api/courses', { name: '도시환경', term: '2026-2' })).status, 409);
+    assert.equal((await server.post('/api/courses', { term: '2026-2' })).status, 400);
+    assert.equal((await server.post('/api/courses', { name: '도시환경', term: '2027-1' })).status, 201);
+    assert.equal((await server.get('/api/courses')).body.courses.length, 2);
+
+    const { body } = await server.get(`/api/courses/${course.id}`);
+    assert.deepEqual(body.assignments.map((item) => item.id), [assignment.id]);
+    assert.equal(assignment.course, '도시환경');
+    assert.deepEqual(assignment.settings, { topicCount: 1, topicDuration: 120, modes: ['chat'] });
+    assert.equal((await server.get('/api/courses/missing')).status, 404);
+    assert.equal((await server.post('/api/assignments', { courseId: 'missing', name: 'a' })).status, 400);
+  });
+
+  test('give each student a code that opens the assignment settings', async () => {
+    assert.equal(invites.length, 2);
+    assert.notEqual(invites[0].code, invites[1].code);
+    assert.match(invites[0].code, /^[A-HJ-NP-Z2-9]{8}$/);
+    assert.equal((await server.post(`/api/assignments/${assignment.id}/invites`, { students: [] })).status, 400);
+    assert.equal((await server.post('/api/assignments/missing/invites', { students: [{ name: 'a' }] })).status, 404);
+
+    const code = invites[0].code.toLowerCase();
+    const { body } = await server.get(`/api/invites/${code.slice(0, 4)}-${code.slice(4)}`);
+    assert.deepEqual(body.invite, {
+      code: invites[0].code,
+      student: { name: '김민지' },
+      course: '도시환경',
+      assignment: '기말 보고서',
+      settings: { topicCount: 1, topicDuration: 120, modes: ['chat'] },
+    });
+    assert.equal((await server.get('/api/invites/NOPE2345')).status, 404);
+  });
+
+  test('sessions started from an invite follow the assignment and name the student', async () => {
+    const { code } = invites.find((invite) => invite.student.name === '김민지');
+    const refused = await server.post('/api/sessions', { assignmentText, inviteCode: code, interviewMode: 'voice' });
+    assert.equal(refused.status, 400);
+    assert.deepEqual(refused.body, { error: 'mode_not_allowed', modes: ['chat'] });
+    assert.equal((await server.post('/api/sessions', { assignmentText, inviteCode: 'NOPE2345' })).status, 404);
+
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    const { status, body } = await server.post('/api/sessions', {
+      assignmentText,
+      inviteCode: code,
+      interviewMode: 'chat',
+      topicCount: 3,
+      topicDuration: 60,
+      course: '다른 과목',
+    });
+    assert.equal(status, 201);
+    assert.equal(body.session.topics.length, 1);
+    assert.equal(body.session.topics[0].duration, 120);
+    assert.equal(body.session.course, '도시환경');
+    assert.equal(body.session.assignmentId, assignment.id);
+
+    const listed = await server.get(`/api/sessions?assignmentId=${assignment.id}`);
+    assert.deepEqual(
+      listed.body.sessions.map((item) => [item.id, item.student]),
+      [[body.session.id, '김민지']],
+    );
+
+    const roster = (await server.get(`/api/assignments/${assignment.id}/invites`)).body.invites;
+    assert.deepEqual(
+      roster.map((invite) => [invite.student.name, invite.sessions, invite.latest?.id || null]),
+      [
+        ['김민지', 1, body.session.id],
+        ['박서준', 0, null],
+      ],
+    );
+  });
+
+  test('students cannot name an assignment without an invite', async () => {
+    const student = await server.signIn({ role: 'student' });
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    const analysis = await student.post('/api/analyze', { assignmentText, assignmentId: assignment.id });
+    assert.equal(analysis.body.analysis.rubric, null);
+
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    const { status, body } = await student.post('/api/sessions', {
+      assignmentText,
+      assignmentId: assignment.id,
+      interviewMode: 'voice',
+      topicCount: 2,
+      student: { name: '김민지' },
+    });
+    assert.equal(status, 201);
+    assert.equal(body.session.assignmentId, null);
+    assert.equal(body.session.topics.length, 2);
+    assert.equal(body.session.student, null);
+  });
+
+  test('invites are claimed only by a student whose session is accepted', async () => {
+    const { code } = invites.find((invite) => invite.student.name === '박서준');
+    const student = await server.signIn({ role: 'student' });
+    const refused = await student.post('/api/sessions', { assignmentText, inviteCode: code, interviewMode: 'voice' });
+    assert.equal(refused.body.error, 'mode_not_allowed');
+
+    const instructor = await server.signIn({ role: 'instructor' });
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    const tried = await instructor.post('/api/sessions', { assignmentText, inviteCode: code, interviewMode: 'chat' });
+    assert.equal(tried.status, 201);
+
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    const started = await student.post('/api/sessions', { assignmentText, inviteCode: code, interviewMode: 'chat' });
+    assert.equal(started.status, 201);
+    assert.equal(started.body.session.student.name, '박서준');
+
+    const other = await server.signIn({ role: 'student' });
+    const taken = await other.post('/api/sessions', { assignmentText, inviteCode: code, interviewMode: 'chat' });
+    assert.equal(taken.status, 403);
+    assert.equal(taken.body.error, 'invite_taken');
+  });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonRelaxed, partialJsonString, safeParseJson } from '../lib/json.js';
+import { readJsonFixture } from './helpers.js';
+
+const cases = readJsonFixture('malformed-json.json');
+
+for (const { name, text, strict, relaxed } of cases) {
+  test(`safeParseJson: ${name}`, () => {
+    assert.deepEqual(safeParseJson(text), strict);
+  });
+
+  test(`parseJsonRelaxed: ${name}`, () => {
+    assert.deepEqual(parseJsonRelaxed(text), relaxed);
+  });
+}
+
+test('parseJsonRelaxed returns null for missing input', () => {
+  assert.equal(parseJsonRelaxed(undefined), null);
+  assert.equal(parseJsonRelaxed(null), null);
+});
+
+test('partialJsonString follows a value as it streams in', () => {
+  const reply = '{"question": "과제에서 \\"열섬\\"이라고\\n쓰셨는데요", "quote": "열섬"}';
+  const seen = [];
+  for (let i = 1; i <= reply.length; i += 1) seen.push(partialJsonString(reply.slice(0, i), 'question'));
+  assert.equal(seen[5], null);
+  assert.equal(seen.at(-1), '과제에서 "열섬"이라고\n쓰셨는데요');
+  // Each step extends the previous one: a cut-off escape is never emitted half-decoded.
+  const values = seen.filter((value) => value !== null);
+  values.slice(1).forEach((value, idx) => assert.ok(value.startsWith(values[idx])));
+});
+
+test('partialJsonString decodes \\u escapes once complete', () => {
+  assert.equal(partialJsonString('{"question": "\\uD5', 'question'), '');
+  assert.equal(partialJsonString('{"question": "\\uD55C\\uAE00"', 'question'), '한글');
+});
@@ -0,0 +1,151 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, limitsConfigFromEnv } from '../lib/limits.js';
+import { assignmentText, readJsonFixture, startServer, startSession } from './helpers.js';
+
+describe('limits helpers', () => {
+  test('read rates and budgets from the environment', () => {
+    const defaults = limitsConfigFromEnv({});
+    assert.equal(defaults.windowMs, 60_000);
+    assert.deepEqual(defaults.rates, { ip: 600, user: 120, session: 120 });
+    assert.deepEqual(defaults.budgets.assignment, { tokens: 0, ttsChars: 0 });
+    assert.equal(defaults.trustProxy, false);
+
+    const set = limitsConfigFromEnv({ RATE_LIMIT_PER_USER: '0', BUDGET_ASSIGNMENT_TOKENS: '50000', TRUST_PROXY: '1' });
+    assert.equal(set.rates.user, 0);
+    assert.equal(set.budgets.assignment.tokens, 50_000);
+    assert.equal(set.trustProxy, 1);
+    assert.throws(() => limitsConfigFromEnv({ RATE_LIMIT_PER_IP: 'lots' }), /whole number/);
+  });
+
+  test('count requests in fixed windows', () => {
+    let now = 0;
+    const limiter = createRateLimiter({ windowMs: 10_000, now: () => now });
+    assert.deepEqual([1, 2, 3].map(() => limiter.take('user:a', 2)), [0, 0, 10]);
+    assert.equal(limiter.take('user:b', 2), 0);
+    assert.equal(limiter.take('user:c', 0), 0);
+    now = 4_000;
+    assert.equal(limiter.take('user:a', 2), 6);
+    now = 10_000;
+    assert.equal(limiter.take('user:a', 2), 0);
+  });
+});
+
+describe('rate limits', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ limits: limitsConfigFromEnv({ RATE_LIMIT_PER_IP: '8', RATE_LIMIT_PER_USER: '2' }) });
+  });
+  after(() => server.close());
+
+  test('refuse paid requests past the account rate, and any request past the address rate', async () => {
+    const other = await server.signIn();
+    assert.equal((await server.post('/api/tts', {})).status, 400);
+    assert.equal((await server.post('/api/tts', {})).status, 400);
+    const limited = await server.post('/api/tts', {});
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'rate_limited');
+    assert.equal(limited.body.scope, 'user');
+    assert.ok(limited.body.retryAfter > 0);
+    assert.equal((await other.post('/api/tts', {})).status, 400);
+    // Free routes are not counted against the account; every request so
+    // far counted against the address.
+    for (let i = 5; i <= 8; i += 1) assert.equal((await server.get('/api/auth/me')).status, 200);
+    const blocked = await server.anonymous.post('/api/auth/login', { username: 'admin', password: 'x' });
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.scope, 'ip');
+    const res = await server.fetch('/api/auth/me');
+    await res.arrayBuffer();
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+  });
+});
+
+describe('session rate', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ limits: limitsConfigFromEnv({ RATE_LIMIT_PER_SESSION: '2' }) });
+  });
+  after(() => server.close());
+
+  test('counts only requests from the student taking the interview', async () => {
+    const student = await server.signIn();
+    const stranger = await server.signIn();
+    const session = await startSession(server, {}, student);
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal((await stranger.post('/api/question', { sessionId: session.id })).status, 403);
+      assert.equal((await stranger.post('/api/summary', { sessionId: session.id })).status, 403);
+    }
+
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    assert.equal((await student.post('/api/question', { sessionId: session.id })).status, 200);
+    assert.equal((await student.post('/api/question', { sessionId: session.id })).status, 200);
+    const res = await student.fetch('/api/question', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: session.id }),
+    });
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).scope, 'session');
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+  });
+});
+
+describe('budgets', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      limits: limitsConfigFromEnv({
+        BUDGET_SESSION_TOKENS: '2200',
+        BUDGET_SESSION_TTS_CHARS: '10',
+        BUDGET_ASSIGNMENT_TOKENS: '2200',
+      }),
+    });
+  });
+  after(() => server.close());
+
+  test('stop questions once the session has spent its tokens, but still evaluate it', async () => {
+    // The analysis reply reports 2100 tokens.
+    const session = await startSession(server);
+    const callsBefore = server.openai.calls.responses.length;
+    const refused = await server.post('/api/question', { sessionId: session.id });
+    assert.equal(refused.status, 429);
+    assert.deepEqual(refused.body, { error: 'budget_exceeded', scope: 'session', resource: 'tokens' });
+    const streamed = await server.post('/api/question/stream', { sessionId: session.id });
+    assert.equal(streamed.status, 429);
+    assert.equal(server.openai.calls.responses.length, callsBefore);
+
+    server.openai.queue(readJsonFixture('openai/summary.response.json'));
+    const { status, body } = await server.post('/api/summary', { sessionId: session.id });
+    assert.equal(status, 200);
+    assert.equal(body.summary.verdict, '직접 작성');
+    const spent = await server.store.get('budgets', `session:${session.id}`);
+    assert.equal(spent.tokens, 2100 + 2700);
+  });
+
+  test('count speech characters against the session', async () => {
+    const session = await startSession(server);
+    const speak = (text) =>
+      server.fetch('/api/tts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, sessionId: session.id }),
+      });
+    const first = await speak('질문입니다.');
+    await first.arrayBuffer();
+    assert.equal(first.status, 200);
+    const second = await speak('이유를 말씀해 주세요.');
+    assert.equal(second.status, 429);
+    assert.deepEqual(await second.json(), { error: 'budget_exceeded', scope: 'session', resource: 'ttsChars' });
+  });
+
+  test('stop analysis once the assignment has spent its tokens', async () => {
+    const { body } = await server.post('/api/assignments', { name: '도시 열섬 보고서' });
+    const assignmentId = body.assignment.id;
+    await startSession(server, { assignmentId });
+    const refused = await server.post('/api/sessions', { assignmentText, assignmentId, interviewMode: 'chat' });
+    assert.equal(refused.status, 429);
+    assert.deepEqual(refused.body, { error: 'budget_exceeded', scope: 'assignment', resource: 'tokens' });
+    const spent = await server.store.get('budgets', `assignment:${assignmentId}`);
+    assert.equal(spent.tokens, 2100);
+  });
+});
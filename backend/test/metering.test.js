@@ -0,0 +1,228 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { LLM_ENDPOINTS, createLLM } from '../lib/llm/index.js';
+import { DEFAULT_PRICES, meteringConfigFromEnv, priceCall, usageReport } from '../lib/metering.js';
+import { readJsonFixture, startServer, startSession } from './helpers.js';
+
+describe('metering helpers', () => {
+  test('price calls per million tokens, thousand characters and minute of audio', () => {
+    const prices = {
+      currency: 'USD',
+      llm: { 'gpt-test': { input: 2, output: 8 } },
+      tts: { '*': 0.5 },
+      stt: { 'whisper-1': 0.006 },
+    };
+    assert.equal(priceCall(prices, { kind: 'llm', model: 'gpt-test', inputTokens: 1_000_000, outputTokens: 500_000 }), 6);
+    assert.equal(priceCall(prices, { kind: 'tts', model: 'any-voice-model', characters: 2000 }), 1);
+    assert.equal(priceCall(prices, { kind: 'stt', model: 'whisper-1', audioSeconds: 90 }), 0.009);
+    assert.equal(priceCall(prices, { kind: 'llm', provider: 'responses', model: 'gpt-unknown', inputTokens: 10 }), null);
+    assert.equal(priceCall(prices, { kind: 'llm', provider: 'openai-compatible', model: 'llama', inputTokens: 10 }), 0);
+  });
+
+  test('take the usage of a streamed chat reply from its last chunk', async () => {
+    const requests = [];
+    const chunks = [
+      { choices: [{ delta: { content: '어디서 ' } }] },
+      { choices: [{ delta: { content: '찾으셨나요?' } }] },
+      { choices: [], usage: { prompt_tokens: 900, completion_tokens: 12 } },
+    ];
+    const openaiClient = {
+      chat: {
+        completions: {
+          async create(body) {
+            requests.push(body);
+            return (async function* replay() {
+              yield* chunks;
+            })();
+          },
+        },
+      },
+    };
+    const endpoints = Object.fromEntries(LLM_ENDPOINTS.map((endpoint) => [endpoint, { provider: 'chat', model: 'gpt-test' }]));
+    const llm = createLLM({ endpoints, openaiClient });
+    const deltas = [];
+    const call = await llm.stream('question', { messages: [{ role: 'user', content: '질문' }], onDelta: (delta) => deltas.push(delta) });
+    assert.deepEqual(requests[0].stream_options, { include_usage: true });
+    assert.equal(call.text, '어디서 찾으셨나요?');
+    assert.equal(deltas.length, 2);
+    assert.deepEqual(call.usage, { inputTokens: 900, outputTokens: 12 });
+  });
+
+  test('lay a price file over the defaults', () => {
+    assert.equal(meteringConfigFromEnv({}).prices, DEFAULT_PRICES);
+    const dir = mkdtempSync(path.join(tmpdir(), 'prices-'));
+    const file = path.join(dir, 'prices.json');
+    writeFileSync(file, JSON.stringify({ currency: 'KRW', llm: { 'gpt-5.1': { input: 1800, output: 14000 } } }));
+    const { prices } = meteringConfigFromEnv({ PRICES_FILE: file });
+    assert.equal(prices.currency, 'KRW');
+    assert.deepEqual(prices.llm['gpt-5.1'], { input: 1800, output: 14000 });
+    assert.deepEqual(prices.llm['gpt-5-mini'], DEFAULT_PRICES.llm['gpt-5-mini']);
+    assert.deepEqual(prices.tts, DEFAULT_PRICES.tts);
+    assert.throws(() => meteringConfigFromEnv({ PRICES_FILE: path.join(dir, 'missing.json') }), /PRICES_FILE/);
+  });
+
+  test('group spend by course, assignment and day', () => {
+    const call = (day, fields) => ({
+      day,
+      kind: 'llm',
+      inputTokens: 0,
+      outputTokens: 0,
+      characters: 0,
+      audioSeconds: 0,
+      latencyMs: 100,
+      ...fields,
+    });
+    const calls = [
+      call('2026-03-01', { sessionId: 's1', assignmentId: 'a1', cost: 0.5 }),
+      call('2026-03-02', { sessionId: 's1', assignmentId: 'a1', cost: 0.25, kind: 'tts', characters: 40 }),
+      call('2026-03-02', { sessionId: 's2', assignmentId: null, cost: 0.1 }),
+      call('2026-03-02', { sessionId: 's3', assignmentId: null, cost: null, latencyMs: 300 }),
+      call('2026-03-05', { sessionId: 's4', assignmentId: 'a1', cost: 9 }),
+    ];
+    const report = usageReport(calls, {
+      from: '2026-03-01',
+      to: '2026-03-02',
+      courses: [{ id: 'c1', name: '환경과학', term: '2026-1' }],
+      assignments: [{ id: 'a1', courseId: 'c1', name: '열섬 보고서' }],
+      sessions: [
+        { id: 's2', course: '도시계획', assignment: '녹지 과제' },
+        { id: 's3', course: '도시계획', assignment: '녹지 과제' },
+      ],
+    });
+
+    assert.equal(report.total.calls, 4);
+    assert.equal(report.total.cost, 0.85);
+    assert.equal(report.total.unpricedCalls, 1);
+    assert.equal(report.total.sessions, 3);
+    assert.equal(report.total.latencyMs, 150);
+    assert.deepEqual(
+      report.byCourse.map((row) => [row.course, row.courseId, row.cost, row.sessions, row.costPerSession]),
+      [
+        ['환경과학 (2026-1)', 'c1', 0.75, 1, 0.75],
+        ['도시계획', null, 0.1, 2, 0.05],
+      ],
+    );
+    assert.deepEqual(
+      report.byAssignment.map((row) => [row.assignment, row.course, row.calls]),
+      [
+        ['열섬 보고서', '환경과학 (2026-1)', 2],
+        ['녹지 과제', '도시계획', 2],
+      ],
+    );
+    assert.deepEqual(
+      report.byDay.map((row) => [row.day, row.calls]),
+      [
+        ['2026-03-01', 1],
+        ['2026-03-02', 3],
+      ],
+    );
+    assert.deepEqual(
+      report.byKind.map((row) => [row.kind, row.calls, row.characters]),
+      [
+        ['llm', 3, 0],
+        ['tts', 1, 40],
+      ],
+    );
+  });
+});
+
+describe('usage metering', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      prices: {
+        currency: 'USD',
+        llm: { 'gpt-test': { input: 2, output: 8 } },
+        tts: { 'model-test': 0.5 },
+        stt: { 'whisper-1': 0.006 },
+      },
+    });
+  });
+  after(() => server.close());
+
+  test('record model, speech and transcription calls and report them to admins', async () => {
+    const session = await startSession(server, { course: '환경과학', assignment: '열섬 보고서' });
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    assert.equal((await server.post('/api/question', { sessionId: session.id })).status, 200);
+
+    const speech = await server.fetch('/api/tts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: '질문입니다.', sessionId: session.id }),
+    });
+    await speech.arrayBuffer();
+    assert.equal(speech.status, 200);
+
+    server.openai.setTranscription({ text: '야간 기온을 골랐습니다.', duration: 30 });
+    const form = new FormData();
+    form.append('sessionId', session.id);
+    form.append('audio', new Blob([Buffer.from('webm-bytes')], { type: 'audio/webm' }), 'answer.webm');
+    const transcribed = await server.fetch('/api/stt', { method: 'POST', body: form });
+    await transcribed.json();
+    assert.equal(transcribed.status, 200);
+
+    const calls = await server.store.list('usage');
+    assert.deepEqual(
+      calls.map((call) => [call.kind, call.endpoint, call.model, call.cost]),
+      [
+        ['llm', 'analyze', 'gpt-test', 0.006],
+        ['llm', 'question', 'gpt-test', 0.00456],
+        ['tts', 'tts', 'model-test', 0.003],
+        ['stt', 'stt', 'whisper-1', 0.003],
+      ],
+    );
+    assert.ok(calls.every((call) => call.sessionId === session.id && call.latencyMs >= 0));
+    assert.deepEqual([calls[1].inputTokens, calls[1].outputTokens], [1800, 120]);
+    assert.equal(calls[2].characters, 6);
+    assert.equal(calls[3].audioSeconds, 30);
+
+    const { status, body } = await server.get('/api/admin/usage');
+    assert.equal(status, 200);
+    assert.equal(body.report.currency, 'USD');
+    assert.equal(body.report.total.calls, 4);
+    assert.equal(body.report.total.cost, 0.01656);
+    assert.equal(body.report.total.costPerSession, 0.01656);
+    assert.deepEqual(
+      body.report.byCourse.map((row) => [row.course, row.calls]),
+      [['환경과학', 4]],
+    );
+    assert.deepEqual(
+      body.report.byAssignment.map((row) => row.assignment),
+      ['열섬 보고서'],
+    );
+
+    const later = await server.get('/api/admin/usage?from=2999-01-01');
+    assert.equal(later.body.report.total.calls, 0);
+    assert.equal((await server.get('/api/admin/usage?from=yesterday')).status, 400);
+  });
+
+  test('a cached sentence is metered but costs nothing', async () => {
+    const session = await startSession(server);
+    const speak = async () => {
+      const res = await server.fetch('/api/tts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: '다시 말씀해 주세요.', sessionId: session.id }),
+      });
+      await res.arrayBuffer();
+    };
+    await speak();
+    await speak();
+    const speeches = (await server.store.list('usage', { sessionId: session.id })).filter((call) => call.kind === 'tts');
+    assert.deepEqual(
+      speeches.map((call) => [call.characters, call.cachedCharacters, call.cost]),
+      [
+        [11, 0, 0.0055],
+        [0, 11, 0],
+      ],
+    );
+  });
+
+  test('only admins see the usage report', async () => {
+    const instructor = await server.signIn({ role: 'instructor' });
+    assert.equal((await instructor.get('/api/admin/usage')).status, 403);
+  });
+});
@@ -0,0 +1,157 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignmentText, readFixture, readJsonFixture, responseWithText, startServer } from './helpers.js';
+
+const analyzed = JSON.stringify({
+  topics: [
+    { id: 't1', title: '녹지 비율과 야간 기온 자료 정리', sectionIds: ['s2'], quotes: [] },
+    { id: 't2', title: '분석 결과와 예외 지역', sectionIds: ['s3'], quotes: [] },
+    { id: 't3', title: '정책 제안', sectionIds: ['s4'], quotes: [] },
+  ],
+});
+
+const pinned = '자료를 자치구별로 정리할 때 어떤 기준으로 나누셨나요?';
+
+describe('interview plans', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  async function createPlan(reply = responseWithText(analyzed)) {
+    server.openai.queue(reply);
+    const { status, body } = await server.post('/api/plans', {
+      assignmentText,
+      topicCount: 2,
+      topicDuration: 120,
+      interviewMode: 'chat',
+      course: '도시환경',
+      assignment: '기말 보고서',
+    });
+    assert.equal(status, 201);
+    return body.plan;
+  }
+
+  test('keep the analysis for review with the rest as suggestions', async () => {
+    const plan = await createPlan();
+    assert.equal(plan.status, 'draft');
+    assert.deepEqual(plan.topics.map((t) => t.id), ['t1', 't2']);
+    assert.deepEqual(plan.suggestions.map((t) => t.id), ['t3']);
+    assert.equal(plan.topicDuration, 120);
+    assert.equal(plan.shareToken, null);
+    assert.equal('document' in plan, false);
+    const { body } = await server.get('/api/plans');
+    assert.equal(body.plans.find((row) => row.id === plan.id).topicCount, 2);
+  });
+
+  test('are edited, locked and started from the shared link', async () => {
+    const plan = await createPlan();
+    const edit = {
+      topics: [
+        { id: 't3', title: '녹지 확대 정책의 한계', pinnedQuestions: [] },
+        { title: '조사 과정에서 어려웠던 점', pinnedQuestions: [] },
+        { id: 't1', title: '자료 정리', pinnedQuestions: [pinned, '  '] },
+      ],
+      topicDuration: 60,
+    };
+    const { body } = await server.put(`/api/plans/${plan.id}`, edit);
+    assert.deepEqual(body.plan.topics.map((t) => [t.id, t.title]), [
+      ['t3', '녹지 확대 정책의 한계'],
+      ['u1', '조사 과정에서 어려웠던 점'],
+      ['t1', '자료 정리'],
+    ]);
+    assert.deepEqual(body.plan.topics[0].sectionIds, ['s4']);
+    assert.deepEqual(body.plan.topics[2].pinnedQuestions, [pinned]);
+    assert.deepEqual(body.plan.suggestions.map((t) => t.id), ['t2']);
+
+    const locked = await server.post(`/api/plans/${plan.id}/lock`);
+    assert.equal(locked.body.plan.status, 'locked');
+    const token = locked.body.plan.shareToken;
+    assert.ok(token.length >= 20);
+    assert.equal((await server.post(`/api/plans/${plan.id}/lock`)).body.plan.shareToken, token);
+    assert.equal((await server.put(`/api/plans/${plan.id}`, edit)).status, 409);
+
+    const shared = await server.get(`/api/share/${token}`);
+    assert.deepEqual(shared.body.plan, {
+      course: '도시환경',
+      assignment: '기말 보고서',
+      interviewMode: 'chat',
+      topicCount: 3,
+      topicDuration: 60,
+    });
+
+    const started = await server.post(`/api/share/${token}/sessions`, {});
+    assert.equal(started.status, 201);
+    const { session } = started.body;
+    assert.equal(session.planId, plan.id);
+    assert.deepEqual(session.topics.map((t) => t.title), ['녹지 확대 정책의 한계', '조사 과정에서 어려웠던 점', '자료 정리']);
+    assert.equal(session.topics[0].duration, 60);
+    assert.equal('pinnedQuestions' in session.topics[2], false);
+    assert.equal((await server.get('/api/share/unknown')).status, 404);
+  });
+
+  test('ask pinned questions before generated ones', async () => {
+    const plan = await createPlan();
+    await server.put(`/api/plans/${plan.id}`, {
+      topics: [{ id: 't1', title: '자료 정리', pinnedQuestions: [pinned] }],
+    });
+    const { body: lockedBody } = await server.post(`/api/plans/${plan.id}/lock`);
+    const { body } = await server.post(`/api/share/${lockedBody.plan.shareToken}/sessions`, {});
+    const sessionId = body.session.id;
+
+    const calls = server.openai.calls.responses.length;
+    const first = await server.post('/api/question', { sessionId });
+    assert.equal(first.body.question, pinned);
+    assert.equal(server.openai.calls.responses.length, calls);
+
+    server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+    const followup = await server.post('/api/question', { sessionId, studentAnswer: '구별 경계를 그대로 썼습니다.', answerId: 'a1' });
+    assert.notEqual(followup.body.question, pinned);
+    assert.equal(server.openai.calls.responses.length, calls + 1);
+
+    const { body: stored } = await server.get(`/api/sessions/${sessionId}`);
+    assert.equal(stored.session.topics[0].turns[0].pinned, true);
+    assert.equal(stored.session.topics[0].turns[2].pinned, undefined);
+  });
+
+  test('stream a pinned question like a generated one', async () => {
+    const plan = await createPlan();
+    await server.put(`/api/plans/${plan.id}`, {
+      topics: [{ id: 't1', title: '자료 정리', pinnedQuestions: [pinned] }],
+    });
+    const { body: lockedBody } = await server.post(`/api/plans/${plan.id}/lock`);
+    const { body } = await server.post(`/api/share/${lockedBody.plan.shareToken}/sessions`, {});
+    const { events } = await server.postStream('/api/question/stream', { sessionId: body.session.id });
+    assert.deepEqual(events.map((e) => e.event), ['delta', 'done']);
+    assert.equal(events[1].data.question, pinned);
+  });
+
+  test('refuse to lock fallback topics and to take invalid edits', async () => {
+    const plan = await createPlan(responseWithText('not json'));
+    assert.deepEqual(plan.topics.map((t) => t.title), ['주제 1']);
+    assert.equal((await server.post(`/api/plans/${plan.id}/lock`)).body.error, 'placeholder_topic');
+
+    const put = (body) => server.put(`/api/plans/${plan.id}`, body);
+    assert.equal((await put({ topics: [] })).body.error, 'topics_required');
+    assert.equal((await put({ topics: Array(4).fill({ title: 'a' }) })).body.error, 'too_many_topics');
+    assert.equal((await put({ topics: [{ title: ' ' }] })).body.error, 'topic_title_required');
+    assert.equal((await put({ topics: [{ title: 'a', pinnedQuestions: ['1', '2', '3', '4'] }] })).body.error, 'too_many_pinned_questions');
+    assert.equal((await server.put('/api/plans/missing', { topics: [{ title: 'a' }] })).status, 404);
+
+    await put({ topics: [{ id: 't1', title: '자료 정리 과정' }] });
+    assert.equal((await server.post(`/api/plans/${plan.id}/lock`)).status, 200);
+  });
+
+  test('share the uploaded file with the sessions started from them', async () => {
+    const fileBase64 = readFixture('assignment.txt').toString('base64');
+    server.openai.queue(responseWithText(analyzed));
+    const { body } = await server.post('/api/plans', { fileBase64, fileName: 'report.txt' });
+    await server.post(`/api/plans/${body.plan.id}/lock`);
+    const token = (await server.get(`/api/plans/${body.plan.id}`)).body.plan.shareToken;
+    const { body: started } = await server.post(`/api/share/${token}/sessions`, {});
+    const res = await server.fetch(`/api/sessions/${started.session.id}/source`);
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), assignmentText);
+  });
+});
@@ -0,0 +1,178 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignmentText, readFixture, readJsonFixture, startServer } from './helpers.js';
+
+const audio = readFixture('elevenlabs/question.mp3').toString('base64');
+
+async function createSession(server, interviewMode) {
+  server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+  const { body } = await server.post('/api/sessions', { assignmentText, topicDuration: 120, interviewMode });
+  return body.session;
+}
+
+function eventsNamed(events, name) {
+  return events.filter((event) => event.event === name).map((event) => event.data);
+}
+
+describe('POST /api/question/stream (chat)', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('streams the question text and ends with the /api/question body', async () => {
+    const session = await createSession(server, 'chat');
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    const { status, events } = await server.postStream('/api/question/stream', { sessionId: session.id });
+    assert.equal(status, 200);
+
+    const deltas = eventsNamed(events, 'delta');
+    const [done] = eventsNamed(events, 'done');
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.map((delta) => delta.text).join(''), done.question);
+    assert.match(done.question, /^과제에서 "야간 최저기온을/);
+    assert.equal(done.refs[0].sectionId, 's2');
+    assert.equal(done.running, true);
+    assert.equal(done.spoken, false);
+    assert.deepEqual(eventsNamed(events, 'audio'), []);
+    assert.equal(events.at(-1).event, 'done');
+    assert.equal(server.openai.calls.responses.at(-1).stream, true);
+
+    const stored = await server.get(`/api/sessions/${session.id}`);
+    assert.equal(stored.body.session.topics[0].turns[0].text, done.question);
+  });
+
+  test('replays a pending question without calling the model', async () => {
+    const session = await createSession(server, 'chat');
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    const first = await server.post('/api/question', { sessionId: session.id });
+    const callsBefore = server.openai.calls.responses.length;
+
+    const { events } = await server.postStream('/api/question/stream', { sessionId: session.id });
+    assert.deepEqual(eventsNamed(events, 'delta'), [{ text: first.body.question }]);
+    assert.equal(eventsNamed(events, 'done')[0].question, first.body.question);
+    assert.equal(server.openai.calls.responses.length, callsBefore);
+  });
+
+  test('streams a plain-text reply as is', async () => {
+    const session = await createSession(server, 'chat');
+    server.openai.queue('자료는 어디서 찾으셨나요?');
+    const { events } = await server.postStream('/api/question/stream', { sessionId: session.id });
+    assert.equal(eventsNamed(events, 'delta').map((delta) => delta.text).join(''), '자료는 어디서 찾으셨나요?');
+  });
+
+  test('sends an error event when generation fails, keeping the answer', async () => {
+    const session = await createSession(server, 'chat');
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'), new Error('upstream 502'));
+    await server.post('/api/question', { sessionId: session.id });
+    const answer = { sessionId: session.id, studentAnswer: '낮에는 차이가 잘 안 보여서요.', answerId: 'answer-1' };
+    const { status, events } = await server.postStream('/api/question/stream', answer);
+    assert.equal(status, 200);
+    assert.deepEqual(events, [{ event: 'error', data: { error: 'question_failed' } }]);
+
+    server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+    const retried = await server.postStream('/api/question/stream', answer);
+    assert.match(eventsNamed(retried.events, 'done')[0].question, /20%/);
+    const stored = await server.get(`/api/sessions/${session.id}`);
+    assert.deepEqual(
+      stored.body.session.topics[0].turns.map((turn) => turn.role),
+      ['ai', 'student', 'ai'],
+    );
+  });
+
+  test('answers validation failures with JSON and a status code', async () => {
+    const { status, body } = await server.postStream('/api/question/stream', { sessionId: 'missing' });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'session_not_found');
+  });
+
+  test('answers 500 when storing the answer fails, on both question routes', async () => {
+    const session = await createSession(server, 'chat');
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    await server.post('/api/question', { sessionId: session.id });
+
+    const { update } = server.store;
+    server.store.update = async () => {
+      throw new Error('disk full');
+    };
+    try {
+      const answer = { sessionId: session.id, studentAnswer: '평균값으로 정했습니다.', answerId: 'answer-1' };
+      const plain = await server.post('/api/question', answer);
+      assert.equal(plain.status, 500);
+      assert.equal(plain.body.error, 'question_failed');
+      const streamed = await server.postStream('/api/question/stream', answer);
+      assert.equal(streamed.status, 500);
+      assert.equal(streamed.body.error, 'question_failed');
+    } finally {
+      server.store.update = update;
+    }
+  });
+});
+
+describe('POST /api/question/stream (voice)', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('synthesizes each sentence and sends the audio in order before done', async () => {
+    const session = await createSession(server, 'voice');
+    server.openai.queue(readJsonFixture('openai/question-voice.response.json'));
+    const { events } = await server.postStream('/api/question/stream', { sessionId: session.id });
+
+    const clips = eventsNamed(events, 'audio');
+    assert.deepEqual(
+      clips.map(({ index, text }) => [index, text]),
+      [
+        [0, '과제에서 야간 최저기온을 자치구별로 정리하셨는데요.'],
+        [1, '낮 기온이 아니라 야간 기온을 고른 이유를 말씀해 주세요.'],
+      ],
+    );
+    assert.ok(clips.every((clip) => clip.audio === audio));
+    assert.deepEqual(
+      server.elevenlabs.calls.map((call) => call.text),
+      clips.map((clip) => clip.text),
+    );
+
+    // The first sentence is spoken before the question has finished streaming.
+    const firstAudio = events.findIndex((event) => event.event === 'audio');
+    const lastDelta = events.findLastIndex((event) => event.event === 'delta');
+    assert.ok(firstAudio < lastDelta);
+
+    const [done] = eventsNamed(events, 'done');
+    assert.equal(done.spoken, true);
+    assert.equal(events.at(-1).event, 'done');
+  });
+
+  test('caches each sentence, so reading the question through /api/tts costs no synthesis', async () => {
+    const session = await createSession(server, 'voice');
+    server.openai.queue(readJsonFixture('openai/question-voice.response.json'));
+    const { events } = await server.postStream('/api/question/stream', { sessionId: session.id });
+    const callsBefore = server.elevenlabs.calls.length;
+
+    const res = await server.fetch(`/api/tts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: eventsNamed(events, 'done')[0].question, sessionId: session.id }),
+    });
+    assert.equal((await res.arrayBuffer()).byteLength, readFixture('elevenlabs/question.mp3').length * 2);
+    assert.equal(server.elevenlabs.calls.length, callsBefore);
+  });
+
+  test('stops sending audio after a failed sentence and reports spoken: false', async () => {
+    // A fresh server, so the sentences are not in its audio cache yet.
+    const fresh = await startServer();
+    try {
+      const session = await createSession(fresh, 'voice');
+      fresh.elevenlabs.fail(new Error('quota exceeded'));
+      fresh.openai.queue(readJsonFixture('openai/question-voice.response.json'));
+      const { events } = await fresh.postStream('/api/question/stream', { sessionId: session.id });
+      assert.deepEqual(eventsNamed(events, 'audio'), []);
+      assert.equal(eventsNamed(events, 'done')[0].spoken, false);
+    } finally {
+      await fresh.close();
+    }
+  });
+});
@@ -0,0 +1,179 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createBlobStore } from '../lib/blobs.js';
+import { createRecordings, recordingsConfigFromEnv } from '../lib/recordings.js';
+import { createStore } from '../lib/store.js';
+import { assignmentText, readFixture, readJsonFixture, startServer } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const answerAudio = Buffer.from('webm answer audio '.repeat(20));
+
+async function createSession(server, interviewMode = 'voice') {
+  server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+  const { body } = await server.post('/api/sessions', { assignmentText, topicDuration: 120, interviewMode });
+  return body.session;
+}
+
+// A voice session with its first question and one answer stored.
+async function answeredSession(server, answerId = 'answer-1') {
+  const session = await createSession(server);
+  server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+  await server.post('/api/question', { sessionId: session.id });
+  server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+  await server.post('/api/question', { sessionId: session.id, studentAnswer: '야간 기온이 더 차이가 커서요.', answerId });
+  return session;
+}
+
+function upload(server, sessionId, answerId, body = answerAudio, type = 'audio/webm;codecs=opus') {
+  return server.fetch(`/api/sessions/${sessionId}/recordings?answerId=${answerId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': type },
+    body,
+  });
+}
+
+describe('answer recordings', () => {
+  let server;
+  let clock;
+  before(async () => {
+    clock = Date.now();
+    server = await startServer({ recordings: { retentionDays: 30, now: () => clock } });
+  });
+  after(() => server.close());
+
+  test('keeps the audio on the answer turn and plays it back', async () => {
+    const session = await answeredSession(server);
+    const res = await upload(server, session.id, 'answer-1');
+    assert.equal(res.status, 201);
+    const { audio } = await res.json();
+    assert.equal(audio.contentType, 'audio/webm');
+    assert.equal(audio.bytes, answerAudio.length);
+    assert.equal(Date.parse(audio.expiresAt), clock + 30 * DAY_MS);
+
+    const { body } = await server.get(`/api/sessions/${session.id}`);
+    const answer = body.session.topics[0].turns.find((turn) => turn.role === 'student');
+    assert.deepEqual(answer.audio, audio);
+
+    const played = await server.fetch(`/api/sessions/${session.id}/recordings/${audio.id}`);
+    assert.equal(played.status, 200);
+    assert.equal(played.headers.get('content-type'), 'audio/webm');
+    assert.equal(played.headers.get('accept-ranges'), 'bytes');
+    assert.deepEqual(Buffer.from(await played.arrayBuffer()), answerAudio);
+
+    const ranged = await server.fetch(`/api/sessions/${session.id}/recordings/${audio.id}`, {
+      headers: { Range: 'bytes=5-9' },
+    });
+    assert.equal(ranged.status, 206);
+    assert.equal(ranged.headers.get('content-range'), `bytes 5-9/${answerAudio.length}`);
+    assert.deepEqual(Buffer.from(await ranged.arrayBuffer()), answerAudio.subarray(5, 10));
+
+    // Audio elements send a media token in the query; it opens nothing else.
+    const media = await server.post('/api/auth/media-token', {});
+    assert.equal(media.status, 201);
+    const query = `access_token=${media.body.token}`;
+    const linked = await server.anonymous.fetch(`/api/sessions/${session.id}/recordings/${audio.id}?${query}`);
+    assert.equal(linked.status, 200);
+    await linked.arrayBuffer();
+    assert.equal((await server.anonymous.get(`/api/sessions/${session.id}?${query}`)).status, 401);
+    const bearer = await server.anonymous.fetch('/api/auth/me', { headers: { Authorization: `Bearer ${media.body.token}` } });
+    assert.equal(bearer.status, 401);
+
+    // A retried upload does not store the answer twice.
+    const retry = await upload(server, session.id, 'answer-1', Buffer.from('other audio'));
+    assert.equal(retry.status, 200);
+    assert.deepEqual((await retry.json()).audio, audio);
+  });
+
+  test('rejects uploads that do not belong to a stored answer', async () => {
+    const session = await answeredSession(server);
+    assert.equal((await upload(server, session.id, 'missing')).status, 404);
+    assert.equal((await upload(server, 'missing', 'answer-1')).status, 404);
+    assert.equal((await upload(server, session.id, 'answer-1', Buffer.from('{}'), 'application/json')).status, 400);
+    assert.equal((await upload(server, session.id, '')).status, 400);
+    const res = await server.fetch(`/api/sessions/${session.id}/recordings/missing`);
+    assert.equal(res.status, 404);
+  });
+
+  test('answers 410 once the retention period has passed', async () => {
+    const session = await answeredSession(server);
+    const { audio } = await (await upload(server, session.id, 'answer-1')).json();
+    clock += 31 * DAY_MS;
+    try {
+      const res = await server.fetch(`/api/sessions/${session.id}/recordings/${audio.id}`);
+      assert.equal(res.status, 410);
+    } finally {
+      clock -= 31 * DAY_MS;
+    }
+  });
+});
+
+describe('question recordings', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ recordings: { recordTts: true } });
+  });
+  after(() => server.close());
+
+  test('keeps the streamed question audio with RECORD_TTS', async () => {
+    const session = await createSession(server);
+    server.openai.queue(readJsonFixture('openai/question-voice.response.json'));
+    await server.postStream('/api/question/stream', { sessionId: session.id });
+
+    // The audio is stored after the stream has ended.
+    let question;
+    for (let attempt = 0; attempt < 50 && !question?.audio; attempt += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      question = (await server.get(`/api/sessions/${session.id}`)).body.session.topics[0].turns[0];
+    }
+    assert.equal(question.audio?.contentType, 'audio/mpeg');
+    const played = await server.fetch(`/api/sessions/${session.id}/recordings/${question.audio.id}`);
+    const clip = readFixture('elevenlabs/question.mp3');
+    assert.deepEqual(Buffer.from(await played.arrayBuffer()), Buffer.concat([clip, clip]));
+  });
+});
+
+describe('createRecordings', () => {
+  test('sweeps expired recordings out of the store and the blob store', async () => {
+    let now = 0;
+    const store = createStore({ driver: 'memory' });
+    const blobs = createBlobStore({ driver: 'memory' });
+    const recordings = createRecordings({ store, blobs, retentionDays: 1, now: () => now });
+    const kept = await recordings.save({ sessionId: 's1', kind: 'answer', audio: Buffer.from('a'), contentType: 'audio/webm' });
+    now = 2 * DAY_MS;
+    assert.equal(await recordings.open('s1', kept.id), null);
+    assert.equal(await recordings.sweep(), 1);
+    assert.deepEqual(await store.list('recordings'), []);
+    assert.equal(await blobs.get(`recordings/s1/${kept.id}.webm`), null);
+  });
+
+  test('is off with zero retention and rejects a bad period', () => {
+    const store = createStore({ driver: 'memory' });
+    assert.equal(createRecordings({ store, retentionDays: 0 }), null);
+    assert.throws(() => createRecordings({ store, retentionDays: Number('ninety') }), /RECORDING_RETENTION_DAYS/);
+    const config = recordingsConfigFromEnv({ RECORDING_RETENTION_DAYS: '30', RECORD_TTS: 'true', BLOB_STORE: 'memory' });
+    assert.equal(config.retentionDays, 30);
+    assert.equal(config.recordTts, true);
+    assert.equal(config.blobs.driver, 'memory');
+    assert.equal(recordingsConfigFromEnv({}).retentionDays, 180);
+  });
+});
+
+describe('createBlobStore', () => {
+  test('fs driver keeps blobs on disk and refuses keys outside its directory', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'blobs-'));
+    try {
+      const blobs = createBlobStore({ driver: 'fs', dir });
+      await blobs.put('recordings/s1/r1.webm', answerAudio);
+      assert.deepEqual(await createBlobStore({ driver: 'fs', dir }).get('recordings/s1/r1.webm'), answerAudio);
+      assert.equal(await blobs.remove('recordings/s1/r1.webm'), true);
+      assert.equal(await blobs.get('recordings/s1/r1.webm'), null);
+      await assert.rejects(blobs.put('../escape.webm', answerAudio), /invalid blob key/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+    assert.throws(() => createBlobStore({ driver: 's3' }), /unknown blob store driver/);
+  });
+});
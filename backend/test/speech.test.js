@@ -0,0 +1,216 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSentenceChunker } from '../lib/speech.js';
+import { createTTS } from '../lib/tts/index.js';
+import { silenceFrames } from '../lib/tts/local.js';
+import { readFixture, readJsonFixture, startServer, startSession } from './helpers.js';
+
+const audio = readFixture('elevenlabs/question.mp3');
+
+describe('POST /api/tts', () => {
+  let server;
+  let sessionId;
+  before(async () => {
+    server = await startServer();
+    sessionId = (await startSession(server)).id;
+  });
+  after(() => server.close());
+
+  test('streams the synthesized audio back as one mp3 body', async () => {
+    const res = await server.fetch(`/api/tts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: '야간 기온을 고른 이유가 있나요?', sessionId }),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'audio/mpeg');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), audio);
+    assert.deepEqual(server.elevenlabs.calls.at(-1), {
+      voiceId: 'voice-test',
+      text: '야간 기온을 고른 이유가 있나요?',
+      modelId: 'model-test',
+      outputFormat: 'mp3_44100_128',
+    });
+  });
+
+  test('streams longer text sentence by sentence and serves repeats from the cache', async () => {
+    const text = '과제에서 야간 최저기온을 자치구별로 정리하셨는데요. 낮 기온이 아니라 야간 기온을 고른 이유를 말씀해 주세요.';
+    const request = () =>
+      server.fetch(`/api/tts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, sessionId }),
+      });
+    const callsBefore = server.elevenlabs.calls.length;
+    const res = await request();
+    assert.equal(res.headers.get('content-length'), null);
+    assert.equal(res.headers.get('transfer-encoding'), 'chunked');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), Buffer.concat([audio, audio]));
+    assert.deepEqual(
+      server.elevenlabs.calls.slice(callsBefore).map((call) => call.text),
+      ['과제에서 야간 최저기온을 자치구별로 정리하셨는데요.', '낮 기온이 아니라 야간 기온을 고른 이유를 말씀해 주세요.'],
+    );
+
+    const again = await request();
+    assert.deepEqual(Buffer.from(await again.arrayBuffer()), Buffer.concat([audio, audio]));
+    assert.equal(server.elevenlabs.calls.length, callsBefore + 2);
+  });
+
+  test('truncates long text to 5000 characters', async () => {
+    await server.fetch(`/api/tts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: '가'.repeat(6000), sessionId }),
+    });
+    assert.equal(server.elevenlabs.calls.at(-1).text.length, 5000);
+  });
+
+  test('requires text and the session it is read in', async () => {
+    assert.equal((await server.post('/api/tts', { sessionId })).status, 400);
+    const { status, body } = await server.post('/api/tts', { text: '질문' });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'sessionId is required');
+    assert.equal((await server.post('/api/tts', { text: '질문', sessionId: 'missing' })).status, 404);
+    const other = await server.signIn();
+    assert.equal((await other.post('/api/tts', { text: '질문', sessionId })).status, 403);
+  });
+
+  test('reports upstream failures', async () => {
+    server.elevenlabs.fail(Object.assign(new Error('quota exceeded'), { body: { status: 'quota_exceeded' } }));
+    const { status, body } = await server.post('/api/tts', { text: '질문', sessionId });
+    assert.equal(status, 500);
+    assert.equal(body.error, 'tts_failed');
+  });
+});
+
+describe('POST /api/tts (local stand-in)', () => {
+  let server;
+  let sessionId;
+  before(async () => {
+    server = await startServer({ tts: createTTS({ provider: 'local' }) });
+    sessionId = (await startSession(server)).id;
+  });
+  after(() => server.close());
+
+  test('answers with silent mp3 frames about as long as the text', async () => {
+    const text = '야간 기온을 고른 이유가 있나요?';
+    const res = await server.fetch(`/api/tts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, sessionId }),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'audio/mpeg');
+    const body = Buffer.from(await res.arrayBuffer());
+    assert.equal(body.length, silenceFrames(text) * 417);
+    assert.deepEqual([...body.subarray(0, 4)], [0xff, 0xfb, 0x90, 0xc0]);
+    assert.equal(server.elevenlabs.calls.length, 0);
+  });
+
+  test('reports the provider on /health', async () => {
+    const { body } = await server.get('/health');
+    assert.deepEqual(body.tts, { provider: 'local', voice: 'silence', model: 'silence', cache: 'memory' });
+  });
+});
+
+describe('POST /api/stt', () => {
+  let server;
+  let sessionId;
+  before(async () => {
+    server = await startServer();
+    sessionId = (await startSession(server)).id;
+  });
+  after(() => server.close());
+
+  function upload(fields) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries({ sessionId, ...fields })) {
+      if (value instanceof Blob) form.append(key, value, 'answer.webm');
+      else form.append(key, value);
+    }
+    return server.fetch(`/api/stt`, { method: 'POST', body: form });
+  }
+
+  test('transcribes the uploaded audio in Korean with the context prompt', async () => {
+    server.openai.setTranscription(readJsonFixture('openai/transcription.json'));
+    const res = await upload({
+      audio: new Blob([Buffer.from('webm-bytes')], { type: 'audio/webm' }),
+      context: `녹지 비율 ${'가'.repeat(600)}`,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), readJsonFixture('openai/transcription.json'));
+
+    const request = server.openai.calls.transcriptions.at(-1);
+    assert.equal(request.model, 'whisper-1');
+    assert.equal(request.language, 'ko');
+    assert.equal(request.prompt.length, 500);
+    assert.equal(request.file.type, 'audio/webm');
+    assert.equal(await request.file.text(), 'webm-bytes');
+  });
+
+  test('requires an audio file and the session it answers', async () => {
+    const res = await upload({ context: '없음' });
+    assert.equal(res.status, 400);
+    const form = new FormData();
+    form.append('audio', new Blob([Buffer.from('x')], { type: 'audio/webm' }), 'answer.webm');
+    const unbilled = await server.fetch(`/api/stt`, { method: 'POST', body: form });
+    assert.equal(unbilled.status, 400);
+    assert.equal((await unbilled.json()).error, 'sessionId is required');
+  });
+
+  test('reports transcription failures', async () => {
+    server.openai.setTranscription(new Error('invalid file format'));
+    const res = await upload({ audio: new Blob([Buffer.from('x')], { type: 'audio/webm' }) });
+    assert.equal(res.status, 500);
+    assert.equal((await res.json()).error, 'stt_failed');
+  });
+});
+
+describe('speech without clients', () => {
+  let server;
+  let sessionId;
+  before(async () => {
+    server = await startServer({ withClients: false });
+    sessionId = (await startSession(server)).id;
+  });
+  after(() => server.close());
+
+  test('answers 503 when ElevenLabs is not configured', async () => {
+    const { status } = await server.post('/api/tts', { text: '질문', sessionId });
+    assert.equal(status, 503);
+  });
+
+  test('answers 503 when OpenAI is not configured', async () => {
+    const form = new FormData();
+    form.append('audio', new Blob([Buffer.from('x')], { type: 'audio/webm' }), 'answer.webm');
+    form.append('sessionId', sessionId);
+    const res = await server.fetch(`/api/stt`, { method: 'POST', body: form });
+    assert.equal(res.status, 503);
+  });
+});
+
+describe('createSentenceChunker', () => {
+  function chunk(text, size) {
+    const chunker = createSentenceChunker();
+    const sentences = [];
+    for (let i = 0; i < text.length; i += size) sentences.push(...chunker.push(text.slice(i, i + size)));
+    return [...sentences, ...chunker.flush()];
+  }
+
+  test('emits each sentence once it is complete, however the text is split', () => {
+    const text = '녹지 비율이 평균 1.3도 낮았다고 쓰셨는데요. 이 수치는 어디서 찾으셨나요? 말씀해 주세요!';
+    const expected = ['녹지 비율이 평균 1.3도 낮았다고 쓰셨는데요.', '이 수치는 어디서 찾으셨나요?', '말씀해 주세요!'];
+    for (const size of [1, 3, 8, text.length]) assert.deepEqual(chunk(text, size), expected);
+  });
+
+  test('joins very short sentences with the next one', () => {
+    assert.deepEqual(chunk('네. 좋습니다. 그럼 다음 질문으로 넘어가 볼까요?', 4), ['네. 좋습니다. 그럼 다음 질문으로 넘어가 볼까요?']);
+  });
+
+  test('waits for the end of a run of punctuation', () => {
+    const chunker = createSentenceChunker();
+    assert.deepEqual(chunker.push('정말 그렇게 생각하셨나요?'), []);
+    assert.deepEqual(chunker.push('! 이유를 알려 주세요.'), ['정말 그렇게 생각하셨나요?!']);
+    assert.deepEqual(chunker.flush(), ['이유를 알려 주세요.']);
+  });
+});
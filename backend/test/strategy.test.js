@@ -0,0 +1,190 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_FOLLOW_UP_DEPTH,
+  freshQuestion,
+  normalizeAssessment,
+  normalizeMove,
+  overFollowUpCap,
+  planNextMove,
+  strategyContext,
+  strategyReport,
+} from '../lib/strategy.js';
+import { assignmentText, readJsonFixture, responseWithText, startServer, startSession } from './helpers.js';
+
+const ai = (move) => ({ role: 'ai', text: '질문', ...(move ? { move } : {}) });
+const student = (label) => ({ role: 'student', text: '답변', ...(label ? { assessment: { label, note: '' } } : {}) });
+
+describe('strategy helpers', () => {
+  test('keep only known moves and assessment labels', () => {
+    assert.equal(normalizeMove('figure'), 'figure');
+    assert.equal(normalizeMove('interrogate'), null);
+    assert.equal(normalizeAssessment('vague', `  ${'근거 없음 '.repeat(60)}`).note.length, 200);
+    assert.deepEqual(normalizeAssessment('specific'), { label: 'specific', note: '' });
+    assert.equal(normalizeAssessment('great', '좋음'), null);
+  });
+
+  test('start a topic with a number from the text', () => {
+    assert.deepEqual(planNextMove({ turns: [] }), { first: true, followUps: true, depth: 0, fresh: 'figure' });
+    assert.match(strategyContext({ turns: [] }), /쓴 전략: 없음\n추천 전략: figure로 시작한다\./);
+  });
+
+  test('follow a weak answer up, but only so many times in a row', () => {
+    const topic = { turns: [ai('figure'), student('vague'), ai('drill_down'), student()] };
+    assert.match(strategyContext(topic), /쓴 전략: figure\(모호함\), drill_down\(평가 전\)/);
+    assert.match(strategyContext(topic), /vague이면 drill_down, contradicts이면 contradiction, off_topic이면 refocus, specific이면 alternative/);
+
+    const deep = { turns: [ai('figure'), student('vague'), ai('drill_down'), student('vague'), ai('drill_down'), student()] };
+    assert.equal(planNextMove(deep).depth, MAX_FOLLOW_UP_DEPTH);
+    assert.match(strategyContext(deep), /같은 지점을 2번 이어서 물었으므로 최신 답변이 어떻든 alternative로 넘어간다/);
+    assert.equal(overFollowUpCap(topic, 'drill_down'), false);
+    assert.equal(overFollowUpCap(deep, 'refocus'), true);
+    assert.equal(overFollowUpCap(deep, 'example'), false);
+    assert.equal(freshQuestion(deep).move, 'alternative');
+    assert.match(freshQuestion(deep).question, /쓰지 않은 자료나 방법/);
+
+    const used = { turns: ['figure', 'alternative', 'example', 'wording', 'stance', 'figure'].map((move) => ai(move)) };
+    assert.equal(freshQuestion(used).move, 'alternative');
+  });
+
+  test('tally how often each move drew a specific answer', () => {
+    const session = {
+      topics: [
+        { turns: [ai('figure'), student('vague'), ai('drill_down'), student('specific'), ai('alternative')] },
+        { turns: [ai('figure'), student('specific'), ai(), student()] },
+      ],
+    };
+    assert.deepEqual(strategyReport(session), [
+      { move: 'figure', label: '수치·자료 확인', asked: 2, assessed: 2, specific: 1 },
+      { move: 'alternative', label: '버린 대안', asked: 1, assessed: 0, specific: 0 },
+      { move: 'drill_down', label: '모호한 답 파고들기', asked: 1, assessed: 1, specific: 1 },
+    ]);
+    assert.equal(strategyReport({ topics: [{ turns: [ai(), student()] }] }), null);
+  });
+});
+
+describe('adaptive questions', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('record each question’s move and the assessment of the answer it follows', async () => {
+    const session = await startSession(server);
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    await server.post('/api/question', { sessionId: session.id });
+    assert.match(server.openai.calls.responses.at(-1).input[1].content, /면접 전략:\n이 주제에서 쓴 전략: 없음\n추천 전략: figure로 시작한다/);
+
+    server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+    await server.post('/api/question', { sessionId: session.id, studentAnswer: '낮에는 차이가 잘 안 보여서요.' });
+    assert.match(server.openai.calls.responses.at(-1).input[1].content, /이 주제에서 쓴 전략: wording\(평가 전\)/);
+
+    server.openai.queue(
+      responseWithText(
+        JSON.stringify({
+          assessment: 'vague',
+          move: 'drill_down',
+          question: '기준을 정할 때 어떤 자료를 보셨는지 구체적으로 말씀해 주시겠어요?',
+          quote: '',
+          assessmentNote: '기준을 정한 과정을 말하지 않음',
+        }),
+      ),
+    );
+    await server.post('/api/question', { sessionId: session.id, studentAnswer: '그냥 적당해 보였어요.' });
+
+    const { body } = await server.get(`/api/sessions/${session.id}`);
+    const turns = body.session.topics[0].turns;
+    assert.deepEqual(
+      turns.map((turn) => [turn.role, turn.move ?? turn.assessment?.label ?? null]),
+      [
+        ['ai', 'wording'],
+        ['student', 'specific'],
+        ['ai', 'figure'],
+        ['student', 'vague'],
+        ['ai', 'drill_down'],
+      ],
+    );
+    assert.equal(turns[3].assessment.note, '기준을 정한 과정을 말하지 않음');
+    assert.deepEqual(
+      body.session.strategy.map((row) => [row.move, row.asked, row.specific]),
+      [
+        ['wording', 1, 1],
+        ['figure', 1, 0],
+        ['drill_down', 1, 0],
+      ],
+    );
+  });
+
+  test('move on after the follow-up cap even when the model keeps following up', async () => {
+    const drill = '조금 더 구체적으로 말씀해 주시겠어요?';
+    const session = await startSession(server);
+    server.openai.queue(responseWithText('{"move": "figure", "question": "이 수치는 어디서 찾으셨나요?"}'));
+    await server.post('/api/question', { sessionId: session.id });
+    const replies = [];
+    for (let i = 0; i < MAX_FOLLOW_UP_DEPTH + 1; i += 1) {
+      server.openai.queue(responseWithText(`{"assessment": "vague", "move": "drill_down", "question": "${drill}"}`));
+      // The last one streams, so nothing of the replaced question may show.
+      const answer = { sessionId: session.id, studentAnswer: '잘 모르겠어요.', answerId: `a${i}` };
+      replies.push(
+        i === MAX_FOLLOW_UP_DEPTH
+          ? await server.postStream('/api/question/stream', answer)
+          : await server.post('/api/question', answer),
+      );
+    }
+    // The third drill-down is not asked: a fresh question is, and it is
+    // stored with the move it makes.
+    const { events } = replies.at(-1);
+    const [done] = events.filter((event) => event.event === 'done').map((event) => event.data);
+    const fresh = freshQuestion({ turns: [ai('figure'), ai('drill_down'), ai('drill_down')] });
+    assert.equal(done.question, fresh.question);
+    assert.deepEqual(
+      events.filter((event) => event.event === 'delta').map((event) => event.data.text),
+      [fresh.question],
+    );
+    const stored = await server.store.get('sessions', session.id);
+    assert.deepEqual(
+      stored.topics[0].turns.filter((turn) => turn.role === 'ai').map((turn) => [turn.move, turn.text]),
+      [
+        ['figure', '이 수치는 어디서 찾으셨나요?'],
+        ['drill_down', drill],
+        ['drill_down', drill],
+        ['alternative', fresh.question],
+      ],
+    );
+  });
+
+  test('keep the latest answer and the strategy in the prompt of a long report', async () => {
+    const paragraph = '녹지와 기온의 관계를 다시 정리하면 다음과 같다. '.repeat(20);
+    const session = await startSession(server, {
+      assignmentText: `${assignmentText}\n\n${Array(40).fill(paragraph).join('\n\n')}`,
+    });
+    // A topic over every section of the report.
+    await server.store.update('sessions', session.id, (draft) => {
+      draft.topics[0].sectionIds = draft.document.sections.map((section) => section.id);
+      return draft;
+    });
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    await server.post('/api/question', { sessionId: session.id });
+    server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+    const earlier = '자치구별 기온 자료를 모으면서 여러 번 기준을 바꿨습니다. '.repeat(60);
+    await server.post('/api/question', { sessionId: session.id, studentAnswer: earlier, answerId: 'a1' });
+    server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+    const latest = '마지막으로 기상청 자료와 다시 맞춰 보았습니다.';
+    await server.post('/api/question', { sessionId: session.id, studentAnswer: latest, answerId: 'a2' });
+
+    const { content } = server.openai.calls.responses.at(-1).input[1];
+    assert.ok(content.length < 15000);
+    assert.match(content, new RegExp(`학생 최신 답변:\\n<답변 [0-9a-f]+>\\n${latest}\\n</답변 [0-9a-f]+>`));
+    assert.match(content, /면접 전략:\n이 주제에서 쓴 전략: wording\(구체적\), figure\(평가 전\)\n추천 전략: /);
+    assert.match(content, /이전 Q&A:\nAI: .*\n학생: <답변 [0-9a-f]+>\n자치구별 기온 자료를/);
+  });
+
+  test('leave replies without a known move or assessment unlabelled', async () => {
+    const session = await startSession(server);
+    server.openai.queue(responseWithText('{"move": "grill", "question": "이 수치는 어디서 찾으셨나요?"}'));
+    await server.post('/api/question', { sessionId: session.id });
+    const stored = await server.store.get('sessions', session.id);
+    assert.equal('move' in stored.topics[0].turns[0], false);
+  });
+});
@@ -0,0 +1,182 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSTT, sttConfigFromEnv } from '../lib/stt/index.js';
+import { createTranscriptionStreams } from '../lib/stt/streams.js';
+import { startServer, startSession } from './helpers.js';
+
+// Segment bodies name the text the fake Whisper returns for them: "slow:"
+// delays the reply so a later segment can finish first, "fail" rejects.
+function transcribeSegments() {
+  return async ({ file }) => {
+    const body = await file.text();
+    if (body === 'fail') throw new Error('upstream 500');
+    if (body.startsWith('slow:')) {
+      await new Promise((resolve) => setTimeout(resolve, 40));
+      return { text: body.slice(5) };
+    }
+    return { text: body };
+  };
+}
+
+describe('live transcription streams', () => {
+  let server;
+  let sessionId;
+  before(async () => {
+    server = await startServer();
+    sessionId = (await startSession(server)).id;
+    server.openai.setTranscription(transcribeSegments());
+  });
+  after(() => server.close());
+
+  async function openStream(context = '') {
+    const { status, body } = await server.post('/api/stt/streams', { context, sessionId });
+    assert.equal(status, 201);
+    return body.id;
+  }
+
+  function sendSegment(id, seq, text) {
+    return server.fetch(`/api/stt/streams/${id}/segments/${seq}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/webm;codecs=opus' },
+      body: Buffer.from(text),
+    });
+  }
+
+  test('pushes the transcript in segment order and finishes with the whole answer', async () => {
+    const id = await openStream();
+    const stream = await server.follow(`/api/stt/streams/${id}/events`);
+    assert.equal(stream.status, 200);
+
+    assert.equal((await sendSegment(id, 0, 'slow:녹지 비율은')).status, 202);
+    assert.equal((await sendSegment(id, 1, '구청 자료에서 구했습니다.')).status, 202);
+    // Finishing before the last segment arrives waits for it.
+    const finished = server.post(`/api/stt/streams/${id}/finish`, { segments: 3 });
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.equal((await sendSegment(id, 2, '항공사진도 봤고요.')).status, 202);
+
+    const { status, body } = await finished;
+    assert.equal(status, 200);
+    assert.equal(body.text, '녹지 비율은 구청 자료에서 구했습니다. 항공사진도 봤고요.');
+    assert.deepEqual(await stream.ended, [
+      // Segment 1 finished first but waited for segment 0.
+      { event: 'partial', data: { seq: 1, transcript: '녹지 비율은 구청 자료에서 구했습니다.' } },
+      { event: 'partial', data: { seq: 2, transcript: body.text } },
+      { event: 'final', data: { text: body.text } },
+    ]);
+
+    const request = server.openai.calls.transcriptions.at(-1);
+    assert.equal(request.file.type, 'audio/webm');
+    assert.equal(request.language, 'ko');
+  });
+
+  test('prompts each segment with the context and the transcript so far', async () => {
+    const id = await openStream('주제: 녹지와 기온');
+    const stream = await server.follow(`/api/stt/streams/${id}/events`);
+    await sendSegment(id, 0, '첫 문장입니다.');
+    while (!stream.events.length) await new Promise((resolve) => setTimeout(resolve, 5));
+    await sendSegment(id, 1, '둘째 문장입니다.');
+    await server.post(`/api/stt/streams/${id}/finish`, { segments: 2 });
+    const [first, second] = server.openai.calls.transcriptions.slice(-2);
+    assert.equal(first.prompt, '주제: 녹지와 기온');
+    assert.equal(second.prompt, '주제: 녹지와 기온\n첫 문장입니다.');
+  });
+
+  test('replays the transcript to a late subscriber and keeps the result for retries', async () => {
+    const id = await openStream();
+    await sendSegment(id, 0, '첫 번째 답변입니다.');
+    const first = await server.post(`/api/stt/streams/${id}/finish`, { segments: 1 });
+    const retry = await server.post(`/api/stt/streams/${id}/finish`, { segments: 1 });
+    assert.deepEqual(retry.body, first.body);
+
+    const late = await server.follow(`/api/stt/streams/${id}/events`);
+    assert.deepEqual(await late.ended, [
+      { event: 'partial', data: { seq: 0, transcript: '첫 번째 답변입니다.' } },
+      { event: 'final', data: { text: '첫 번째 답변입니다.' } },
+    ]);
+  });
+
+  test('leaves a gap for a segment that could not be transcribed', async () => {
+    const id = await openStream();
+    await sendSegment(id, 0, '앞부분');
+    await sendSegment(id, 1, 'fail');
+    await sendSegment(id, 2, '뒷부분');
+    const { body } = await server.post(`/api/stt/streams/${id}/finish`, { segments: 3 });
+    assert.equal(body.text, '앞부분 뒷부분');
+  });
+
+  test('rejects bad uploads', async () => {
+    const id = await openStream();
+    assert.equal((await sendSegment('missing', 0, '안녕')).status, 404);
+    assert.equal((await sendSegment(id, -1, '안녕')).status, 400);
+    assert.equal((await sendSegment(id, 0, '')).status, 400);
+    assert.equal((await sendSegment(id, 0, '안녕하세요')).status, 202);
+    assert.equal((await sendSegment(id, 0, '안녕하세요')).status, 409);
+    await server.post(`/api/stt/streams/${id}/finish`, { segments: 1 });
+    assert.equal((await sendSegment(id, 1, '늦은 조각')).status, 409);
+    assert.equal((await server.get('/api/stt/streams/missing/events')).status, 404);
+    assert.equal((await server.post('/api/stt/streams/missing/finish', { segments: 1 })).status, 404);
+  });
+
+  test('serve only the account that opened them', async () => {
+    const student = await server.signIn({ role: 'student' });
+    const classmate = await server.signIn({ role: 'student' });
+    const session = await startSession(server, {}, student);
+    const { body } = await student.post('/api/stt/streams', { sessionId: session.id });
+
+    assert.equal((await classmate.get(`/api/stt/streams/${body.id}/events`)).status, 403);
+    const segment = await classmate.fetch(`/api/stt/streams/${body.id}/segments/0`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/webm' },
+      body: Buffer.from('남의 조각'),
+    });
+    assert.equal(segment.status, 403);
+    assert.equal((await classmate.post(`/api/stt/streams/${body.id}/finish`, { segments: 0 })).status, 403);
+    assert.equal((await student.post(`/api/stt/streams/${body.id}/finish`, { segments: 0 })).status, 200);
+  });
+});
+
+describe('createTranscriptionStreams', () => {
+  test('finishes with what it has once the timeout passes', async () => {
+    const streams = createTranscriptionStreams({ stt: { transcribe: async () => ({ text: '있는 부분' }) }, finishTimeoutMs: 20 });
+    const { id } = streams.create();
+    streams.addSegment(id, 0, { audio: Buffer.from('a') });
+    assert.deepEqual(await streams.finish(id, { segments: 2 }), { text: '있는 부분' });
+  });
+
+  test('drops streams idle for longer than idleMs', () => {
+    let now = 0;
+    const streams = createTranscriptionStreams({ stt: { transcribe: async () => ({ text: '' }) }, idleMs: 1000, now: () => now });
+    const { id } = streams.create();
+    now = 2000;
+    streams.create();
+    assert.equal(streams.has(id), false);
+  });
+});
+
+describe('STT configuration', () => {
+  test('picks a Whisper-compatible server when STT_BASE_URL is set', () => {
+    assert.equal(sttConfigFromEnv({ STT_BASE_URL: 'http://localhost:8000/v1' }).provider, 'whisper-compatible');
+    assert.equal(sttConfigFromEnv({ OPENAI_API_KEY: 'sk-test' }).provider, 'openai');
+    const stt = createSTT({ provider: 'whisper-compatible', baseURL: 'http://localhost:8000/v1', model: 'Systran/faster-whisper-small' });
+    assert.deepEqual(stt.describe(), { provider: 'whisper-compatible', model: 'Systran/faster-whisper-small' });
+  });
+
+  test('is unavailable without a key and rejects bad configuration', () => {
+    assert.equal(createSTT({ provider: 'openai' }), null);
+    assert.throws(() => createSTT({ provider: 'whisper-compatible' }), /STT_BASE_URL/);
+    assert.throws(() => createSTT({ provider: 'vosk' }), /unknown STT provider/);
+  });
+});
+
+describe('live transcription without STT', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ withClients: false });
+  });
+  after(() => server.close());
+
+  test('answers 503', async () => {
+    const { status } = await server.post('/api/stt/streams', { sessionId: (await startSession(server)).id });
+    assert.equal(status, 503);
+  });
+});
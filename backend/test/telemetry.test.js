@@ -0,0 +1,92 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTyping, typingNote, typingSignals } from '../lib/telemetry.js';
+import { assignmentText, readJsonFixture, startServer } from './helpers.js';
+
+const answer = '낮에는 건물 그늘 때문에 차이가 잘 안 보여서 야간 기온을 골랐습니다.';
+
+// A steadily typed answer with a blocked paste and one trip to another tab.
+const typed = {
+  durationMs: 70_000,
+  firstKeyMs: 4000,
+  typingMs: 30_000,
+  keystrokes: 95,
+  deletions: 6,
+  medianKeyIntervalMs: 180,
+  p90KeyIntervalMs: 600,
+  largestInsert: 2,
+  pasteAttempts: [{ at: 20_000, chars: 120 }],
+  dropAttempts: 0,
+  focusLosses: [{ at: 10_000, ms: 12_000 }],
+  idleGaps: [],
+};
+
+describe('normalizeTyping', () => {
+  test('derives the rate from the stored answer and clamps what the client sent', () => {
+    const typing = normalizeTyping({ ...typed, keystrokes: -3, idleGaps: [{ at: 'x', ms: 99e9 }], extra: 'dropped' }, answer);
+    assert.equal(typing.chars, answer.length);
+    assert.equal(typing.charsPerMinute, Math.round((answer.length / 30_000) * 60_000));
+    assert.equal(typing.keystrokes, 0);
+    assert.deepEqual(typing.idleGaps, [{ at: 0, ms: 24 * 60 * 60 * 1000 }]);
+    assert.equal('extra' in typing, false);
+    assert.equal(normalizeTyping('fast', answer), null);
+  });
+
+  test('describes what stands out in one answer', () => {
+    assert.equal(
+      typingNote(normalizeTyping(typed, answer)),
+      `입력 속도 분당 ${Math.round((answer.length / 30_000) * 60_000)}자, 붙여넣기 시도 1회 (차단됨), 탭/창 이탈 1회 (총 12초)`,
+    );
+    const transferred = normalizeTyping({ ...typed, typingMs: 2000, keystrokes: 3, largestInsert: 38, pasteAttempts: [], focusLosses: [] }, answer);
+    assert.equal(
+      typingNote(transferred),
+      `입력 속도 분당 ${transferred.charsPerMinute}자, 한 번에 38자가 입력됨, ${answer.length}자 답변에 키 입력 3회`,
+    );
+  });
+});
+
+describe('typing telemetry on chat answers', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  async function createSession(interviewMode) {
+    server.openai.queue(readJsonFixture('openai/analyze.response.json'));
+    const { body } = await server.post('/api/sessions', { assignmentText, topicDuration: 120, interviewMode });
+    server.openai.queue(readJsonFixture('openai/question-first.response.json'));
+    await server.post('/api/question', { sessionId: body.session.id });
+    return body.session;
+  }
+
+  test('stores the telemetry with the answer and hands the signals to the evaluation', async () => {
+    const session = await createSession('chat');
+    server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+    await server.post('/api/question', { sessionId: session.id, studentAnswer: answer, answerId: 'a1', typing: typed });
+
+    const { body } = await server.get(`/api/sessions/${session.id}`);
+    const turn = body.session.topics[0].turns[1];
+    assert.equal(turn.typing.keystrokes, 95);
+    assert.match(turn.typing.note, /탭\/창 이탈 1회/);
+    assert.equal(body.session.typingSignals.pasteAttempts, 1);
+    assert.equal(body.session.typingSignals.focusLosses, 1);
+    assert.equal(body.session.typingSignals.focusLostMs, 12_000);
+
+    server.openai.queue(readJsonFixture('openai/verify.response.json'), readJsonFixture('openai/summary.response.json'));
+    await server.post('/api/summary', { sessionId: session.id });
+    const [system, user] = server.openai.calls.responses.at(-1).input;
+    assert.match(system.content, /채팅 인터뷰 입력 기록/);
+    assert.match(user.content, /입력 기록:\n답변별:\n\[주제 t1\] 답변 1: 입력 속도 분당 \d+자, 붙여넣기 시도 1회 \(차단됨\)/);
+  });
+
+  test('ignores telemetry on voice answers', async () => {
+    const session = await createSession('voice');
+    server.openai.queue(readJsonFixture('openai/question-followup.response.json'));
+    await server.post('/api/question', { sessionId: session.id, studentAnswer: answer, answerId: 'a1', typing: typed });
+    const { body } = await server.get(`/api/sessions/${session.id}`);
+    assert.equal(body.session.topics[0].turns[1].typing, undefined);
+    assert.equal(body.session.typingSignals, null);
+    assert.equal(typingSignals({ interviewMode: 'chat', topics: [] }), null);
+  });
+});
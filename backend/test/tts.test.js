@@ -0,0 +1,92 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { audioCacheKey, createAudioCache } from '../lib/tts/cache.js';
+import { createTTS } from '../lib/tts/index.js';
+import { createFakeElevenLabs, readFixture } from './helpers.js';
+
+const audio = readFixture('elevenlabs/question.mp3');
+
+async function collect(chunks) {
+  const parts = [];
+  for await (const chunk of chunks) parts.push(chunk);
+  return Buffer.concat(parts);
+}
+
+describe('audioCacheKey', () => {
+  test('changes with the provider, voice, model and text', () => {
+    const base = { provider: 'elevenlabs', voice: 'v1', model: 'm1', text: '질문' };
+    const keys = new Set([
+      audioCacheKey(base),
+      audioCacheKey({ ...base, provider: 'local' }),
+      audioCacheKey({ ...base, voice: 'v2' }),
+      audioCacheKey({ ...base, model: 'm2' }),
+      audioCacheKey({ ...base, text: '질문!' }),
+    ]);
+    assert.equal(keys.size, 5);
+    assert.equal(audioCacheKey({ ...base }), audioCacheKey(base));
+  });
+});
+
+describe('createAudioCache', () => {
+  test('fs driver stores clips on disk across cache instances', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'tts-cache-'));
+    try {
+      const first = createAudioCache({ driver: 'fs', dir });
+      assert.equal(await first.get('ab12'), null);
+      await first.set('ab12', audio);
+      const second = createAudioCache({ driver: 'fs', dir });
+      assert.deepEqual(await second.get('ab12'), audio);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('memory driver drops the least recently used clips past maxBytes', async () => {
+    const cache = createAudioCache({ driver: 'memory', maxBytes: 10 });
+    await cache.set('a', Buffer.alloc(4));
+    await cache.set('b', Buffer.alloc(4));
+    await cache.get('a');
+    await cache.set('c', Buffer.alloc(4));
+    assert.ok(await cache.get('a'));
+    assert.equal(await cache.get('b'), null);
+    assert.ok(await cache.get('c'));
+  });
+
+  test('rejects unknown drivers', () => {
+    assert.throws(() => createAudioCache({ driver: 'redis' }), /unknown TTS cache driver/);
+  });
+});
+
+describe('createTTS', () => {
+  test('synthesizes once per text, voice and model', async () => {
+    const elevenlabs = createFakeElevenLabs();
+    const tts = createTTS({ elevenlabsClient: elevenlabs, voiceId: 'v1', modelId: 'm1' });
+    assert.deepEqual(await tts.synthesize('질문입니다.'), audio);
+    assert.deepEqual(await tts.synthesize('질문입니다.'), audio);
+    assert.equal(elevenlabs.calls.length, 1);
+
+    const otherVoice = createTTS({ elevenlabsClient: elevenlabs, voiceId: 'v2', modelId: 'm1', cache: { driver: 'memory' } });
+    await otherVoice.synthesize('질문입니다.');
+    assert.equal(elevenlabs.calls.length, 2);
+  });
+
+  test('does not cache a clip that failed halfway', async () => {
+    const tts = createTTS({ provider: 'local', localCommand: 'printf partial; exit 3' });
+    await assert.rejects(collect(tts.stream('질문')), /exited with 3/);
+    await assert.rejects(collect(tts.stream('질문')), /exited with 3/);
+  });
+
+  test('streams the output of a local command', async () => {
+    const tts = createTTS({ provider: 'local', localCommand: 'cat' });
+    assert.equal((await collect(tts.speak('첫 번째 문장을 읽습니다. 두 번째 문장을 읽습니다.'))).toString(), '첫 번째 문장을 읽습니다.두 번째 문장을 읽습니다.');
+    assert.equal(tts.describe().model, 'cat');
+  });
+
+  test('requires a key for ElevenLabs and a known provider', () => {
+    assert.throws(() => createTTS({ provider: 'elevenlabs' }), /ELEVENLABS_API_KEY/);
+    assert.throws(() => createTTS({ provider: 'polly' }), /unknown TTS provider/);
+  });
+});
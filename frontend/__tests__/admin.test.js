@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import Admin from "../app/admin/page";
+import { apiFetch, apiGet } from "../app/lib/api";
+
+vi.mock("../app/lib/api", () => ({
+  API_BASE: "http://api.test",
+  apiFetch: vi.fn(),
+  apiGet: vi.fn(),
+}));
+
+const admin = { id: "u1", username: "admin", name: "", email: "", role: "admin" };
+const student = { id: "u2", username: "", name: "", email: "park@example.ac.kr", role: "student" };
+
+const config = {
+  config: {
+    llm: {
+      analyze: { provider: "responses", model: "gpt-test", available: true },
+      question: { provider: "responses", model: "gpt-test", available: true },
+      summary: { provider: "responses", model: "gpt-test", available: true },
+    },
+    stt: null,
+    tts: { provider: "elevenlabs", voice: "voice-1", model: "eleven_flash", cache: "memory" },
+  },
+  providers: ["responses", "chat", "openai-compatible", "scripted"],
+  saved: null,
+};
+
+const totals = (fields) => ({
+  calls: 0,
+  cost: 0,
+  unpricedCalls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  characters: 0,
+  audioSeconds: 0,
+  latencyMs: 0,
+  sessions: 0,
+  costPerSession: null,
+  ...fields,
+});
+
+const usage = {
+  report: {
+    from: "2026-03-01",
+    to: "2026-03-30",
+    currency: "USD",
+    total: totals({ calls: 12, cost: 0.42, sessions: 3, costPerSession: 0.14, unpricedCalls: 1 }),
+    byKind: [
+      totals({ kind: "llm", calls: 9, cost: 0.3, inputTokens: 54000, outputTokens: 3600, latencyMs: 2100 }),
+      totals({ kind: "tts", calls: 3, cost: 0.12, characters: 800, latencyMs: 900 }),
+    ],
+    byCourse: [totals({ courseId: "c1", course: "환경과학 (2026-1)", calls: 12, cost: 0.42, sessions: 3, costPerSession: 0.14 })],
+    byAssignment: [
+      totals({ assignmentId: "a1", assignment: "열섬 보고서", course: "환경과학 (2026-1)", calls: 12, cost: 0.42, sessions: 3 }),
+    ],
+    byDay: [totals({ day: "2026-03-02", calls: 12, cost: 0.42, sessions: 3 })],
+  },
+};
+
+const responses = { "/api/admin/users": { users: [admin, student] }, "/api/admin/usage": usage };
+
+describe("Admin", () => {
+  beforeEach(() => {
+    apiGet.mockReset();
+    apiFetch.mockReset();
+    apiGet.mockImplementation(async (path) => responses[path] || config);
+  });
+  afterEach(cleanup);
+
+  it("changes roles, locks accounts and creates instructors", async () => {
+    apiFetch.mockResolvedValue({ user: student });
+    render(<Admin />);
+    fireEvent.change(await screen.findByLabelText("park@example.ac.kr 역할"), { target: { value: "instructor" } });
+    await screen.findByText("park@example.ac.kr 계정을 바꿨습니다.");
+    expect(apiFetch).toHaveBeenCalledWith("/api/admin/users/u2", { role: "instructor" }, { method: "PUT" });
+
+    fireEvent.click(screen.getAllByText("잠그기")[1]);
+    await waitFor(() =>
+      expect(apiFetch).toHaveBeenCalledWith("/api/admin/users/u2", { disabled: true }, { method: "PUT" }),
+    );
+
+    fireEvent.change(screen.getByLabelText("아이디"), { target: { value: "lee" } });
+    fireEvent.change(screen.getByLabelText("비밀번호"), { target: { value: "correct horse" } });
+    fireEvent.click(screen.getByText("계정 만들기"));
+    await screen.findByText("계정을 만들었습니다.");
+    expect(apiFetch).toHaveBeenLastCalledWith("/api/admin/users", {
+      email: "",
+      username: "lee",
+      name: "",
+      role: "instructor",
+      password: "correct horse",
+    });
+  });
+
+  it("shows why an account change was refused", async () => {
+    apiFetch.mockRejectedValueOnce(Object.assign(new Error("own_account"), { data: { error: "own_account" } }));
+    render(<Admin />);
+    fireEvent.change(await screen.findByLabelText("admin 역할"), { target: { value: "student" } });
+    await screen.findByText("내 계정의 관리자 권한은 해제하거나 잠글 수 없습니다.");
+  });
+
+  it("saves models and the voice", async () => {
+    apiFetch.mockResolvedValueOnce(config);
+    render(<Admin />);
+    fireEvent.change(await screen.findByLabelText("결과 평가 모델"), { target: { value: "gpt-test-large" } });
+    fireEvent.change(screen.getByLabelText("목소리 ID"), { target: { value: "voice-2" } });
+    fireEvent.click(screen.getByText("모델 설정 저장"));
+
+    await screen.findByText(/모델 설정을 저장했습니다/);
+    const [path, body, options] = apiFetch.mock.calls[0];
+    expect([path, options]).toEqual(["/api/admin/config", { method: "PUT" }]);
+    expect(body.llm.summary).toEqual({ provider: "responses", model: "gpt-test-large" });
+    expect(body.tts).toEqual({ voiceId: "voice-2", modelId: "eleven_flash" });
+  });
+
+  it("reports spend by course, assignment and day for a range", async () => {
+    render(<Admin />);
+    await screen.findByText("환경과학 (2026-1)");
+    expect(screen.getByText(/총 US\$0.42 · 호출 12건 · 면담 3건 · 면담당 US\$0.14/)).toBeTruthy();
+    expect(screen.getByText(/가격표에 없는 호출 1건/)).toBeTruthy();
+    expect(screen.getByText("입력 54,000 · 출력 3,600 토큰 · 평균 2,100ms")).toBeTruthy();
+    expect(screen.getByText("환경과학 (2026-1) · 열섬 보고서")).toBeTruthy();
+    expect(screen.getByText("2026-03-02")).toBeTruthy();
+    const [, first] = apiGet.mock.calls.find(([path]) => path === "/api/admin/usage");
+    expect(first.to >= first.from).toBe(true);
+
+    fireEvent.change(screen.getByLabelText("시작일"), { target: { value: "2026-03-01" } });
+    fireEvent.change(screen.getByLabelText("종료일"), { target: { value: "2026-03-15" } });
+    fireEvent.click(screen.getByText("조회"));
+    await waitFor(() =>
+      expect(apiGet).toHaveBeenLastCalledWith("/api/admin/usage", { from: "2026-03-01", to: "2026-03-15" }),
+    );
+  });
+});
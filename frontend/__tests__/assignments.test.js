@@ -0,0 +1,125 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import InstructorAssignments from "../app/instructor/assignments/page";
+import { apiFetch, apiGet } from "../app/lib/api";
+
+vi.mock("../app/lib/api", () => ({
+  API_BASE: "http://api.test",
+  apiFetch: vi.fn(),
+  apiGet: vi.fn(),
+}));
+
+const saved = {
+  id: "a1",
+  course: "도시환경",
+  name: "기말 보고서",
+  brief: "열섬 현상을 분석하시오.",
+  rubric: [{ id: "r1", kind: "claim", title: "녹지와 야간 기온의 관계", description: "" }],
+  courseId: null,
+  settings: { topicCount: 3, topicDuration: 180, modes: ["chat", "voice"] },
+};
+
+const course = { id: "c1", name: "도시환경", term: "2026-2" };
+
+// Routes apiGet by path; `assignments` replies are used in turn, the last one
+// repeating.
+function mockGets({ assignments = [[]], courses = [], invites = [[]] }) {
+  const replies = { assignments: [...assignments], invites: [...invites] };
+  const next = (key) => (replies[key].length > 1 ? replies[key].shift() : replies[key][0]);
+  apiGet.mockImplementation(async (path) => {
+    if (path === "/api/courses") return { courses };
+    if (path.endsWith("/invites")) return { invites: next("invites") };
+    return { assignments: next("assignments") };
+  });
+}
+
+describe("Instructor assignments", () => {
+  beforeEach(() => {
+    apiGet.mockReset();
+    apiFetch.mockReset();
+  });
+  afterEach(cleanup);
+
+  it("creates an assignment with its rubric and then edits it in place", async () => {
+    mockGets({ assignments: [[], [saved]] });
+    apiFetch.mockResolvedValue({ assignment: saved });
+    render(<InstructorAssignments />);
+    await screen.findByText("등록된 과제가 없습니다.");
+
+    fireEvent.change(screen.getByLabelText("과목"), { target: { value: "도시환경" } });
+    fireEvent.change(screen.getByLabelText("과제명"), { target: { value: "기말 보고서" } });
+    fireEvent.change(screen.getByLabelText("과제 안내문"), { target: { value: "열섬 현상을 분석하시오." } });
+    fireEvent.click(screen.getByText("평가 기준 추가"));
+    fireEvent.change(screen.getByLabelText("평가 기준 1 종류"), { target: { value: "claim" } });
+    fireEvent.change(screen.getByLabelText("평가 기준 1 제목"), { target: { value: "녹지와 야간 기온의 관계" } });
+    fireEvent.click(screen.getByText("과제 추가"));
+
+    await screen.findByText(/저장했습니다/);
+    expect(apiFetch).toHaveBeenCalledWith("/api/assignments", {
+      course: "도시환경",
+      name: "기말 보고서",
+      brief: "열섬 현상을 분석하시오.",
+      rubric: [{ kind: "claim", title: "녹지와 야간 기온의 관계", description: "" }],
+      courseId: null,
+      settings: { topicCount: 3, topicDuration: 180, modes: ["chat", "voice"] },
+    });
+    await screen.findByText("평가 기준 1개 · 주제 3개");
+
+    fireEvent.change(screen.getByLabelText("과제명"), { target: { value: "기말 발표" } });
+    fireEvent.click(screen.getByText("변경 사항 저장"));
+    await waitFor(() => expect(apiFetch).toHaveBeenCalledTimes(2));
+    expect(apiFetch).toHaveBeenLastCalledWith(
+      "/api/assignments/a1",
+      expect.objectContaining({ name: "기말 발표", rubric: saved.rubric }),
+      { method: "PUT" },
+    );
+  });
+
+  it("explains why the server refused to save", async () => {
+    mockGets({});
+    apiFetch.mockRejectedValue(Object.assign(new Error("conflict"), { status: 409, data: { error: "assignment_exists" } }));
+    render(<InstructorAssignments />);
+    fireEvent.change(screen.getByLabelText("과제명"), { target: { value: "기말 보고서" } });
+    fireEvent.click(screen.getByText("과제 추가"));
+    expect(await screen.findByText("같은 과목에 같은 이름의 과제가 이미 있습니다.")).toBeTruthy();
+  });
+
+  it("sets the interview settings in a course and invites the class", async () => {
+    const invite = { id: "i1", code: "ABCD2345", student: { name: "김민지", studentNumber: "20241234" }, sessions: 0, latest: null };
+    const started = { ...invite, sessions: 1, latest: { id: "s1", status: "completed", verdict: "직접 작성" } };
+    mockGets({ assignments: [[saved]], courses: [course], invites: [[], [], [invite, started]] });
+    apiFetch.mockImplementation(async (path, payload) =>
+      path.endsWith("/invites") ? { invites: [invite] } : { assignment: { ...saved, ...payload, course: "도시환경" } },
+    );
+    render(<InstructorAssignments />);
+    fireEvent.click(await screen.findByText("도시환경 · 기말 보고서"));
+    await screen.findByLabelText("학생 명단");
+
+    await screen.findByText("도시환경 (2026-2)");
+    fireEvent.change(screen.getByLabelText("강좌"), { target: { value: "c1" } });
+    expect(screen.queryByLabelText("과목")).toBeNull();
+    fireEvent.change(screen.getByLabelText("주제 개수"), { target: { value: "2" } });
+    fireEvent.click(screen.getByLabelText("🎤 음성 허용"));
+    fireEvent.click(screen.getByLabelText("💬 채팅 허용"));
+    fireEvent.click(screen.getByText("변경 사항 저장"));
+    await screen.findByText(/저장했습니다/);
+    expect(apiFetch).toHaveBeenCalledWith(
+      "/api/assignments/a1",
+      expect.objectContaining({ courseId: "c1", settings: { topicCount: 2, topicDuration: 180, modes: ["chat"] } }),
+      { method: "PUT" },
+    );
+
+    fireEvent.change(screen.getByLabelText("학생 명단"), { target: { value: "김민지, 20241234\n\n박서준" } });
+    fireEvent.click(screen.getByText("초대 링크 만들기"));
+    await screen.findByText("1명에게 보낼 초대 링크를 만들었습니다.");
+    expect(apiFetch).toHaveBeenLastCalledWith("/api/assignments/a1/invites", {
+      students: [
+        { name: "김민지", studentNumber: "20241234" },
+        { name: "박서준", studentNumber: "" },
+      ],
+    });
+    expect(screen.getAllByText(/\/\?invite=ABCD2345$/)).toHaveLength(2);
+    expect(screen.getByText("시작 전")).toBeTruthy();
+    expect(screen.getByText("직접 작성 →").closest("a").getAttribute("href")).toBe("/instructor/sessions/s1");
+  });
+});
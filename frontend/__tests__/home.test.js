@@ -0,0 +1,671 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import Home from "../app/page";
+import { apiFetch, apiGet, apiStream, apiUpload } from "../app/lib/api";
+import { saveLogin } from "../app/lib/auth";
+
+vi.mock("../app/lib/api", async (importOriginal) => ({
+  API_BASE: "http://api.test",
+  limitMessage: (await importOriginal()).limitMessage,
+  apiFetch: vi.fn(),
+  apiGet: vi.fn(),
+  apiStream: vi.fn(),
+  apiUpload: vi.fn(),
+}));
+
+// Speech is browser-only; the chat interview never touches it. Voice tests
+// drive the recognition state (listening, voice activity) through
+// `speech.setRecognition`, which re-renders the page like the real hook.
+const speech = vi.hoisted(() => {
+  const noop = () => {};
+  const listeners = new Set();
+  const initialRecognition = () => ({
+    isListening: false,
+    isTranscribing: false,
+    transcript: "",
+    error: "",
+    isSupported: false,
+    volumeLevel: 0,
+    vadState: "idle",
+    startListening: noop,
+    stopListening: async () => "",
+    takeRecording: () => null,
+    resetTranscript: noop,
+  });
+  const speech = {
+    recognition: initialRecognition(),
+    synthesis: { isSpeaking: false, isSupported: false, speak: noop, enqueue: noop, finishQueue: noop, stop: noop },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    setRecognition(patch) {
+      speech.recognition = { ...speech.recognition, ...patch };
+      listeners.forEach((listener) => listener());
+    },
+    reset() {
+      speech.recognition = initialRecognition();
+    },
+  };
+  return speech;
+});
+
+vi.mock("../app/hooks/useSpeech", async () => {
+  const { useSyncExternalStore } = await import("react");
+  return {
+    useWhisperRecognition: () => useSyncExternalStore(speech.subscribe, () => speech.recognition),
+    useSpeechSynthesis: () => speech.synthesis,
+  };
+});
+
+vi.mock("../app/components/SourceViewer", () => ({ SourceViewer: () => null }));
+
+const SESSION_ID = "session-1";
+const TOPIC_SECONDS = 60;
+const AUTO_ADVANCE_SECONDS = 5;
+
+function sessionFixture() {
+  return {
+    id: SESSION_ID,
+    status: "active",
+    interviewMode: "chat",
+    settings: { topicCount: 2, topicDuration: TOPIC_SECONDS },
+    currentTopicIndex: 0,
+    excerpt: "도시 열섬 현상은",
+    topics: [
+      { id: "t1", title: "자료 정리 방법", status: "active", turns: [], refs: [], timeLeft: TOPIC_SECONDS, running: false },
+      { id: "t2", title: "분석 결과와 예외", status: "pending", turns: [], refs: [], timeLeft: TOPIC_SECONDS, running: false },
+    ],
+  };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+// Routes apiFetch by path; session sub-routes are keyed by their last segment.
+// Streams share the handler of their JSON route: the reply's question is sent
+// as one delta before it resolves, unless the handler streams on its own.
+function mockApi(handlers) {
+  const route = (path) => {
+    const key = path.startsWith(`/api/sessions/${SESSION_ID}/`) ? path.split("/").pop() : path;
+    const handler = handlers[key];
+    if (!handler) throw new Error(`unexpected call ${path}`);
+    return handler;
+  };
+  apiFetch.mockImplementation(async (path, payload) => route(path)(payload));
+  apiStream.mockImplementation(async (path, payload, { onEvent }) => {
+    const handler = route(path.replace(/\/stream$/, ""));
+    const reply = await handler(payload, onEvent);
+    if (handler.length < 2) onEvent("delta", { text: reply.question });
+    return reply;
+  });
+}
+
+function callsTo(key) {
+  return apiFetch.mock.calls.filter(([path]) => path === key || path.endsWith(`/${key}`));
+}
+
+function questionReply(question, timeLeft = TOPIC_SECONDS) {
+  return { question, refs: [], fallback: false, timeLeft, running: true };
+}
+
+function summaryReply() {
+  return {
+    summary: {
+      verdict: "직접 작성",
+      strengths: ["자료 선택 이유를 설명함"],
+      weaknesses: [],
+      overallComment: "직접 작성했을 가능성이 높습니다.",
+      topics: [],
+    },
+    fallback: false,
+  };
+}
+
+function badge() {
+  return screen.getAllByText(/인터뷰 설정|과제 분석중|인터뷰 준비중|인터뷰 진행중|결과 분석중|^결과$/)[0].textContent;
+}
+
+function timerText() {
+  return screen.getByText("남은 시간").nextSibling.textContent;
+}
+
+async function advanceSeconds(seconds) {
+  await act(async () => {
+    vi.advanceTimersByTime(seconds * 1000);
+  });
+}
+
+async function startChatInterview() {
+  const { container } = render(<Home />);
+  const file = new File(["1. 서론\n\n도시 열섬 현상은"], "report.txt", { type: "text/plain" });
+  fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+  fireEvent.click(screen.getByText("💬 채팅"));
+  fireEvent.click(screen.getByText("인터뷰 시작"));
+}
+
+async function reachInterview() {
+  mockApi({
+    "/api/sessions": () => ({ session: sessionFixture(), fallback: false }),
+    "/api/question": () => questionReply("야간 기온을 고른 이유가 있나요?"),
+    advance: () => ({ finished: false }),
+    "/api/summary": () => summaryReply(),
+  });
+  await startChatInterview();
+  await screen.findByText("주제 1/2 진행중");
+}
+
+beforeEach(() => {
+  // Only setInterval and Date are faked: the countdown and the auto advance
+  // run on them, while find* queries still settle on DOM changes and time
+  // out on the real setTimeout.
+  vi.useFakeTimers({ toFake: ["setInterval", "clearInterval", "Date"] });
+  window.localStorage.clear();
+  saveLogin({ token: "student-token", user: { id: "u1", role: "student", name: "김민지" } });
+  apiFetch.mockReset();
+  apiGet.mockReset();
+  apiStream.mockReset();
+  apiUpload.mockReset();
+  speech.reset();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+});
+
+describe("Home phases", () => {
+  it("walks from upload through analyzing and prep into the interview", async () => {
+    const session = deferred();
+    const question = deferred();
+    mockApi({
+      "/api/sessions": () => session.promise,
+      "/api/question": () => question.promise,
+    });
+
+    await startChatInterview();
+    await screen.findByRole("heading", { name: "과제 분석중" });
+
+    await act(async () => session.resolve({ session: sessionFixture(), fallback: false }));
+    await screen.findByRole("heading", { name: "인터뷰 준비중" });
+    const [path, payload] = apiFetch.mock.calls[0];
+    expect(path).toBe("/api/sessions");
+    expect(payload).toMatchObject({ fileName: "report.txt", interviewMode: "chat", topicCount: 3, topicDuration: 180 });
+    expect(payload.fileBase64).toBeTruthy();
+    expect(screen.getByText("1번째 주제 준비중")).toBeTruthy();
+    expect(window.localStorage.getItem("homeworkValidator.sessionId")).toBe(SESSION_ID);
+
+    await act(async () => question.resolve(questionReply("야간 기온을 고른 이유가 있나요?")));
+    await screen.findByText("주제 1/2 진행중");
+    expect(screen.getByText("야간 기온을 고른 이유가 있나요?")).toBeTruthy();
+    expect(timerText()).toBe("01:00");
+  });
+
+  it("shows the question while it streams in, before the reply is complete", async () => {
+    const question = deferred();
+    mockApi({
+      "/api/sessions": () => ({ session: sessionFixture(), fallback: false }),
+      "/api/question": (payload, onEvent) => {
+        onEvent("delta", { text: "야간 기온을 " });
+        onEvent("delta", { text: "고른 이유가" });
+        return question.promise;
+      },
+    });
+
+    await startChatInterview();
+    await screen.findByText("야간 기온을 고른 이유가");
+    expect(screen.getByText("주제 1/2 진행중")).toBeTruthy();
+    expect(screen.getByText("AI 생성중")).toBeTruthy();
+    expect(apiStream.mock.calls[0][0]).toBe("/api/question/stream");
+
+    await act(async () => question.resolve(questionReply("야간 기온을 고른 이유가 있나요?")));
+    await screen.findByText("야간 기온을 고른 이유가 있나요?");
+    expect(screen.queryByText("야간 기온을 고른 이유가")).toBeNull();
+    expect(screen.queryByText("AI 생성중")).toBeNull();
+  });
+
+  it("returns to upload with the extraction error when the file cannot be read", async () => {
+    mockApi({
+      "/api/sessions": () => {
+        throw Object.assign(new Error("bad request"), { status: 400, data: { error: "pdf_no_text", format: "pdf" } });
+      },
+    });
+    await startChatInterview();
+    await screen.findByText(/스캔한 이미지 PDF는 지원하지 않습니다/);
+    expect(screen.getByText("과제 파일 업로드")).toBeTruthy();
+  });
+});
+
+describe("Home topic clock", () => {
+  it("counts down from the server value and pauses while a question is generated", async () => {
+    await reachInterview();
+    await advanceSeconds(10);
+    expect(timerText()).toBe("00:50");
+
+    const next = deferred();
+    mockApi({ "/api/question": () => next.promise });
+    fireEvent.change(screen.getByPlaceholderText("질문에 대해 자신의 말로 답변해 주세요."), {
+      target: { value: "낮에는 차이가 잘 안 보여서요." },
+    });
+    fireEvent.click(screen.getByText("전송"));
+    expect(screen.getByText("AI 생성중")).toBeTruthy();
+
+    await advanceSeconds(20);
+    expect(timerText()).toBe("00:50");
+
+    await act(async () => next.resolve(questionReply("기준은 어떻게 정하셨나요?", 50)));
+    await screen.findByText("기준은 어떻게 정하셨나요?");
+    await advanceSeconds(5);
+    expect(timerText()).toBe("00:45");
+  });
+
+  it("drops a late answer the server rejected and keeps the clock at zero", async () => {
+    await reachInterview();
+    mockApi({
+      "/api/question": () => {
+        throw Object.assign(new Error("conflict"), {
+          status: 409,
+          data: { error: "topic_time_exhausted", timeLeft: 0, running: false },
+        });
+      },
+      advance: () => ({ finished: false }),
+    });
+    fireEvent.change(screen.getByPlaceholderText("질문에 대해 자신의 말로 답변해 주세요."), {
+      target: { value: "늦은 답변" },
+    });
+    fireEvent.click(screen.getByText("전송"));
+    await screen.findByText("제한 시간이 지나 마지막 답변은 기록되지 않았습니다.");
+    expect(screen.queryByText("늦은 답변")).toBeNull();
+    expect(timerText()).toBe("00:00");
+    await screen.findByText("시간이 종료되었습니다");
+  });
+});
+
+describe("Home limits", () => {
+  it("explains a spent budget without offering a retry", async () => {
+    await reachInterview();
+    mockApi({
+      "/api/question": () => {
+        throw Object.assign(new Error("too many"), {
+          status: 429,
+          data: { error: "budget_exceeded", scope: "session", resource: "tokens" },
+        });
+      },
+    });
+    fireEvent.change(screen.getByPlaceholderText("질문에 대해 자신의 말로 답변해 주세요."), {
+      target: { value: "낮에는 차이가 잘 안 보여서요." },
+    });
+    fireEvent.click(screen.getByText("전송"));
+    await screen.findByText(/이 인터뷰에서 쓸 수 있는 AI 사용량을 모두 썼습니다/);
+    expect(screen.queryByText("다시 시도")).toBeNull();
+  });
+
+  it("asks the student to wait out a rate limit", async () => {
+    mockApi({
+      "/api/sessions": () => {
+        throw Object.assign(new Error("too many"), {
+          status: 429,
+          data: { error: "rate_limited", scope: "user", retryAfter: 42 },
+        });
+      },
+    });
+    await startChatInterview();
+    await screen.findByText("요청이 너무 많습니다. 42초 뒤에 다시 시도해 주세요.");
+    expect(screen.getByText("과제 파일 업로드")).toBeTruthy();
+  });
+});
+
+describe("Home typing telemetry", () => {
+  it("sends how the answer was typed, with blocked pastes and tab switches", async () => {
+    await reachInterview();
+    const input = screen.getByPlaceholderText("질문에 대해 자신의 말로 답변해 주세요.");
+    fireEvent.paste(input, { clipboardData: { getData: () => "다른 곳에서 쓴 답변" } });
+    act(() => {
+      window.dispatchEvent(new Event("blur"));
+    });
+    await advanceSeconds(4);
+    act(() => {
+      window.dispatchEvent(new Event("focus"));
+    });
+    for (const value of ["낮", "낮에", "낮에는"]) {
+      fireEvent.keyDown(input, { key: "Process" });
+      fireEvent.input(input, { target: { value } });
+      fireEvent.change(input, { target: { value } });
+      await advanceSeconds(1);
+    }
+    fireEvent.click(screen.getByText("전송"));
+
+    await waitFor(() => expect(apiStream.mock.calls.some(([, payload]) => payload.typing)).toBe(true));
+    const { typing } = apiStream.mock.calls.find(([, payload]) => payload.typing)[1];
+    expect(typing.keystrokes).toBe(3);
+    expect(typing.typingMs).toBe(3000);
+    expect(typing.pasteAttempts).toEqual([{ at: 0, chars: "다른 곳에서 쓴 답변".length }]);
+    expect(typing.focusLosses).toEqual([{ at: 0, ms: 4000 }]);
+  });
+});
+
+describe("Home topic exit", () => {
+  it("auto-advances after the countdown when the topic time runs out, then finalizes", async () => {
+    await reachInterview();
+    await advanceSeconds(TOPIC_SECONDS);
+    expect(screen.getByText("시간이 종료되었습니다")).toBeTruthy();
+    expect(screen.getByText(/5초 후 자동 진행/)).toBeTruthy();
+
+    await advanceSeconds(2);
+    expect(screen.getByText(/3초 후 자동 진행/)).toBeTruthy();
+    expect(callsTo("advance")).toHaveLength(0);
+
+    await advanceSeconds(3);
+    await screen.findByText("주제 2/2 진행중");
+    expect(callsTo("advance")).toEqual([[`/api/sessions/${SESSION_ID}/advance`, { topicIndex: 0 }, { retries: 3 }]]);
+    expect(timerText()).toBe("01:00");
+
+    await advanceSeconds(TOPIC_SECONDS);
+    await advanceSeconds(AUTO_ADVANCE_SECONDS);
+    await screen.findByText("이해도 리포트");
+    expect(badge()).toBe("결과");
+    expect(callsTo("advance").map(([, payload]) => payload.topicIndex)).toEqual([0, 1]);
+    expect(callsTo("/api/summary")).toHaveLength(1);
+    expect(screen.getByText("직접 작성했을 가능성이 높습니다.")).toBeTruthy();
+    expect(window.localStorage.getItem("homeworkValidator.sessionId")).toBeNull();
+  });
+
+  it("advances on manual exit only after confirmation", async () => {
+    await reachInterview();
+    fireEvent.click(screen.getByText("주제 종료 후 넘어가기"));
+    expect(screen.getByText("다음 주제로 넘어갈까요?")).toBeTruthy();
+    expect(screen.getByText("종료 확인 중에도 시간이 흘러요")).toBeTruthy();
+
+    // The clock keeps running while the student decides.
+    await advanceSeconds(10);
+    expect(timerText()).toBe("00:50");
+    fireEvent.click(screen.getByText("계속 진행"));
+    expect(screen.queryByText("다음 주제로 넘어갈까요?")).toBeNull();
+    expect(callsTo("advance")).toHaveLength(0);
+
+    fireEvent.click(screen.getByText("주제 종료 후 넘어가기"));
+    fireEvent.click(screen.getByText("넘어가기"));
+    await screen.findByText("주제 2/2 진행중");
+    expect(callsTo("advance")).toHaveLength(1);
+    expect(callsTo("advance")[0][1]).toEqual({ topicIndex: 0 });
+  });
+
+  it("lets the timeout replace an open manual exit and advances once", async () => {
+    await reachInterview();
+    await advanceSeconds(TOPIC_SECONDS - 2);
+    fireEvent.click(screen.getByText("주제 종료 후 넘어가기"));
+    await advanceSeconds(2);
+    expect(screen.queryByText("다음 주제로 넘어갈까요?")).toBeNull();
+    expect(screen.getByText("시간이 종료되었습니다")).toBeTruthy();
+
+    fireEvent.click(screen.getByText("바로 넘어가기"));
+    await screen.findByText("주제 2/2 진행중");
+    await advanceSeconds(5);
+    expect(callsTo("advance")).toHaveLength(1);
+  });
+});
+
+describe("Home restore", () => {
+  it("resumes a saved session at its pending question", async () => {
+    window.localStorage.setItem("homeworkValidator.sessionId", SESSION_ID);
+    const saved = sessionFixture();
+    saved.currentTopicIndex = 1;
+    saved.topics[0].status = "done";
+    saved.topics[1] = {
+      ...saved.topics[1],
+      status: "active",
+      turns: [{ role: "ai", text: "예외 지역은 어떻게 찾으셨나요?", refs: [] }],
+      timeLeft: 30,
+      running: true,
+    };
+    apiGet.mockResolvedValue({ session: saved });
+    render(<Home />);
+    await screen.findByText("주제 2/2 진행중");
+    expect(apiGet).toHaveBeenCalledWith(`/api/sessions/${SESSION_ID}`);
+    expect(apiFetch).not.toHaveBeenCalled();
+    expect(timerText()).toBe("00:30");
+  });
+
+  it("forgets a session the server no longer has", async () => {
+    window.localStorage.setItem("homeworkValidator.sessionId", "gone");
+    apiGet.mockRejectedValue(Object.assign(new Error("not found"), { status: 404 }));
+    render(<Home />);
+    await screen.findByText("이전 인터뷰를 복구하지 못했습니다. 새로 시작해 주세요.");
+    expect(window.localStorage.getItem("homeworkValidator.sessionId")).toBeNull();
+    expect(badge()).toBe("인터뷰 설정");
+  });
+
+  it("forgets a session of another account", async () => {
+    window.localStorage.setItem("homeworkValidator.sessionId", SESSION_ID);
+    apiGet.mockRejectedValue(Object.assign(new Error("forbidden"), { status: 403 }));
+    render(<Home />);
+    await screen.findByText("이전 인터뷰를 복구하지 못했습니다. 새로 시작해 주세요.");
+    expect(window.localStorage.getItem("homeworkValidator.sessionId")).toBeNull();
+  });
+
+  it("shows a completed interview's result once, then forgets it", async () => {
+    window.localStorage.setItem("homeworkValidator.sessionId", SESSION_ID);
+    const saved = sessionFixture();
+    saved.status = "completed";
+    saved.summary = summaryReply().summary;
+    apiGet.mockResolvedValue({ session: saved });
+    render(<Home />);
+    await screen.findByText("이해도 리포트");
+    expect(window.localStorage.getItem("homeworkValidator.sessionId")).toBeNull();
+  });
+});
+
+describe("Home voice answers", () => {
+  async function reachVoiceInterview(transcript) {
+    const stopListening = vi.fn(async ({ discard = false } = {}) => (discard ? "" : transcript));
+    speech.setRecognition({ isSupported: true, stopListening });
+    mockApi({
+      "/api/sessions": () => ({ session: { ...sessionFixture(), interviewMode: "voice" }, fallback: false }),
+      "/api/question": (payload) =>
+        questionReply(payload.studentAnswer ? "기준은 어떻게 정하셨나요?" : "야간 기온을 고른 이유가 있나요?"),
+    });
+    const { container } = render(<Home />);
+    const file = new File(["1. 서론\n\n도시 열섬 현상은"], "report.txt", { type: "text/plain" });
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+    fireEvent.click(screen.getByText("🎤 음성"));
+    fireEvent.click(screen.getByText("인터뷰 시작"));
+    await screen.findByText("주제 1/2 진행중");
+    act(() => speech.setRecognition({ isListening: true, vadState: "waiting" }));
+    expect(screen.getByText("듣고 있습니다...")).toBeTruthy();
+    return stopListening;
+  }
+
+  // Leaving the interview phase also stops listening, without options.
+  function submitStops(stopListening) {
+    return stopListening.mock.calls.filter(([options]) => options).map(([options]) => options);
+  }
+
+  function submittedAnswers() {
+    return apiStream.mock.calls.map(([, payload]) => payload.studentAnswer).filter(Boolean);
+  }
+
+  it("submits after a grace countdown once the student stops talking, unless they go on", async () => {
+    const stopListening = await reachVoiceInterview("야간에 차이가 더 크게 나타나서요.");
+    act(() => speech.setRecognition({ vadState: "speaking" }));
+    act(() => speech.setRecognition({ vadState: "done" }));
+    expect(screen.getByText("3초 후 답변을 제출합니다. 이어서 말씀하시면 취소됩니다.")).toBeTruthy();
+
+    await advanceSeconds(2);
+    expect(screen.getByText("1초 후 답변을 제출합니다. 이어서 말씀하시면 취소됩니다.")).toBeTruthy();
+    act(() => speech.setRecognition({ vadState: "speaking" }));
+    expect(screen.getByText("듣고 있습니다...")).toBeTruthy();
+    await advanceSeconds(5);
+    expect(submitStops(stopListening)).toEqual([]);
+
+    act(() => speech.setRecognition({ vadState: "done" }));
+    await advanceSeconds(3);
+    await waitFor(() => expect(submittedAnswers()).toEqual(["야간에 차이가 더 크게 나타나서요."]));
+    expect(submitStops(stopListening)).toEqual([{ discard: false }]);
+  });
+
+  it("prompts a student who says nothing, then records no answer without transcribing", async () => {
+    const stopListening = await reachVoiceInterview("자막 제공: 시청해 주셔서 감사합니다");
+    act(() => speech.setRecognition({ vadState: "prompt" }));
+    expect(screen.getByText("답변을 말씀해 주세요. 생각을 정리한 뒤 천천히 말씀하셔도 됩니다.")).toBeTruthy();
+    expect(submitStops(stopListening)).toEqual([]);
+
+    act(() => speech.setRecognition({ vadState: "silent" }));
+    expect(screen.getByText("응답이 없어 3초 후 다음으로 넘어갑니다.")).toBeTruthy();
+    await advanceSeconds(3);
+    await waitFor(() => expect(submittedAnswers()).toEqual(["(응답 없음)"]));
+    expect(submitStops(stopListening)).toEqual([{ discard: true }]);
+  });
+
+  it("uploads the recording of an answer for review once the answer is stored", async () => {
+    await reachVoiceInterview("야간에 차이가 더 크게 나타나서요.");
+    const recording = new Blob(["webm"], { type: "audio/webm" });
+    act(() => speech.setRecognition({ takeRecording: () => Promise.resolve(recording) }));
+    fireEvent.click(screen.getByText("⏹️ 답변 완료"));
+
+    await waitFor(() => expect(submittedAnswers()).toEqual(["야간에 차이가 더 크게 나타나서요."]));
+    await waitFor(() => expect(apiUpload).toHaveBeenCalledTimes(1));
+    const { answerId } = apiStream.mock.calls.find(([, payload]) => payload.studentAnswer)[1];
+    expect(apiUpload.mock.calls[0][0]).toBe(`/api/sessions/${SESSION_ID}/recordings?answerId=${answerId}`);
+    expect(apiUpload.mock.calls[0][1]).toBe(recording);
+  });
+
+  it("shows the live transcript and keeps the student's corrections as it grows", async () => {
+    const stopListening = await reachVoiceInterview("야간에 차이가 더 크게 나타나서여. 자료는 기상청 것입니다.");
+    act(() => speech.setRecognition({ vadState: "speaking", transcript: "야간에 차이가 더 크게 나타나서여." }));
+    const transcript = screen.getByLabelText("인식된 답변");
+    expect(transcript.value).toBe("야간에 차이가 더 크게 나타나서여.");
+
+    fireEvent.focus(transcript);
+    fireEvent.change(transcript, { target: { value: "야간에 차이가 더 크게 나타나서요." } });
+    act(() => speech.setRecognition({ transcript: "야간에 차이가 더 크게 나타나서여. 자료는 기상청 것입니다." }));
+    expect(transcript.value).toBe("야간에 차이가 더 크게 나타나서요. 자료는 기상청 것입니다.");
+
+    // No countdown while the student is editing.
+    act(() => speech.setRecognition({ vadState: "done" }));
+    await advanceSeconds(5);
+    expect(submitStops(stopListening)).toEqual([]);
+
+    fireEvent.blur(transcript);
+    await advanceSeconds(3);
+    await waitFor(() => expect(submittedAnswers()).toEqual(["야간에 차이가 더 크게 나타나서요. 자료는 기상청 것입니다."]));
+  });
+});
+
+describe("Home shared plan", () => {
+  afterEach(() => {
+    window.history.replaceState({}, "", "/");
+  });
+
+  it("starts the interview an instructor shared without an upload", async () => {
+    window.history.replaceState({}, "", "/?plan=token-1");
+    apiGet.mockResolvedValue({
+      plan: { course: "도시환경", assignment: "기말 보고서", interviewMode: "chat", topicCount: 2, topicDuration: 60 },
+    });
+    mockApi({
+      "/api/share/token-1/sessions": () => ({ session: sessionFixture() }),
+      "/api/question": () => questionReply("자료를 자치구별로 정리할 때 어떤 기준으로 나누셨나요?"),
+    });
+    const { container } = render(<Home />);
+
+    await screen.findByText("도시환경 · 기말 보고서");
+    expect(apiGet).toHaveBeenCalledWith("/api/share/token-1");
+    expect(screen.getByText(/💬 채팅 인터뷰 · 주제 2개 · 주제별 1분/)).toBeTruthy();
+    expect(container.querySelector('input[type="file"]')).toBeNull();
+
+    fireEvent.click(screen.getByText("인터뷰 시작"));
+    await screen.findByText("주제 1/2 진행중");
+    expect(callsTo("/api/share/token-1/sessions")).toHaveLength(1);
+    expect(window.localStorage.getItem("homeworkValidator.sessionId")).toBe(SESSION_ID);
+  });
+
+  it("explains a link that no longer works", async () => {
+    window.history.replaceState({}, "", "/?plan=gone");
+    apiGet.mockRejectedValue(Object.assign(new Error("not found"), { status: 404 }));
+    const { container } = render(<Home />);
+    await screen.findByText("공유된 인터뷰 링크가 잘못되었거나 더 이상 사용할 수 없습니다.");
+    expect(container.querySelector('input[type="file"]')).toBeTruthy();
+  });
+
+  it("opens the link instead of resuming a saved interview", async () => {
+    window.localStorage.setItem("homeworkValidator.sessionId", SESSION_ID);
+    window.history.replaceState({}, "", "/?plan=token-1");
+    apiGet.mockResolvedValue({
+      plan: { course: "도시환경", assignment: "기말 보고서", interviewMode: "chat", topicCount: 2, topicDuration: 60 },
+    });
+    render(<Home />);
+    await screen.findByText("도시환경 · 기말 보고서");
+    expect(apiGet.mock.calls).toEqual([["/api/share/token-1"]]);
+  });
+});
+
+describe("Home invites", () => {
+  const invite = {
+    code: "ABCD2345",
+    student: { name: "김민지" },
+    course: "도시환경",
+    assignment: "기말 보고서",
+    settings: { topicCount: 2, topicDuration: 60, modes: ["chat"] },
+  };
+
+  afterEach(() => {
+    window.history.replaceState({}, "", "/");
+  });
+
+  it("starts with the settings of the invited assignment", async () => {
+    window.history.replaceState({}, "", "/?invite=ABCD2345");
+    apiGet.mockResolvedValue({ invite });
+    mockApi({
+      "/api/sessions": () => ({ session: sessionFixture(), fallback: false }),
+      "/api/question": () => questionReply("야간 기온을 고른 이유가 있나요?"),
+    });
+    const { container } = render(<Home />);
+
+    await screen.findByText("김민지");
+    expect(apiGet).toHaveBeenCalledWith("/api/invites/ABCD2345");
+    expect(screen.getByText("도시환경 · 기말 보고서")).toBeTruthy();
+    expect(screen.getByText("2개 · 주제별 1분")).toBeTruthy();
+    expect(screen.queryByText("🎤 음성")).toBeNull();
+    expect(screen.queryByLabelText("과목 (선택)")).toBeNull();
+
+    const file = new File(["1. 서론\n\n도시 열섬 현상은"], "report.txt", { type: "text/plain" });
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+    fireEvent.click(screen.getByText("인터뷰 시작"));
+    await screen.findByText("주제 1/2 진행중");
+    expect(callsTo("/api/sessions")[0][1]).toMatchObject({
+      inviteCode: "ABCD2345",
+      interviewMode: "chat",
+      topicCount: 2,
+      topicDuration: 60,
+    });
+  });
+
+  it("opens the invite instead of resuming a saved interview", async () => {
+    window.localStorage.setItem("homeworkValidator.sessionId", SESSION_ID);
+    window.history.replaceState({}, "", "/?invite=ABCD2345");
+    apiGet.mockResolvedValue({ invite });
+    render(<Home />);
+    await screen.findByText("김민지");
+    expect(apiGet.mock.calls).toEqual([["/api/invites/ABCD2345"]]);
+  });
+
+  it("opens an invite from a typed code", async () => {
+    apiGet.mockRejectedValueOnce(Object.assign(new Error("not found"), { status: 404 })).mockResolvedValue({ invite });
+    render(<Home />);
+    const input = screen.getByLabelText("초대 코드가 있나요?");
+
+    fireEvent.change(input, { target: { value: "abcd-2346" } });
+    fireEvent.click(screen.getByText("코드 확인"));
+    await screen.findByText("초대 코드를 찾을 수 없습니다. 교수자에게 받은 코드를 다시 확인해 주세요.");
+
+    fireEvent.change(input, { target: { value: "abcd-2345" } });
+    fireEvent.click(screen.getByText("코드 확인"));
+    await screen.findByText("김민지");
+    expect(apiGet).toHaveBeenLastCalledWith("/api/invites/abcd-2345");
+    expect(screen.queryByText("코드 확인")).toBeNull();
+  });
+});
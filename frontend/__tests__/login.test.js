@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import Login from "../app/login/page";
+import { AccountBar } from "../app/components/Account";
+import { apiFetch } from "../app/lib/api";
+import { SESSION_KEY, getToken, getUser, navigate, rememberNext, saveLogin } from "../app/lib/auth";
+
+vi.mock("../app/lib/api", () => ({
+  API_BASE: "http://api.test",
+  apiFetch: vi.fn(),
+}));
+
+// jsdom cannot follow a full page load.
+vi.mock("../app/lib/auth", async (importOriginal) => ({ ...(await importOriginal()), navigate: vi.fn() }));
+
+const instructor = { id: "u2", username: "lee", name: "이교수", role: "instructor" };
+
+function apiError(error) {
+  return Object.assign(new Error(error), { data: { error } });
+}
+
+describe("Login", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    window.history.replaceState(null, "", "/login");
+    apiFetch.mockReset();
+    navigate.mockReset();
+  });
+  afterEach(cleanup);
+
+  it("signs in with a password and opens the role's home", async () => {
+    apiFetch.mockResolvedValueOnce({ token: "t-1", user: instructor });
+    render(<Login />);
+    fireEvent.change(screen.getByLabelText("아이디 또는 이메일"), { target: { value: "lee" } });
+    fireEvent.change(screen.getByLabelText("비밀번호"), { target: { value: "correct horse" } });
+    fireEvent.click(screen.getByRole("button", { name: "로그인" }));
+
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith("/instructor"));
+    expect(apiFetch).toHaveBeenCalledWith("/api/auth/login", { username: "lee", password: "correct horse" });
+    expect(getToken()).toBe("t-1");
+    expect(getUser()).toEqual(instructor);
+  });
+
+  it("explains a wrong password", async () => {
+    apiFetch.mockRejectedValueOnce(apiError("invalid_credentials"));
+    render(<Login />);
+    fireEvent.change(screen.getByLabelText("아이디 또는 이메일"), { target: { value: "lee" } });
+    fireEvent.change(screen.getByLabelText("비밀번호"), { target: { value: "wrong" } });
+    fireEvent.click(screen.getByRole("button", { name: "로그인" }));
+
+    await screen.findByText("아이디 또는 비밀번호가 맞지 않습니다.");
+    expect(getToken()).toBeNull();
+    expect(navigate).not.toHaveBeenCalled();
+  });
+
+  it("mails a login link", async () => {
+    apiFetch.mockResolvedValueOnce({ sent: true }).mockRejectedValueOnce(apiError("magic_link_disabled"));
+    render(<Login />);
+    fireEvent.change(screen.getByLabelText("이메일"), { target: { value: "park@example.ac.kr" } });
+    fireEvent.click(screen.getByText("로그인 링크 받기"));
+
+    await screen.findByText(/park@example.ac.kr\(으\)로 로그인 링크를 보냈습니다/);
+    expect(apiFetch).toHaveBeenCalledWith("/api/auth/magic-link", { email: "park@example.ac.kr" });
+
+    fireEvent.click(screen.getByText("로그인 링크 받기"));
+    await screen.findByText(/이메일 로그인을 사용할 수 없습니다/);
+  });
+
+  it("signs in from the mailed link and returns to the page that asked", async () => {
+    rememberNext("/?invite=ABCD2345");
+    window.history.replaceState(null, "", "/login?token=link-token");
+    apiFetch.mockResolvedValueOnce({ token: "t-2", user: { id: "u3", email: "park@example.ac.kr", role: "student" } });
+    render(<Login />);
+
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith("/?invite=ABCD2345"));
+    expect(apiFetch).toHaveBeenCalledWith("/api/auth/magic-link/verify", { token: "link-token" });
+    expect(window.location.search).toBe("");
+    expect(getToken()).toBe("t-2");
+  });
+
+  it("forgets the login and the interview to resume on sign-out", async () => {
+    const student = { id: "u3", email: "park@example.ac.kr", role: "student" };
+    saveLogin({ token: "t-2", user: student });
+    window.localStorage.setItem(SESSION_KEY, "session-1");
+    apiFetch.mockResolvedValueOnce(null);
+    render(<AccountBar user={student} />);
+    fireEvent.click(screen.getByText("로그아웃"));
+
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith("/login"));
+    expect(apiFetch).toHaveBeenCalledWith("/api/auth/logout", {});
+    expect(getToken()).toBeNull();
+    expect(window.localStorage.getItem(SESSION_KEY)).toBeNull();
+  });
+});
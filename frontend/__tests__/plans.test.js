@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen } from "@testing-library/react";
+import InstructorPlanEditor from "../app/instructor/plans/[id]/page";
+import { apiFetch, apiGet } from "../app/lib/api";
+
+vi.mock("../app/lib/api", () => ({
+  API_BASE: "http://api.test",
+  apiFetch: vi.fn(),
+  apiGet: vi.fn(),
+}));
+
+const pinned = "자료를 자치구별로 정리할 때 어떤 기준으로 나누셨나요?";
+
+function planFixture(overrides = {}) {
+  return {
+    id: "plan-1",
+    status: "draft",
+    course: "도시환경",
+    assignment: "기말 보고서",
+    interviewMode: "chat",
+    topicDuration: 180,
+    source: { fileName: "report.pdf" },
+    outline: { sections: [{ id: "s2", title: "2. 자료와 방법" }] },
+    topics: [
+      { id: "t1", title: "주제 1", sectionIds: [], pinnedQuestions: [] },
+      { id: "t2", title: "자료 정리 방법", sectionIds: ["s2"], pinnedQuestions: [] },
+    ],
+    suggestions: [{ id: "t3", title: "정책 제안", sectionIds: [], pinnedQuestions: [] }],
+    shareToken: null,
+    ...overrides,
+  };
+}
+
+describe("Instructor plan editor", () => {
+  beforeEach(() => {
+    apiGet.mockReset();
+    apiFetch.mockReset();
+  });
+  afterEach(cleanup);
+
+  it("saves the edited topics and pinned questions, then shows the student link", async () => {
+    apiGet.mockResolvedValue({ plan: planFixture() });
+    const edited = planFixture({
+      topics: [
+        { id: "t2", title: "자료 정리 과정", sectionIds: ["s2"], pinnedQuestions: [pinned] },
+        { id: "t3", title: "정책 제안", sectionIds: [], pinnedQuestions: [] },
+      ],
+      suggestions: [],
+    });
+    apiFetch.mockImplementation(async (path) =>
+      path.endsWith("/lock")
+        ? { plan: { ...edited, status: "locked", shareToken: "token-1" } }
+        : { plan: edited },
+    );
+    render(<InstructorPlanEditor params={{ id: "plan-1" }} />);
+
+    await screen.findByText("관련 섹션: 2. 자료와 방법");
+    fireEvent.click(screen.getAllByText("위로")[1]);
+    fireEvent.click(screen.getAllByText("삭제")[1]);
+    fireEvent.change(screen.getByLabelText("주제 1 제목"), { target: { value: "자료 정리 과정" } });
+    fireEvent.click(screen.getByText("고정 질문 추가"));
+    fireEvent.change(screen.getByLabelText("주제 1 고정 질문 1"), { target: { value: pinned } });
+    fireEvent.click(screen.getByText("+ 정책 제안"));
+    fireEvent.click(screen.getByText("확정하고 링크 만들기"));
+
+    await screen.findByText(`${window.location.origin}/?plan=token-1`);
+    expect(apiFetch).toHaveBeenNthCalledWith(
+      1,
+      "/api/plans/plan-1",
+      {
+        topics: [
+          { id: "t2", title: "자료 정리 과정", pinnedQuestions: [pinned] },
+          { id: "t3", title: "정책 제안", pinnedQuestions: [] },
+        ],
+        topicDuration: 180,
+      },
+      { method: "PUT" },
+    );
+    expect(apiFetch).toHaveBeenNthCalledWith(2, "/api/plans/plan-1/lock", {});
+    expect(screen.getByLabelText("주제 1 제목").disabled).toBe(true);
+    expect(screen.queryByText("새 주제 추가")).toBeNull();
+  });
+
+  it("explains why a plan with a fallback topic cannot be locked", async () => {
+    apiGet.mockResolvedValue({ plan: planFixture() });
+    apiFetch.mockImplementation(async (path) => {
+      if (path.endsWith("/lock")) {
+        throw Object.assign(new Error("unprocessable"), { status: 422, data: { error: "placeholder_topic" } });
+      }
+      return { plan: planFixture() };
+    });
+    render(<InstructorPlanEditor params={{ id: "plan-1" }} />);
+    fireEvent.click(await screen.findByText("확정하고 링크 만들기"));
+    expect(await screen.findByText(/'주제 1' 같은 제목은 고치거나 삭제해 주세요/)).toBeTruthy();
+  });
+});
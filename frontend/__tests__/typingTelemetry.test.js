@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { createTypingRecorder } from "../app/lib/typingTelemetry";
+
+describe("createTypingRecorder", () => {
+  it("times the keys of one answer and keeps idle gaps apart", () => {
+    const recorder = createTypingRecorder({ idleGapMs: 5000 });
+    recorder.reset(1000);
+    // Keys at 3s, 3.2s, 3.5s, then a 12 s pause before the last one.
+    for (const at of [3000, 3200, 3500, 15_500]) recorder.keydown(at);
+    ["낮", "낮에", "낮", "낮에는"].forEach((text) => recorder.input(text));
+
+    expect(recorder.snapshot(16_000)).toEqual({
+      durationMs: 15_000,
+      firstKeyMs: 2000,
+      typingMs: 13_000,
+      keystrokes: 4,
+      deletions: 1,
+      medianKeyIntervalMs: 300,
+      p90KeyIntervalMs: 300,
+      largestInsert: 2,
+      pasteAttempts: [],
+      dropAttempts: 0,
+      focusLosses: [],
+      idleGaps: [{ at: 2500, ms: 12_000 }],
+    });
+  });
+
+  it("records blocked pastes and drops and time spent away, including an absence still going on", () => {
+    const recorder = createTypingRecorder();
+    recorder.reset(0);
+    recorder.blockedPaste(1000, 240);
+    recorder.blockedDrop();
+    recorder.leave(2000);
+    recorder.leave(2500);
+    recorder.back(6000);
+    recorder.leave(9000);
+
+    const snapshot = recorder.snapshot(10_000);
+    expect(snapshot.pasteAttempts).toEqual([{ at: 1000, chars: 240 }]);
+    expect(snapshot.dropAttempts).toBe(1);
+    expect(snapshot.focusLosses).toEqual([
+      { at: 2000, ms: 4000 },
+      { at: 9000, ms: 1000 },
+    ]);
+    expect(snapshot.firstKeyMs).toBeNull();
+
+    recorder.reset(20_000);
+    expect(recorder.snapshot(21_000).focusLosses).toEqual([]);
+  });
+});
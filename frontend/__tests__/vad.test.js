@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { createSegmenter, createVoiceActivityDetector } from "../app/lib/vad";
+
+const FRAME_MS = 50;
+
+// Feeds `level` every frame for `ms` and returns the last state.
+function feed(detector, clock, level, ms) {
+  let state = detector.state;
+  for (let elapsed = 0; elapsed < ms; elapsed += FRAME_MS) {
+    clock.now += FRAME_MS;
+    state = detector.update(level, clock.now);
+  }
+  return state;
+}
+
+function setup(options) {
+  const clock = { now: 0 };
+  const detector = createVoiceActivityDetector({
+    threshold: 0.2,
+    speechStartMs: 200,
+    silenceMs: 1000,
+    noSpeechMs: 4000,
+    maxAnswerMs: 10_000,
+    ...options,
+  });
+  detector.reset(clock.now);
+  return { clock, detector };
+}
+
+describe("createVoiceActivityDetector", () => {
+  it("ignores short noise and starts an answer on sustained speech", () => {
+    const { clock, detector } = setup();
+    expect(feed(detector, clock, 0.6, 100)).toBe("waiting");
+    expect(feed(detector, clock, 0.05, 100)).toBe("waiting");
+    expect(feed(detector, clock, 0.6, 250)).toBe("speaking");
+  });
+
+  it("ends the answer after trailing silence and resumes when speech returns", () => {
+    const { clock, detector } = setup();
+    feed(detector, clock, 0.5, 1000);
+    expect(feed(detector, clock, 0.05, 900)).toBe("speaking");
+    expect(feed(detector, clock, 0.05, 200)).toBe("done");
+    expect(feed(detector, clock, 0.5, 100)).toBe("done");
+    expect(feed(detector, clock, 0.5, 200)).toBe("speaking");
+  });
+
+  it("prompts after a quiet start and gives up after as long again", () => {
+    const { clock, detector } = setup();
+    expect(feed(detector, clock, 0, 3900)).toBe("waiting");
+    expect(feed(detector, clock, 0, 200)).toBe("prompt");
+    expect(feed(detector, clock, 0, 3800)).toBe("prompt");
+    expect(feed(detector, clock, 0, 200)).toBe("silent");
+    expect(feed(detector, clock, 0.5, 300)).toBe("speaking");
+  });
+
+  it("stops at the maximum answer length, counted from the first speech", () => {
+    const { clock, detector } = setup();
+    feed(detector, clock, 0, 2000);
+    expect(feed(detector, clock, 0.5, 9900)).toBe("speaking");
+    expect(feed(detector, clock, 0.5, 200)).toBe("limit");
+    expect(feed(detector, clock, 0, 2000)).toBe("limit");
+  });
+});
+
+describe("createSegmenter", () => {
+  // Feeds `level` every frame for `ms`; returns the time of the first cut, or null.
+  function feedUntilCut(segmenter, clock, level, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += FRAME_MS) {
+      clock.now += FRAME_MS;
+      if (segmenter.update(level, clock.now)) return clock.now;
+    }
+    return null;
+  }
+
+  function setupSegmenter() {
+    const clock = { now: 0 };
+    const segmenter = createSegmenter({ threshold: 0.1, minMs: 2000, pauseMs: 500, maxMs: 6000, speechMs: 200 });
+    segmenter.reset(clock.now);
+    return { clock, segmenter };
+  }
+
+  it("cuts at a pause once the segment is long enough", () => {
+    const { clock, segmenter } = setupSegmenter();
+    feedUntilCut(segmenter, clock, 0.5, 500);
+    // A pause before minMs does not cut: words are kept together.
+    expect(feedUntilCut(segmenter, clock, 0, 800)).toBeNull();
+    expect(feedUntilCut(segmenter, clock, 0.5, 1000)).toBeNull();
+    expect(segmenter.hasSpeech).toBe(true);
+    expect(feedUntilCut(segmenter, clock, 0, 1000)).toBe(2850);
+  });
+
+  it("cuts at maxMs while the student keeps talking", () => {
+    const { clock, segmenter } = setupSegmenter();
+    expect(feedUntilCut(segmenter, clock, 0.5, 8000)).toBe(6000);
+  });
+
+  it("does not count a silent stretch as speech", () => {
+    const { clock, segmenter } = setupSegmenter();
+    expect(feedUntilCut(segmenter, clock, 0.05, 8000)).toBe(6000);
+    expect(segmenter.hasSpeech).toBe(false);
+    segmenter.reset(clock.now);
+    feedUntilCut(segmenter, clock, 0.5, 100);
+    expect(segmenter.hasSpeech).toBe(false);
+  });
+});
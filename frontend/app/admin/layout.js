@@ -0,0 +1,7 @@
+"use client";
+
+import { RequireLogin } from "../components/Account";
+
+export default function AdminLayout({ children }) {
+  return <RequireLogin roles={["admin"]}>{children}</RequireLogin>;
+}
@@ -0,0 +1,380 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import pageStyles from "../page.module.css";
+import styles from "../instructor/instructor.module.css";
+import { apiFetch, apiGet } from "../lib/api";
+import { ROLE_LABELS } from "../lib/auth";
+
+const ENDPOINT_LABELS = { analyze: "과제 분석", question: "질문 생성", verify: "답변 대조", summary: "결과 평가" };
+
+const ERROR_MESSAGES = {
+  email_or_username_required: "이메일이나 아이디 중 하나는 입력해야 합니다.",
+  invalid_email: "이메일 주소를 확인해 주세요.",
+  password_too_short: "비밀번호는 8자 이상이어야 합니다.",
+  user_exists: "같은 이메일이나 아이디를 쓰는 계정이 이미 있습니다.",
+  own_account: "내 계정의 관리자 권한은 해제하거나 잠글 수 없습니다.",
+  invalid_provider: "알 수 없는 모델 제공자입니다.",
+};
+
+const EMPTY_USER = { email: "", username: "", name: "", role: "instructor", password: "" };
+
+const KIND_LABELS = { llm: "언어 모델", tts: "음성 합성", stt: "음성 인식" };
+
+const USAGE_COLUMNS = [
+  ["byCourse", "과목별", (row) => row.course || "과목 없음"],
+  ["byAssignment", "과제별", (row) => [row.course, row.assignment].filter(Boolean).join(" · ") || "과제 없음"],
+  ["byDay", "일별", (row) => row.day],
+];
+
+// UTC days, as the backend groups them.
+function dayOffset(days) {
+  return new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+}
+
+// The last 30 days, today included.
+function recentRange() {
+  return { from: dayOffset(-29), to: dayOffset(0) };
+}
+
+function formatCost(value, currency) {
+  if (value === null || value === undefined) return "-";
+  return new Intl.NumberFormat("ko-KR", { style: "currency", currency, maximumFractionDigits: 4 }).format(value);
+}
+
+// What a kind of call used, in the unit it is priced by.
+function kindAmount(row) {
+  if (row.kind === "llm") return `입력 ${row.inputTokens.toLocaleString()} · 출력 ${row.outputTokens.toLocaleString()} 토큰`;
+  if (row.kind === "tts") return `${row.characters.toLocaleString()}자`;
+  return `${(row.audioSeconds / 60).toFixed(1)}분`;
+}
+
+// Metered spend by course, assignment and day for a range of days.
+function UsageReport() {
+  const [range, setRange] = useState(recentRange);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+
+  const load = (params) =>
+    apiGet("/api/admin/usage", params)
+      .then((data) => {
+        setReport(data.report);
+        setError("");
+      })
+      .catch((err) => {
+        console.error(err);
+        setError("사용량을 불러오지 못했습니다.");
+      });
+
+  useEffect(() => {
+    load(recentRange());
+  }, []);
+
+  const setDay = (field) => (e) => setRange((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    load(range);
+  };
+
+  const cost = (value) => formatCost(value, report.currency);
+
+  return (
+    <div className={pageStyles.card}>
+      <p className={pageStyles.cardEyebrow}>사용량과 비용</p>
+      <form className={styles.toolbar} onSubmit={handleSubmit}>
+        <label className={styles.filter}>
+          시작일
+          <input type="date" value={range.from} onChange={setDay("from")} />
+        </label>
+        <label className={styles.filter}>
+          종료일
+          <input type="date" value={range.to} onChange={setDay("to")} />
+        </label>
+        <button type="submit" className={pageStyles.secondaryButton}>
+          조회
+        </button>
+      </form>
+      {error && <div className={pageStyles.errorBanner}>{error}</div>}
+      {report && (
+        <>
+          <p className={pageStyles.cardDescription}>
+            총 {cost(report.total.cost)} · 호출 {report.total.calls}건 · 면담 {report.total.sessions}건 · 면담당{" "}
+            {cost(report.total.costPerSession)}
+            {report.total.unpricedCalls > 0 && ` · 가격표에 없는 호출 ${report.total.unpricedCalls}건은 빠져 있습니다`}
+          </p>
+          <div className={styles.group}>
+            {report.byKind.map((row) => (
+              <div key={row.kind} className={styles.usageRow}>
+                <span>{KIND_LABELS[row.kind] || row.kind}</span>
+                <span className={styles.sessionMeta}>
+                  {kindAmount(row)} · 평균 {row.latencyMs.toLocaleString()}ms
+                </span>
+                <span className={styles.sessionMeta}>{row.calls}건</span>
+                <span>{cost(row.cost)}</span>
+              </div>
+            ))}
+          </div>
+          {USAGE_COLUMNS.map(([key, title, labelOf]) => (
+            <div key={key} className={styles.group}>
+              <p className={styles.groupTitle}>{title}</p>
+              {report[key].length === 0 && <p className={styles.sessionMeta}>기간 안에 기록된 호출이 없습니다.</p>}
+              {report[key].map((row) => (
+                <div key={labelOf(row)} className={styles.usageRow}>
+                  <span>{labelOf(row)}</span>
+                  <span className={styles.sessionMeta}>면담 {row.sessions}건</span>
+                  <span className={styles.sessionMeta}>면담당 {cost(row.costPerSession)}</span>
+                  <span>{cost(row.cost)}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+function userLabel(user) {
+  return [user.name, user.username, user.email].filter(Boolean).join(" · ");
+}
+
+// The editable part of the current settings: provider and model per endpoint,
+// voice and model for TTS.
+function configForm(config) {
+  return {
+    llm: Object.fromEntries(
+      Object.entries(config.llm).map(([endpoint, { provider, model }]) => [endpoint, { provider, model: model || "" }]),
+    ),
+    tts: { voiceId: config.tts?.voice || "", modelId: config.tts?.model || "" },
+  };
+}
+
+export default function Admin() {
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [config, setConfig] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const loadUsers = () =>
+    apiGet("/api/admin/users")
+      .then((data) => setUsers(data.users || []))
+      .catch((err) => {
+        console.error(err);
+        setError("계정 목록을 불러오지 못했습니다.");
+      });
+
+  const showConfig = (data) => {
+    setConfig(data.config);
+    setProviders(data.providers || []);
+    setForm(configForm(data.config));
+  };
+
+  useEffect(() => {
+    loadUsers();
+    apiGet("/api/admin/config")
+      .then(showConfig)
+      .catch((err) => {
+        console.error(err);
+        setError("모델 설정을 불러오지 못했습니다.");
+      });
+  }, []);
+
+  const run = async (action, success) => {
+    setSaving(true);
+    setError("");
+    setNotice("");
+    try {
+      await action();
+      setNotice(success);
+    } catch (err) {
+      console.error(err);
+      setError(ERROR_MESSAGES[err.data?.error] || err.data?.message || "저장하지 못했습니다.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateUser = (user, changes) =>
+    run(async () => {
+      await apiFetch(`/api/admin/users/${user.id}`, changes, { method: "PUT" });
+      await loadUsers();
+    }, `${userLabel(user)} 계정을 바꿨습니다.`);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await apiFetch("/api/admin/users", newUser);
+      setNewUser(EMPTY_USER);
+      await loadUsers();
+    }, "계정을 만들었습니다.");
+  };
+
+  const setNewField = (field) => (e) => setNewUser((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const setEndpoint = (endpoint, field) => (e) =>
+    setForm((prev) => ({ ...prev, llm: { ...prev.llm, [endpoint]: { ...prev.llm[endpoint], [field]: e.target.value } } }));
+
+  const setVoice = (field) => (e) => setForm((prev) => ({ ...prev, tts: { ...prev.tts, [field]: e.target.value } }));
+
+  const handleConfig = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const canVoice = config.tts?.provider === "elevenlabs";
+      showConfig(await apiFetch("/api/admin/config", canVoice ? form : { llm: form.llm }, { method: "PUT" }));
+    }, "모델 설정을 저장했습니다. 다음 요청부터 적용됩니다.");
+  };
+
+  return (
+    <main className={pageStyles.shell}>
+      <div className={pageStyles.backdrop} />
+      <section className={pageStyles.header}>
+        <div>
+          <Link href="/instructor" className={styles.backLink}>
+            ← 대시보드로
+          </Link>
+          <p className={pageStyles.eyebrow}>관리자</p>
+          <h1 className={pageStyles.title}>계정, 모델 설정과 사용량</h1>
+          <p className={pageStyles.subtitle}>
+            교수자 계정을 만들고 역할을 정하세요. 학생은 이메일 링크로 처음 로그인할 때 계정이 만들어집니다.
+          </p>
+        </div>
+      </section>
+
+      {error && <div className={pageStyles.errorBanner}>{error}</div>}
+      {notice && <p className={pageStyles.cardDescription}>{notice}</p>}
+
+      <div className={pageStyles.card}>
+        <p className={pageStyles.cardEyebrow}>계정</p>
+        {users.map((user) => (
+          <div key={user.id} className={styles.sessionRow}>
+            <span>
+              {userLabel(user)}
+              {user.disabled && <span className={styles.groupMeta}>잠김</span>}
+            </span>
+            <select
+              aria-label={`${userLabel(user)} 역할`}
+              value={user.role}
+              disabled={saving}
+              onChange={(e) => updateUser(user, { role: e.target.value })}
+            >
+              {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                <option key={role} value={role}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className={pageStyles.secondaryButton}
+              disabled={saving}
+              onClick={() => updateUser(user, { disabled: !user.disabled })}
+            >
+              {user.disabled ? "잠금 해제" : "잠그기"}
+            </button>
+          </div>
+        ))}
+
+        <form className={pageStyles.settingsSection} onSubmit={handleCreate}>
+          <p className={pageStyles.cardEyebrow}>새 계정</p>
+          {[
+            ["name", "이름", "text"],
+            ["username", "아이디", "text"],
+            ["email", "이메일", "email"],
+            ["password", "비밀번호", "password"],
+          ].map(([field, label, type]) => (
+            <div key={field} className={pageStyles.settingRow}>
+              <label className={pageStyles.settingLabel} htmlFor={`newUser-${field}`}>
+                {label}
+              </label>
+              <input
+                id={`newUser-${field}`}
+                type={type}
+                className={pageStyles.settingInput}
+                value={newUser[field]}
+                onChange={setNewField(field)}
+                autoComplete="off"
+              />
+            </div>
+          ))}
+          <div className={pageStyles.settingRow}>
+            <label className={pageStyles.settingLabel} htmlFor="newUser-role">
+              역할
+            </label>
+            <select id="newUser-role" className={pageStyles.settingInput} value={newUser.role} onChange={setNewField("role")}>
+              {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                <option key={role} value={role}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <button type="submit" className={pageStyles.primaryButton} disabled={saving}>
+            계정 만들기
+          </button>
+        </form>
+      </div>
+
+      {form && (
+        <form className={pageStyles.card} onSubmit={handleConfig}>
+          <p className={pageStyles.cardEyebrow}>모델</p>
+          {Object.entries(form.llm).map(([endpoint, value]) => (
+            <div key={endpoint} className={pageStyles.settingRow}>
+              <span className={pageStyles.settingLabel}>{ENDPOINT_LABELS[endpoint] || endpoint}</span>
+              <select
+                aria-label={`${ENDPOINT_LABELS[endpoint] || endpoint} 제공자`}
+                className={pageStyles.settingInput}
+                value={value.provider}
+                onChange={setEndpoint(endpoint, "provider")}
+              >
+                {providers.map((provider) => (
+                  <option key={provider} value={provider}>
+                    {provider}
+                  </option>
+                ))}
+              </select>
+              <input
+                aria-label={`${ENDPOINT_LABELS[endpoint] || endpoint} 모델`}
+                className={pageStyles.settingInput}
+                value={value.model}
+                onChange={setEndpoint(endpoint, "model")}
+              />
+            </div>
+          ))}
+
+          <p className={pageStyles.cardEyebrow}>음성</p>
+          {config.tts?.provider === "elevenlabs" ? (
+            <>
+              <div className={pageStyles.settingRow}>
+                <label className={pageStyles.settingLabel} htmlFor="ttsVoice">
+                  목소리 ID
+                </label>
+                <input id="ttsVoice" className={pageStyles.settingInput} value={form.tts.voiceId} onChange={setVoice("voiceId")} />
+              </div>
+              <div className={pageStyles.settingRow}>
+                <label className={pageStyles.settingLabel} htmlFor="ttsModel">
+                  음성 모델
+                </label>
+                <input id="ttsModel" className={pageStyles.settingInput} value={form.tts.modelId} onChange={setVoice("modelId")} />
+              </div>
+            </>
+          ) : (
+            <p className={pageStyles.cardDescription}>
+              {config.tts ? `${config.tts.provider} 음성은 목소리를 고를 수 없습니다.` : "음성 합성이 꺼져 있습니다."}
+            </p>
+          )}
+          <button type="submit" className={pageStyles.primaryButton} disabled={saving}>
+            모델 설정 저장
+          </button>
+        </form>
+      )}
+
+      <UsageReport />
+    </main>
+  );
+}
@@ -0,0 +1,72 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import pageStyles from "../page.module.css";
+import styles from "./Account.module.css";
+import { apiFetch } from "../lib/api";
+import { ROLE_LABELS, SESSION_KEY, clearLogin, getToken, getUser, navigate, redirectToLogin } from "../lib/auth";
+
+async function signOut() {
+  try {
+    await apiFetch("/api/auth/logout", {});
+  } catch (err) {
+    console.error(err);
+  }
+  clearLogin();
+  window.localStorage.removeItem(SESSION_KEY);
+  navigate("/login");
+}
+
+export function AccountBar({ user }) {
+  return (
+    <div className={styles.bar}>
+      <span>
+        {user.name || user.username || user.email} · {ROLE_LABELS[user.role]}
+      </span>
+      {user.role === "admin" && (
+        <Link href="/admin" className={styles.link}>
+          관리
+        </Link>
+      )}
+      <button type="button" className={styles.link} onClick={signOut}>
+        로그아웃
+      </button>
+    </div>
+  );
+}
+
+// Renders the page only for a signed-in user with one of `roles`; without a
+// login it sends the user to /login first. The backend checks every request
+// on its own, so this only spares users pages that would fail.
+export function RequireLogin({ roles, children }) {
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    const stored = getUser();
+    if (!getToken() || !stored) {
+      redirectToLogin();
+      return;
+    }
+    setUser(stored);
+  }, []);
+
+  if (!user) return null;
+  if (!roles.includes(user.role)) {
+    return (
+      <main className={pageStyles.shell}>
+        <div className={pageStyles.backdrop} />
+        <AccountBar user={user} />
+        <div className={pageStyles.errorBanner}>
+          {roles.map((role) => ROLE_LABELS[role]).join("·")} 계정으로 로그인해야 볼 수 있는 화면입니다.
+        </div>
+      </main>
+    );
+  }
+  return (
+    <>
+      <AccountBar user={user} />
+      {children}
+    </>
+  );
+}
@@ -0,0 +1,245 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import clsx from "clsx";
+import styles from "./SourceViewer.module.css";
+import { API_BASE, apiGet } from "../lib/api";
+import { authHeaders } from "../lib/auth";
+
+// pdf.js is only loaded in the browser, on first use. Its worker is bundled
+// as a regular chunk and run on the main thread (pdf.js picks it up from
+// `globalThis.pdfjsWorker`): Next 14 fails to minify the standalone worker
+// file, and assignments are small enough that parsing off-thread is not needed.
+let pdfjsPromise = null;
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([import("pdfjs-dist"), import("pdfjs-dist/build/pdf.worker.mjs")]).then(
+      ([pdfjs, worker]) => {
+        globalThis.pdfjsWorker = worker;
+        return pdfjs;
+      },
+    );
+  }
+  return pdfjsPromise;
+}
+
+// One load per session: the viewer remounts on every topic change.
+const sourceCache = new Map();
+function loadSource(sessionId) {
+  if (!sourceCache.has(sessionId)) {
+    const promise = apiGet(`/api/sessions/${sessionId}/document`).then(async (data) => {
+      let pdf = null;
+      if (data.document.format === "pdf" && data.hasSource) {
+        try {
+          const [pdfjs, res] = await Promise.all([
+            loadPdfjs(),
+            fetch(`${API_BASE}/api/sessions/${sessionId}/source`, { headers: authHeaders() }),
+          ]);
+          if (!res.ok) throw new Error(`source ${res.status}`);
+          const doc = await pdfjs.getDocument({ data: new Uint8Array(await res.arrayBuffer()) }).promise;
+          pdf = { pdfjs, doc };
+        } catch (err) {
+          // Without the rendered PDF the text view is still shown.
+          console.error(err);
+        }
+      }
+      return { document: data.document, pdf };
+    });
+    promise.catch(() => sourceCache.delete(sessionId));
+    sourceCache.set(sessionId, promise);
+  }
+  return sourceCache.get(sessionId);
+}
+
+function refLabel(ref, sections) {
+  if (ref.page) return `p.${ref.page}`;
+  return sections.find((section) => section.id === ref.sectionId)?.title || "본문";
+}
+
+// Refs are `{ sectionId, page, start, end, quote }` with offsets into the
+// document text (see backend lib/document.js); `label` is set by the caller.
+export function SourceViewer({ sessionId, refs = [], title = "과제 원문" }) {
+  const [source, setSource] = useState(null);
+  const [pdf, setPdf] = useState(null);
+  const [error, setError] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    let cancelled = false;
+    setError("");
+    loadSource(sessionId)
+      .then((loaded) => {
+        if (cancelled) return;
+        setSource(loaded.document);
+        setPdf(loaded.pdf);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError("과제 원문을 불러오지 못했습니다.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  const refsKey = refs.map((ref) => ref.start).join(",");
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [refsKey]);
+
+  const activeRef = refs[activeIndex] || null;
+  const sections = source?.sections || [];
+
+  return (
+    <div className={styles.viewer}>
+      <div className={styles.header}>
+        <p className={styles.eyebrow}>{title}</p>
+        {refs.length > 0 && (
+          <div className={styles.refList}>
+            {refs.map((ref, idx) => (
+              <button
+                key={`${ref.start}-${idx}`}
+                className={clsx(styles.refChip, idx === activeIndex && styles.refChipActive)}
+                onClick={() => setActiveIndex(idx)}
+                title={ref.quote}
+              >
+                {ref.label ? `${ref.label} · ` : ""}
+                {refLabel(ref, sections)}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {error && <p className={styles.empty}>{error}</p>}
+      {!error && !source && <p className={styles.empty}>원문을 불러오는 중...</p>}
+      {source && activeRef?.quote && <blockquote className={styles.quote}>{activeRef.quote}</blockquote>}
+      {source && pdf && activeRef?.page ? (
+        <PdfPage pdf={pdf} pageNumber={activeRef.page} quote={activeRef.quote} />
+      ) : (
+        source && <TextView source={source} activeRef={activeRef} />
+      )}
+    </div>
+  );
+}
+
+function squash(text) {
+  return (text || "").replace(/\s+/g, "");
+}
+
+// Text items that make up `quote` on the page, matched with whitespace
+// removed since pdf.js and the server split lines differently.
+function matchingItems(items, quote) {
+  const needle = squash(quote);
+  if (!needle) return [];
+  let flat = "";
+  const owners = [];
+  items.forEach((item, idx) => {
+    const text = squash(item.str);
+    flat += text;
+    for (let i = 0; i < text.length; i += 1) owners.push(idx);
+  });
+  const start = flat.indexOf(needle);
+  if (start === -1) return [];
+  return [...new Set(owners.slice(start, start + needle.length))].map((idx) => items[idx]);
+}
+
+function PdfPage({ pdf, pageNumber, quote }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [highlights, setHighlights] = useState([]);
+  const [size, setSize] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+    (async () => {
+      const page = await pdf.doc.getPage(Math.min(pageNumber, pdf.doc.numPages));
+      const width = containerRef.current?.clientWidth || 360;
+      const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+      const ratio = window.devicePixelRatio || 1;
+      const canvas = canvasRef.current;
+      if (cancelled || !canvas) return;
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      setSize({ width: viewport.width, height: viewport.height });
+      renderTask = page.render({
+        canvasContext: canvas.getContext("2d"),
+        viewport,
+        transform: ratio === 1 ? null : [ratio, 0, 0, ratio, 0, 0],
+      });
+      await renderTask.promise;
+      const content = await page.getTextContent();
+      if (cancelled) return;
+      setHighlights(
+        matchingItems(content.items, quote).map((item) => {
+          const [, , c, d, e, f] = pdf.pdfjs.Util.transform(viewport.transform, item.transform);
+          const height = Math.hypot(c, d);
+          return { left: e, top: f - height, width: item.width * viewport.scale, height };
+        }),
+      );
+    })().catch((err) => {
+      if (err?.name !== "RenderingCancelledException") console.error(err);
+    });
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+      setHighlights([]);
+    };
+  }, [pdf, pageNumber, quote]);
+
+  return (
+    <div ref={containerRef} className={styles.pdfPage}>
+      <div className={styles.pdfCanvasWrap} style={size || undefined}>
+        <canvas ref={canvasRef} className={styles.pdfCanvas} />
+        {highlights.map((rect, idx) => (
+          <span key={idx} className={styles.pdfHighlight} style={rect} />
+        ))}
+      </div>
+      <p className={styles.pageNumber}>
+        {pageNumber} / {pdf.doc.numPages}
+      </p>
+    </div>
+  );
+}
+
+function TextView({ source, activeRef }) {
+  const containerRef = useRef(null);
+  const markRef = useRef(null);
+
+  // Scroll only the viewer, never the page around it.
+  useEffect(() => {
+    const container = containerRef.current;
+    const mark = markRef.current;
+    if (!container || !mark) return;
+    container.scrollTo({ top: Math.max(0, mark.offsetTop - container.clientHeight / 3), behavior: "smooth" });
+  }, [activeRef]);
+
+  return (
+    <div ref={containerRef} className={styles.textView}>
+      {source.blocks.map((block) => {
+        const end = block.offset + block.text.length;
+        const hit = activeRef && activeRef.start < end && activeRef.end > block.offset;
+        const Tag = block.type === "heading" ? "h4" : "p";
+        if (!hit) {
+          return (
+            <Tag key={block.offset} className={block.type === "heading" ? styles.heading : styles.paragraph}>
+              {block.text}
+            </Tag>
+          );
+        }
+        const from = Math.max(0, activeRef.start - block.offset);
+        const to = Math.min(block.text.length, activeRef.end - block.offset);
+        return (
+          <Tag key={block.offset} className={block.type === "heading" ? styles.heading : styles.paragraph}>
+            {block.text.slice(0, from)}
+            <mark ref={activeRef.start >= block.offset ? markRef : undefined} className={styles.mark}>
+              {block.text.slice(from, to)}
+            </mark>
+            {block.text.slice(to)}
+          </Tag>
+        );
+      })}
+    </div>
+  );
+}
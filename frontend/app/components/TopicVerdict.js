@@ -0,0 +1,139 @@
+import clsx from "clsx";
+import styles from "./TopicVerdict.module.css";
+
+export const CRITERIA = [
+  { key: "process", label: "작성 과정 설명" },
+  { key: "decisions", label: "의사결정 근거" },
+  { key: "experience", label: "개인적 경험" },
+  { key: "alternatives", label: "대안 인식" },
+  { key: "consistency", label: "일관성" },
+];
+
+const criterionLabels = Object.fromEntries(CRITERIA.map((c) => [c.key, c.label]));
+
+const confidenceLabels = {
+  high: "확신 높음",
+  medium: "확신 보통",
+  low: "확신 낮음",
+};
+
+export function TopicVerdict({ verdict, showTitle = true }) {
+  if (!verdict) return null;
+  return (
+    <div className={styles.topic}>
+      <div className={styles.topicHeader}>
+        {showTitle ? <p className={styles.topicTitle}>{verdict.title}</p> : <span />}
+        <span
+          className={clsx(styles.confidence, {
+            [styles.confidenceHigh]: verdict.confidence === "high",
+            [styles.confidenceMedium]: verdict.confidence === "medium",
+          })}
+        >
+          {confidenceLabels[verdict.confidence] || confidenceLabels.low}
+        </span>
+      </div>
+
+      <div className={styles.scores}>
+        {CRITERIA.map(({ key, label }) => {
+          const score = verdict.scores?.[key];
+          return [
+            <span key={`${key}-label`} className={styles.scoreLabel}>{label}</span>,
+            <div key={`${key}-track`} className={styles.scoreTrack}>
+              <div className={styles.scoreFill} style={{ width: `${((score || 0) / 5) * 100}%` }} />
+            </div>,
+            <span key={`${key}-value`} className={styles.scoreValue}>{score ?? "-"}</span>,
+          ];
+        })}
+      </div>
+
+      {verdict.comment && <p className={styles.comment}>{verdict.comment}</p>}
+
+      {verdict.evidence?.length ? (
+        <ul className={styles.evidence}>
+          {verdict.evidence.map((item, idx) => (
+            <li key={idx} className={styles.quote}>
+              “{item.quote}”
+              <span className={styles.quoteMeta}>
+                {criterionLabels[item.criterion] || item.criterion}
+                {item.note ? ` · ${item.note}` : ""}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={styles.muted}>근거로 인용할 학생 발화가 없습니다.</p>
+      )}
+    </div>
+  );
+}
+
+export function TopicVerdictList({ topics }) {
+  if (!topics?.length) return null;
+  return (
+    <div className={styles.list}>
+      {topics.map((verdict) => (
+        <TopicVerdict key={verdict.topicId} verdict={verdict} />
+      ))}
+    </div>
+  );
+}
+
+export const RUBRIC_KINDS = {
+  objective: "학습 목표",
+  section: "필수 섹션",
+  claim: "핵심 주장",
+};
+
+const RUBRIC_SCORES = [
+  { key: "ownership", label: "직접 작성" },
+  { key: "understanding", label: "내용 이해" },
+];
+
+// One item of the assignment's rubric (summary.rubric).
+export function RubricVerdict({ verdict }) {
+  return (
+    <div className={styles.topic}>
+      <div className={styles.topicHeader}>
+        <p className={styles.topicTitle}>{verdict.title}</p>
+        <span className={styles.confidence}>{RUBRIC_KINDS[verdict.kind] || verdict.kind}</span>
+      </div>
+
+      <div className={styles.scores}>
+        {RUBRIC_SCORES.map(({ key, label }) => {
+          const score = verdict[key];
+          return [
+            <span key={`${key}-label`} className={styles.scoreLabel}>{label}</span>,
+            <div key={`${key}-track`} className={styles.scoreTrack}>
+              <div className={styles.scoreFill} style={{ width: `${((score || 0) / 5) * 100}%` }} />
+            </div>,
+            <span key={`${key}-value`} className={styles.scoreValue}>{score ?? "-"}</span>,
+          ];
+        })}
+      </div>
+
+      {verdict.comment && <p className={styles.comment}>{verdict.comment}</p>}
+
+      {verdict.evidence?.length > 0 && (
+        <ul className={styles.evidence}>
+          {verdict.evidence.map((item, idx) => (
+            <li key={idx} className={styles.quote}>
+              “{item.quote}”
+              {item.note && <span className={styles.quoteMeta}>{item.note}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export function RubricVerdictList({ rubric }) {
+  if (!rubric?.length) return null;
+  return (
+    <div className={styles.list}>
+      {rubric.map((verdict) => (
+        <RubricVerdict key={verdict.criterionId} verdict={verdict} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+"use client";
+
+import { useState } from "react";
+import clsx from "clsx";
+import styles from "../page.module.css";
+
+const ACCEPTED_EXTENSIONS = [".pdf", ".docx", ".hwp", ".hwpx", ".txt", ".md", ".markdown"];
+
+function isAcceptedFile(file) {
+  const name = file?.name?.toLowerCase() || "";
+  return ACCEPTED_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+// Error codes come from the backend's text extraction (lib/extract.js).
+export const EXTRACTION_ERRORS = {
+  unsupported_format: "지원하지 않는 파일 형식입니다. PDF, DOCX, HWP, HWPX, TXT, MD 파일을 올려 주세요.",
+  pdf_extract_failed: "PDF에서 텍스트를 읽지 못했습니다. 파일이 손상되지 않았는지 확인해 주세요.",
+  pdf_no_text: "PDF에 텍스트가 없습니다. 스캔한 이미지 PDF는 지원하지 않습니다.",
+  docx_extract_failed: "DOCX 파일을 읽지 못했습니다. 파일이 손상되지 않았는지 확인해 주세요.",
+  hwpx_extract_failed: "HWPX 파일을 읽지 못했습니다. 파일이 손상되지 않았는지 확인해 주세요.",
+  hwp_extract_failed: "HWP 파일을 읽지 못했습니다. HWPX나 PDF로 저장해 다시 올려 주세요.",
+  hwp_encrypted: "암호가 걸렸거나 배포용으로 저장된 HWP 문서는 읽을 수 없습니다.",
+  hwp_unsupported_version: "HWP 3.0 이하 문서는 지원하지 않습니다. 최신 한글에서 다시 저장해 주세요.",
+  text_decode_failed: "텍스트 파일의 인코딩을 알 수 없습니다. UTF-8로 저장해 다시 올려 주세요.",
+  empty_document: "문서에서 텍스트를 찾지 못했습니다.",
+};
+
+export function fileToBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = reader.result;
+      if (typeof result === "string") {
+        const base64 = result.split(",")[1];
+        resolve(base64);
+      } else {
+        reject(new Error("파일을 읽을 수 없습니다."));
+      }
+    };
+    reader.onerror = () => reject(new Error("파일을 읽는 중 오류가 발생했습니다."));
+    reader.readAsDataURL(file);
+  });
+}
+
+function presetMode(preset, sttSupported) {
+  if (!preset) return "voice";
+  return preset.settings.modes.includes("voice") && sttSupported ? "voice" : "chat";
+}
+
+// The upload and interview settings form. Students start an interview with
+// it; instructors use it to prepare a plan (`title`, `description` and
+// `submitLabel` say which). With a `preset` (an invite from
+// GET /api/invites/:code) the course, assignment, topic count and duration
+// are fixed and only the modes the assignment allows are offered.
+export function UploadCard({
+  onStart,
+  sttSupported,
+  title = "과제 파일 업로드",
+  description = "과제 파일을 업로드하고 설정을 선택한 후 인터뷰를 시작하세요.",
+  submitLabel = "인터뷰 시작",
+  busy = false,
+  preset = null,
+}) {
+  const [file, setFile] = useState(null);
+  const [topicCount, setTopicCount] = useState(preset?.settings.topicCount ?? 3);
+  const [topicDuration, setTopicDuration] = useState(preset?.settings.topicDuration ?? 180);
+  const [interviewMode, setInterviewMode] = useState(() => presetMode(preset, sttSupported));
+  const [course, setCourse] = useState("");
+  const [assignmentName, setAssignmentName] = useState("");
+
+  const handleFileSelect = (selectedFile) => {
+    if (isAcceptedFile(selectedFile)) {
+      setFile(selectedFile);
+    }
+  };
+
+  const allowsMode = (mode) => !preset || preset.settings.modes.includes(mode);
+  const needsVoice = !allowsMode("chat") && !sttSupported;
+
+  const handleStart = () => {
+    if (!file) return;
+    onStart(file, { topicCount, topicDuration, interviewMode, course: course.trim(), assignmentName: assignmentName.trim() });
+  };
+
+  return (
+    <div className={styles.card}>
+      <div className={styles.cardHeader}>
+        <div>
+          <p className={styles.cardEyebrow}>인터뷰 설정</p>
+          <h2 className={styles.cardTitle}>{title}</h2>
+          <p className={styles.cardDescription}>{description}</p>
+        </div>
+      </div>
+
+      <label
+        className={clsx(styles.uploadArea, file && styles.uploadAreaSelected)}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          handleFileSelect(e.dataTransfer.files?.[0]);
+        }}
+      >
+        <input
+          type="file"
+          accept={ACCEPTED_EXTENSIONS.join(",")}
+          className={styles.fileInput}
+          onChange={(e) => handleFileSelect(e.target.files?.[0])}
+        />
+        <div>
+          <p className={styles.uploadTitle}>
+            {file ? `✓ ${file.name}` : "파일을 끌어놓거나 클릭해 업로드"}
+          </p>
+          <p className={styles.uploadSub}>
+            {file ? "다른 파일을 선택하려면 다시 클릭하세요" : "PDF, DOCX, HWP, HWPX, TXT, MD 지원"}
+          </p>
+        </div>
+      </label>
+
+      <div className={styles.settingsSection}>
+        {preset ? (
+          <>
+            <div className={styles.settingRow}>
+              <span className={styles.settingLabel}>학생</span>
+              <span className={styles.settingValue}>{preset.student.name}</span>
+            </div>
+            <div className={styles.settingRow}>
+              <span className={styles.settingLabel}>과목 · 과제</span>
+              <span className={styles.settingValue}>
+                {preset.course || "(미지정)"} · {preset.assignment}
+              </span>
+            </div>
+            <div className={styles.settingRow}>
+              <span className={styles.settingLabel}>주제 개수 · 제한 시간</span>
+              <span className={styles.settingValue}>
+                {topicCount}개 · 주제별 {topicDuration / 60}분
+              </span>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className={styles.settingRow}>
+              <label className={styles.settingLabel} htmlFor="course">과목 (선택)</label>
+              <input
+                id="course"
+                className={styles.settingInput}
+                value={course}
+                onChange={(e) => setCourse(e.target.value)}
+                placeholder="예: 글쓰기와 토론"
+                maxLength={100}
+              />
+            </div>
+            <div className={styles.settingRow}>
+              <label className={styles.settingLabel} htmlFor="assignmentName">과제명 (선택)</label>
+              <input
+                id="assignmentName"
+                className={styles.settingInput}
+                value={assignmentName}
+                onChange={(e) => setAssignmentName(e.target.value)}
+                placeholder="예: 중간 레포트"
+                maxLength={100}
+              />
+            </div>
+            <div className={styles.settingRow}>
+              <label className={styles.settingLabel}>주제 개수</label>
+              <div className={styles.settingButtons}>
+                {[1, 2, 3].map((n) => (
+                  <button
+                    key={n}
+                    className={clsx(styles.settingButton, topicCount === n && styles.settingButtonActive)}
+                    onClick={() => setTopicCount(n)}
+                  >
+                    {n}개
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className={styles.settingRow}>
+              <label className={styles.settingLabel}>주제별 제한 시간</label>
+              <div className={styles.settingButtons}>
+                {[60, 120, 180].map((sec) => (
+                  <button
+                    key={sec}
+                    className={clsx(styles.settingButton, topicDuration === sec && styles.settingButtonActive)}
+                    onClick={() => setTopicDuration(sec)}
+                  >
+                    {sec / 60}분
+                  </button>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+        <div className={styles.settingRow}>
+          <label className={styles.settingLabel}>인터뷰 방식</label>
+          <div className={styles.settingButtons}>
+            {allowsMode("chat") && (
+              <button
+                className={clsx(styles.settingButton, interviewMode === "chat" && styles.settingButtonActive)}
+                onClick={() => setInterviewMode("chat")}
+              >
+                💬 채팅
+              </button>
+            )}
+            {allowsMode("voice") && (
+              <button
+                className={clsx(styles.settingButton, interviewMode === "voice" && styles.settingButtonActive, !sttSupported && styles.settingButtonDisabled)}
+                onClick={() => sttSupported && setInterviewMode("voice")}
+                disabled={!sttSupported}
+              >
+                🎤 음성
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {needsVoice && (
+        <p className={styles.speechError}>이 과제는 음성 인터뷰만 허용합니다. 음성을 지원하는 브라우저로 열어 주세요.</p>
+      )}
+      <button
+        className={styles.primaryButton}
+        style={{ width: "100%", padding: "14px", fontSize: "16px" }}
+        onClick={handleStart}
+        disabled={!file || busy || needsVoice}
+      >
+        {submitLabel}
+      </button>
+    </div>
+  );
+}
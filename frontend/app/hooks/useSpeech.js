@@ -1,23 +1,92 @@
 "use client";
 
 import { useCallback, useEffect, useRef, useState } from "react";
+import { limitMessage } from "../lib/api";
+import { authHeaders } from "../lib/auth";
+import { openLiveTranscription } from "../lib/liveTranscription";
+import { createSegmenter, createVoiceActivityDetector } from "../lib/vad";
 
 const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:4010";
+const MIME_TYPE = "audio/webm";
+// Smaller recordings hold no usable audio.
+const MIN_RECORDING_BYTES = 1000;
+
+// Records one standalone webm file; `finished` resolves with it once stopped.
+function startRecording(stream) {
+  const recorder = new MediaRecorder(stream, { mimeType: MIME_TYPE });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const finished = new Promise((resolve) => {
+    recorder.onstop = () => resolve(new Blob(chunks, { type: MIME_TYPE }));
+  });
+  recorder.start();
+  return { recorder, finished };
+}
+
+// A failed speech request, with the backend's error body (if any) as `data`.
+async function speechError(response, message) {
+  const error = new Error(message);
+  error.status = response.status;
+  error.data = await response.json().catch(() => null);
+  return error;
+}
+
+// Fallback when live transcription is unavailable: each segment goes to
+// /api/stt in order, prompted with the context and the text so far.
+async function transcribeRecordings(blobs, context, sessionId) {
+  const texts = [];
+  for (const blob of blobs) {
+    const formData = new FormData();
+    formData.append("audio", blob, "recording.webm");
+    formData.append("context", [context, texts.join(" ").slice(-250)].filter(Boolean).join("\n"));
+    formData.append("sessionId", sessionId || "");
+    const response = await fetch(`${API_BASE}/api/stt`, { method: "POST", headers: authHeaders(), body: formData });
+    if (!response.ok) {
+      throw await speechError(response, "STT request failed");
+    }
+    const data = await response.json();
+    texts.push((data.text || "").trim());
+  }
+  return texts.filter(Boolean).join(" ");
+}
 
-export function useWhisperRecognition() {
+// `vad` configures voice activity detection (see lib/vad.js); `vadState`
+// follows the detector while listening and is "idle" otherwise. Pass
+// `{ enabled: false }` to turn it off.
+//
+// The answer is recorded as short segments cut at pauses (`segments`, see
+// createSegmenter). Each segment with speech is uploaded as soon as it ends
+// and `transcript` grows live from /api/stt/streams while the student talks.
+// If the backend cannot open a stream, the segments go to /api/stt when
+// listening stops.
+//
+// The whole answer is also recorded in one piece for review: after
+// `stopListening`, `takeRecording()` resolves with it (a webm Blob).
+// Transcription is billed to the interview `sessionId`.
+export function useWhisperRecognition({ sessionId = null, vad = {}, segments = {} } = {}) {
   const [isListening, setIsListening] = useState(false);
   const [isTranscribing, setIsTranscribing] = useState(false);
   const [transcript, setTranscript] = useState("");
   const [error, setError] = useState(null);
   const [volumeLevel, setVolumeLevel] = useState(0);
+  const [vadState, setVadState] = useState("idle");
 
-  const mediaRecorderRef = useRef(null);
-  const audioChunksRef = useRef([]);
+  // The answer being recorded: { recording, full, segmenter, live, queue, fallback }.
+  const sessionRef = useRef(null);
+  const lastRecordingRef = useRef(null);
   const mediaStreamRef = useRef(null);
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
   const animationFrameRef = useRef(null);
   const contextRef = useRef("");
+  const sessionIdRef = useRef(sessionId);
+  sessionIdRef.current = sessionId;
+  const vadOptionsRef = useRef(vad);
+  vadOptionsRef.current = vad;
+  const segmentOptionsRef = useRef(segments);
+  segmentOptionsRef.current = segments;
 
   const stopVolumeMonitoring = useCallback(() => {
     if (animationFrameRef.current) {
@@ -28,6 +97,7 @@ export function useWhisperRecognition() {
       analyserRef.current = null;
     }
     setVolumeLevel(0);
+    setVadState("idle");
   }, []);
 
   const cleanup = useCallback(() => {
@@ -40,15 +110,29 @@ export function useWhisperRecognition() {
       mediaStreamRef.current.getTracks().forEach(track => track.stop());
       mediaStreamRef.current = null;
     }
-    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
-      mediaRecorderRef.current.stop();
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (session) {
+      for (const { recorder } of [session.recording, session.full]) {
+        if (recorder.state !== "inactive") recorder.stop();
+      }
+      session.live.then((live) => live?.close());
     }
-    mediaRecorderRef.current = null;
   }, [stopVolumeMonitoring]);
 
+  // Segments are handed on strictly in recording order.
+  const queueSegment = useCallback((session, finished, hasSpeech) => {
+    session.queue = session.queue.then(async () => {
+      const blob = await finished;
+      if (!hasSpeech || blob.size < MIN_RECORDING_BYTES) return;
+      const live = await session.live;
+      if (live) live.sendSegment(blob);
+      else session.fallback.push(blob);
+    });
+  }, []);
+
   const startListening = useCallback(async (context = "") => {
     contextRef.current = context;
-    audioChunksRef.current = [];
     setTranscript("");
     setError(null);
 
@@ -64,85 +148,98 @@ export function useWhisperRecognition() {
       const source = audioContext.createMediaStreamSource(stream);
       source.connect(analyser);
 
+      const detector = vadOptionsRef.current.enabled === false ? null : createVoiceActivityDetector(vadOptionsRef.current);
+      detector?.reset(Date.now());
+      setVadState(detector ? detector.state : "idle");
+
+      // Recording starts right away; the live stream opens alongside it.
+      const session = {
+        recording: startRecording(stream),
+        full: startRecording(stream),
+        segmenter: createSegmenter(segmentOptionsRef.current),
+        live: openLiveTranscription({ sessionId: sessionIdRef.current, context, onTranscript: setTranscript }).catch((err) => {
+          console.warn("live transcription unavailable, transcribing at the end:", err);
+          return null;
+        }),
+        queue: Promise.resolve(),
+        fallback: [],
+      };
+      session.segmenter.reset(Date.now());
+      sessionRef.current = session;
+
       const dataArray = new Uint8Array(analyser.frequencyBinCount);
       const updateVolume = () => {
-        if (!analyserRef.current) return;
+        if (!analyserRef.current || sessionRef.current !== session) return;
         analyserRef.current.getByteFrequencyData(dataArray);
         const average = dataArray.reduce((a, b) => a + b, 0) / dataArray.length;
-        setVolumeLevel(Math.min(average / 128, 1));
+        const level = Math.min(average / 128, 1);
+        const now = Date.now();
+        setVolumeLevel(level);
+        // React skips the render when the state did not change.
+        if (detector) setVadState(detector.update(level, now));
+        if (session.segmenter.update(level, now)) {
+          const hasSpeech = session.segmenter.hasSpeech;
+          session.segmenter.reset(now);
+          const previous = session.recording;
+          session.recording = startRecording(stream);
+          previous.recorder.stop();
+          queueSegment(session, previous.finished, hasSpeech);
+        }
         animationFrameRef.current = requestAnimationFrame(updateVolume);
       };
       updateVolume();
 
-      const mediaRecorder = new MediaRecorder(stream, { mimeType: "audio/webm" });
-      mediaRecorderRef.current = mediaRecorder;
-
-      mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          audioChunksRef.current.push(event.data);
-        }
-      };
-
-      mediaRecorder.start(1000);
       setIsListening(true);
     } catch (err) {
       setError("마이크 권한이 필요합니다.");
       console.error("Microphone access error:", err);
     }
-  }, []);
-
-  const stopListening = useCallback(async () => {
-    if (!mediaRecorderRef.current || mediaRecorderRef.current.state === "inactive") {
+  }, [queueSegment]);
+
+  // Resolves with the transcript. With `discard` the recording is dropped
+  // without a transcription (nothing was said; Whisper tends to invent text
+  // for silence).
+  const stopListening = useCallback(async ({ discard = false } = {}) => {
+    const session = sessionRef.current;
+    lastRecordingRef.current = session?.full.finished ?? null;
+    if (!session || discard) {
+      setIsListening(false);
       cleanup();
       return "";
     }
 
+    sessionRef.current = null;
     setIsListening(false);
     setIsTranscribing(true);
-    stopVolumeMonitoring();
-
-    return new Promise((resolve) => {
-      mediaRecorderRef.current.onstop = async () => {
-        const audioBlob = new Blob(audioChunksRef.current, { type: "audio/webm" });
-        
-        if (audioBlob.size < 1000) {
-          setIsTranscribing(false);
-          cleanup();
-          resolve("");
-          return;
-        }
+    const { recording, full, segmenter } = session;
+    recording.recorder.stop();
+    full.recorder.stop();
+    queueSegment(session, recording.finished, segmenter.hasSpeech);
+    cleanup();
 
-        try {
-          const formData = new FormData();
-          formData.append("audio", audioBlob, "recording.webm");
-          formData.append("context", contextRef.current);
-
-          const response = await fetch(`${API_BASE}/api/stt`, {
-            method: "POST",
-            body: formData,
-          });
-
-          if (!response.ok) {
-            throw new Error("STT request failed");
-          }
-
-          const data = await response.json();
-          const text = data.text || "";
-          setTranscript(text);
-          resolve(text);
-        } catch (err) {
-          console.error("STT error:", err);
-          setError("음성 인식에 실패했습니다.");
-          resolve("");
-        } finally {
-          setIsTranscribing(false);
-          cleanup();
-        }
-      };
+    try {
+      await session.queue;
+      const live = await session.live;
+      const text = live
+        ? await live.finish()
+        : await transcribeRecordings(session.fallback, contextRef.current, sessionIdRef.current);
+      setTranscript(text);
+      return text;
+    } catch (err) {
+      console.error("STT error:", err);
+      setError(limitMessage(err.data) || "음성 인식에 실패했습니다.");
+      return "";
+    } finally {
+      setIsTranscribing(false);
+    }
+  }, [cleanup, queueSegment]);
 
-      mediaRecorderRef.current.stop();
-    });
-  }, [stopVolumeMonitoring, cleanup]);
+  // The last answer's whole recording, once; null if there is none.
+  const takeRecording = useCallback(() => {
+    const recording = lastRecordingRef.current;
+    lastRecordingRef.current = null;
+    return recording;
+  }, []);
 
   const resetTranscript = useCallback(() => {
     setTranscript("");
@@ -159,21 +256,88 @@ export function useWhisperRecognition() {
     error,
     isSupported: true,
     volumeLevel,
+    vadState,
     startListening,
     stopListening,
+    takeRecording,
     resetTranscript,
   };
 }
 
-export function useSpeechSynthesis() {
+// /api/tts streams its audio; where MediaSource can take mp3 the clip starts
+// playing with the first chunk. Elsewhere (Safari on iOS) it is downloaded
+// whole first.
+function canStreamAudio(contentType) {
+  return typeof window !== "undefined" && "MediaSource" in window && window.MediaSource.isTypeSupported(contentType);
+}
+
+function appendChunk(sourceBuffer, chunk) {
+  return new Promise((resolve, reject) => {
+    const settle = (callback) => (event) => {
+      sourceBuffer.removeEventListener("updateend", onEnd);
+      sourceBuffer.removeEventListener("error", onError);
+      callback(event);
+    };
+    const onEnd = settle(resolve);
+    const onError = settle(() => reject(new Error("audio append failed")));
+    sourceBuffer.addEventListener("updateend", onEnd);
+    sourceBuffer.addEventListener("error", onError);
+    sourceBuffer.appendBuffer(chunk);
+  });
+}
+
+// Speech is billed to the interview `sessionId`. `error` explains a refused
+// request (rate limit or spent budget); the question is then only shown.
+export function useSpeechSynthesis({ sessionId = null } = {}) {
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [isSupported] = useState(true);
+  const [error, setError] = useState(null);
   const audioRef = useRef(null);
   const abortControllerRef = useRef(null);
   const requestIdRef = useRef(0);
+  const queueRef = useRef({ clips: [], playing: false, ended: true });
+
+  // Appends the response to a MediaSource as it downloads and starts playback
+  // with the first chunk. Stops reading once the clip is stopped or replaced.
+  const playStream = useCallback(async (response, contentType) => {
+    const mediaSource = new window.MediaSource();
+    const url = URL.createObjectURL(mediaSource);
+    const audio = new Audio(url);
+    audioRef.current = audio;
+    const finish = () => {
+      if (audioRef.current === audio) setIsSpeaking(false);
+      URL.revokeObjectURL(url);
+    };
+    audio.onended = finish;
+    audio.onerror = finish;
+
+    await new Promise((resolve) => mediaSource.addEventListener("sourceopen", resolve, { once: true }));
+    const sourceBuffer = mediaSource.addSourceBuffer(contentType);
+    const reader = response.body.getReader();
+    let started = false;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (audioRef.current !== audio) {
+        reader.cancel();
+        return;
+      }
+      await appendChunk(sourceBuffer, value);
+      if (!started) {
+        started = true;
+        audio.play().catch((err) => {
+          console.error("TTS playback error:", err);
+          finish();
+        });
+      }
+    }
+    if (mediaSource.readyState === "open") mediaSource.endOfStream();
+    if (!started) finish();
+  }, []);
 
   const speak = useCallback(async (text, validationFn) => {
     if (!text) return;
+    queueRef.current = { clips: [], playing: false, ended: true };
 
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
@@ -190,8 +354,8 @@ export function useSpeechSynthesis() {
     try {
       const response = await fetch(`${API_BASE}/api/tts`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text }),
+        headers: authHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ text, sessionId }),
         signal: abortControllerRef.current.signal,
       });
 
@@ -206,7 +370,14 @@ export function useSpeechSynthesis() {
       }
 
       if (!response.ok) {
-        throw new Error("TTS request failed");
+        throw await speechError(response, "TTS request failed");
+      }
+      setError(null);
+
+      const contentType = response.headers.get("Content-Type") || "audio/mpeg";
+      if (response.body && canStreamAudio(contentType)) {
+        await playStream(response, contentType);
+        return;
       }
 
       const blob = await response.blob();
@@ -238,13 +409,59 @@ export function useSpeechSynthesis() {
     } catch (err) {
       if (err.name !== "AbortError") {
         console.error("TTS error:", err);
+        setError(limitMessage(err.data));
       }
-      setIsSpeaking(false);
+      // A stopped request must not clear the flag of the one that replaced it.
+      if (currentRequestId === requestIdRef.current) setIsSpeaking(false);
     }
+  }, [playStream, sessionId]);
+
+  // Streamed questions arrive as one mp3 clip (base64) per sentence. Clips
+  // play back to back; `finishQueue()` marks the last one, and isSpeaking
+  // clears once it has played. A clip that fails to play is skipped.
+  const playNext = useCallback((queue) => {
+    if (queue !== queueRef.current) return;
+    const clip = queue.clips.shift();
+    if (!clip) {
+      queue.playing = false;
+      if (queue.ended) setIsSpeaking(false);
+      return;
+    }
+    queue.playing = true;
+    const audio = new Audio(`data:audio/mpeg;base64,${clip}`);
+    audioRef.current = audio;
+    audio.onended = () => playNext(queue);
+    audio.onerror = () => playNext(queue);
+    audio.play().catch((err) => {
+      console.error("TTS playback error:", err);
+      playNext(queue);
+    });
+  }, []);
+
+  const enqueue = useCallback(
+    (clip) => {
+      let queue = queueRef.current;
+      if (queue.ended) {
+        queue = { clips: [], playing: false, ended: false };
+        queueRef.current = queue;
+      }
+      queue.clips.push(clip);
+      setIsSpeaking(true);
+      if (!queue.playing) playNext(queue);
+    },
+    [playNext],
+  );
+
+  const finishQueue = useCallback(() => {
+    const queue = queueRef.current;
+    if (queue.ended) return;
+    queue.ended = true;
+    if (!queue.playing) setIsSpeaking(false);
   }, []);
 
   const stop = useCallback(() => {
     requestIdRef.current++;
+    queueRef.current = { clips: [], playing: false, ended: true };
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
@@ -258,7 +475,10 @@ export function useSpeechSynthesis() {
   return {
     isSpeaking,
     isSupported,
+    error,
     speak,
+    enqueue,
+    finishQueue,
     stop,
   };
 }
@@ -0,0 +1,437 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import clsx from "clsx";
+import pageStyles from "../../page.module.css";
+import styles from "../instructor.module.css";
+import { apiFetch, apiGet } from "../../lib/api";
+import { RUBRIC_KINDS } from "../../components/TopicVerdict";
+
+const DEFAULT_SETTINGS = { topicCount: 3, topicDuration: 180, modes: ["chat", "voice"] };
+const EMPTY_FORM = { id: null, courseId: "", course: "", name: "", brief: "", rubric: [], settings: DEFAULT_SETTINGS };
+const MODE_LABELS = { chat: "💬 채팅", voice: "🎤 음성" };
+
+const ERROR_MESSAGES = {
+  name_required: "과제명을 입력해 주세요.",
+  rubric_title_required: "평가 기준마다 제목을 입력해 주세요.",
+  rubric_too_long: "평가 기준은 20개까지 입력할 수 있습니다.",
+  assignment_exists: "같은 과목에 같은 이름의 과제가 이미 있습니다.",
+  course_not_found: "선택한 강좌를 찾을 수 없습니다.",
+  course_exists: "같은 학기에 같은 이름의 강좌가 이미 있습니다.",
+  students_required: "학생 명단을 한 줄에 한 명씩 입력해 주세요.",
+  student_name_required: "학생마다 이름을 입력해 주세요.",
+  too_many_students: "한 번에 200명까지 초대할 수 있습니다.",
+};
+
+// One student per line: "이름, 학번" (the number is optional).
+function parseRoster(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [name, studentNumber = ""] = line.split(/[,\t]/).map((part) => part.trim());
+      return { name, studentNumber };
+    });
+}
+
+function inviteUrl(code) {
+  return `${window.location.origin}/?invite=${code}`;
+}
+
+function inviteStatus(invite) {
+  if (!invite.latest) return "시작 전";
+  if (invite.latest.status !== "completed") return "진행 중";
+  return invite.latest.verdict || "완료";
+}
+
+function courseLabel(course) {
+  return course.term ? `${course.name} (${course.term})` : course.name;
+}
+
+// Instructors set up the brief and rubric of an assignment here. Interviews
+// whose course and assignment name match use them to choose topics and to
+// evaluate each rubric item. Students invited to a saved assignment start
+// with its interview settings and are listed with how their interview went.
+export default function InstructorAssignments() {
+  const [assignments, setAssignments] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [newCourse, setNewCourse] = useState({ name: "", term: "" });
+  const [invites, setInvites] = useState([]);
+  const [roster, setRoster] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const load = () =>
+    apiGet("/api/assignments")
+      .then((data) => setAssignments(data.assignments || []))
+      .catch((err) => {
+        console.error(err);
+        setError("과제 목록을 불러오지 못했습니다.");
+      });
+
+  const loadCourses = () =>
+    apiGet("/api/courses")
+      .then((data) => setCourses(data.courses || []))
+      .catch((err) => {
+        console.error(err);
+        setError("강좌 목록을 불러오지 못했습니다.");
+      });
+
+  const loadInvites = (assignmentId) =>
+    apiGet(`/api/assignments/${assignmentId}/invites`)
+      .then((data) => setInvites(data.invites || []))
+      .catch((err) => {
+        console.error(err);
+        setError("초대 목록을 불러오지 못했습니다.");
+      });
+
+  useEffect(() => {
+    load();
+    loadCourses();
+  }, []);
+
+  const edit = (assignment) => {
+    setForm(
+      assignment
+        ? {
+            ...assignment,
+            courseId: assignment.courseId || "",
+            rubric: assignment.rubric.map((item) => ({ ...item })),
+            settings: assignment.settings || DEFAULT_SETTINGS,
+          }
+        : EMPTY_FORM,
+    );
+    setInvites([]);
+    setRoster("");
+    setError("");
+    setNotice("");
+    if (assignment) loadInvites(assignment.id);
+  };
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const setRubricField = (idx, field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      rubric: prev.rubric.map((item, itemIdx) => (itemIdx === idx ? { ...item, [field]: e.target.value } : item)),
+    }));
+
+  const addRubricItem = () =>
+    setForm((prev) => ({ ...prev, rubric: [...prev.rubric, { kind: "objective", title: "", description: "" }] }));
+
+  const removeRubricItem = (idx) =>
+    setForm((prev) => ({ ...prev, rubric: prev.rubric.filter((_, itemIdx) => itemIdx !== idx) }));
+
+  const setSetting = (field, value) => setForm((prev) => ({ ...prev, settings: { ...prev.settings, [field]: value } }));
+
+  const toggleMode = (mode) => {
+    const modes = form.settings.modes.includes(mode)
+      ? form.settings.modes.filter((item) => item !== mode)
+      : [...form.settings.modes, mode];
+    // At least one mode stays allowed.
+    if (modes.length) setSetting("modes", modes);
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    setError("");
+    setNotice("");
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      setError(ERROR_MESSAGES[err.data?.error] || "저장하지 못했습니다.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddCourse = () =>
+    run(async () => {
+      const { course } = await apiFetch("/api/courses", newCourse);
+      setNewCourse({ name: "", term: "" });
+      setForm((prev) => ({ ...prev, courseId: course.id }));
+      await loadCourses();
+    });
+
+  const handleInvite = () =>
+    run(async () => {
+      const { invites: created } = await apiFetch(`/api/assignments/${form.id}/invites`, {
+        students: parseRoster(roster),
+      });
+      setRoster("");
+      setNotice(`${created.length}명에게 보낼 초대 링크를 만들었습니다.`);
+      await loadInvites(form.id);
+    });
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    setNotice("");
+    const payload = {
+      courseId: form.courseId || null,
+      course: form.course,
+      name: form.name,
+      brief: form.brief,
+      rubric: form.rubric,
+      settings: form.settings,
+    };
+    try {
+      const { assignment } = form.id
+        ? await apiFetch(`/api/assignments/${form.id}`, payload, { method: "PUT" })
+        : await apiFetch("/api/assignments", payload);
+      edit(assignment);
+      setNotice("저장했습니다. 이후 시작하는 인터뷰부터 적용됩니다.");
+      await load();
+    } catch (err) {
+      console.error(err);
+      setError(ERROR_MESSAGES[err.data?.error] || "과제를 저장하지 못했습니다.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <main className={pageStyles.shell}>
+      <div className={pageStyles.backdrop} />
+      <section className={pageStyles.header}>
+        <div>
+          <Link href="/instructor" className={styles.backLink}>
+            ← 대시보드로
+          </Link>
+          <p className={pageStyles.eyebrow}>교수자 대시보드</p>
+          <h1 className={pageStyles.title}>과제 안내문과 평가 기준</h1>
+          <p className={pageStyles.subtitle}>
+            과목과 과제명이 같은 인터뷰는 평가 기준을 다루는 주제로 진행되고, 기준별로 평가됩니다. 저장한 과제에
+            학생을 초대하면 정해 둔 인터뷰 설정으로 시작합니다.
+          </p>
+        </div>
+      </section>
+
+      {error && <div className={pageStyles.errorBanner}>{error}</div>}
+
+      <div className={styles.detailGrid}>
+        <div className={pageStyles.card}>
+          <div className={pageStyles.settingsSection}>
+            <div className={pageStyles.settingRow}>
+              <label className={pageStyles.settingLabel} htmlFor="assignmentCourseId">강좌</label>
+              <select
+                id="assignmentCourseId"
+                className={pageStyles.settingInput}
+                value={form.courseId}
+                onChange={setField("courseId")}
+              >
+                <option value="">강좌 없이 과목명 입력</option>
+                {courses.map((course) => (
+                  <option key={course.id} value={course.id}>
+                    {courseLabel(course)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {!form.courseId && (
+              <div className={pageStyles.settingRow}>
+                <label className={pageStyles.settingLabel} htmlFor="assignmentCourse">과목</label>
+                <input
+                  id="assignmentCourse"
+                  className={pageStyles.settingInput}
+                  value={form.course}
+                  onChange={setField("course")}
+                  maxLength={100}
+                />
+              </div>
+            )}
+            <div className={pageStyles.settingRow}>
+              <label className={pageStyles.settingLabel} htmlFor="assignmentName">과제명</label>
+              <input
+                id="assignmentName"
+                className={pageStyles.settingInput}
+                value={form.name}
+                onChange={setField("name")}
+                maxLength={100}
+              />
+            </div>
+            <div className={pageStyles.settingRow}>
+              <label className={pageStyles.settingLabel} htmlFor="assignmentBrief">과제 안내문</label>
+              <textarea
+                id="assignmentBrief"
+                className={clsx(pageStyles.settingInput, styles.briefInput)}
+                value={form.brief}
+                onChange={setField("brief")}
+                placeholder="학생에게 안내한 과제 설명을 붙여 넣으세요."
+                maxLength={8000}
+              />
+            </div>
+          </div>
+
+          <p className={pageStyles.cardEyebrow}>인터뷰 설정</p>
+          <div className={styles.toolbar}>
+            <label className={styles.filter}>
+              주제 개수
+              <select value={form.settings.topicCount} onChange={(e) => setSetting("topicCount", Number(e.target.value))}>
+                {[1, 2, 3].map((n) => (
+                  <option key={n} value={n}>
+                    {n}개
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className={styles.filter}>
+              주제별 제한 시간
+              <select
+                value={form.settings.topicDuration}
+                onChange={(e) => setSetting("topicDuration", Number(e.target.value))}
+              >
+                {[60, 120, 180].map((sec) => (
+                  <option key={sec} value={sec}>
+                    {sec / 60}분
+                  </option>
+                ))}
+              </select>
+            </label>
+            {Object.entries(MODE_LABELS).map(([mode, label]) => (
+              <label key={mode} className={styles.modeToggle}>
+                <input
+                  type="checkbox"
+                  checked={form.settings.modes.includes(mode)}
+                  onChange={() => toggleMode(mode)}
+                />
+                {label} 허용
+              </label>
+            ))}
+          </div>
+
+          <p className={pageStyles.cardEyebrow}>평가 기준</p>
+          {form.rubric.map((item, idx) => (
+            <div key={idx} className={styles.rubricRow}>
+              <select
+                aria-label={`평가 기준 ${idx + 1} 종류`}
+                value={item.kind}
+                onChange={setRubricField(idx, "kind")}
+              >
+                {Object.entries(RUBRIC_KINDS).map(([kind, label]) => (
+                  <option key={kind} value={kind}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <input
+                aria-label={`평가 기준 ${idx + 1} 제목`}
+                value={item.title}
+                onChange={setRubricField(idx, "title")}
+                placeholder="예: 자료의 출처와 정리 방법"
+                maxLength={200}
+              />
+              <button className={pageStyles.secondaryButton} onClick={() => removeRubricItem(idx)}>
+                삭제
+              </button>
+              <input
+                aria-label={`평가 기준 ${idx + 1} 설명`}
+                className={styles.rubricDescription}
+                value={item.description}
+                onChange={setRubricField(idx, "description")}
+                placeholder="설명 (선택)"
+                maxLength={1000}
+              />
+            </div>
+          ))}
+          <div className={styles.toolbar}>
+            <button className={pageStyles.secondaryButton} onClick={addRubricItem} disabled={form.rubric.length >= 20}>
+              평가 기준 추가
+            </button>
+            <button className={pageStyles.primaryButton} onClick={handleSave} disabled={saving}>
+              {saving ? "저장 중..." : form.id ? "변경 사항 저장" : "과제 추가"}
+            </button>
+          </div>
+          {notice && <p className={styles.sessionMeta}>{notice}</p>}
+
+          {form.id && (
+            <section className={styles.group}>
+              <p className={pageStyles.cardEyebrow}>학생 초대</p>
+              <textarea
+                aria-label="학생 명단"
+                className={clsx(pageStyles.settingInput, styles.briefInput)}
+                value={roster}
+                onChange={(e) => setRoster(e.target.value)}
+                placeholder={"한 줄에 한 명씩 '이름, 학번'\n예: 김민지, 20241234"}
+              />
+              <div className={styles.toolbar}>
+                <button className={pageStyles.secondaryButton} onClick={handleInvite} disabled={saving || !roster.trim()}>
+                  초대 링크 만들기
+                </button>
+              </div>
+              {invites.map((invite) => (
+                <div key={invite.id} className={styles.sessionRow}>
+                  <div>
+                    <p>
+                      {invite.student.name}
+                      {invite.student.studentNumber && ` (${invite.student.studentNumber})`}
+                    </p>
+                    <p className={clsx(styles.sessionMeta, styles.shareUrl)}>{inviteUrl(invite.code)}</p>
+                  </div>
+                  <span className={styles.sessionMeta}>{invite.code}</span>
+                  {invite.latest ? (
+                    <Link href={`/instructor/sessions/${invite.latest.id}`} className={styles.sessionMeta}>
+                      {inviteStatus(invite)} →
+                    </Link>
+                  ) : (
+                    <span className={styles.sessionMeta}>{inviteStatus(invite)}</span>
+                  )}
+                </div>
+              ))}
+            </section>
+          )}
+        </div>
+
+        <aside className={clsx(pageStyles.card, styles.verdictPanel)}>
+          <button className={pageStyles.secondaryButton} onClick={() => edit(null)}>
+            새 과제
+          </button>
+          <div className={styles.courseForm}>
+            <input
+              aria-label="새 강좌 이름"
+              className={clsx(pageStyles.settingInput, styles.courseInput)}
+              value={newCourse.name}
+              onChange={(e) => setNewCourse((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="새 강좌 이름"
+              maxLength={100}
+            />
+            <input
+              aria-label="새 강좌 학기"
+              className={clsx(pageStyles.settingInput, styles.courseInput)}
+              value={newCourse.term}
+              onChange={(e) => setNewCourse((prev) => ({ ...prev, term: e.target.value }))}
+              placeholder="학기 (예: 2026-2)"
+              maxLength={50}
+            />
+            <button className={pageStyles.secondaryButton} onClick={handleAddCourse} disabled={saving || !newCourse.name.trim()}>
+              강좌 추가
+            </button>
+          </div>
+          {assignments.length ? (
+            assignments.map((assignment) => (
+              <button
+                key={assignment.id}
+                className={clsx(styles.sessionRow, styles.assignmentRow)}
+                onClick={() => edit(assignment)}
+              >
+                <span>
+                  {assignment.course || "(미지정)"} · {assignment.name}
+                </span>
+                <span className={styles.sessionMeta}>
+                  평가 기준 {assignment.rubric.length}개 · 주제 {assignment.settings?.topicCount ?? 3}개
+                </span>
+              </button>
+            ))
+          ) : (
+            <p className={styles.empty}>등록된 과제가 없습니다.</p>
+          )}
+        </aside>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,7 @@
+"use client";
+
+import { RequireLogin } from "../components/Account";
+
+export default function InstructorLayout({ children }) {
+  return <RequireLogin roles={["instructor", "admin"]}>{children}</RequireLogin>;
+}
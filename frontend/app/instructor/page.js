@@ -0,0 +1,146 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import Link from "next/link";
+import pageStyles from "../page.module.css";
+import styles from "./instructor.module.css";
+import { apiGet } from "../lib/api";
+import { VERDICTS, VerdictBadge, formatDate } from "./verdict";
+
+const UNLABELED = "(미지정)";
+
+function groupSessions(sessions) {
+  const groups = new Map();
+  sessions.forEach((session) => {
+    const key = `${session.course || UNLABELED} · ${session.assignment || UNLABELED}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(session);
+  });
+  return [...groups.entries()];
+}
+
+export default function InstructorDashboard() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [course, setCourse] = useState("");
+  const [verdict, setVerdict] = useState("");
+  const [sort, setSort] = useState("newest");
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    apiGet("/api/sessions", { status: "completed", verdict, sort })
+      .then((data) => {
+        if (!cancelled) {
+          setSessions(data.sessions || []);
+          setError("");
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError("인터뷰 목록을 불러오지 못했습니다.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [verdict, sort]);
+
+  const courses = useMemo(
+    () => [...new Set(sessions.map((s) => s.course || UNLABELED))].sort(),
+    [sessions],
+  );
+
+  const visible = course ? sessions.filter((s) => (s.course || UNLABELED) === course) : sessions;
+  const groups = groupSessions(visible);
+
+  return (
+    <main className={pageStyles.shell}>
+      <div className={pageStyles.backdrop} />
+      <section className={pageStyles.header}>
+        <div>
+          <p className={pageStyles.eyebrow}>교수자 대시보드</p>
+          <h1 className={pageStyles.title}>완료된 인터뷰</h1>
+          <p className={pageStyles.subtitle}>과목과 과제별로 학생 인터뷰 결과와 전체 대화를 확인하세요.</p>
+        </div>
+        <div className={pageStyles.statusGroup}>
+          <Link href="/instructor/plans" className={styles.backLink}>
+            인터뷰 계획 →
+          </Link>
+          <Link href="/instructor/assignments" className={styles.backLink}>
+            과제 안내문·평가 기준 관리 →
+          </Link>
+          <span className={pageStyles.badge}>{loading ? "불러오는 중" : `${visible.length}건`}</span>
+        </div>
+      </section>
+
+      {error && <div className={pageStyles.errorBanner}>{error}</div>}
+
+      <div className={pageStyles.card}>
+        <div className={styles.toolbar}>
+          <label className={styles.filter}>
+            과목
+            <select value={course} onChange={(e) => setCourse(e.target.value)}>
+              <option value="">전체</option>
+              {courses.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={styles.filter}>
+            판정
+            <select value={verdict} onChange={(e) => setVerdict(e.target.value)}>
+              <option value="">전체</option>
+              {VERDICTS.map((v) => (
+                <option key={v} value={v}>
+                  {v}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={styles.filter}>
+            정렬
+            <select value={sort} onChange={(e) => setSort(e.target.value)}>
+              <option value="newest">최신순</option>
+              <option value="oldest">오래된순</option>
+            </select>
+          </label>
+        </div>
+
+        {!loading && !groups.length && <p className={styles.empty}>조건에 맞는 완료된 인터뷰가 없습니다.</p>}
+
+        {groups.map(([label, rows]) => (
+          <section key={label} className={styles.group}>
+            <h2 className={styles.groupTitle}>
+              {label}
+              <span className={styles.groupMeta}>{rows.length}건</span>
+            </h2>
+            {rows.map((row) => (
+              <Link key={row.id} href={`/instructor/sessions/${row.id}`} className={styles.sessionRow}>
+                <div>
+                  <p>
+                    {row.student && `${row.student} · `}
+                    {formatDate(row.completedAt || row.createdAt)}
+                  </p>
+                  <p className={styles.sessionMeta}>
+                    {row.interviewMode === "voice" ? "🎤 음성" : "💬 채팅"} · 주제 {row.topicCount}개
+                    {row.integrityFlags > 0 && (
+                      <span className={styles.integrityNote}> · ⚠️ 평가 조작 시도 {row.integrityFlags}건</span>
+                    )}
+                  </p>
+                </div>
+                <VerdictBadge verdict={row.verdict} />
+                <span className={styles.sessionMeta}>자세히 →</span>
+              </Link>
+            ))}
+          </section>
+        ))}
+      </div>
+    </main>
+  );
+}
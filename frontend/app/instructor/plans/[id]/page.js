@@ -0,0 +1,264 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import clsx from "clsx";
+import pageStyles from "../../../page.module.css";
+import styles from "../../instructor.module.css";
+import { apiFetch, apiGet } from "../../../lib/api";
+
+const MAX_TOPICS = 3;
+const MAX_PINNED = 3;
+
+const ERROR_MESSAGES = {
+  topics_required: "주제를 하나 이상 남겨 주세요.",
+  too_many_topics: `주제는 ${MAX_TOPICS}개까지 둘 수 있습니다.`,
+  topic_title_required: "주제마다 제목을 입력해 주세요.",
+  too_many_pinned_questions: `주제마다 고정 질문은 ${MAX_PINNED}개까지 둘 수 있습니다.`,
+  placeholder_topic: "자동으로 붙은 '주제 1' 같은 제목은 고치거나 삭제해 주세요.",
+  plan_locked: "이미 링크를 만든 계획은 고칠 수 없습니다.",
+};
+
+let nextKey = 0;
+
+function toDraft(topic) {
+  nextKey += 1;
+  return { key: `topic-${nextKey}`, id: topic.id, title: topic.title, pinnedQuestions: [...(topic.pinnedQuestions || [])], sectionIds: topic.sectionIds || [] };
+}
+
+function shareUrl(token) {
+  return `${window.location.origin}/?plan=${token}`;
+}
+
+// Reorder, rename, delete and add topics, pin the questions each must start
+// with, then lock the plan to a link for students.
+export default function InstructorPlanEditor({ params }) {
+  const [plan, setPlan] = useState(null);
+  const [topics, setTopics] = useState([]);
+  const [topicDuration, setTopicDuration] = useState(180);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const load = (next) => {
+    setPlan(next);
+    setTopics(next.topics.map(toDraft));
+    setTopicDuration(next.topicDuration);
+  };
+
+  useEffect(() => {
+    apiGet(`/api/plans/${params.id}`)
+      .then((data) => load(data.plan))
+      .catch((err) => {
+        console.error(err);
+        setError("인터뷰 계획을 불러오지 못했습니다.");
+      });
+  }, [params.id]);
+
+  const locked = plan?.status === "locked";
+  const sectionTitle = (id) => plan?.outline?.sections.find((section) => section.id === id)?.title || id;
+  const suggestions = (plan?.suggestions || []).filter((topic) => !topics.some((draft) => draft.id === topic.id));
+
+  const updateTopic = (idx, patch) =>
+    setTopics((prev) => prev.map((topic, topicIdx) => (topicIdx === idx ? { ...topic, ...patch } : topic)));
+
+  const moveTopic = (idx, delta) =>
+    setTopics((prev) => {
+      const next = [...prev];
+      [next[idx], next[idx + delta]] = [next[idx + delta], next[idx]];
+      return next;
+    });
+
+  const removeTopic = (idx) => setTopics((prev) => prev.filter((_, topicIdx) => topicIdx !== idx));
+
+  const addTopic = (topic) => setTopics((prev) => [...prev, toDraft(topic || { title: "" })]);
+
+  const setPinned = (idx, pinnedIdx, value) =>
+    updateTopic(idx, {
+      pinnedQuestions: topics[idx].pinnedQuestions.map((question, qIdx) => (qIdx === pinnedIdx ? value : question)),
+    });
+
+  const save = async () => {
+    const payload = {
+      topics: topics.map(({ id, title, pinnedQuestions }) => ({ id, title, pinnedQuestions })),
+      topicDuration,
+    };
+    const { plan: saved } = await apiFetch(`/api/plans/${plan.id}`, payload, { method: "PUT" });
+    load(saved);
+    return saved;
+  };
+
+  const run = async (action, message) => {
+    setSaving(true);
+    setError("");
+    setNotice("");
+    try {
+      await action();
+      setNotice(message);
+    } catch (err) {
+      console.error(err);
+      setError(ERROR_MESSAGES[err.data?.error] || "인터뷰 계획을 저장하지 못했습니다.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => run(save, "저장했습니다.");
+
+  const handleLock = () =>
+    run(async () => {
+      const saved = await save();
+      const { plan: lockedPlan } = await apiFetch(`/api/plans/${saved.id}/lock`, {});
+      load(lockedPlan);
+    }, "학생용 링크를 만들었습니다.");
+
+  const handleCopy = () =>
+    navigator.clipboard
+      ?.writeText(shareUrl(plan.shareToken))
+      .then(() => setNotice("링크를 복사했습니다."))
+      .catch(() => {});
+
+  return (
+    <main className={pageStyles.shell}>
+      <div className={pageStyles.backdrop} />
+      <section className={pageStyles.header}>
+        <div>
+          <Link href="/instructor/plans" className={styles.backLink}>
+            ← 계획 목록으로
+          </Link>
+          <p className={pageStyles.eyebrow}>
+            {plan ? `${plan.course || "(미지정)"} · ${plan.assignment || "(미지정)"}` : "인터뷰 계획"}
+          </p>
+          <h1 className={pageStyles.title}>주제 검토</h1>
+          {plan && (
+            <p className={pageStyles.subtitle}>
+              {plan.source?.fileName || "붙여 넣은 본문"} · {plan.interviewMode === "voice" ? "음성 인터뷰" : "채팅 인터뷰"}
+            </p>
+          )}
+        </div>
+      </section>
+
+      {error && <div className={pageStyles.errorBanner}>{error}</div>}
+
+      {plan && (
+        <div className={styles.detailGrid}>
+          <div className={clsx(pageStyles.card, styles.transcript)}>
+            {topics.map((topic, idx) => (
+              <section key={topic.key} className={styles.topicBlock}>
+                <div className={styles.planTopicHeader}>
+                  <p className={pageStyles.cardEyebrow}>주제 {idx + 1}</p>
+                  {!locked && (
+                    <div className={styles.planTopicActions}>
+                      <button className={pageStyles.secondaryButton} onClick={() => moveTopic(idx, -1)} disabled={idx === 0}>
+                        위로
+                      </button>
+                      <button
+                        className={pageStyles.secondaryButton}
+                        onClick={() => moveTopic(idx, 1)}
+                        disabled={idx === topics.length - 1}
+                      >
+                        아래로
+                      </button>
+                      <button className={pageStyles.secondaryButton} onClick={() => removeTopic(idx)}>
+                        삭제
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <input
+                  aria-label={`주제 ${idx + 1} 제목`}
+                  className={clsx(pageStyles.settingInput, styles.planInput)}
+                  value={topic.title}
+                  onChange={(e) => updateTopic(idx, { title: e.target.value })}
+                  disabled={locked}
+                  maxLength={200}
+                />
+                {topic.sectionIds.length > 0 && (
+                  <p className={styles.rubricTags}>관련 섹션: {topic.sectionIds.map(sectionTitle).join(", ")}</p>
+                )}
+                {topic.pinnedQuestions.map((question, qIdx) => (
+                  <div key={qIdx} className={styles.pinnedRow}>
+                    <input
+                      aria-label={`주제 ${idx + 1} 고정 질문 ${qIdx + 1}`}
+                      className={clsx(pageStyles.settingInput, styles.planInput)}
+                      value={question}
+                      onChange={(e) => setPinned(idx, qIdx, e.target.value)}
+                      disabled={locked}
+                      maxLength={500}
+                    />
+                    {!locked && (
+                      <button
+                        className={pageStyles.secondaryButton}
+                        onClick={() =>
+                          updateTopic(idx, { pinnedQuestions: topic.pinnedQuestions.filter((_, i) => i !== qIdx) })
+                        }
+                      >
+                        삭제
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {!locked && topic.pinnedQuestions.length < MAX_PINNED && (
+                  <button
+                    className={pageStyles.refButton}
+                    onClick={() => updateTopic(idx, { pinnedQuestions: [...topic.pinnedQuestions, ""] })}
+                  >
+                    고정 질문 추가
+                  </button>
+                )}
+              </section>
+            ))}
+
+            {!locked && topics.length < MAX_TOPICS && (
+              <div className={styles.toolbar}>
+                <button className={pageStyles.secondaryButton} onClick={() => addTopic()}>
+                  새 주제 추가
+                </button>
+                {suggestions.map((topic) => (
+                  <button key={topic.id} className={pageStyles.secondaryButton} onClick={() => addTopic(topic)}>
+                    + {topic.title}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <aside className={clsx(pageStyles.card, styles.verdictPanel)}>
+            <label className={styles.filter}>
+              주제별 제한 시간
+              <select value={topicDuration} onChange={(e) => setTopicDuration(Number(e.target.value))} disabled={locked}>
+                {[60, 120, 180].map((sec) => (
+                  <option key={sec} value={sec}>
+                    {sec / 60}분
+                  </option>
+                ))}
+              </select>
+            </label>
+            <p className={pageStyles.cardDescription}>
+              고정 질문은 주제가 시작되면 적힌 그대로 순서대로 묻고, 그 뒤에 AI가 후속 질문을 이어 갑니다.
+            </p>
+            {locked ? (
+              <div className={pageStyles.resultBlock}>
+                <p className={pageStyles.cardEyebrow}>학생용 링크</p>
+                <p className={styles.shareUrl}>{shareUrl(plan.shareToken)}</p>
+                <button className={pageStyles.secondaryButton} onClick={handleCopy}>
+                  링크 복사
+                </button>
+              </div>
+            ) : (
+              <div className={styles.toolbar}>
+                <button className={pageStyles.secondaryButton} onClick={handleSave} disabled={saving}>
+                  저장
+                </button>
+                <button className={pageStyles.primaryButton} onClick={handleLock} disabled={saving}>
+                  확정하고 링크 만들기
+                </button>
+              </div>
+            )}
+            {notice && <p className={styles.sessionMeta}>{notice}</p>}
+          </aside>
+        </div>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,106 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import pageStyles from "../../page.module.css";
+import styles from "../instructor.module.css";
+import { apiFetch, apiGet } from "../../lib/api";
+import { EXTRACTION_ERRORS, UploadCard, fileToBase64 } from "../../components/UploadCard";
+import { formatDate } from "../verdict";
+
+// Instructors analyze a submission here and review its topics before any
+// student sees them (plans/[id]).
+export default function InstructorPlans() {
+  const router = useRouter();
+  const [plans, setPlans] = useState([]);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    apiGet("/api/plans")
+      .then((data) => setPlans(data.plans || []))
+      .catch((err) => {
+        console.error(err);
+        setError("인터뷰 계획 목록을 불러오지 못했습니다.");
+      });
+  }, []);
+
+  const handleCreate = async (file, { topicCount, topicDuration, interviewMode, course, assignmentName }) => {
+    setAnalyzing(true);
+    setError("");
+    try {
+      const { plan } = await apiFetch("/api/plans", {
+        fileBase64: await fileToBase64(file),
+        fileName: file.name,
+        topicCount,
+        topicDuration,
+        interviewMode,
+        course,
+        assignment: assignmentName,
+      });
+      router.push(`/instructor/plans/${plan.id}`);
+    } catch (err) {
+      console.error(err);
+      setError(EXTRACTION_ERRORS[err.data?.error] || "과제를 분석하지 못했습니다.");
+      setAnalyzing(false);
+    }
+  };
+
+  return (
+    <main className={pageStyles.shell}>
+      <div className={pageStyles.backdrop} />
+      <section className={pageStyles.header}>
+        <div>
+          <Link href="/instructor" className={styles.backLink}>
+            ← 대시보드로
+          </Link>
+          <p className={pageStyles.eyebrow}>교수자 대시보드</p>
+          <h1 className={pageStyles.title}>인터뷰 계획</h1>
+          <p className={pageStyles.subtitle}>
+            주제를 미리 확인하고 고친 뒤 학생에게 보낼 링크를 만드세요.
+          </p>
+        </div>
+        {analyzing && (
+          <div className={pageStyles.statusGroup}>
+            <span className={pageStyles.badge}>과제 분석중</span>
+          </div>
+        )}
+      </section>
+
+      {error && <div className={pageStyles.errorBanner}>{error}</div>}
+
+      <div className={styles.detailGrid}>
+        <UploadCard
+          onStart={handleCreate}
+          sttSupported
+          title="학생 과제 업로드"
+          description="학생이 제출한 과제를 올리면 인터뷰 주제를 미리 만들어 보여 드립니다."
+          submitLabel={analyzing ? "분석 중..." : "주제 미리보기"}
+          busy={analyzing}
+        />
+        <aside className={pageStyles.card}>
+          <p className={pageStyles.cardEyebrow}>만든 계획</p>
+          {plans.length ? (
+            plans.map((plan) => (
+              <Link key={plan.id} href={`/instructor/plans/${plan.id}`} className={styles.sessionRow}>
+                <div>
+                  <p>
+                    {plan.course || "(미지정)"} · {plan.assignment || "(미지정)"}
+                  </p>
+                  <p className={styles.sessionMeta}>
+                    {plan.fileName || "붙여 넣은 본문"} · {formatDate(plan.lockedAt || plan.createdAt)}
+                  </p>
+                </div>
+                <span className={styles.sessionMeta}>{plan.status === "locked" ? "링크 공유됨" : "검토 중"}</span>
+                <span className={styles.sessionMeta}>→</span>
+              </Link>
+            ))
+          ) : (
+            <p className={styles.empty}>아직 만든 계획이 없습니다.</p>
+          )}
+        </aside>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,270 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import clsx from "clsx";
+import pageStyles from "../../../page.module.css";
+import styles from "../../instructor.module.css";
+import { apiGet, mediaUrl } from "../../../lib/api";
+import { VerdictBadge, formatDate } from "../../verdict";
+import { RubricVerdictList, TopicVerdict } from "../../../components/TopicVerdict";
+import { SourceViewer } from "../../../components/SourceViewer";
+
+// Interviewer moves and answer assessments (backend lib/strategy.js).
+const MOVE_LABELS = {
+  wording: "표현 선택 이유",
+  example: "사례 선택 이유",
+  figure: "수치·자료 확인",
+  stance: "주장에 대한 입장",
+  alternative: "버린 대안",
+  drill_down: "모호한 답 파고들기",
+  contradiction: "모순 확인",
+  refocus: "주제로 되돌리기",
+};
+
+const ASSESSMENT_LABELS = { vague: "모호함", specific: "구체적", contradicts: "본문과 모순", off_topic: "주제 이탈" };
+
+// Kinds and statuses of cross-checked answer claims (backend lib/evaluation.js).
+const CLAIM_KIND_LABELS = { number: "수치", source: "출처", example: "사례", reason: "이유" };
+const CLAIM_STATUS_LABELS = { consistent: "본문과 일치", contradicts: "본문과 모순", not_found: "본문에 없음" };
+
+function labelRefs(refs, label) {
+  return (refs || []).map((ref) => ({ ...ref, label }));
+}
+
+// Voice turns keep their recording until the retention period ends. A load
+// that fails (most likely an expired media token) gets one fresh URL.
+function TurnAudio({ sessionId, audio }) {
+  const [src, setSrc] = useState(null);
+  const [retried, setRetried] = useState(false);
+  const path = `/api/sessions/${sessionId}/recordings/${audio.id}`;
+  const expired = Date.parse(audio.expiresAt) <= Date.now();
+
+  useEffect(() => {
+    if (expired) return;
+    mediaUrl(path).then(setSrc).catch((err) => console.error(err));
+  }, [path, expired]);
+
+  if (expired) {
+    return <p className={styles.turnAudioExpired}>녹음 보관 기간이 지났습니다.</p>;
+  }
+  const retry = () => {
+    if (retried) return;
+    setRetried(true);
+    mediaUrl(path, { fresh: true }).then(setSrc).catch((err) => console.error(err));
+  };
+  return <audio className={styles.turnAudio} controls preload="none" src={src || undefined} onError={retry} />;
+}
+
+export default function InstructorSessionDetail({ params }) {
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState("");
+  const [selectedRefs, setSelectedRefs] = useState(null);
+
+  useEffect(() => {
+    apiGet(`/api/sessions/${params.id}`)
+      .then((data) => setSession(data.session))
+      .catch((err) => {
+        console.error(err);
+        setError("인터뷰를 불러오지 못했습니다.");
+      });
+  }, [params.id]);
+
+  const summary = session?.summary;
+  const topicRefs = session?.topics.flatMap((topic, idx) => labelRefs(topic.refs, `주제 ${idx + 1}`)) || [];
+
+  return (
+    <main className={pageStyles.shell}>
+      <div className={pageStyles.backdrop} />
+      <section className={pageStyles.header}>
+        <div>
+          <Link href="/instructor" className={styles.backLink}>
+            ← 목록으로
+          </Link>
+          <p className={pageStyles.eyebrow}>
+            {session ? `${session.course || "(미지정)"} · ${session.assignment || "(미지정)"}` : "인터뷰 상세"}
+          </p>
+          <h1 className={pageStyles.title}>인터뷰 기록</h1>
+          {session && (
+            <p className={pageStyles.subtitle}>
+              {session.student && `${session.student.name}${session.student.studentNumber ? ` (${session.student.studentNumber})` : ""} · `}
+              {formatDate(session.completedAt || session.createdAt)} ·{" "}
+              {session.interviewMode === "voice" ? "음성 인터뷰" : "채팅 인터뷰"}
+            </p>
+          )}
+        </div>
+        {summary && (
+          <div className={pageStyles.statusGroup}>
+            <VerdictBadge verdict={summary.verdict} />
+          </div>
+        )}
+      </section>
+
+      {error && <div className={pageStyles.errorBanner}>{error}</div>}
+
+      {session && (
+        <div className={styles.detailGrid}>
+          <div className={clsx(pageStyles.card, styles.transcript)}>
+            {session.topics.map((topic, idx) => (
+              <section key={topic.id || idx} className={styles.topicBlock}>
+                <p className={pageStyles.cardEyebrow}>주제 {idx + 1}</p>
+                <h2 className={styles.topicTitle}>{topic.title}</h2>
+                {topic.rubricIds?.length > 0 && (
+                  <p className={styles.rubricTags}>
+                    평가 기준:{" "}
+                    {topic.rubricIds
+                      .map((id) => session.guide?.rubric.find((item) => item.id === id)?.title || id)
+                      .join(", ")}
+                  </p>
+                )}
+                {topic.refs?.length > 0 && (
+                  <button
+                    className={pageStyles.refButton}
+                    onClick={() => setSelectedRefs(labelRefs(topic.refs, `주제 ${idx + 1}`))}
+                  >
+                    주제 원문 보기
+                  </button>
+                )}
+                {topic.turns.length ? (
+                  topic.turns.map((turn, turnIdx) => (
+                    <div
+                      key={turnIdx}
+                      className={clsx(pageStyles.chatBubble, turn.role === "ai" ? pageStyles.chatAI : pageStyles.chatStudent)}
+                    >
+                      <p className={pageStyles.chatSender}>{turn.role === "ai" ? "AI" : "학생"}</p>
+                      <p>{turn.text}</p>
+                      {turn.move && <p className={styles.strategyNote}>전략: {MOVE_LABELS[turn.move] || turn.move}</p>}
+                      {turn.assessment && (
+                        <p className={styles.strategyNote}>
+                          답변 평가: {ASSESSMENT_LABELS[turn.assessment.label] || turn.assessment.label}
+                          {turn.assessment.note && ` · ${turn.assessment.note}`}
+                        </p>
+                      )}
+                      {turn.audio && <TurnAudio sessionId={session.id} audio={turn.audio} />}
+                      {turn.typing?.note && <p className={styles.typingNote}>입력 기록: {turn.typing.note}</p>}
+                      {turn.injection?.length > 0 && (
+                        <p className={styles.integrityNote}>
+                          ⚠️ 지시 우회 시도 감지: {turn.injection.map((finding) => finding.label).join(", ")}
+                        </p>
+                      )}
+                      {turn.refs?.length > 0 && (
+                        <button
+                          className={pageStyles.refButton}
+                          onClick={() => setSelectedRefs(labelRefs(turn.refs, "질문"))}
+                        >
+                          원문 보기
+                        </button>
+                      )}
+                    </div>
+                  ))
+                ) : (
+                  <p className={styles.sessionMeta}>대화 기록이 없습니다.</p>
+                )}
+                <TopicVerdict
+                  verdict={summary?.topics?.find((verdict) => verdict.topicId === topic.id)}
+                  showTitle={false}
+                />
+              </section>
+            ))}
+          </div>
+
+          <aside className={clsx(pageStyles.card, styles.verdictPanel)}>
+            <SourceViewer sessionId={session.id} refs={selectedRefs || topicRefs} />
+            {session.typingSignals && (
+              <div className={pageStyles.resultBlock}>
+                <p className={pageStyles.cardEyebrow}>입력 기록 (답변 {session.typingSignals.answers}개)</p>
+                <ul>
+                  {session.typingSignals.notes.length
+                    ? session.typingSignals.notes.map((note) => <li key={note}>{note}</li>)
+                    : <li>특이사항이 없습니다.</li>}
+                </ul>
+              </div>
+            )}
+            {session.strategy && (
+              <div className={pageStyles.resultBlock}>
+                <p className={pageStyles.cardEyebrow}>질문 전략</p>
+                <ul>
+                  {session.strategy.map((row) => (
+                    <li key={row.move}>
+                      {row.label}: {row.asked}번 · 구체적인 답 {row.specific}/{row.assessed}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {summary?.integrityFlags?.length > 0 && (
+              <div className={pageStyles.resultBlock}>
+                <p className={pageStyles.cardEyebrow}>평가 조작 시도 ({summary.integrityFlags.length}건)</p>
+                <ul>
+                  {summary.integrityFlags.map((flag, idx) => (
+                    <li key={idx}>
+                      {flag.source === "document" ? "과제 파일" : "답변"} · {flag.note}: “{flag.quote}”
+                      {flag.detectedBy === "detector" && <span className={styles.sessionMeta}> (자동 탐지)</span>}
+                    </li>
+                  ))}
+                </ul>
+                <p className={styles.sessionMeta}>
+                  평가는 이 요청을 따르지 않고 답변 내용만으로 이루어졌습니다. 학생과 직접 확인해 보세요.
+                </p>
+              </div>
+            )}
+            {summary?.claims?.length > 0 && (
+              <div className={pageStyles.resultBlock}>
+                <p className={pageStyles.cardEyebrow}>답변·본문 대조 ({summary.claims.length}건)</p>
+                <ul>
+                  {summary.claims.map((claim, idx) => (
+                    <li key={idx} className={clsx(claim.status === "contradicts" && styles.claimContradicts)}>
+                      {CLAIM_KIND_LABELS[claim.kind] || claim.kind} · {CLAIM_STATUS_LABELS[claim.status] || claim.status}
+                      : “{claim.claim}”
+                      {claim.note && <span className={styles.sessionMeta}> ({claim.note})</span>}
+                      {claim.refs?.length > 0 && (
+                        <button
+                          className={pageStyles.refButton}
+                          onClick={() => setSelectedRefs(labelRefs(claim.refs, "대조"))}
+                        >
+                          원문 보기
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {summary ? (
+              <>
+                {summary.rubric?.length > 0 && (
+                  <div className={pageStyles.resultBlock}>
+                    <p className={pageStyles.cardEyebrow}>평가 기준별 결과</p>
+                    <RubricVerdictList rubric={summary.rubric} />
+                  </div>
+                )}
+                <div className={pageStyles.resultBlock}>
+                  <p className={pageStyles.cardEyebrow}>강점</p>
+                  <ul>
+                    {summary.strengths?.length
+                      ? summary.strengths.map((item, idx) => <li key={idx}>{item}</li>)
+                      : <li>강점 정보가 없습니다.</li>}
+                  </ul>
+                </div>
+                <div className={pageStyles.resultBlock}>
+                  <p className={pageStyles.cardEyebrow}>개선이 필요한 부분</p>
+                  <ul>
+                    {summary.weaknesses?.length
+                      ? summary.weaknesses.map((item, idx) => <li key={idx}>{item}</li>)
+                      : <li>개선점 정보가 없습니다.</li>}
+                  </ul>
+                </div>
+                <div className={pageStyles.resultBlock}>
+                  <p className={pageStyles.cardEyebrow}>종합 코멘트</p>
+                  <p>{summary.overallComment}</p>
+                </div>
+              </>
+            ) : (
+              <p className={pageStyles.cardDescription}>평가 결과가 아직 없습니다.</p>
+            )}
+          </aside>
+        </div>
+      )}
+    </main>
+  );
+}
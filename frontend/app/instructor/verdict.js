@@ -0,0 +1,20 @@
+import styles from "./instructor.module.css";
+
+export const VERDICTS = ["직접 작성", "AI 생성 후 검토", "AI 생성 그대로 제출", "평가 불가"];
+
+const verdictStyles = {
+  "직접 작성": styles.verdictOwned,
+  "AI 생성 후 검토": styles.verdictReviewed,
+  "AI 생성 그대로 제출": styles.verdictGenerated,
+  "평가 불가": styles.verdictUnknown,
+};
+
+export function VerdictBadge({ verdict }) {
+  const label = verdict || "평가 불가";
+  return <span className={`${styles.verdict} ${verdictStyles[label] || styles.verdictUnknown}`}>{label}</span>;
+}
+
+export function formatDate(value) {
+  if (!value) return "-";
+  return new Date(value).toLocaleString("ko-KR", { dateStyle: "medium", timeStyle: "short" });
+}
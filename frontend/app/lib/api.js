@@ -0,0 +1,180 @@
+import { authHeaders, clearLogin, getToken, redirectToLogin } from "./auth";
+
+export const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:4010";
+
+// A 401 with a token means it expired or was revoked: sign in again. (The
+// sign-in routes answer 401 for a wrong password too, but without a token.)
+async function handleResponse(res) {
+  if (res.status === 401 && getToken()) {
+    clearLogin();
+    redirectToLogin();
+  }
+  if (!res.ok) {
+    const text = await res.text();
+    const error = new Error(text || "API 요청에 실패했습니다");
+    error.status = res.status;
+    try {
+      error.data = JSON.parse(text);
+    } catch {
+      error.data = null;
+    }
+    throw error;
+  }
+  return res.status === 204 ? null : res.json();
+}
+
+const BUDGET_MESSAGES = {
+  "session:tokens": "이 인터뷰에서 쓸 수 있는 AI 사용량을 모두 썼습니다. 지금까지의 답변으로 결과를 확인해 주세요.",
+  "session:ttsChars": "이 인터뷰의 음성 읽기 사용량을 모두 써서 질문을 글로만 보여 드립니다.",
+  "assignment:tokens": "이 과제에 배정된 AI 사용량을 모두 써서 더 진행할 수 없습니다. 담당 교수자에게 문의해 주세요.",
+  "assignment:ttsChars": "이 과제의 음성 읽기 사용량을 모두 써서 질문을 글로만 보여 드립니다.",
+};
+
+// What to tell the user about a 429 from the backend's rate limits and
+// budgets (`err.data`); null for any other error.
+export function limitMessage(data) {
+  if (data?.error === "rate_limited") {
+    return `요청이 너무 많습니다. ${data.retryAfter || 60}초 뒤에 다시 시도해 주세요.`;
+  }
+  if (data?.error === "budget_exceeded") {
+    return BUDGET_MESSAGES[`${data.scope}:${data.resource}`] || BUDGET_MESSAGES["session:tokens"];
+  }
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Network failures and 5xx responses are retried with exponential backoff;
+// 4xx responses are final. Only pass `retries` for idempotent calls.
+async function postWithRetries(path, init, { retries = 0, retryDelay = 1000 } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const res = await fetch(`${API_BASE}${path}`, { method: "POST", ...init, headers: authHeaders(init.headers) });
+      return await handleResponse(res);
+    } catch (err) {
+      const retriable = !err.status || err.status >= 500;
+      if (!retriable || attempt >= retries) throw err;
+      await sleep(retryDelay * 2 ** attempt);
+    }
+  }
+}
+
+// `method` defaults to POST (e.g. `{ method: "PUT" }` to replace a record).
+export async function apiFetch(path, payload, { method = "POST", ...options } = {}) {
+  return postWithRetries(
+    path,
+    { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) },
+    options,
+  );
+}
+
+// Posts a file (e.g. a recording) as the raw request body.
+export async function apiUpload(path, blob, options) {
+  return postWithRetries(
+    path,
+    { headers: { "Content-Type": blob.type || "application/octet-stream" }, body: blob },
+    options,
+  );
+}
+
+export async function apiGet(path, params) {
+  const query = params
+    ? `?${new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString()}`
+    : "";
+  const res = await fetch(`${API_BASE}${path}${query}`, { headers: authHeaders() });
+  return handleResponse(res);
+}
+
+// Audio elements cannot send headers, so their URLs carry a short-lived
+// media token instead, which only plays recordings. It is reused until a
+// minute before it expires, or fetched anew with `fresh`.
+let mediaToken = null;
+
+export async function mediaUrl(path, { fresh = false } = {}) {
+  if (fresh || !mediaToken || Date.parse(mediaToken.expiresAt) - Date.now() < 60_000) {
+    mediaToken = await apiFetch("/api/auth/media-token", {});
+  }
+  return `${API_BASE}${path}${path.includes("?") ? "&" : "?"}access_token=${encodeURIComponent(mediaToken.token)}`;
+}
+
+function parseEvent(block) {
+  let event = "message";
+  let data = "";
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data += line.slice(5).trim();
+  }
+  return { event, data: data ? JSON.parse(data) : null };
+}
+
+// Yields the events of a text/event-stream response as they arrive.
+async function* readEvents(res) {
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+      let boundary = buffer.indexOf("\n\n");
+      while (boundary !== -1) {
+        yield parseEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf("\n\n");
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+async function readEventStream(path, payload, onEvent) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method: "POST",
+    headers: authHeaders({ "Content-Type": "application/json", Accept: "text/event-stream" }),
+    body: JSON.stringify(payload),
+  });
+  if (!res.ok || !res.headers.get("content-type")?.startsWith("text/event-stream")) {
+    return handleResponse(res);
+  }
+  for await (const { event, data } of readEvents(res)) {
+    if (event === "done") return data;
+    if (event === "error") {
+      const error = new Error(data?.error || "API 요청에 실패했습니다");
+      error.status = 500;
+      error.data = data;
+      throw error;
+    }
+    onEvent?.(event, data);
+  }
+  throw new Error("응답이 중간에 끊겼습니다");
+}
+
+// Follows a GET Server-Sent Events route until the server ends it or `signal`
+// aborts. Resolves when the stream ends.
+export async function followEvents(path, { onEvent, signal } = {}) {
+  const res = await fetch(`${API_BASE}${path}`, { headers: authHeaders({ Accept: "text/event-stream" }), signal });
+  if (!res.ok) return handleResponse(res);
+  for await (const { event, data } of readEvents(res)) {
+    onEvent?.(event, data);
+  }
+}
+
+// POSTs to a Server-Sent Events route. `onEvent(event, data)` sees every event
+// before `done`, whose data the promise resolves with; `error` events are
+// thrown like a 500. Retries work as in apiFetch, and `onRetry` runs before
+// each new attempt so partial output from the failed one can be dropped.
+export async function apiStream(path, payload, { onEvent, onRetry, retries = 0, retryDelay = 1000 } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      if (attempt > 0) onRetry?.();
+      return await readEventStream(path, payload, onEvent);
+    } catch (err) {
+      const retriable = !err.status || err.status >= 500;
+      if (!retriable || attempt >= retries) throw err;
+      await sleep(retryDelay * 2 ** attempt);
+    }
+  }
+}
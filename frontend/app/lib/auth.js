@@ -0,0 +1,66 @@
+// The signed-in account: the bearer token from /api/auth/* and the user it
+// belongs to, kept in localStorage so every tab shares one login.
+const TOKEN_KEY = "homeworkValidator.authToken";
+const USER_KEY = "homeworkValidator.user";
+// Where to go after signing in from a mailed link, which opens in a new tab.
+const NEXT_KEY = "homeworkValidator.loginNext";
+// The interview Home resumes (app/page.js). It belongs to the account that
+// started it, so signing out forgets it.
+export const SESSION_KEY = "homeworkValidator.sessionId";
+
+export const ROLE_LABELS = { student: "학생", instructor: "교수자", admin: "관리자" };
+
+function storage() {
+  return typeof window === "undefined" ? null : window.localStorage;
+}
+
+export function getToken() {
+  return storage()?.getItem(TOKEN_KEY) || null;
+}
+
+export function getUser() {
+  try {
+    return JSON.parse(storage()?.getItem(USER_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+export function saveLogin({ token, user }) {
+  storage()?.setItem(TOKEN_KEY, token);
+  storage()?.setItem(USER_KEY, JSON.stringify(user));
+}
+
+export function clearLogin() {
+  storage()?.removeItem(TOKEN_KEY);
+  storage()?.removeItem(USER_KEY);
+}
+
+export function authHeaders(headers = {}) {
+  const token = getToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+export function rememberNext(path) {
+  storage()?.setItem(NEXT_KEY, path);
+}
+
+// Where a fresh login should land: the page that sent the user to /login, or
+// the role's home.
+export function takeNext(user) {
+  const next = storage()?.getItem(NEXT_KEY);
+  storage()?.removeItem(NEXT_KEY);
+  if (next && next.startsWith("/") && !next.startsWith("//")) return next;
+  return user.role === "student" ? "/" : "/instructor";
+}
+
+// A full page load, so every page starts over with the new login.
+export function navigate(path) {
+  window.location.assign(path);
+}
+
+export function redirectToLogin() {
+  if (typeof window === "undefined" || window.location.pathname === "/login") return;
+  rememberNext(`${window.location.pathname}${window.location.search}`);
+  navigate("/login");
+}
@@ -0,0 +1,58 @@
+import { API_BASE, apiFetch, followEvents } from "./api";
+import { authHeaders } from "./auth";
+
+// Client side of /api/stt/streams: segments are uploaded as they are
+// recorded and `onTranscript` gets the transcript so far whenever the server
+// pushes a longer one. Throws when the backend cannot open a stream (no STT
+// configured, network); callers then fall back to /api/stt. The stream is
+// billed to the interview `sessionId`.
+export async function openLiveTranscription({ sessionId, context = "", onTranscript }) {
+  const { id } = await apiFetch("/api/stt/streams", { context, sessionId });
+  const controller = new AbortController();
+  const base = `/api/stt/streams/${id}`;
+  const uploads = [];
+  let transcript = "";
+
+  followEvents(`${base}/events`, {
+    signal: controller.signal,
+    onEvent: (event, data) => {
+      if (event === "partial" || event === "final") {
+        transcript = data.transcript ?? data.text;
+        onTranscript?.(transcript);
+      }
+    },
+  }).catch((err) => {
+    if (err.name !== "AbortError") console.error("live transcript stream error:", err);
+  });
+
+  return {
+    sendSegment(blob) {
+      const seq = uploads.length;
+      uploads.push(
+        fetch(`${API_BASE}${base}/segments/${seq}`, {
+          method: "POST",
+          headers: authHeaders({ "Content-Type": blob.type || "audio/webm" }),
+          body: blob,
+        }).catch((err) => console.error("segment upload error:", err)),
+      );
+    },
+    // Resolves with the whole answer once every uploaded segment is
+    // transcribed. If that fails, the last transcript pushed is used.
+    async finish() {
+      await Promise.all(uploads);
+      try {
+        const { text } = await apiFetch(`${base}/finish`, { segments: uploads.length }, { retries: 2 });
+        return text;
+      } catch (err) {
+        console.error("live transcript finish error:", err);
+        if (transcript) return transcript;
+        throw err;
+      } finally {
+        controller.abort();
+      }
+    },
+    close() {
+      controller.abort();
+    },
+  };
+}
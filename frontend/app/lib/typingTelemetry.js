@@ -0,0 +1,106 @@
+// How a chat answer was typed, recorded from the moment the question is shown
+// until the answer is sent. Only timings and counts are kept, never the keys
+// themselves. The backend (lib/telemetry.js) turns them into signals for the
+// evaluation and the instructor view.
+
+export const TYPING_DEFAULTS = {
+  // A pause between keys at least this long counts as an idle gap.
+  idleGapMs: 10_000,
+  // Caps each list of events sent with an answer.
+  maxEvents: 50,
+};
+
+function percentile(sorted, fraction) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+export function createTypingRecorder(options = {}) {
+  const config = { ...TYPING_DEFAULTS, ...options };
+  let turn;
+
+  const reset = (now) => {
+    turn = {
+      startedAt: now,
+      firstKeyAt: null,
+      lastKeyAt: null,
+      keystrokes: 0,
+      deletions: 0,
+      intervals: [],
+      length: 0,
+      largestInsert: 0,
+      pasteAttempts: [],
+      dropAttempts: 0,
+      awaySince: null,
+      focusLosses: [],
+      idleGaps: [],
+    };
+  };
+  reset(0);
+
+  const at = (now) => now - turn.startedAt;
+  const push = (list, item) => {
+    if (list.length < config.maxEvents) list.push(item);
+  };
+
+  return {
+    config,
+    // A new question is on screen.
+    reset,
+    keydown(now) {
+      if (turn.lastKeyAt !== null) {
+        const gap = now - turn.lastKeyAt;
+        if (gap >= config.idleGapMs) push(turn.idleGaps, { at: at(turn.lastKeyAt), ms: gap });
+        else turn.intervals.push(gap);
+      }
+      turn.firstKeyAt = turn.firstKeyAt ?? now;
+      turn.lastKeyAt = now;
+      turn.keystrokes += 1;
+    },
+    // The answer text after an edit; a large jump means text arrived without
+    // being typed (autofill, an extension, a paste that got through).
+    input(text) {
+      const added = text.length - turn.length;
+      if (added < 0) turn.deletions += 1;
+      turn.largestInsert = Math.max(turn.largestInsert, added);
+      turn.length = text.length;
+    },
+    blockedPaste(now, chars) {
+      push(turn.pasteAttempts, { at: at(now), chars });
+    },
+    blockedDrop() {
+      turn.dropAttempts += 1;
+    },
+    // The tab or window lost focus; repeated calls while away are ignored.
+    leave(now) {
+      turn.awaySince = turn.awaySince ?? now;
+    },
+    back(now) {
+      if (turn.awaySince === null) return;
+      push(turn.focusLosses, { at: at(turn.awaySince), ms: now - turn.awaySince });
+      turn.awaySince = null;
+    },
+    // What is sent with the answer.
+    snapshot(now) {
+      const intervals = [...turn.intervals].sort((a, b) => a - b);
+      const focusLosses =
+        turn.awaySince === null
+          ? turn.focusLosses
+          : [...turn.focusLosses, { at: at(turn.awaySince), ms: now - turn.awaySince }].slice(0, config.maxEvents);
+      return {
+        durationMs: at(now),
+        firstKeyMs: turn.firstKeyAt === null ? null : at(turn.firstKeyAt),
+        typingMs: turn.firstKeyAt === null ? 0 : now - turn.firstKeyAt,
+        keystrokes: turn.keystrokes,
+        deletions: turn.deletions,
+        medianKeyIntervalMs: percentile(intervals, 0.5),
+        p90KeyIntervalMs: percentile(intervals, 0.9),
+        largestInsert: turn.largestInsert,
+        pasteAttempts: turn.pasteAttempts,
+        dropAttempts: turn.dropAttempts,
+        focusLosses,
+        idleGaps: turn.idleGaps,
+      };
+    },
+  };
+}
@@ -0,0 +1,123 @@
+// Voice activity detection on the microphone level (0–1) that
+// useWhisperRecognition already measures for the mic animation.
+//
+// States:
+//   waiting   listening, nothing said yet
+//   prompt    nothing said for `noSpeechMs`: the student is nudged
+//   speaking  an answer is under way
+//   done      `silenceMs` of silence after speech: the answer looks finished
+//   silent    still nothing said `noSpeechMs` after the prompt
+//   limit     the answer reached `maxAnswerMs` (final)
+// Speech in `prompt`, `done` or `silent` goes back to `speaking`.
+
+export const VAD_DEFAULTS = {
+  enabled: true,
+  // Level counted as speech; room noise usually stays well below it.
+  threshold: 0.15,
+  // Loud for this long before it counts as speech, so a cough or a click does not.
+  speechStartMs: 250,
+  silenceMs: 1800,
+  maxAnswerMs: 90_000,
+  noSpeechMs: 8000,
+};
+
+export const VAD_END_STATES = ["done", "silent", "limit"];
+
+export function createVoiceActivityDetector(options = {}) {
+  const config = { ...VAD_DEFAULTS, ...options };
+  let state = "waiting";
+  let waitingSince = 0;
+  let loudSince = null;
+  let quietSince = null;
+  let answerStartedAt = null;
+
+  return {
+    config,
+    get state() {
+      return state;
+    },
+    reset(now) {
+      state = "waiting";
+      waitingSince = now;
+      loudSince = null;
+      quietSince = null;
+      answerStartedAt = null;
+    },
+    // Feed the current level; returns the (possibly new) state.
+    update(level, now) {
+      if (state === "limit") return state;
+
+      const loud = level >= config.threshold;
+      if (loud) {
+        loudSince = loudSince ?? now;
+        quietSince = null;
+      } else {
+        loudSince = null;
+        quietSince = quietSince ?? now;
+      }
+      const speaking = loudSince !== null && now - loudSince >= config.speechStartMs;
+
+      if (answerStartedAt !== null && now - answerStartedAt >= config.maxAnswerMs) {
+        state = "limit";
+      } else if (speaking) {
+        answerStartedAt = answerStartedAt ?? loudSince;
+        state = "speaking";
+      } else if (state === "speaking" && quietSince !== null && now - quietSince >= config.silenceMs) {
+        state = "done";
+      } else if (state === "waiting" && now - waitingSince >= config.noSpeechMs) {
+        state = "prompt";
+      } else if (state === "prompt" && now - waitingSince >= config.noSpeechMs * 2) {
+        state = "silent";
+      }
+      return state;
+    },
+  };
+}
+
+// Live transcription records the answer as short standalone segments. A
+// segment ends at a short pause once it is `minMs` long (so words are not cut
+// in half), or at `maxMs` regardless.
+export const SEGMENT_DEFAULTS = {
+  // Lower than the detector's: a quiet answer should still be transcribed.
+  threshold: VAD_DEFAULTS.threshold / 2,
+  minMs: 4000,
+  pauseMs: 600,
+  maxMs: 20_000,
+  // Loud time that makes a segment worth transcribing; silent ones are dropped.
+  speechMs: 200,
+};
+
+export function createSegmenter(options = {}) {
+  const config = { ...SEGMENT_DEFAULTS, ...options };
+  let startedAt = 0;
+  let lastAt = 0;
+  let quietSince = null;
+  let loudMs = 0;
+
+  return {
+    config,
+    // Whether the current segment has enough speech to transcribe.
+    get hasSpeech() {
+      return loudMs >= config.speechMs;
+    },
+    reset(now) {
+      startedAt = now;
+      lastAt = now;
+      quietSince = null;
+      loudMs = 0;
+    },
+    // Feed the current level; returns true when the segment should end here.
+    update(level, now) {
+      if (level >= config.threshold) {
+        loudMs += now - lastAt;
+        quietSince = null;
+      } else {
+        quietSince = quietSince ?? now;
+      }
+      lastAt = now;
+      const length = now - startedAt;
+      if (length >= config.maxMs) return true;
+      return length >= config.minMs && loudMs >= config.speechMs && quietSince !== null && now - quietSince >= config.pauseMs;
+    },
+  };
+}
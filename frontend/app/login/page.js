@@ -0,0 +1,136 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import styles from "../page.module.css";
+import { apiFetch } from "../lib/api";
+import { navigate, saveLogin, takeNext } from "../lib/auth";
+
+const LOGIN_ERRORS = {
+  invalid_credentials: "아이디 또는 비밀번호가 맞지 않습니다.",
+  invalid_email: "이메일 주소를 확인해 주세요.",
+  invalid_link: "로그인 링크가 만료되었거나 이미 사용되었습니다. 새 링크를 받아 주세요.",
+  magic_link_disabled: "이메일 로그인을 사용할 수 없습니다. 관리자에게 계정을 받아 로그인해 주세요.",
+  mail_failed: "메일을 보내지 못했습니다. 잠시 후 다시 시도해 주세요.",
+};
+
+function signedIn(login) {
+  saveLogin(login);
+  navigate(takeNext(login.user));
+}
+
+export default function Login() {
+  const [email, setEmail] = useState("");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      setError(LOGIN_ERRORS[err.data?.error] || "로그인하지 못했습니다. 다시 시도해 주세요.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The mailed link opens /login?token=...; the token is used once.
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get("token");
+    if (!token) return;
+    window.history.replaceState(null, "", "/login");
+    run(async () => signedIn(await apiFetch("/api/auth/magic-link/verify", { token })));
+  }, []);
+
+  const handleMagicLink = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await apiFetch("/api/auth/magic-link", { email });
+      setNotice(`${email.trim()}(으)로 로그인 링크를 보냈습니다. 15분 안에 메일의 링크를 열어 주세요.`);
+    });
+  };
+
+  const handlePassword = (e) => {
+    e.preventDefault();
+    run(async () => signedIn(await apiFetch("/api/auth/login", { username, password })));
+  };
+
+  return (
+    <main className={styles.shell}>
+      <div className={styles.backdrop} />
+      <section className={styles.header}>
+        <div>
+          <p className={styles.eyebrow}>AI 과제 인터뷰 조교</p>
+          <h1 className={styles.title}>로그인</h1>
+          <p className={styles.subtitle}>학생은 학교 이메일로 받은 링크로, 교수자와 관리자는 받은 계정으로 로그인하세요.</p>
+        </div>
+      </section>
+
+      {error && <div className={styles.errorBanner}>{error}</div>}
+      {notice && <p className={styles.cardDescription}>{notice}</p>}
+
+      <div className={styles.card}>
+        <form className={styles.settingsSection} onSubmit={handleMagicLink}>
+          <p className={styles.cardEyebrow}>이메일 링크로 로그인</p>
+          <div className={styles.settingRow}>
+            <label className={styles.settingLabel} htmlFor="loginEmail">
+              이메일
+            </label>
+            <input
+              id="loginEmail"
+              type="email"
+              className={styles.settingInput}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="email"
+              required
+            />
+          </div>
+          <button type="submit" className={styles.primaryButton} disabled={busy || !email.trim()}>
+            로그인 링크 받기
+          </button>
+        </form>
+
+        <form className={styles.settingsSection} onSubmit={handlePassword}>
+          <p className={styles.cardEyebrow}>계정으로 로그인</p>
+          <div className={styles.settingRow}>
+            <label className={styles.settingLabel} htmlFor="loginUsername">
+              아이디 또는 이메일
+            </label>
+            <input
+              id="loginUsername"
+              className={styles.settingInput}
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              required
+            />
+          </div>
+          <div className={styles.settingRow}>
+            <label className={styles.settingLabel} htmlFor="loginPassword">
+              비밀번호
+            </label>
+            <input
+              id="loginPassword"
+              type="password"
+              className={styles.settingInput}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <button type="submit" className={styles.primaryButton} disabled={busy || !username.trim() || !password}>
+            로그인
+          </button>
+        </form>
+      </div>
+    </main>
+  );
+}
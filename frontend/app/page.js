@@ -1,15 +1,31 @@
 "use client";
 
-import { useCallback, useEffect, useState, useRef } from "react";
+import { useCallback, useEffect, useMemo, useState, useRef } from "react";
 import clsx from "clsx";
 import styles from "./page.module.css";
 import { useWhisperRecognition, useSpeechSynthesis } from "./hooks/useSpeech";
+import { apiFetch, apiGet, apiStream, apiUpload, limitMessage } from "./lib/api";
+import { SESSION_KEY, getToken, getUser, redirectToLogin } from "./lib/auth";
+import { VAD_END_STATES } from "./lib/vad";
+import { createTypingRecorder } from "./lib/typingTelemetry";
+import { TopicVerdictList } from "./components/TopicVerdict";
+import { SourceViewer } from "./components/SourceViewer";
+import { AccountBar } from "./components/Account";
+import { EXTRACTION_ERRORS, UploadCard, fileToBase64 } from "./components/UploadCard";
 
-const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:4010";
 const AUTO_ADVANCE_SECONDS = 5;
+// Countdown before a voice answer that looks finished is submitted.
+const VOICE_SUBMIT_GRACE_SECONDS = 3;
+const API_RETRIES = 3;
+
+const INVITE_ERRORS = {
+  invite_not_found: "초대 코드를 찾을 수 없습니다. 교수자에게 받은 코드를 다시 확인해 주세요.",
+  mode_not_allowed: "이 과제에서 허용하지 않는 인터뷰 방식입니다.",
+};
 
 const phaseLabels = {
   upload: "인터뷰 설정",
+  restoring: "인터뷰 복구중",
   analyzing: "과제 분석중",
   prep: "인터뷰 준비중",
   interview: "인터뷰 진행중",
@@ -24,61 +40,44 @@ function formatTime(seconds) {
   return `${m}:${s}`;
 }
 
-function buildTranscript(topics = []) {
-  return topics
-    .map((topic) =>
-      (topic.turns || [])
-        .map((turn) => `${turn.role === "ai" ? "AI" : "학생"}: ${turn.text}`)
-        .join("\n"),
-    )
-    .join("\n");
+// The server owns the topic clock; the client only extrapolates from the last
+// value it received so the countdown moves smoothly between responses.
+function clockState(data) {
+  if (typeof data?.timeLeft !== "number") return {};
+  return { timeLeft: data.timeLeft, running: Boolean(data.running), syncedAt: Date.now() };
 }
 
-function buildContextForSTT(assignmentText, turns) {
-  const excerpt = (assignmentText || "").slice(0, 200);
-  const recentQA = (turns || []).slice(-2).map(t => t.text).join(" ");
-  return `${excerpt} ${recentQA}`.trim();
+function remainingSeconds(topic, now) {
+  if (!topic) return 0;
+  if (!topic.running) return topic.timeLeft;
+  return Math.max(0, topic.timeLeft - Math.max(0, now - topic.syncedAt) / 1000);
 }
 
-function fileToBase64(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      const result = reader.result;
-      if (typeof result === "string") {
-        const base64 = result.split(",")[1];
-        resolve(base64);
-      } else {
-        reject(new Error("파일을 읽을 수 없습니다."));
-      }
-    };
-    reader.onerror = () => reject(new Error("파일을 읽는 중 오류가 발생했습니다."));
-    reader.readAsDataURL(file);
-  });
+// The latest question's passages first, then the ones the topic was built from.
+function interviewRefs(topic) {
+  const lastQuestion = [...(topic?.turns || [])].reverse().find((turn) => turn.role === "ai");
+  return [
+    ...(lastQuestion?.refs || []).map((ref) => ({ ...ref, label: "질문" })),
+    ...(topic?.refs || []).map((ref) => ({ ...ref, label: "주제" })),
+  ];
 }
 
-async function apiFetch(path, payload) {
-  const res = await fetch(`${API_BASE}${path}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(text || "API 요청에 실패했습니다");
-  }
-  return res.json();
+function buildContextForSTT(assignmentText, turns) {
+  const excerpt = (assignmentText || "").slice(0, 200);
+  const recentQA = (turns || []).slice(-2).map(t => t.text).join(" ");
+  return `${excerpt} ${recentQA}`.trim();
 }
 
 export default function Home() {
   const [phase, setPhase] = useState("upload");
-  const [assignment, setAssignment] = useState({ topics: [], text: "" });
+  const [sessionId, setSessionId] = useState(null);
+  const [assignmentExcerpt, setAssignmentExcerpt] = useState("");
   const [topicsState, setTopicsState] = useState([]);
   const [currentTopicIndex, setCurrentTopicIndex] = useState(0);
   const [aiGenerating, setAiGenerating] = useState(false);
-  const [isTyping, setIsTyping] = useState(false);
   const [studentInput, setStudentInput] = useState("");
   const [error, setError] = useState("");
+  const [retryAction, setRetryAction] = useState(null);
   const [prepLabel, setPrepLabel] = useState("");
   const [resultSummary, setResultSummary] = useState(null);
   const [modal, setModal] = useState(null);
@@ -87,6 +86,16 @@ export default function Home() {
   const [interviewMode, setInterviewMode] = useState(null);
   const [turnSubmitted, setTurnSubmitted] = useState(false);
   const [settings, setSettings] = useState({ topicCount: 3, topicDuration: 180 });
+  const [now, setNow] = useState(() => Date.now());
+  const [pinnedRefs, setPinnedRefs] = useState(null);
+  const [streamingText, setStreamingText] = useState("");
+  const [voiceGrace, setVoiceGrace] = useState(null);
+  const [voiceEditing, setVoiceEditing] = useState(false);
+  const [sharedPlan, setSharedPlan] = useState(null);
+  const [invite, setInvite] = useState(null);
+  const [account, setAccount] = useState(null);
+  // The student's correction of the live transcript: { base, text }.
+  const voiceCorrectionRef = useRef(null);
 
   const currentTopic = topicsState[currentTopicIndex];
 
@@ -97,30 +106,31 @@ export default function Home() {
     error: speechError,
     isSupported: sttSupported,
     volumeLevel,
+    vadState,
     startListening,
     stopListening,
+    takeRecording,
     resetTranscript,
-  } = useWhisperRecognition();
+  } = useWhisperRecognition({ sessionId });
 
   const {
     isSpeaking,
     isSupported: ttsSupported,
+    error: ttsError,
     speak,
+    enqueue: enqueueSpeech,
+    finishQueue: finishSpeech,
     stop: stopSpeaking,
-  } = useSpeechSynthesis({ lang: "ko-KR", rate: 0.95 });
-
-  useEffect(() => {
-    if (!isTyping) return;
-    const timer = setTimeout(() => setIsTyping(false), 5000);
-    return () => clearTimeout(timer);
-  }, [isTyping]);
+  } = useSpeechSynthesis({ lang: "ko-KR", rate: 0.95, sessionId });
 
   const prevTurnsLengthRef = useRef(0);
+  const typingRef = useRef(null);
+  if (!typingRef.current) typingRef.current = createTypingRecorder();
   const prevSpeakingRef = useRef(false);
 
   useEffect(() => {
     if (interviewMode === "voice" && transcript) {
-      setStudentInput(transcript);
+      setStudentInput(mergeCorrection(voiceCorrectionRef.current, transcript));
     }
   }, [interviewMode, transcript]);
 
@@ -148,7 +158,8 @@ export default function Home() {
     if (interviewMode !== "voice" || aiGenerating || phase !== "interview") return;
     const turns = currentTopic?.turns || [];
     const lastTurn = turns[turns.length - 1];
-    if (turns.length > prevTurnsLengthRef.current && lastTurn?.role === "ai") {
+    // A question whose audio was streamed with it has already been played.
+    if (turns.length > prevTurnsLengthRef.current && lastTurn?.role === "ai" && !lastTurn.spoken) {
       setTurnSubmitted(false);
       const expectedTopicIndex = currentTopicIndex;
       speak(lastTurn.text, () => {
@@ -158,16 +169,33 @@ export default function Home() {
     prevTurnsLengthRef.current = turns.length;
   }, [currentTopic?.turns, interviewMode, aiGenerating, phase, currentTopicIndex, speak, stopSpeaking]);
 
+  const syncClock = useCallback((index, data) => {
+    const clock = clockState(data);
+    setTopicsState((prev) => prev.map((t, idx) => (idx === index ? { ...t, ...clock } : t)));
+  }, []);
+
+  const reportTtsFinished = useCallback(async () => {
+    const index = currentTopicIndex;
+    try {
+      const data = await apiFetch(`/api/sessions/${sessionId}/events`, { type: "tts_finished", topicIndex: index });
+      syncClock(index, data);
+    } catch (err) {
+      console.error(err);
+    }
+  }, [sessionId, currentTopicIndex, syncClock]);
+
   useEffect(() => {
     if (interviewMode !== "voice") return;
     if (phase !== "interview") return;
     if (prevSpeakingRef.current && !isSpeaking && !turnSubmitted && !aiGenerating) {
+      reportTtsFinished();
       resetTranscript();
-      const context = buildContextForSTT(assignment.text, currentTopic?.turns || []);
+      voiceCorrectionRef.current = null;
+      const context = buildContextForSTT(assignmentExcerpt, currentTopic?.turns || []);
       startListening(context);
     }
     prevSpeakingRef.current = isSpeaking;
-  }, [isSpeaking, interviewMode, phase, turnSubmitted, aiGenerating, resetTranscript, startListening, assignment.text, currentTopic?.turns]);
+  }, [isSpeaking, interviewMode, phase, turnSubmitted, aiGenerating, reportTtsFinished, resetTranscript, startListening, assignmentExcerpt, currentTopic?.turns]);
 
   useEffect(() => {
     if (phase !== "interview" && interviewMode === "voice") {
@@ -177,55 +205,163 @@ export default function Home() {
   }, [phase, interviewMode, stopListening, stopSpeaking]);
 
   useEffect(() => {
-    if (phase !== "interview") return;
-    if (!currentTopic) return;
-    if (currentTopic.timeLeft <= 0) return;
-
-    const shouldTick =
-      modal?.type === "manual-exit" ||
-      ((isTyping || currentTopic.started) && !aiGenerating && !isSpeaking && modal?.type !== "auto-exit");
-    if (!shouldTick) return;
+    if (phase !== "interview" || !currentTopic?.running) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [phase, currentTopic?.running]);
 
-    const timer = setInterval(() => {
-      setTopicsState((prev) =>
-        prev.map((topic, idx) => {
-          if (idx === currentTopicIndex) {
-            return { ...topic, timeLeft: Math.max(0, topic.timeLeft - 1) };
-          }
-          return topic;
-        }),
-      );
-    }, 1000);
+  const timeLeft = remainingSeconds(currentTopic, now);
 
-    return () => clearInterval(timer);
-  }, [phase, currentTopicIndex, currentTopic, isTyping, aiGenerating, isSpeaking, modal]);
+  // A new question or topic brings the viewer back to the current passage.
+  const turnCount = currentTopic?.turns?.length || 0;
+  useEffect(() => {
+    setPinnedRefs(null);
+  }, [currentTopicIndex, turnCount]);
 
   useEffect(() => {
     if (phase !== "interview") return;
     if (!currentTopic) return;
-    if (currentTopic.timeLeft > 0) return;
+    if (timeLeft > 0) return;
     if (modal?.type === "auto-exit" || advancing) return;
     triggerAutoModal();
-  }, [phase, currentTopic, modal, advancing]);
+  }, [phase, currentTopic, timeLeft, modal, advancing]);
 
   const progressText = topicsState.length ? `${currentTopicIndex + 1}/${topicsState.length}` : "";
 
   const inputDisabled = phase !== "interview" || aiGenerating || modal?.type === "auto-exit";
 
-  const fetchQuestion = useCallback(async ({ topic, previousQA, studentAnswer }) => {
-    const data = await apiFetch("/api/question", {
-      topic,
-      assignmentText: assignment.text || "",
-      previousQA,
-      studentAnswer,
-      interviewMode: interviewMode || "chat",
-    });
-    return data.question || "이 부분을 왜 이렇게 작성하셨나요?";
-  }, [assignment.text, interviewMode]);
-
-  const handleStart = async (file, { topicCount, topicDuration, interviewMode: mode }) => {
+  // Chat answers are sent with how they were typed: the recorder starts over
+  // whenever a new question is on screen and notes leaving the tab or window.
+  const typingTurns = currentTopic?.turns || [];
+  const awaitingTypedAnswer = interviewMode === "chat" && phase === "interview" && typingTurns.at(-1)?.role === "ai";
+  useEffect(() => {
+    if (awaitingTypedAnswer) typingRef.current.reset(Date.now());
+  }, [awaitingTypedAnswer, typingTurns.length, currentTopicIndex]);
+
+  useEffect(() => {
+    if (interviewMode !== "chat" || phase !== "interview") return;
+    const leave = () => typingRef.current.leave(Date.now());
+    const back = () => typingRef.current.back(Date.now());
+    const onVisibility = () => (document.visibilityState === "hidden" ? leave() : back());
+    window.addEventListener("blur", leave);
+    window.addEventListener("focus", back);
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      window.removeEventListener("blur", leave);
+      window.removeEventListener("focus", back);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [interviewMode, phase]);
+
+  // Pasting and dropping stay blocked; the attempts are recorded.
+  const typingHandlers = useMemo(
+    () => ({
+      onKeyDown: () => typingRef.current.keydown(Date.now()),
+      onInput: (e) => typingRef.current.input(e.target.value),
+      onPaste: (e) => {
+        e.preventDefault();
+        typingRef.current.blockedPaste(Date.now(), e.clipboardData?.getData("text")?.length || 0);
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        typingRef.current.blockedDrop();
+      },
+    }),
+    [],
+  );
+
+  // Questions are streamed: the text shows up as it is generated and, in voice
+  // mode, each sentence is played as soon as the server has synthesized it.
+  // Partial output from a failed attempt is dropped before the retry.
+  const requestQuestion = useCallback(
+    (payload, { onFirstEvent } = {}) => {
+      const topicIndex = topicIndexRef.current;
+      let started = false;
+      setStreamingText("");
+      return apiStream("/api/question/stream", payload, {
+        retries: API_RETRIES,
+        onRetry: () => {
+          setStreamingText("");
+          stopSpeaking();
+        },
+        onEvent: (event, data) => {
+          if (topicIndexRef.current !== topicIndex) return;
+          if (!started) {
+            started = true;
+            onFirstEvent?.();
+          }
+          if (event === "delta") setStreamingText((prev) => prev + data.text);
+          if (event === "audio") enqueueSpeech(data.audio);
+        },
+      });
+    },
+    [enqueueSpeech, stopSpeaking],
+  );
+
+  // `typing`: chat mode's telemetry for this answer (lib/typingTelemetry.js).
+  const submitAnswer = useCallback(async (message, { answerId = crypto.randomUUID(), typing } = {}) => {
+    const index = currentTopicIndex;
+    let previousTurns = [];
+    setRetryAction(null);
+    setTopicsState((prev) =>
+      prev.map((t, idx) => {
+        if (idx === index) {
+          // A retried answer replaces its own optimistic copy instead of stacking.
+          previousTurns = (t.turns || []).filter((turn) => turn.answerId !== answerId);
+          return {
+            ...t,
+            turns: [...previousTurns, { role: "student", text: message, answerId }],
+            timeLeft: remainingSeconds(t, Date.now()),
+            running: false,
+          };
+        }
+        return t;
+      }),
+    );
+
+    setAiGenerating(true);
+    try {
+      const data = await requestQuestion({ sessionId, studentAnswer: message, answerId, typing });
+      const question = data.question || "이 부분을 왜 이렇게 작성하셨나요?";
+      setTopicsState((prev) =>
+        prev.map((t, idx) => {
+          if (idx === index) {
+            return {
+              ...t,
+              turns: [...t.turns, { role: "ai", text: question, refs: data.refs || [], spoken: Boolean(data.spoken) }],
+              ...clockState(data),
+            };
+          }
+          return t;
+        }),
+      );
+      setTurnSubmitted(false);
+    } catch (err) {
+      console.error(err);
+      if (err.data?.error === "topic_time_exhausted") {
+        setTopicsState((prev) =>
+          prev.map((t, idx) => (idx === index ? { ...t, turns: previousTurns, ...clockState(err.data) } : t)),
+        );
+        setError("제한 시간이 지나 마지막 답변은 기록되지 않았습니다.");
+      } else {
+        setError(limitMessage(err.data) || "질문 생성에 실패했습니다. 다시 시도해 주세요.");
+        // A spent budget stays spent; anything else may work a moment later.
+        if (err.data?.error !== "budget_exceeded") {
+          setRetryAction({ run: () => submitAnswer(message, { answerId, typing }) });
+        }
+      }
+    } finally {
+      // Ends the sentence queue in the same render that clears aiGenerating, so
+      // voice mode starts listening once the last sentence has played.
+      setStreamingText("");
+      setAiGenerating(false);
+      finishSpeech();
+    }
+  }, [currentTopicIndex, sessionId, requestQuestion, finishSpeech]);
+
+  const handleStart = async (file, { topicCount, topicDuration, interviewMode: mode, course, assignmentName }) => {
     if (!file) {
-      setError("PDF 파일을 선택해 주세요.");
+      setError("과제 파일을 선택해 주세요.");
       return;
     }
     
@@ -236,71 +372,124 @@ export default function Home() {
     
     try {
       const base64 = await fileToBase64(file);
-      const data = await apiFetch("/api/analyze", { pdfBase64: base64 });
-      const allTopics = (data.analysis?.topics || []).slice(0, 5);
-      if (!allTopics.length) throw new Error("AI가 주제를 만들지 못했습니다.");
-      
-      const selectedTopics = allTopics.slice(0, topicCount);
-      const normalizedTopics = selectedTopics.map((t, idx) => ({
-        ...t,
-        timeLeft: topicDuration,
-        turns: [],
-        status: idx === 0 ? "active" : "pending",
-        started: false,
-        asked: false,
-      }));
-      
-      setAssignment({ topics: normalizedTopics, text: data.text || "" });
-      setTopicsState(normalizedTopics);
-      setCurrentTopicIndex(0);
-      await prepareTopic(0, normalizedTopics, data.text || "");
+      const { session } = await apiFetch("/api/sessions", {
+        fileBase64: base64,
+        fileName: file.name,
+        topicCount,
+        topicDuration,
+        interviewMode: mode,
+        course,
+        assignment: assignmentName,
+        ...(invite && { inviteCode: invite.code }),
+      });
+      await beginSession(session);
+    } catch (err) {
+      console.error(err);
+      setError(
+        INVITE_ERRORS[err.data?.error] ||
+          EXTRACTION_ERRORS[err.data?.error] ||
+          limitMessage(err.data) ||
+          err.message ||
+          "업로드에 실패했습니다.",
+      );
+      setPhase("upload");
+    }
+  };
+
+  // A link an instructor shared (`?plan=`) starts the interview they prepared.
+  const handleStartShared = async () => {
+    setError("");
+    setInterviewMode(sharedPlan.interviewMode);
+    setSettings({ topicCount: sharedPlan.topicCount, topicDuration: sharedPlan.topicDuration });
+    setPrepLabel("인터뷰를 준비하고 있어요");
+    setPhase("prep");
+    try {
+      const { session } = await apiFetch(`/api/share/${sharedPlan.token}/sessions`, {});
+      await beginSession(session);
     } catch (err) {
       console.error(err);
-      setError(err.message || "업로드에 실패했습니다.");
+      setError(
+        err.status === 404
+          ? "공유된 인터뷰 링크를 더 이상 사용할 수 없습니다."
+          : limitMessage(err.data) || "인터뷰를 시작하지 못했습니다. 다시 시도해 주세요.",
+      );
       setPhase("upload");
     }
   };
 
-  const prepareTopic = useCallback(async (index, nextTopics, text) => {
+  // An invite (`?invite=` or a typed code) fixes the assignment's settings and
+  // attributes the session to the student it was issued to.
+  const openInvite = useCallback(async (code) => {
+    setError("");
+    try {
+      const { invite: opened } = await apiGet(`/api/invites/${encodeURIComponent(code.trim())}`);
+      setInvite(opened);
+    } catch (err) {
+      console.error(err);
+      setError(err.status === 404 ? INVITE_ERRORS.invite_not_found : "초대 코드를 확인하지 못했습니다. 다시 시도해 주세요.");
+    }
+  }, []);
+
+  const beginSession = async (session) => {
+    if (!session?.topics?.length) throw new Error("AI가 주제를 만들지 못했습니다.");
+
+    const normalizedTopics = session.topics.map((t) => ({
+      ...t,
+      ...clockState(t),
+      started: false,
+      asked: false,
+    }));
+
+    window.localStorage.setItem(SESSION_KEY, session.id);
+    setSessionId(session.id);
+    setAssignmentExcerpt(session.excerpt || "");
+    setTopicsState(normalizedTopics);
+    setCurrentTopicIndex(0);
+    await prepareTopic(0, normalizedTopics, session.id);
+  };
+
+  const prepareTopic = useCallback(async (index, nextTopics, activeSessionId) => {
     setPrepLabel(`${index + 1}번째 주제 준비중`);
     setPhase("prep");
+    // Set before the question streams in: changing topics stops any speech.
+    setCurrentTopicIndex(index);
+    topicIndexRef.current = index;
     setModal(null);
     setAiGenerating(true);
     setStudentInput("");
-    setIsTyping(false);
+    setRetryAction(null);
     try {
       const topic = nextTopics[index];
-      const alreadyHasQuestion = (topic.turns || []).some((turn) => turn.role === "ai");
-      if (topic.asked && alreadyHasQuestion) {
+      const turns = topic.turns || [];
+      if (turns[turns.length - 1]?.role === "ai") {
         setTopicsState((prev) =>
           prev.map((t, idx) => ({
             ...t,
             status: idx === index ? "active" : idx < index ? "done" : t.status,
           })),
         );
-        setCurrentTopicIndex(index);
         setAiGenerating(false);
         setPhase("interview");
         return;
       }
-      const question = await apiFetch("/api/question", {
-        topic,
-        assignmentText: text || "",
-        previousQA: [],
-        studentAnswer: "",
-      });
-      const questionText =
-        (typeof question === "object" ? question.question : question) ||
-        "이 부분을 왜 이렇게 작성하셨나요?";
+      // The interview opens as soon as the first words arrive.
+      const question = await requestQuestion(
+        { sessionId: activeSessionId },
+        { onFirstEvent: () => setPhase("interview") },
+      );
+      const questionText = question.question || "이 부분을 왜 이렇게 작성하셨나요?";
       setTopicsState((prev) =>
         prev.map((t, idx) => {
           if (idx === index) {
-            const turns = [...(t.turns || []), { role: "ai", text: questionText }];
+            const turns = [
+              ...(t.turns || []),
+              { role: "ai", text: questionText, refs: question.refs || [], spoken: Boolean(question.spoken) },
+            ];
             return {
               ...t,
               turns,
               status: "active",
-              timeLeft: t.timeLeft,
+              ...clockState(question),
               started: true,
               asked: true,
             };
@@ -308,125 +497,182 @@ export default function Home() {
           return { ...t, status: idx < index ? "done" : t.status };
         }),
       );
-      setCurrentTopicIndex(index);
+      setTurnSubmitted(false);
+      setStreamingText("");
       setAiGenerating(false);
       setPhase("interview");
+      finishSpeech();
     } catch (err) {
       console.error(err);
-      setError("첫 질문 생성에 실패했습니다. 다시 시도해 주세요.");
-      setPhase("upload");
+      // The session is kept on the server, so stay on this topic and let the student retry.
+      setError(limitMessage(err.data) || "첫 질문 생성에 실패했습니다. 다시 시도해 주세요.");
+      if (err.data?.error !== "budget_exceeded") {
+        setRetryAction({ run: () => prepareTopic(index, nextTopics, activeSessionId) });
+      }
+      setStreamingText("");
       setAiGenerating(false);
+      setPhase("prep");
+      finishSpeech();
     }
-  }, []);
+  }, [requestQuestion, finishSpeech]);
 
   const handleSend = async () => {
     if (!studentInput.trim() || !currentTopic) return;
     const message = studentInput.trim();
+    const typing = typingRef.current.snapshot(Date.now());
     setStudentInput("");
-    setIsTyping(false);
-
-    let nextTurns = [];
-    setTopicsState((prev) =>
-      prev.map((t, idx) => {
-        if (idx === currentTopicIndex) {
-          nextTurns = [...(t.turns || []), { role: "student", text: message }];
-          return { ...t, turns: nextTurns };
-        }
-        return t;
-      }),
-    );
-
-    setAiGenerating(true);
-    try {
-      const question = await fetchQuestion({
-        topic: currentTopic,
-        previousQA: nextTurns,
-        studentAnswer: message,
-      });
-      setTopicsState((prev) =>
-        prev.map((t, idx) => {
-          if (idx === currentTopicIndex) {
-            return { ...t, turns: [...nextTurns, { role: "ai", text: question }] };
-          }
-          return t;
-        }),
-      );
-    } catch (err) {
-      console.error(err);
-      setError("질문 생성에 실패했습니다. 다시 시도해 주세요.");
-    } finally {
-      setAiGenerating(false);
-    }
+    await submitAnswer(message, { typing });
   };
 
-  const handleVoiceSubmit = useCallback(async () => {
+  // Kept with the answer so reviewers can check the transcript against it. A
+  // lost recording never holds up the interview.
+  const uploadRecording = useCallback(
+    async (answerId, recording) => {
+      try {
+        const blob = await recording;
+        if (!blob?.size) return;
+        await apiUpload(`/api/sessions/${sessionId}/recordings?answerId=${answerId}`, blob, { retries: 2 });
+      } catch (err) {
+        console.error("recording upload failed:", err);
+      }
+    },
+    [sessionId],
+  );
+
+  // `noSpeech`: nothing was said, so the recording is not transcribed.
+  const handleVoiceSubmit = useCallback(async ({ noSpeech = false } = {}) => {
     if (turnSubmitted || !currentTopic || isTranscribing) return;
     setTurnSubmitted(true);
     
-    const transcribedText = await stopListening();
-    const message = transcribedText.trim();
+    const transcribedText = await stopListening({ discard: noSpeech });
+    const message = noSpeech ? "" : mergeCorrection(voiceCorrectionRef.current, transcribedText).trim();
     const studentResponse = message || "(응답 없음)";
     
+    voiceCorrectionRef.current = null;
     resetTranscript();
     setStudentInput("");
+    // Uploaded once the answer turn is stored, which the recording is attached to.
+    const recording = takeRecording();
+    const answerId = crypto.randomUUID();
+    await submitAnswer(studentResponse, { answerId });
+    if (recording) uploadRecording(answerId, recording);
+  }, [turnSubmitted, isTranscribing, currentTopic, stopListening, takeRecording, resetTranscript, submitAnswer, uploadRecording]);
 
-    let nextTurns = [];
-    setTopicsState((prev) =>
-      prev.map((t, idx) => {
-        if (idx === currentTopicIndex) {
-          nextTurns = [...(t.turns || []), { role: "student", text: studentResponse }];
-          return { ...t, turns: nextTurns };
-        }
-        return t;
-      }),
-    );
+  // Once voice activity detection sees the answer end (or never start), a
+  // short countdown runs before it is submitted. Speaking again cancels it,
+  // except at the answer length limit. It also waits while the student is
+  // correcting the transcript.
+  const voiceAnswerEnded =
+    interviewMode === "voice" &&
+    phase === "interview" &&
+    isListening &&
+    !turnSubmitted &&
+    !voiceEditing &&
+    VAD_END_STATES.includes(vadState);
 
-    setAiGenerating(true);
-    try {
-      const question = await fetchQuestion({
-        topic: currentTopic,
-        previousQA: nextTurns,
-        studentAnswer: studentResponse,
-      });
-      setTopicsState((prev) =>
-        prev.map((t, idx) => {
-          if (idx === currentTopicIndex) {
-            return { ...t, turns: [...nextTurns, { role: "ai", text: question }] };
-          }
-          return t;
-        }),
-      );
-    } catch (err) {
-      console.error(err);
-      setError("질문 생성에 실패했습니다. 다시 시도해 주세요.");
-    } finally {
-      setAiGenerating(false);
+  const handleVoiceCorrection = (text) => {
+    voiceCorrectionRef.current = { base: transcript, text };
+    setStudentInput(text);
+  };
+
+  useEffect(() => {
+    if (!voiceAnswerEnded) {
+      setVoiceGrace(null);
+      return;
     }
-  }, [turnSubmitted, isTranscribing, currentTopic, currentTopicIndex, stopListening, resetTranscript, fetchQuestion]);
+    setVoiceGrace(VOICE_SUBMIT_GRACE_SECONDS);
+    const timer = setInterval(() => setVoiceGrace((prev) => Math.max(prev - 1, 0)), 1000);
+    return () => clearInterval(timer);
+  }, [voiceAnswerEnded]);
+
+  useEffect(() => {
+    if (voiceGrace === 0) handleVoiceSubmit({ noSpeech: vadState === "silent" });
+  }, [voiceGrace, vadState, handleVoiceSubmit]);
 
   const finalizeSession = useCallback(
-    async (doneTopics) => {
+    async (activeSessionId) => {
       setPhase("finalizing");
       try {
-        const transcriptText = buildTranscript(doneTopics);
-        const data = await apiFetch("/api/summary", {
-          transcript: transcriptText,
-          topics: assignment.topics,
-          assignmentText: assignment.text || "",
-          interviewMode: interviewMode || "chat",
-        });
+        const data = await apiFetch("/api/summary", { sessionId: activeSessionId }, { retries: API_RETRIES });
+        // A completed interview is not resumed on the next visit.
+        window.localStorage.removeItem(SESSION_KEY);
         setResultSummary(data.summary);
       } catch (err) {
         console.error(err);
-        setError("결과 요약에 실패했습니다. 다시 시도해 주세요.");
+        setError(limitMessage(err.data) || "결과 요약에 실패했습니다. 다시 시도해 주세요.");
       } finally {
         setPhase("result");
         setAiGenerating(false);
       }
     },
-    [assignment.topics, assignment.text, interviewMode],
+    [],
   );
 
+  const restoreSession = useCallback(
+    async (id) => {
+      setPhase("restoring");
+      try {
+        const { session } = await apiGet(`/api/sessions/${id}`);
+        const restoredTopics = session.topics.map((t) => ({
+          ...t,
+          ...clockState(t),
+          started: t.turns.length > 0,
+          asked: t.turns.some((turn) => turn.role === "ai"),
+        }));
+        setSessionId(session.id);
+        setAssignmentExcerpt(session.excerpt || "");
+        setInterviewMode(session.interviewMode);
+        setSettings(session.settings);
+        setTopicsState(restoredTopics);
+        setCurrentTopicIndex(session.currentTopicIndex);
+
+        if (session.status === "completed" && session.summary) {
+          window.localStorage.removeItem(SESSION_KEY);
+          setResultSummary(session.summary);
+          setPhase("result");
+        } else if (session.status === "completed" || restoredTopics.every((t) => t.status === "done")) {
+          await finalizeSession(session.id);
+        } else {
+          await prepareTopic(session.currentTopicIndex, restoredTopics, session.id);
+        }
+      } catch (err) {
+        console.error(err);
+        // Gone, or another account's (a shared browser): never try it again.
+        if (err.status === 404 || err.status === 403) window.localStorage.removeItem(SESSION_KEY);
+        setError("이전 인터뷰를 복구하지 못했습니다. 새로 시작해 주세요.");
+        setPhase("upload");
+      }
+    },
+    [finalizeSession, prepareTopic],
+  );
+
+  useEffect(() => {
+    // The invite or shared-plan query stays in the address the login returns to.
+    if (!getToken()) {
+      redirectToLogin();
+      return;
+    }
+    setAccount(getUser());
+    // A link the student just opened wins over an interview left unfinished.
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("invite")) {
+      openInvite(params.get("invite"));
+      return;
+    }
+    const token = params.get("plan");
+    if (!token) {
+      const savedId = window.localStorage.getItem(SESSION_KEY);
+      if (savedId) restoreSession(savedId);
+      return;
+    }
+    apiGet(`/api/share/${encodeURIComponent(token)}`)
+      .then(({ plan }) => setSharedPlan({ ...plan, token: encodeURIComponent(token) }))
+      .catch((err) => {
+        console.error(err);
+        setError("공유된 인터뷰 링크가 잘못되었거나 더 이상 사용할 수 없습니다.");
+      });
+  }, [restoreSession, openInvite]);
+
   const triggerAutoModal = () => {
     setModal({ type: "auto-exit" });
     setAutoCountdown(AUTO_ADVANCE_SECONDS);
@@ -438,7 +684,6 @@ export default function Home() {
       setAdvancing(true);
       setModal(null);
       setAiGenerating(false);
-      setIsTyping(false);
       setStudentInput("");
       stopSpeaking();
       stopListening();
@@ -448,21 +693,31 @@ export default function Home() {
       setTopicsState((prev) => {
         updated = prev.map((t, idx) =>
           idx === currentTopicIndex
-            ? { ...t, status: "done", timeLeft: Math.max(0, t.timeLeft) }
+            ? { ...t, status: "done", timeLeft: remainingSeconds(t, Date.now()), running: false }
             : t,
         );
         return updated;
       });
 
+      try {
+        await apiFetch(
+          `/api/sessions/${sessionId}/advance`,
+          { topicIndex: currentTopicIndex },
+          { retries: API_RETRIES },
+        );
+      } catch (err) {
+        console.error(err);
+      }
+
       const nextIndex = currentTopicIndex + 1;
       if (nextIndex < topicsState.length) {
-        await prepareTopic(nextIndex, updated, assignment.text);
+        await prepareTopic(nextIndex, updated, sessionId);
       } else {
-        await finalizeSession(updated);
+        await finalizeSession(sessionId);
       }
       setAdvancing(false);
     },
-    [advancing, topicsState, currentTopicIndex, assignment.text, prepareTopic, finalizeSession, stopSpeaking, stopListening, resetTranscript],
+    [advancing, topicsState, currentTopicIndex, sessionId, prepareTopic, finalizeSession, stopSpeaking, stopListening, resetTranscript],
   );
 
   useEffect(() => {
@@ -482,18 +737,21 @@ export default function Home() {
   }, [modal?.type, completeTopic]);
 
   const handleReset = () => {
+    window.localStorage.removeItem(SESSION_KEY);
     stopListening();
     stopSpeaking();
     setPhase("upload");
-    setAssignment({ topics: [], text: "" });
+    setSessionId(null);
+    setAssignmentExcerpt("");
     setTopicsState([]);
     setCurrentTopicIndex(0);
     setAiGenerating(false);
-    setIsTyping(false);
     setStudentInput("");
     setError("");
+    setRetryAction(null);
     setModal(null);
     setResultSummary(null);
+    setStreamingText("");
     setAdvancing(false);
     setInterviewMode(null);
     setTurnSubmitted(false);
@@ -502,14 +760,17 @@ export default function Home() {
   };
 
   return (
-    <main className={styles.shell}>
+    <main className={clsx(styles.shell, phase === "interview" && styles.shellWide)}>
       <div className={styles.backdrop} />
+      {account && <AccountBar user={account} />}
       <section className={styles.header}>
         <div>
           <p className={styles.eyebrow}>AI 과제 인터뷰 조교</p>
           <h1 className={styles.title}>Homework Validator</h1>
           <p className={styles.subtitle}>
-            PDF 업로드 → AI 인터뷰 → 이해도 리포트. 로그인 없이 바로 시작하세요.
+            {invite
+              ? `${invite.student.name} 학생의 ${invite.assignment} 인터뷰입니다. 과제를 올리고 시작하세요.`
+              : "과제 업로드 → AI 인터뷰 → 이해도 리포트."}
           </p>
         </div>
         <div className={styles.statusGroup}>
@@ -521,9 +782,50 @@ export default function Home() {
         </div>
       </section>
 
-      {error && <div className={styles.errorBanner}>{error}</div>}
+      {error && (
+        <div className={styles.errorBanner}>
+          {error}
+          {retryAction && (
+            <button
+              className={styles.secondaryButton}
+              onClick={() => {
+                const action = retryAction;
+                setRetryAction(null);
+                setError("");
+                action.run();
+              }}
+            >
+              다시 시도
+            </button>
+          )}
+        </div>
+      )}
 
-      {phase === "upload" && <UploadCard onStart={handleStart} sttSupported={sttSupported} />}
+      {phase === "upload" &&
+        (sharedPlan ? (
+          <SharedPlanCard plan={sharedPlan} onStart={handleStartShared} sttSupported={sttSupported} />
+        ) : (
+          <>
+            <UploadCard
+              key={invite?.code || "open"}
+              onStart={handleStart}
+              sttSupported={sttSupported}
+              preset={invite}
+              description={
+                invite
+                  ? "과제 파일을 올리면 교수자가 정한 설정으로 인터뷰가 시작됩니다."
+                  : "과제 파일을 업로드하고 설정을 선택한 후 인터뷰를 시작하세요."
+              }
+            />
+            {!invite && <InviteCodeForm onSubmit={openInvite} />}
+          </>
+        ))}
+      {phase === "restoring" && (
+        <LoadingCard
+          label="인터뷰 복구중"
+          detail="진행 중이던 인터뷰를 불러오고 있어요. 잠시만 기다려 주세요."
+        />
+      )}
       {phase === "analyzing" && (
         <LoadingCard
           label="과제 분석중"
@@ -537,32 +839,41 @@ export default function Home() {
         />
       )}
       {phase === "interview" && currentTopic && (
-        <InterviewCard
-          topic={currentTopic}
-          topics={topicsState}
-          currentIndex={currentTopicIndex}
-          progressText={progressText}
-          timeText={formatTime(currentTopic.timeLeft)}
-          onSend={handleSend}
-          studentInput={studentInput}
-          setStudentInput={setStudentInput}
-          onTyping={() => setIsTyping(true)}
-          aiGenerating={aiGenerating}
-          modal={modal}
-          onManualExit={() => setModal({ type: "manual-exit" })}
-          onConfirmExit={() => completeTopic("manual")}
-          onCancelExit={() => setModal(null)}
-          autoCountdown={autoCountdown}
-          inputDisabled={inputDisabled}
-          interviewMode={interviewMode}
-          isListening={isListening}
-          isTranscribing={isTranscribing}
-          isSpeaking={isSpeaking}
-          speechError={speechError}
-          turnSubmitted={turnSubmitted}
-          volumeLevel={volumeLevel}
-          onVoiceSubmit={handleVoiceSubmit}
-        />
+        <div className={styles.interviewLayout}>
+          <InterviewCard
+            topic={currentTopic}
+            topics={topicsState}
+            currentIndex={currentTopicIndex}
+            progressText={progressText}
+            timeText={formatTime(timeLeft)}
+            onSend={handleSend}
+            studentInput={studentInput}
+            setStudentInput={setStudentInput}
+            aiGenerating={aiGenerating}
+            streamingText={streamingText}
+            modal={modal}
+            onManualExit={() => setModal({ type: "manual-exit" })}
+            onConfirmExit={() => completeTopic("manual")}
+            onCancelExit={() => setModal(null)}
+            autoCountdown={autoCountdown}
+            inputDisabled={inputDisabled}
+            interviewMode={interviewMode}
+            isListening={isListening}
+            isTranscribing={isTranscribing}
+            isSpeaking={isSpeaking}
+            speechError={speechError || ttsError}
+            turnSubmitted={turnSubmitted}
+            volumeLevel={volumeLevel}
+            vadState={vadState}
+            voiceGrace={voiceGrace}
+            typingHandlers={typingHandlers}
+            onVoiceSubmit={handleVoiceSubmit}
+            onVoiceCorrection={handleVoiceCorrection}
+            onVoiceEditing={setVoiceEditing}
+            onShowRefs={(refs) => setPinnedRefs(refs.map((ref) => ({ ...ref, label: "질문" })))}
+          />
+          <SourceViewer sessionId={sessionId} refs={pinnedRefs || interviewRefs(currentTopic)} />
+        </div>
       )}
       {phase === "finalizing" && (
         <LoadingCard
@@ -571,119 +882,64 @@ export default function Home() {
         />
       )}
       {phase === "result" && (
-        <ResultCard summary={resultSummary} onReset={handleReset} />
+        <ResultCard summary={resultSummary} onReset={handleReset} sessionId={sessionId} topics={topicsState} />
       )}
     </main>
   );
 }
 
-function UploadCard({ onStart, sttSupported }) {
-  const [file, setFile] = useState(null);
-  const [topicCount, setTopicCount] = useState(3);
-  const [topicDuration, setTopicDuration] = useState(180);
-  const [interviewMode, setInterviewMode] = useState("voice");
-
-  const handleFileSelect = (selectedFile) => {
-    if (selectedFile && selectedFile.type === "application/pdf") {
-      setFile(selectedFile);
-    }
-  };
-
-  const handleStart = () => {
-    if (!file) return;
-    onStart(file, { topicCount, topicDuration, interviewMode });
-  };
+function InviteCodeForm({ onSubmit }) {
+  const [code, setCode] = useState("");
+  return (
+    <form
+      className={styles.inviteForm}
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (code.trim()) onSubmit(code);
+      }}
+    >
+      <label className={styles.settingLabel} htmlFor="inviteCode">
+        초대 코드가 있나요?
+      </label>
+      <input
+        id="inviteCode"
+        className={styles.settingInput}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="예: ABCD-2345"
+        maxLength={20}
+      />
+      <button type="submit" className={styles.secondaryButton} disabled={!code.trim()}>
+        코드 확인
+      </button>
+    </form>
+  );
+}
 
+// The interview an instructor prepared and shared; topics stay hidden.
+function SharedPlanCard({ plan, onStart, sttSupported }) {
+  const needsVoice = plan.interviewMode === "voice" && !sttSupported;
+  const label = [plan.course, plan.assignment].filter(Boolean).join(" · ");
   return (
     <div className={styles.card}>
       <div className={styles.cardHeader}>
         <div>
-          <p className={styles.cardEyebrow}>인터뷰 설정</p>
-          <h2 className={styles.cardTitle}>과제 PDF 업로드</h2>
+          <p className={styles.cardEyebrow}>교수자가 준비한 인터뷰</p>
+          <h2 className={styles.cardTitle}>{label || "과제 인터뷰"}</h2>
           <p className={styles.cardDescription}>
-            PDF를 업로드하고 설정을 선택한 후 인터뷰를 시작하세요.
+            {plan.interviewMode === "voice" ? "🎤 음성" : "💬 채팅"} 인터뷰 · 주제 {plan.topicCount}개 · 주제별{" "}
+            {plan.topicDuration / 60}분
           </p>
         </div>
       </div>
-
-      <label
-        className={clsx(styles.uploadArea, file && styles.uploadAreaSelected)}
-        onDragOver={(e) => e.preventDefault()}
-        onDrop={(e) => {
-          e.preventDefault();
-          handleFileSelect(e.dataTransfer.files?.[0]);
-        }}
-      >
-        <input
-          type="file"
-          accept="application/pdf"
-          className={styles.fileInput}
-          onChange={(e) => handleFileSelect(e.target.files?.[0])}
-        />
-        <div>
-          <p className={styles.uploadTitle}>
-            {file ? `✓ ${file.name}` : "PDF를 끌어놓거나 클릭해 업로드"}
-          </p>
-          <p className={styles.uploadSub}>
-            {file ? "다른 파일을 선택하려면 다시 클릭하세요" : "PDF만 허용"}
-          </p>
-        </div>
-      </label>
-
-      <div className={styles.settingsSection}>
-        <div className={styles.settingRow}>
-          <label className={styles.settingLabel}>주제 개수</label>
-          <div className={styles.settingButtons}>
-            {[1, 2, 3].map((n) => (
-              <button
-                key={n}
-                className={clsx(styles.settingButton, topicCount === n && styles.settingButtonActive)}
-                onClick={() => setTopicCount(n)}
-              >
-                {n}개
-              </button>
-            ))}
-          </div>
-        </div>
-        <div className={styles.settingRow}>
-          <label className={styles.settingLabel}>주제별 제한 시간</label>
-          <div className={styles.settingButtons}>
-            {[60, 120, 180].map((sec) => (
-              <button
-                key={sec}
-                className={clsx(styles.settingButton, topicDuration === sec && styles.settingButtonActive)}
-                onClick={() => setTopicDuration(sec)}
-              >
-                {sec / 60}분
-              </button>
-            ))}
-          </div>
-        </div>
-        <div className={styles.settingRow}>
-          <label className={styles.settingLabel}>인터뷰 방식</label>
-          <div className={styles.settingButtons}>
-            <button
-              className={clsx(styles.settingButton, interviewMode === "chat" && styles.settingButtonActive)}
-              onClick={() => setInterviewMode("chat")}
-            >
-              💬 채팅
-            </button>
-            <button
-              className={clsx(styles.settingButton, interviewMode === "voice" && styles.settingButtonActive, !sttSupported && styles.settingButtonDisabled)}
-              onClick={() => sttSupported && setInterviewMode("voice")}
-              disabled={!sttSupported}
-            >
-              🎤 음성
-            </button>
-          </div>
-        </div>
-      </div>
-
+      {needsVoice && (
+        <p className={styles.speechError}>이 브라우저에서는 음성 인터뷰를 진행할 수 없습니다. 다른 브라우저로 열어 주세요.</p>
+      )}
       <button
         className={styles.primaryButton}
         style={{ width: "100%", padding: "14px", fontSize: "16px" }}
-        onClick={handleStart}
-        disabled={!file}
+        onClick={onStart}
+        disabled={needsVoice}
       >
         인터뷰 시작
       </button>
@@ -705,6 +961,27 @@ function LoadingCard({ label, detail }) {
   );
 }
 
+// Keeps the student's edits when the live transcript grows: text added after
+// the part they corrected is appended to their version. If the transcript
+// changed under the edit (a retried segment), their version wins.
+function mergeCorrection(correction, transcript) {
+  if (!correction) return transcript;
+  if (!transcript.startsWith(correction.base)) return correction.text;
+  const added = transcript.slice(correction.base.length).trim();
+  return added ? `${correction.text.trimEnd()} ${added}` : correction.text;
+}
+
+function listeningText(isListening, vadState, voiceGrace) {
+  if (!isListening) return "마이크 준비 중...";
+  if (voiceGrace !== null) {
+    if (vadState === "limit") return `최대 답변 시간이 지났습니다. ${voiceGrace}초 후 답변을 제출합니다.`;
+    if (vadState === "silent") return `응답이 없어 ${voiceGrace}초 후 다음으로 넘어갑니다.`;
+    return `${voiceGrace}초 후 답변을 제출합니다. 이어서 말씀하시면 취소됩니다.`;
+  }
+  if (vadState === "prompt") return "답변을 말씀해 주세요. 생각을 정리한 뒤 천천히 말씀하셔도 됩니다.";
+  return "듣고 있습니다...";
+}
+
 function InterviewCard({
   topic,
   topics,
@@ -714,8 +991,8 @@ function InterviewCard({
   onSend,
   studentInput,
   setStudentInput,
-  onTyping,
   aiGenerating,
+  streamingText,
   modal,
   onManualExit,
   onConfirmExit,
@@ -729,7 +1006,13 @@ function InterviewCard({
   speechError,
   turnSubmitted,
   volumeLevel,
+  vadState,
+  voiceGrace,
+  typingHandlers,
   onVoiceSubmit,
+  onVoiceCorrection,
+  onVoiceEditing,
+  onShowRefs,
 }) {
   const isVoiceMode = interviewMode === "voice";
   const volumeScale = 1 + volumeLevel * 0.5;
@@ -767,7 +1050,7 @@ function InterviewCard({
                 ? "AI 생성중: 타이머 일시정지"
                 : isSpeaking
                 ? "AI 발화중: 타이머 일시정지"
-                : "입력 중에만 시간이 차감됩니다"}
+                : "답변하는 동안 시간이 차감됩니다"}
             </p>
           </div>
           <button className={styles.secondaryButton} onClick={onManualExit} disabled={modal?.type === "auto-exit"}>
@@ -783,7 +1066,12 @@ function InterviewCard({
             <span className={styles.badgeSecondary}>3분 제한 · 음성으로만 답변</span>
           </div>
           <div className={styles.voiceQuestionArea}>
-            {aiGenerating ? (
+            {isSpeaking ? (
+              <div className={styles.voiceGenerating}>
+                <span className={styles.speakingIndicatorLarge}>🔊</span>
+                <p>AI가 질문을 읽고 있습니다...</p>
+              </div>
+            ) : aiGenerating ? (
               <div className={styles.voiceGenerating}>
                 <div className={styles.typingDots}>
                   <span />
@@ -792,11 +1080,6 @@ function InterviewCard({
                 </div>
                 <p>AI가 질문을 준비하고 있습니다...</p>
               </div>
-            ) : isSpeaking ? (
-              <div className={styles.voiceGenerating}>
-                <span className={styles.speakingIndicatorLarge}>🔊</span>
-                <p>AI가 질문을 읽고 있습니다...</p>
-              </div>
             ) : isTranscribing ? (
               <div className={styles.voiceGenerating}>
                 <div className={styles.typingDots}>
@@ -818,15 +1101,34 @@ function InterviewCard({
                 >
                   <span className={styles.volumeInner}>🎙️</span>
                 </div>
-                <p>{isListening ? "듣고 있습니다..." : "마이크 준비 중..."}</p>
+                <p className={clsx((voiceGrace !== null || vadState === "prompt") && styles.voicePrompt)}>
+                  {listeningText(isListening, vadState, voiceGrace)}
+                </p>
               </div>
             )}
           </div>
           <div className={styles.voiceResponseArea}>
             {speechError && <div className={styles.speechError}>{speechError}</div>}
+            {(isListening || isTranscribing) && !turnSubmitted && (
+              <div className={styles.liveTranscript}>
+                <textarea
+                  aria-label="인식된 답변"
+                  className={styles.liveTranscriptInput}
+                  value={studentInput}
+                  placeholder="말씀하시는 내용이 여기에 표시됩니다."
+                  onChange={(e) => onVoiceCorrection(e.target.value)}
+                  onFocus={() => onVoiceEditing(true)}
+                  onBlur={() => onVoiceEditing(false)}
+                  rows={4}
+                />
+                <p className={styles.liveTranscriptHint}>
+                  잘못 인식된 부분은 직접 고칠 수 있습니다. 고치는 동안에는 자동 제출이 멈춥니다.
+                </p>
+              </div>
+            )}
             <button
               className={clsx(styles.micButtonLarge, styles.micButtonStop)}
-              onClick={onVoiceSubmit}
+              onClick={() => onVoiceSubmit()}
               disabled={inputDisabled || aiGenerating || isSpeaking || turnSubmitted || isTranscribing}
             >
               ⏹️ 답변 완료
@@ -847,16 +1149,25 @@ function InterviewCard({
               >
                 <p className={styles.chatSender}>{turn.role === "ai" ? "AI" : "학생"}</p>
                 <p>{turn.text}</p>
+                {turn.refs?.length > 0 && (
+                  <button className={styles.refButton} onClick={() => onShowRefs(turn.refs)}>
+                    원문 보기
+                  </button>
+                )}
               </div>
             ))}
             {aiGenerating && (
               <div className={clsx(styles.chatBubble, styles.chatAI)}>
                 <p className={styles.chatSender}>AI</p>
-                <p className={styles.typingDots}>
-                  <span />
-                  <span />
-                  <span />
-                </p>
+                {streamingText ? (
+                  <p className={styles.streamingText}>{streamingText}</p>
+                ) : (
+                  <p className={styles.typingDots}>
+                    <span />
+                    <span />
+                    <span />
+                  </p>
+                )}
               </div>
             )}
           </div>
@@ -865,10 +1176,8 @@ function InterviewCard({
               value={studentInput}
               onChange={(e) => {
                 setStudentInput(e.target.value);
-                onTyping();
               }}
-              onPaste={(e) => e.preventDefault()}
-              onDrop={(e) => e.preventDefault()}
+              {...typingHandlers}
               placeholder="질문에 대해 자신의 말로 답변해 주세요."
               disabled={inputDisabled}
             />
@@ -916,7 +1225,10 @@ function InterviewCard({
   );
 }
 
-function ResultCard({ summary, onReset }) {
+function ResultCard({ summary, onReset, sessionId, topics }) {
+  const topicRefs = (topics || []).flatMap((topic, idx) =>
+    (topic.refs || []).map((ref) => ({ ...ref, label: `주제 ${idx + 1}` })),
+  );
   return (
     <div className={styles.card}>
       <div className={styles.cardHeader}>
@@ -951,6 +1263,17 @@ function ResultCard({ summary, onReset }) {
             <p className={styles.cardEyebrow}>종합 코멘트</p>
             <p>{summary.overallComment}</p>
           </div>
+          {summary.topics?.length > 0 && (
+            <div className={styles.resultBlockWide}>
+              <p className={styles.cardEyebrow}>주제별 판정</p>
+              <TopicVerdictList topics={summary.topics} />
+            </div>
+          )}
+          {sessionId && topicRefs.length > 0 && (
+            <div className={styles.resultBlockWide}>
+              <SourceViewer sessionId={sessionId} refs={topicRefs} title="주제별 과제 원문" />
+            </div>
+          )}
         </div>
       ) : (
         <p className={styles.cardDescription}>결과를 불러오지 못했습니다. 새 과제로 다시 시도해 주세요.</p>
@@ -0,0 +1,15 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  // Components are plain .js files with JSX, as Next allows.
+  esbuild: {
+    include: /\.[jt]sx?$/,
+    exclude: [],
+    loader: "jsx",
+    jsx: "automatic",
+  },
+  test: {
+    environment: "jsdom",
+    include: ["__tests__/**/*.test.js"],
+  },
+});